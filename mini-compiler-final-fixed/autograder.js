@@ -0,0 +1,239 @@
+// --- Autograder ---
+// Runs a compiled program against a test suite and scores it. A suite is
+// JSON:
+//
+//   {
+//     "name": "Assignment 1",
+//     "compare": "whitespace",          optional, the default for cases
+//     "tolerance": 1e-6,                optional, for "float"
+//     "limits": { "maxSteps": 100000 }, optional, as for runProgram()
+//     "cases": [
+//       { "name": "small", "stdin": "3 4\n", "expected": "7\n",
+//         "points": 2, "exitCode": 0, "compare": "exact" }
+//     ]
+//   }
+//
+// Only "expected" is required of a case; "points" defaults to 1 and the
+// exit code is only checked when given. Compare modes:
+//   exact       the output must match exactly, line endings aside
+//   whitespace  the same words, however they are spaced or broken into lines
+//   float       as whitespace, but numbers only need to agree to within
+//               tolerance, relative to the expected value once it exceeds 1
+
+const COMPARE_MODES = ['exact', 'whitespace', 'float'];
+const DEFAULT_TOLERANCE = 1e-6;
+
+// The suite in `text`, with defaults filled in; throws an Error saying what
+// is wrong with it otherwise
+function parseSuite(text) {
+    let suite;
+    try {
+        suite = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`The test suite is not valid JSON: ${e.message}`);
+    }
+    if (suite === null || typeof suite !== 'object' || !Array.isArray(suite.cases)) {
+        throw new Error(`The test suite must be an object with a "cases" array`);
+    }
+    const compare = suite.compare || 'exact';
+    const tolerance = suite.tolerance === undefined ? DEFAULT_TOLERANCE : suite.tolerance;
+    checkCompare(compare, tolerance, 'The test suite');
+
+    const cases = suite.cases.map((testCase, k) => {
+        const name = testCase && typeof testCase.name === 'string' ? testCase.name : `Case ${k + 1}`;
+        const where = `Test case '${name}'`;
+        if (testCase === null || typeof testCase !== 'object') throw new Error(`${where} must be an object`);
+        if (typeof testCase.expected !== 'string') throw new Error(`${where} needs an "expected" string`);
+        if (testCase.stdin !== undefined && typeof testCase.stdin !== 'string') {
+            throw new Error(`${where} has a "stdin" that is not a string`);
+        }
+        const points = testCase.points === undefined ? 1 : testCase.points;
+        if (typeof points !== 'number' || points < 0) throw new Error(`${where} has "points" that are not a number of at least 0`);
+        if (testCase.exitCode !== undefined && !Number.isInteger(testCase.exitCode)) {
+            throw new Error(`${where} has an "exitCode" that is not a whole number`);
+        }
+        const resolved = {
+            name,
+            stdin: testCase.stdin || '',
+            expected: testCase.expected,
+            exitCode: testCase.exitCode === undefined ? null : testCase.exitCode,
+            points,
+            compare: testCase.compare || compare,
+            tolerance: testCase.tolerance === undefined ? tolerance : testCase.tolerance
+        };
+        checkCompare(resolved.compare, resolved.tolerance, where);
+        return resolved;
+    });
+    return { name: typeof suite.name === 'string' ? suite.name : 'Test suite', limits: suite.limits || {}, cases };
+}
+
+function checkCompare(compare, tolerance, where) {
+    if (!COMPARE_MODES.includes(compare)) {
+        throw new Error(`${where} has an unknown "compare" mode '${compare}' (use ${COMPARE_MODES.join(', ')})`);
+    }
+    if (typeof tolerance !== 'number' || !(tolerance >= 0)) {
+        throw new Error(`${where} has a "tolerance" that is not a number of at least 0`);
+    }
+}
+
+// --- Comparison ---
+function outputMatches(actual, expected, compare, tolerance) {
+    const normalize = (text) => text.replace(/\r\n/g, '\n');
+    if (compare === 'exact') return normalize(actual) === normalize(expected);
+
+    const words = (text) => text.split(/\s+/).filter(word => word !== '');
+    const got = words(actual);
+    const want = words(expected);
+    if (got.length !== want.length) return false;
+    return got.every((word, k) => word === want[k] ||
+        (compare === 'float' && numbersAgree(word, want[k], tolerance)));
+}
+
+function numbersAgree(actual, expected, tolerance) {
+    const number = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$|^[+-]?(inf|nan)$/i;
+    if (!number.test(actual) || !number.test(expected)) return false;
+    const a = Number(actual.replace(/inf/i, 'Infinity'));
+    const b = Number(expected.replace(/inf/i, 'Infinity'));
+    if (Number.isNaN(a) || Number.isNaN(b)) return Number.isNaN(a) && Number.isNaN(b);
+    if (a === b) return true;
+    return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(b));
+}
+
+// The expected and actual output line by line, as [' ', line] for lines
+// both have, ['-', line] for expected lines missing and ['+', line] for
+// lines the program printed instead
+function diffOutput(expected, actual) {
+    const a = expected.replace(/\r\n/g, '\n').split('\n');
+    const b = actual.replace(/\r\n/g, '\n').split('\n');
+    const [onlyA, onlyB] = changedLines(a, b);
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (onlyA.has(i)) diff.push(['-', a[i++]]);
+        else if (onlyB.has(j)) diff.push(['+', b[j++]]);
+        else {
+            diff.push([' ', a[i++]]);
+            j++;
+        }
+    }
+    return diff;
+}
+
+// --- Running ---
+// Runs every case of `suite` (as parseSuite() returns it) in turn and
+// resolves to the report. onCase, if given, sees each case's result as it
+// finishes.
+function runSuite(jsCode, suite, onCase = null) {
+    const results = [];
+    let done = Promise.resolve();
+    for (const testCase of suite.cases) {
+        done = done.then(() => runProgram(jsCode, testCase.stdin, suite.limits)).then(run => {
+            const outputPassed = outputMatches(run.stdout, testCase.expected, testCase.compare, testCase.tolerance);
+            const exitPassed = testCase.exitCode === null || run.exitCode === testCase.exitCode;
+            const result = {
+                name: testCase.name,
+                passed: outputPassed && exitPassed,
+                points: outputPassed && exitPassed ? testCase.points : 0,
+                maxPoints: testCase.points,
+                compare: testCase.compare,
+                stdout: run.stdout,
+                expected: testCase.expected,
+                exitCode: run.exitCode,
+                expectedExitCode: testCase.exitCode,
+                error: run.error,
+                diff: outputPassed ? [] : diffOutput(testCase.expected, run.stdout)
+            };
+            results.push(result);
+            if (onCase) onCase(result);
+        });
+    }
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    return done.then(() => ({
+        suite: suite.name,
+        passed: results.filter(result => result.passed).length,
+        total: results.length,
+        score: sum(results.map(result => result.points)),
+        maxScore: sum(results.map(result => result.maxPoints)),
+        cases: results
+    }));
+}
+
+// --- Report ---
+// A plain-text account of one case: PASS or FAIL and, for a failure, why
+function formatCaseResult(result, code, files) {
+    const points = `${result.points}/${result.maxPoints}`;
+    let text = `${result.passed ? 'PASS' : 'FAIL'}  ${result.name}  (${points})\n`;
+    if (result.passed) return text;
+    if (result.diff.length > 0) {
+        text += `    output differs (${result.compare}); - expected, + actual:\n`;
+        text += result.diff.map(([mark, line]) => `    ${mark} ${line}\n`).join('');
+    }
+    if (result.expectedExitCode !== null && result.exitCode !== result.expectedExitCode) {
+        text += `    exit code ${result.exitCode}, expected ${result.expectedExitCode}\n`;
+    }
+    if (result.error) {
+        const message = formatRuntimeError(result.error, code, files);
+        text += message.split('\n').map(line => `    ${line}\n`).join('');
+    }
+    return text;
+}
+
+function formatScore(report) {
+    return `${report.suite}: ${report.passed}/${report.total} cases passed, score ${report.score}/${report.maxScore}\n`;
+}
+
+// --- Test Runner ---
+let lastReport = null;
+
+function runTests() {
+    const status = document.getElementById("testStatus");
+    const results = document.getElementById("testResults");
+    const download = document.getElementById("downloadReport");
+    results.innerHTML = '';
+    download.hidden = true;
+    lastReport = null;
+
+    let suite;
+    try {
+        suite = parseSuite(document.getElementById("suite").value);
+    } catch (e) {
+        status.textContent = e.message;
+        return;
+    }
+    const compiled = compilePage();
+    if (compiled.errors) {
+        status.textContent = "The program does not compile; see the output below.";
+        document.getElementById("output").textContent = compiled.errors;
+        return;
+    }
+
+    const button = document.getElementById("runTests");
+    button.disabled = true;
+    status.textContent = `Running ${suite.cases.length} cases...`;
+    runSuite(compiled.jsCode, suite, (result) => {
+        const item = document.createElement("details");
+        item.className = result.passed ? "test-pass" : "test-fail";
+        const summary = document.createElement("summary");
+        summary.textContent = `${result.passed ? 'PASS' : 'FAIL'}  ${result.name}  (${result.points}/${result.maxPoints})`;
+        const detail = document.createElement("pre");
+        detail.textContent = result.passed ? result.stdout : formatCaseResult(result, compiled.code, compiled.files);
+        item.append(summary, detail);
+        results.appendChild(item);
+    }).then(report => {
+        lastReport = report;
+        status.textContent = formatScore(report);
+        download.hidden = false;
+        button.disabled = false;
+    });
+}
+
+function downloadReport() {
+    if (!lastReport) return;
+    const blob = new Blob([JSON.stringify(lastReport, null, 2)], { type: 'application/json' });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "report.json";
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// --- minicpp command line ---
+// Compiles a MiniC++ file and runs it with stdin as cin, exiting with the
+// program's exit code the way a compiled C++ program would. Compile errors
+// go to stderr and exit with 1; bad usage exits with 2.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { compile, run, runInteractive, parseSuite, runSuite, formatCaseResult, formatScore, astToJSON, WARNINGS } = require('./minicpp');
+
+const USAGE = `Usage: minicpp [options] <file.cpp>
+
+Compiles <file.cpp> and runs it, reading cin from stdin and writing cout
+to stdout. At a terminal, cin waits for each line as it is typed (end
+the input with Ctrl-D), and the time spent waiting does not count against
+the time limit; piped input is read in one go. Exits with the program's
+exit code, 1 if it does not compile, 134 after a runtime error, 139 after
+a stack overflow and 124 when it exceeds its step or time limit. Errors
+and warnings go to stderr.
+
+With --test, runs the program on every case of a test suite instead (see
+autograder.js for the format), prints PASS or FAIL for each with a diff of
+the output and the score, and exits with 0 only if every case passed.
+
+Options:
+  --test <suite.json> grade the program against a test suite
+  --report <file>     with --test, also write the score report there as JSON
+  --emit <what>       print tokens, ast or js as JSON instead of running
+  --backend <name>    js (default) or wasm
+  -I <dir>            also look for #include "..." headers in <dir>
+  --max-steps <n>     step limit (loop iterations and calls)
+  --max-depth <n>     call depth limit (nested calls)
+  --timeout <ms>      time limit in milliseconds
+  -W<id>, -Wno-<id>   turn the warning <id> on or off; all are on by default
+  -w                  turn every warning off
+  -h, --help          show this help
+
+Warnings:
+${Object.entries(WARNINGS).map(([id, description]) => `  ${id.padEnd(20)}${description}`).join('\n')}`;
+
+const EMITS = ['tokens', 'ast', 'js'];
+const BACKENDS = ['js', 'wasm'];
+
+function usageError(message) {
+    process.stderr.write(`minicpp: ${message}\n${USAGE}\n`);
+    process.exit(2);
+}
+
+function parseArguments(argv) {
+    const options = { file: null, emit: null, test: null, report: null, backend: 'js', includeDirs: [], limits: {}, warnings: {} };
+    for (let k = 0; k < argv.length; k++) {
+        const arg = argv[k];
+        const value = () => {
+            if (k + 1 >= argv.length) usageError(`${arg} needs a value`);
+            return argv[++k];
+        };
+        const count = () => {
+            const text = value();
+            const n = Number(text);
+            if (!Number.isInteger(n) || n < 1) usageError(`${arg} expects a positive whole number, not '${text}'`);
+            return n;
+        };
+        switch (arg) {
+            case '-h':
+            case '--help':
+                process.stdout.write(`${USAGE}\n`);
+                process.exit(0);
+            case '--emit':
+                options.emit = value();
+                if (!EMITS.includes(options.emit)) usageError(`--emit expects one of ${EMITS.join(', ')}`);
+                break;
+            case '--test':
+                options.test = value();
+                break;
+            case '--report':
+                options.report = value();
+                break;
+            case '--backend':
+                options.backend = value();
+                if (!BACKENDS.includes(options.backend)) usageError(`--backend expects one of ${BACKENDS.join(', ')}`);
+                break;
+            case '-I':
+                options.includeDirs.push(value());
+                break;
+            case '--max-steps':
+                options.limits.maxSteps = count();
+                break;
+            case '--max-depth':
+                options.limits.maxDepth = count();
+                break;
+            case '--timeout':
+                options.limits.timeout = count();
+                break;
+            case '-w':
+                for (const id of Object.keys(WARNINGS)) options.warnings[id] = false;
+                break;
+            default:
+                if (arg.startsWith('-I') && arg.length > 2) {
+                    options.includeDirs.push(arg.slice(2));
+                } else if (arg.startsWith('-W')) {
+                    const off = arg.startsWith('-Wno-');
+                    const id = arg.slice(off ? 5 : 2);
+                    if (!WARNINGS.hasOwnProperty(id)) usageError(`unknown warning '${id}'`);
+                    options.warnings[id] = !off;
+                } else if (arg.startsWith('-') && arg !== '-') {
+                    usageError(`unknown option '${arg}'`);
+                } else if (options.file !== null) {
+                    usageError('only one source file can be given');
+                } else {
+                    options.file = arg;
+                }
+        }
+    }
+    if (options.file === null) usageError('no source file given');
+    if (options.report !== null && options.test === null) usageError('--report needs --test');
+    if (options.test !== null && options.emit !== null) usageError('--test and --emit cannot be combined');
+    return options;
+}
+
+// The headers the source includes with #include "name", and those they
+// include, found next to the source or in an -I directory
+function readHeaders(source, dirs) {
+    const files = {};
+    const pending = [source];
+    while (pending.length > 0) {
+        const text = pending.pop();
+        for (const match of text.matchAll(/^\s*#\s*include\s*"([^"]+)"/gm)) {
+            const name = match[1];
+            if (files.hasOwnProperty(name)) continue;
+            const dir = dirs.find(dir => fs.existsSync(path.join(dir, name)));
+            // A missing header is reported by the preprocessor
+            if (dir === undefined) continue;
+            files[name] = fs.readFileSync(path.join(dir, name), 'utf8');
+            pending.push(files[name]);
+        }
+    }
+    return files;
+}
+
+function writeReport(options, report) {
+    if (options.report !== null) fs.writeFileSync(options.report, `${JSON.stringify(report, null, 2)}\n`);
+}
+
+// All of stdin, read as a stream since it may be a non-blocking pipe
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => chunks.push(chunk));
+        process.stdin.on('end', () => resolve(chunks.join('')));
+        process.stdin.on('error', reject);
+    });
+}
+
+// The lines typed at the terminal: readLine() for runInteractive(), a
+// promise of the next line or of null once the user ends the input with
+// Ctrl-D, and close() to stop listening
+function openTerminal() {
+    const lines = [];
+    const waiting = [];
+    let ended = false;
+    const terminal = readline.createInterface({ input: process.stdin, terminal: false });
+    terminal.on('line', line => waiting.length > 0 ? waiting.shift()(line) : lines.push(line));
+    terminal.on('close', () => {
+        ended = true;
+        waiting.splice(0).forEach(resolve => resolve(null));
+    });
+    const readLine = () => {
+        if (lines.length > 0) return Promise.resolve(lines.shift());
+        if (ended) return Promise.resolve(null);
+        return new Promise(resolve => waiting.push(resolve));
+    };
+    return { readLine, close: () => terminal.close() };
+}
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        process.stderr.write(`minicpp: cannot read '${file}': ${e.message}\n`);
+        process.exit(2);
+    }
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    let suite = null;
+    if (options.test !== null) {
+        try {
+            suite = parseSuite(readFile(options.test));
+        } catch (e) {
+            process.stderr.write(`minicpp: ${options.test}: ${e.message}\n`);
+            process.exit(2);
+        }
+    }
+    const source = options.file === '-' ? await readStdin() : readFile(options.file);
+    const dirs = [options.file === '-' ? '.' : path.dirname(options.file), ...options.includeDirs];
+    const compiled = compile(source, { files: readHeaders(source, dirs), backend: options.backend, warnings: options.warnings });
+
+    // Tokens and the tree, partial after a syntax error, are written even
+    // when the program does not compile
+    const emitted = { tokens: compiled.tokens, ast: compiled.ast, js: compiled.jsCode }[options.emit];
+    if (emitted !== undefined && emitted !== null) {
+        const json = options.emit === 'ast' ? astToJSON(emitted, 2) : JSON.stringify(emitted, null, 2);
+        process.stdout.write(`${json}\n`);
+    }
+    const diagnostic = (error) => error.severity === 'warning'
+        ? `${options.file}: warning [${error.code}]: ${error.text}\n`
+        : `${options.file}: ${error.text}\n`;
+    process.stderr.write(compiled.diagnostics.map(diagnostic).join('\n'));
+    if (compiled.errors.length > 0) {
+        // A program that does not compile scores nothing
+        if (suite !== null) {
+            const maxScore = suite.cases.reduce((total, testCase) => total + testCase.points, 0);
+            const errors = compiled.errors.map(error => error.text);
+            writeReport(options, { suite: suite.name, passed: 0, total: suite.cases.length, score: 0, maxScore, compileErrors: errors, cases: [] });
+        }
+        process.exit(1);
+    }
+    if (options.emit !== null) return;
+
+    if (suite !== null) {
+        const report = await runSuite(compiled, suite, result => process.stdout.write(formatCaseResult(result, compiled)));
+        process.stdout.write(formatScore(report));
+        writeReport(options, report);
+        process.exitCode = report.passed === report.total ? 0 : 1;
+        return;
+    }
+
+    // Piped stdin is read to its end first, so only when the program reads
+    // it; with the source on stdin, cin reads nothing. At a terminal the
+    // program reads lines as they are typed.
+    const readsInput = compiled.tokens.some(token => token.value === 'cin');
+    const write = (text) => process.stdout.write(text);
+    let result;
+    if (options.file !== '-' && readsInput && process.stdin.isTTY) {
+        const terminal = openTerminal();
+        result = await runInteractive(compiled, options.limits, write, terminal.readLine);
+        terminal.close();
+    } else {
+        const stdin = options.file !== '-' && readsInput ? await readStdin() : '';
+        result = await run(compiled, stdin, options.limits, write);
+    }
+    if (result.error) {
+        const separator = result.stdout !== '' && !result.stdout.endsWith('\n') ? '\n' : '';
+        process.stderr.write(`${separator}${options.file}: ${result.error.text}\n`);
+    }
+    process.exitCode = result.exitCode;
+}
+
+main();
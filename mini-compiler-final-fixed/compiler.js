@@ -1,18 +1,135 @@
+// --- Diagnostics ---
+// Source locations are { start, end } pairs of { line, column, offset },
+// with 1-based lines and columns and 0-based character offsets.
+// A CompileError is one diagnostic. options.code says which phase found it
+// ('preprocessor', 'syntax', 'semantic' or 'codegen'), or for a warning
+// which check raised it (see WARNINGS), and options.severity is 'error' or
+// 'warning'.
+class CompileError extends Error {
+    constructor(message, loc = null, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = 'CompileError';
+        this.loc = loc;
+        this.code = options.code || null;
+        this.severity = options.severity || 'error';
+    }
+}
+
+// "Error: " or "Warning [id]: " and the error as formatError() puts it
+function formatDiagnostic(error, source, files = {}) {
+    const label = error.severity === 'warning' ? `Warning [${error.code}]` : 'Error';
+    return `${label}: ${formatError(error, source, files)}`;
+}
+
+// Diagnostics in the order of their source lines, those in headers first
+function sortDiagnostics(diagnostics) {
+    const key = (error) => {
+        const loc = error.loc;
+        if (!loc) return [0, 0, 0];
+        return [loc.file ? 1 : 2, loc.start.line, loc.start.column];
+    };
+    return [...diagnostics].sort((a, b) => {
+        const [x, y] = [key(a), key(b)];
+        return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+    });
+}
+
+function spanLocations(startLoc, endLoc) {
+    if (!startLoc || !endLoc) return startLoc || endLoc || null;
+    const loc = { start: startLoc.start, end: endLoc.end };
+    // Locations inside an #included file name it; see preprocess()
+    if (startLoc.file) loc.file = startLoc.file;
+    return loc;
+}
+
+// Render "Line L, column C: message" followed by the offending source line
+// with the reported range underlined by carets. Errors in included files
+// are shown from `files`, the map of file names to text.
+function formatError(error, source, files = {}) {
+    const loc = error && error.loc;
+    if (!loc) return error.message;
+
+    const { line, column } = loc.start;
+    let text = `Line ${line}, column ${column}: ${error.message}`;
+    if (loc.file) {
+        text = `${loc.file}: ${text}`;
+        source = files[loc.file];
+    }
+    if (source === undefined || source === null) return text;
+
+    const lines = source.replace(/\r\n/g, '\n').split('\n');
+    const sourceLine = lines[line - 1];
+    if (sourceLine === undefined) return text;
+
+    const endColumn = loc.end.line === line ? loc.end.column : sourceLine.length + 1;
+    const width = Math.max(1, endColumn - column);
+    const gutter = String(line);
+    text += `\n ${gutter} | ${sourceLine}`;
+    text += `\n ${' '.repeat(gutter.length)} | ${' '.repeat(column - 1)}${'^'.repeat(width)}`;
+    return text;
+}
+
+// --- Types ---
+// Declared C++ types are plain objects so later passes can reason about them:
+// { name, isConst, isStatic, pointer, reference, dims, args }, where pointer
+// counts the levels of indirection, dims holds one size expression per array
+// dimension (null for an unsized `[]`) and args holds the template arguments
+// of a library container, as in vector<int>.
+function makeType(name, options = {}) {
+    return {
+        name,
+        isConst: options.isConst || false,
+        isStatic: options.isStatic || false,
+        pointer: options.pointer || 0,
+        reference: options.reference || false,
+        dims: options.dims || [],
+        args: options.args || []
+    };
+}
+
+// Library class templates, with the number of type arguments each takes
+const TEMPLATE_TYPES = { vector: 1, map: 2, set: 1, pair: 2, stack: 1, queue: 1 };
+
+function typeToString(type) {
+    const dims = type.dims
+        .map(d => `[${d && d.type === 'literal' ? d.value : ''}]`)
+        .join('');
+    const args = type.args.length > 0 ? `<${type.args.map(typeToString).join(', ')}>` : '';
+    return `${type.isConst ? 'const ' : ''}${type.name}${args}${'*'.repeat(type.pointer)}${type.reference ? '&' : ''}${dims}`;
+}
+
 // --- Tokenizer ---
-function tokenize(input) {
+const KEYWORDS = [
+    'int', 'float', 'double', 'char', 'string', 'void', 'bool', 'if', 'else', 'while', 'for', 'do',
+    'return', 'break', 'continue', 'cout', 'cin', 'endl', 'class', 'struct', 'public', 'private',
+    'protected', 'new', 'delete', 'this', 'nullptr', 'true', 'false', 'auto', 'const', 'static',
+    'namespace', 'using', 'switch', 'case', 'default', 'sizeof', 'static_cast', 'template', 'typename'
+];
+
+// `lineMap` comes from preprocess() and maps token locations in the
+// preprocessed code back to the original source. Given a `diagnostics`
+// array, a character that starts no token is reported there and skipped;
+// otherwise it is thrown. A string or character literal missing its
+// closing quote is skipped to the end of its line, and a comment that is
+// never closed to the end of the input. The token before anything skipped
+// is marked `beforeError`, as what the parser finds wrong just after it
+// only repeats the error.
+function tokenize(input, lineMap = null, diagnostics = null) {
     const tokenSpecs = [
         [/^\/\/.*/, null],                     // Single-line comments
         [/^\/\*[\s\S]*?\*\//, null],          // Multi-line comments
         [/^#include\s*<[^>]+>/, 'INCLUDE'],   // Include directives
-        [/^\b(int|float|double|char|string|void|bool|if|else|while|for|do|return|break|continue|cout|cin|endl|class|struct|public|private|protected|new|delete|true|false|auto|const|static|namespace|using)\b/, 'KEYWORD'],
+        [new RegExp(`^\\b(${KEYWORDS.join('|')})\\b`), 'KEYWORD'],
         [/^[a-zA-Z_]\w*/, 'IDENTIFIER'],
         [/^\d+\.?\d*([eE][+-]?\d+)?/, 'NUMBER'],
-        [/^'([^'\\]|\\.)'/, 'CHAR'],
-        [/^"([^"\\]|\\.)*"/, 'STRING'],
+        [/^'([^'\\\n]|\\.)'/, 'CHAR'],
+        [/^"([^"\\\n]|\\.)*"/, 'STRING'],
+        [/^<<=|^>>=/, 'OPERATOR'],
         [/^<<|^>>/, 'STREAM'],
         [/^\+\+|^--/, 'OPERATOR'],
         [/^==|^!=|^<=|^>=|^&&|^\|\||^->|^\./, 'OPERATOR'],
-        [/^[+\-*/=<>!%&|~^]/, 'OPERATOR'],
+        [/^[+\-*/%&|^]=/, 'OPERATOR'],
+        [/^[+\-*/=<>!%&|~^?]/, 'OPERATOR'],
         [/^::/, 'SCOPE'],
         [/^[\[\](){};,:]/, 'DELIMITER'],
         [/^\s+/, null]
@@ -20,26 +137,73 @@ function tokenize(input) {
 
     let tokens = [];
     let position = 0;
-    input = input.replace(/\r\n/g, '\n').replace(/[\u200B-\u200D\uFEFF]/g, '');
+    let line = 1;
+    let column = 1;
+    // Zero-width characters are replaced rather than removed so offsets
+    // still line up with the text shown in the editor.
+    input = input.replace(/\r\n/g, '\n').replace(/[\u200B-\u200D\uFEFF]/g, ' ');
+
+    function advance(text) {
+        for (const ch of text) {
+            if (ch === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+        }
+        position += text.length;
+    }
+
+    // Reports what starts at `position` and skips `text`
+    function skip(message, opening, text) {
+        const start = { line, column, offset: position };
+        const end = { line, column: column + opening.length, offset: position + opening.length };
+        const loc = lineMap ? mapLocation({ start, end }, lineMap) : { start, end };
+        const error = new CompileError(message, loc, { code: 'syntax' });
+        if (diagnostics === null) throw error;
+        diagnostics.push(error);
+        advance(text);
+        if (tokens.length > 0) tokens[tokens.length - 1].beforeError = true;
+    }
 
     while (position < input.length) {
         let matched = false;
         const substring = input.slice(position);
+        const start = { line, column, offset: position };
+
+        if (substring.startsWith('/*') && !substring.includes('*/')) {
+            skip('Unterminated comment', '/*', substring);
+            continue;
+        }
 
         for (const [regex, type] of tokenSpecs) {
             const match = regex.exec(substring);
             if (match) {
+                advance(match[0]);
                 if (type !== null) {
-                    tokens.push({ type, value: match[0] });
+                    const end = { line, column, offset: position };
+                    const loc = lineMap ? mapLocation({ start, end }, lineMap) : { start, end };
+                    tokens.push({ type, value: match[0], loc });
                 }
-                position += match[0].length;
                 matched = true;
                 break;
             }
         }
 
         if (!matched) {
-            throw new Error(`Syntax error at position ${position}: '${input[position]}'`);
+            const ch = input[position];
+            // A quote that starts no literal has no closing quote on its
+            // line, unless it encloses other than one character: 'ab'
+            const quoted = /^'([^'\\\n]|\\.)*'/.exec(substring);
+            if (quoted) {
+                const text = quoted[0];
+                skip(text === "''" ? 'Empty character constant' : `Character constant ${text} holds more than one character`, ch, text);
+            } else if (ch === '"' || ch === "'") {
+                skip(`Missing terminating ${ch} character`, ch, substring.match(/^[^\n]*/)[0]);
+            } else {
+                skip(`Unexpected character '${ch}'`, ch, ch);
+            }
         }
     }
 
@@ -47,9 +211,17 @@ function tokenize(input) {
 }
 
 // --- Parser ---
-function parseTokens(tokens) {
+// Returns the program's statements. Given a `diagnostics` array, syntax
+// errors are reported there and the parser recovers from each, leaving the
+// statement it was in out of the tree; otherwise the first one is thrown.
+function parseTokens(tokens, diagnostics = null) {
     let i = 0;
-    const symbolTable = {};
+    // Names declared with class/struct so far. A statement that starts with
+    // one of them is a declaration rather than an expression.
+    const typeNames = new Set();
+    // Names of function templates, which may be followed by explicit
+    // template arguments: max<double>(a, b)
+    const templateNames = new Set();
 
     function current() {
         return tokens[i];
@@ -63,187 +235,598 @@ function parseTokens(tokens) {
         return tokens[i + 1];
     }
 
+    function previous() {
+        return tokens[i - 1];
+    }
+
+    function check(value) {
+        return current() !== undefined && current().value === value;
+    }
+
+    // Location of the current token, or an empty span just past the last
+    // token when the input has run out.
+    function here() {
+        const t = current();
+        if (t) return t.loc;
+        const last = tokens[tokens.length - 1];
+        return last ? { start: last.loc.end, end: last.loc.end } : null;
+    }
+
+    function describe(t) {
+        return t ? `'${t.value}'` : 'end of input';
+    }
+
+    // Attach the span from startToken up to the last consumed token.
+    function finish(node, startToken) {
+        node.loc = spanLocations(startToken.loc, previous().loc);
+        return node;
+    }
+
     function expect(type, value = null) {
         const t = current();
         if (!t || t.type !== type || (value !== null && t.value !== value)) {
-            throw new Error(`Expected ${type} '${value}', got '${t ? t.value : 'EOF'}'`);
+            const wanted = value !== null ? `'${value}'` : type.toLowerCase();
+            // A missing ';' belongs to the end of the previous statement,
+            // which is often on an earlier line than the next token.
+            const prev = previous();
+            const loc = value === ';' && prev
+                ? { start: prev.loc.end, end: prev.loc.end }
+                : here();
+            const error = new CompileError(`Expected ${wanted}, got ${describe(t)}`, loc);
+            // A ';' missing at the end of a line or before a '}' is reported
+            // but taken as read, so the statement stays in the tree
+            if (value === ';' && prev && (!t || t.value === '}' || t.loc.start.line > prev.loc.end.line)) {
+                report(error);
+                return null;
+            }
+            throw error;
         }
         next();
         return t;
     }
 
+    // --- Error recovery ---
+    const errors = [];
+
+    function report(error) {
+        if (!(error instanceof CompileError)) throw error;
+        if (!error.code) error.code = 'syntax';
+        // Just after something the tokenizer skipped, the error only
+        // repeats the one it reported
+        if (i > 0 && previous().beforeError) return;
+        // Recovering can run into the same mistake again
+        const last = errors[errors.length - 1];
+        const sameStart = last && last.loc && error.loc && last.loc.file === error.loc.file &&
+            last.loc.start.line === error.loc.start.line && last.loc.start.column === error.loc.start.column;
+        if (!sameStart) errors.push(error);
+    }
+
+    // Keywords that start a statement. After an error one of these at the
+    // start of a line is taken to begin the next statement, as when the ';'
+    // before it is missing.
+    const STATEMENT_KEYWORDS = [
+        'int', 'float', 'double', 'char', 'string', 'void', 'bool', 'auto', 'const', 'static',
+        'if', 'while', 'for', 'do', 'switch', 'return', 'break', 'continue', 'cout', 'cin',
+        'class', 'struct', 'using', 'delete', 'template'
+    ];
+
+    // Skips the rest of the statement that started at token `start`: up to
+    // and including its ';', or the '}' closing a block it opened. It stops
+    // before a '}' closing an enclosing block.
+    function synchronize(start) {
+        inStream = false;
+        // Braces the statement opened before the error, as in int a[] = {1 2};
+        let depth = 0;
+        for (let k = start; k < i; k++) {
+            if (tokens[k].value === '{') depth++;
+            else if (tokens[k].value === '}' && depth > 0) depth--;
+        }
+        while (current()) {
+            const t = current();
+            if (t.value === '}') {
+                if (depth === 0) break;
+                next();
+                if (--depth === 0) {
+                    // The ';' after a class definition
+                    if (check(';')) next();
+                    break;
+                }
+                continue;
+            }
+            if (t.value === ';' && depth === 0) {
+                next();
+                break;
+            }
+            if (depth === 0 && i > start && t.type === 'KEYWORD' && STATEMENT_KEYWORDS.includes(t.value) &&
+                t.loc.start.line > previous().loc.end.line) {
+                break;
+            }
+            if (t.value === '{') depth++;
+            next();
+        }
+        // Skip at least one token so that parsing moves on
+        if (i === start) next();
+    }
+
+    // What parse() returns, or null after reporting its syntax error and
+    // skipping the rest of the statement
+    function recovering(parse) {
+        const start = i;
+        try {
+            return parse();
+        } catch (e) {
+            report(e);
+            synchronize(start);
+            return null;
+        }
+    }
+
+    // Binary operator precedence, lowest to highest. The comma, assignment,
+    // conditional, unary and postfix forms are handled by their own parse
+    // functions below.
     const PRECEDENCE = {
-    '=': 0,
-    '||': 1,
-    '&&': 2,
-    '|': 3,
-    '^': 4,
-    '&': 5,
-    '==': 6, '!=': 6,
-    '<': 7, '<=': 7, '>': 7, '>=': 7,
-    '<<': 8, '>>': 8,
-    '+': 9, '-': 9,
-    '*': 10, '/': 10, '%': 10,
-    '.': 11, '->': 11, '::': 11
-};
+        '||': 1,
+        '&&': 2,
+        '|': 3,
+        '^': 4,
+        '&': 5,
+        '==': 6, '!=': 6,
+        '<': 7, '<=': 7, '>': 7, '>=': 7,
+        '<<': 8, '>>': 8,
+        '+': 9, '-': 9,
+        '*': 10, '/': 10, '%': 10
+    };
 
+    const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '<<=', '>>=', '&=', '|=', '^='];
+    const PREFIX_OPERATORS = ['++', '--', '+', '-', '!', '~', '*', '&'];
 
-    function parseExpression(minPrecedence = 1) {
-    let left = parsePrimary();
+    // In a cin or cout chain '<<' and '>>' separate the operands, so they
+    // are only shifts inside parentheses or brackets there.
+    let inStream = false;
 
-    while (
-        current() &&
-        (current().type === 'OPERATOR' || current().type === 'SCOPE') &&
-        PRECEDENCE.hasOwnProperty(current().value) &&
-        PRECEDENCE[current().value] >= minPrecedence
-    ) {
-        const op = current().value;
-        const precedence = PRECEDENCE[op];
-        next();
-        let right = parseExpression(op === '=' ? precedence : precedence + 1);  // right-associative for '='
-        left = `(${left} ${op} ${right})`;
+    function parseStreamOperand() {
+        const saved = inStream;
+        inStream = true;
+        const expr = parseAssignment();
+        inStream = saved;
+        return expr;
     }
 
-    return left;
-}
+    function parseNested(parse) {
+        const saved = inStream;
+        inStream = false;
+        const expr = parse();
+        inStream = saved;
+        return expr;
+    }
 
+    // Expressions are trees of nodes:
+    //   literal     { valueType, value, raw }
+    //   identifier  { name, qualifier }
+    //   binary      { operator, left, right }
+    //   unary       { operator, operand, prefix }
+    //   assignment  { operator, target, value }  operator is '=' or compound
+    //   conditional { condition, consequent, alternate }
+    //   comma       { left, right }
+    //   cast        { varType, operand, style }  style is 'c', 'functional'
+    //                                            or 'static_cast'
+    //   sizeof      { varType, operand }         one of them is null
+    //   call        { callee, args }
+    //   member      { object, property, arrow }
+    //   index       { object, index }
+    //   new         { className, size, args }
+    //   this        {}
+    //   construct   { varType, args, list } vector<int>(3, 0), pair<int, int>{1, 2},
+    //                                       string("ab")
+    //   initList    { elements }            only where a braced value may appear
+    //   read        { inputs }              cin >> a >> b used as a condition
+    // The comma operator binds loosest of all. Where commas separate
+    // arguments or initializers, parseAssignment() is used instead.
+    function parseExpression() {
+        let expr = parseAssignment();
+        while (check(',')) {
+            next();
+            const right = parseAssignment();
+            expr = { type: 'comma', left: expr, right, loc: spanLocations(expr.loc, right.loc) };
+        }
+        return expr;
+    }
 
-    function parsePrimary() {
-    const token = current();
-    if (!token) throw new Error("Unexpected end of input in expression");
-
-    // Handle prefix operators
-    if (token.type === "OPERATOR" && (token.value === "++" || token.value === "--" || 
-                                     token.value === "+" || token.value === "-" || 
-                                     token.value === "!" || token.value === "~")) {
-        const op = token.value;
-        next();
-        const operand = parsePrimary();
-        return `(${op}${operand})`;
-    }
-
-     // Accept numbers, strings, chars, true/false, and endl
- if (
-     token.type === 'NUMBER' ||
-     token.type === 'STRING' ||
-     token.type === 'CHAR'    ||
-     (token.type === 'KEYWORD' && ['true','false','endl'].includes(token.value))
- ) {
-     const value = token.value;
-     next();
-     // turn endl into a newline literal
-     if (value === 'endl') return '"\\n"';
-     return value;
- }
-
-
-    if (token.type === 'IDENTIFIER') {
-        const value = token.value;
-        next();
+    // Assignment and the conditional operator are right-associative:
+    // a = b += c parses as a = (b += c) and a ? b : c ? d : e as
+    // a ? b : (c ? d : e). As in C++, the middle of a conditional may be any
+    // expression and its last operand an assignment.
+    function parseAssignment() {
+        const target = parseBinary(1);
+        const t = current();
+        if (t && t.type === 'OPERATOR' && t.value === '?') {
+            next();
+            const consequent = parseNested(parseExpression);
+            expect("DELIMITER", ":");
+            const alternate = parseAssignment();
+            return {
+                type: 'conditional',
+                condition: target,
+                consequent,
+                alternate,
+                loc: spanLocations(target.loc, alternate.loc)
+            };
+        }
+        if (t && t.type === 'OPERATOR' && ASSIGNMENT_OPERATORS.includes(t.value)) {
+            next();
+            // v = {1, 2, 3} assigns a braced list
+            const value = t.value === '=' && check('{') ? parseInitializerList() : parseAssignment();
+            return {
+                type: 'assignment',
+                operator: t.value,
+                target,
+                value,
+                loc: spanLocations(target.loc, value.loc)
+            };
+        }
+        return target;
+    }
 
-        // Handle assignment: x = expr
-        if (current() && current().type === 'OPERATOR' && current().value === '=') {
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+
+        while (
+            current() &&
+            (current().type === 'OPERATOR' || (current().type === 'STREAM' && !inStream)) &&
+            PRECEDENCE.hasOwnProperty(current().value) &&
+            PRECEDENCE[current().value] >= minPrecedence
+        ) {
             const op = current().value;
             next();
-            const right = parseExpression(PRECEDENCE[op]);
-            return `(${value} ${op} ${right})`;
+            const right = parseBinary(PRECEDENCE[op] + 1);
+            left = {
+                type: 'binary',
+                operator: op,
+                left,
+                right,
+                loc: spanLocations(left.loc, right.loc)
+            };
         }
 
-        // Handle postfix ++ / --
-        if (current() && current().type === "OPERATOR" && (current().value === "++" || current().value === "--")) {
-            const op = current().value;
+        return left;
+    }
+
+    function parseUnary() {
+        const token = current();
+        // C-style casts: (double)sum / n
+        if (token && token.value === '(' && startsType(i + 1)) {
+            const varType = parseParenthesizedType();
+            if (varType !== null) {
+                const operand = parseUnary();
+                return { type: 'cast', varType, operand, style: 'c', loc: spanLocations(token.loc, operand.loc) };
+            }
+        }
+        // sizeof(type), or sizeof applied to an expression
+        if (token && token.type === 'KEYWORD' && token.value === 'sizeof') {
+            next();
+            const varType = check('(') && startsType(i + 1) ? parseParenthesizedType() : null;
+            if (varType !== null) return finish({ type: 'sizeof', varType, operand: null }, token);
+            const operand = parseUnary();
+            return { type: 'sizeof', varType: null, operand, loc: spanLocations(token.loc, operand.loc) };
+        }
+        if (token && token.type === 'OPERATOR' && PREFIX_OPERATORS.includes(token.value)) {
+            next();
+            const operand = parseUnary();
+            return {
+                type: 'unary',
+                operator: token.value,
+                operand,
+                prefix: true,
+                loc: spanLocations(token.loc, operand.loc)
+            };
+        }
+        return parsePostfix(parsePrimary());
+    }
+
+    // Calls, member access, indexing and postfix ++/-- bind tightest and
+    // chain left to right: a.b(c)[d]++
+    function parsePostfix(expr) {
+        while (current()) {
+            const t = current();
+
+            if (t.value === '(') {
+                const args = parseArguments();
+                expr = { type: 'call', callee: expr, args, loc: spanLocations(expr.loc, previous().loc) };
+            } else if (t.value === '[') {
+                next();
+                const index = parseNested(parseExpression);
+                expect("DELIMITER", "]");
+                expr = { type: 'index', object: expr, index, loc: spanLocations(expr.loc, previous().loc) };
+            } else if (t.type === 'OPERATOR' && (t.value === '.' || t.value === '->')) {
+                next();
+                const property = expect("IDENTIFIER").value;
+                expr = {
+                    type: 'member',
+                    object: expr,
+                    property,
+                    arrow: t.value === '->',
+                    loc: spanLocations(expr.loc, previous().loc)
+                };
+            } else if (t.type === 'OPERATOR' && (t.value === '++' || t.value === '--')) {
+                next();
+                expr = { type: 'unary', operator: t.value, operand: expr, prefix: false, loc: spanLocations(expr.loc, t.loc) };
+            } else {
+                break;
+            }
+        }
+        return expr;
+    }
+
+    function parsePrimary() {
+        const token = current();
+        if (!token) throw new CompileError("Unexpected end of input in expression", here());
+
+        if (token.type === 'NUMBER') {
+            next();
+            const isDouble = /[.eE]/.test(token.value);
+            return finish({
+                type: 'literal',
+                valueType: isDouble ? 'double' : 'int',
+                value: Number(token.value),
+                raw: token.value
+            }, token);
+        }
+
+        if (token.type === 'STRING' || token.type === 'CHAR') {
+            next();
+            return finish({
+                type: 'literal',
+                valueType: token.type === 'STRING' ? 'string' : 'char',
+                value: decodeEscapes(token.value.slice(1, -1), token),
+                raw: token.value
+            }, token);
+        }
+
+        if (token.type === 'KEYWORD' && (token.value === 'true' || token.value === 'false')) {
+            next();
+            return finish({ type: 'literal', valueType: 'bool', value: token.value === 'true', raw: token.value }, token);
+        }
+
+        // endl is a newline as far as expressions are concerned
+        if (token.type === 'KEYWORD' && token.value === 'endl') {
             next();
-            return `(${value}${op})`;
+            return finish({ type: 'literal', valueType: 'string', value: '\n', raw: token.value }, token);
         }
 
-        // Function call
-        if (current() && current().value === '(') {
+        // Temporaries of library types: vector<int>(n, 0), pair<int, int>{1, 2}
+        if (startsTemplateType()) {
+            const varType = parseType();
+            if (check('{')) {
+                return finish({ type: 'construct', varType, args: null, list: parseInitializerList() }, token);
+            }
+            return finish({ type: 'construct', varType, args: parseArguments(), list: null }, token);
+        }
+
+        // A string built from a value in functional notation: string("ab")
+        if (token.type === 'KEYWORD' && token.value === 'string' && peek() && peek().value === '(') {
+            next();
+            const varType = finish(makeType('string'), token);
+            return finish({ type: 'construct', varType, args: parseArguments(), list: null }, token);
+        }
+
+        const isStringScope = token.type === 'KEYWORD' && token.value === 'string' &&
+            peek() !== undefined && peek().type === 'SCOPE';
+        if (token.type === 'IDENTIFIER' || isStringScope) {
+            next();
+            // Qualified names such as std::max or string::npos keep their
+            // qualifier aside; std:: in front of a keyword is simply dropped.
+            if (current() && current().type === 'SCOPE') {
+                next();
+                if (token.value === 'std' && current() && current().type === 'KEYWORD') {
+                    const expr = parsePrimary();
+                    expr.loc = spanLocations(token.loc, expr.loc);
+                    return expr;
+                }
+                const name = expect("IDENTIFIER").value;
+                return finish({ type: 'identifier', name, qualifier: token.value }, token);
+            }
+            if (templateNames.has(token.value) && check('<')) {
+                const templateArgs = parseTemplateArguments();
+                return finish({ type: 'identifier', name: token.value, qualifier: null, templateArgs }, token);
+            }
+            return finish({ type: 'identifier', name: token.value, qualifier: null }, token);
+        }
+
+        // cin >> a >> b can be a value too, whether the reads succeeded, as
+        // in while (cin >> n). The operands bind like those of a shift.
+        if (token.type === 'KEYWORD' && token.value === 'cin' && peek() && peek().value === '>>') {
             next();
-            const args = [];
-            while (current() && current().value !== ')') {
-                args.push(parseExpression());
-                if (current().value === ',') next();
+            const inputs = [];
+            while (check('>>')) {
+                next();
+                inputs.push(parseBinary(PRECEDENCE['>>'] + 1));
             }
+            return finish({ type: 'read', inputs }, token);
+        }
+
+        // The standard streams can appear as arguments, as in getline(cin, s)
+        if (token.type === 'KEYWORD' && (token.value === 'cin' || token.value === 'cout')) {
+            next();
+            return finish({ type: 'identifier', name: token.value, qualifier: null }, token);
+        }
+
+        if (token.value === '(') {
+            next();
+            const expr = parseNested(parseExpression);
             expect("DELIMITER", ")");
-            return `${value}(${args.join(', ')})`;
+            return expr;
         }
 
-        // Member access
-        if (current() && (current().value === '.' || current().value === '->')) {
-            const op = current().value;
+        // static_cast<int>(x)
+        if (token.type === 'KEYWORD' && token.value === 'static_cast') {
             next();
-            const member = expect("IDENTIFIER").value;
-            return `(${value}${op}${member})`;
+            expect("OPERATOR", "<");
+            const varType = parseType();
+            expectClosingAngle();
+            expect("DELIMITER", "(");
+            const operand = parseNested(parseExpression);
+            expect("DELIMITER", ")");
+            return finish({ type: 'cast', varType, operand, style: 'static_cast' }, token);
         }
 
-        return value;
-    }
+        // Functional casts of arithmetic types: double(total)
+        if (token.type === 'KEYWORD' && FUNCTIONAL_CASTS.includes(token.value) && peek() && peek().value === '(') {
+            next();
+            const varType = finish(makeType(token.value), token);
+            const args = parseArguments();
+            if (args.length !== 1) {
+                throw new CompileError(`Expected one value to convert to '${token.value}', got ${args.length}`, spanLocations(token.loc, previous().loc));
+            }
+            return finish({ type: 'cast', varType, operand: args[0], style: 'functional' }, token);
+        }
 
-    if (token.value === '(') {
-        next();
-        const expr = parseExpression();
-        expect("DELIMITER", ")");
-        return `(${expr})`;
-    }
+        if (token.type === 'KEYWORD' && token.value === 'new') {
+            next();
+            const className = current() && current().type === 'KEYWORD'
+                ? expect("KEYWORD").value
+                : expect("IDENTIFIER").value;
+            let size = null;
+            let args = null;
+            if (check('[')) {
+                next();
+                size = parseExpression();
+                expect("DELIMITER", "]");
+            } else if (check('(')) {
+                args = parseArguments();
+            }
+            return finish({ type: 'new', className, size, args }, token);
+        }
 
-    if (token.value === '[') {
-        next();
-        const expr = parseExpression();
-        expect("DELIMITER", "]");
-        return `[${expr}]`;
+        if (token.type === 'KEYWORD' && token.value === 'this') {
+            next();
+            return finish({ type: 'this' }, token);
+        }
+
+        if (token.type === 'KEYWORD' && token.value === 'nullptr') {
+            next();
+            return finish({ type: 'literal', valueType: 'nullptr_t', value: null, raw: 'nullptr' }, token);
+        }
+
+        throw new CompileError(`Unexpected token in expression: ${describe(token)}`, token.loc);
     }
 
-    if (token.type === 'KEYWORD' && token.value === 'new') {
+    const FUNCTIONAL_CASTS = ['int', 'float', 'double', 'char', 'bool'];
+
+    // The type in parentheses that starts a cast or sizeof, or null, having
+    // consumed nothing, when the parentheses hold an expression after all,
+    // as in (Point(1, 2)).x
+    function parseParenthesizedType() {
+        const saved = i;
         next();
-        const type = expect("IDENTIFIER").value;
-        if (current().value === '[') {
-            next();
-            const size = parseExpression();
-            expect("DELIMITER", "]");
-            return `new ${type}[${size}]`;
-        } else {
-            return `new ${type}()`;
+        const varType = parseType();
+        if (!check(')')) {
+            i = saved;
+            return null;
         }
+        next();
+        return varType;
     }
 
-    throw new Error(`Unexpected token in expression: ${token.value}`);
-}
+    const ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', '\\': '\\', "'": "'", '"': '"', a: '\x07', b: '\b', f: '\f', v: '\v', '?': '?' };
+
+    function decodeEscapes(text, token) {
+        return text.replace(/\\(.)/g, (match, ch) => {
+            if (!ESCAPES.hasOwnProperty(ch)) {
+                throw new CompileError(`Unknown escape sequence '\\${ch}'`, token.loc);
+            }
+            return ESCAPES[ch];
+        });
+    }
 
 
     function parseType() {
-        let type = '';
+        const start = current();
+        const type = makeType('');
         // Handle const, static modifiers
-        while (current().type === 'KEYWORD' && (current().value === 'const' || current().value === 'static')) {
-            type += current().value + ' ';
+        while (current() && current().type === 'KEYWORD' && (current().value === 'const' || current().value === 'static')) {
+            if (current().value === 'const') type.isConst = true;
+            else type.isStatic = true;
             next();
         }
-        
+
+        // std::string is the same type as string
+        if (check('std') && peek() && peek().type === 'SCOPE') {
+            next();
+            next();
+        }
+
         // Base type
-        if (current().type === 'KEYWORD') {
-            type += expect("KEYWORD").value;
+        if (current() && current().type === 'KEYWORD') {
+            type.name = expect("KEYWORD").value;
         } else {
-            type += expect("IDENTIFIER").value;
+            type.name = expect("IDENTIFIER").value;
         }
-        
+        if (TEMPLATE_TYPES.hasOwnProperty(type.name) && check('<')) {
+            type.args = parseTemplateArguments();
+        }
+
         // Pointer/reference
-        while (current().value === '*' || current().value === '&') {
-            type += current().value;
+        while (check('*') || check('&')) {
+            if (current().value === '*') type.pointer++;
+            else type.reference = true;
             next();
         }
-        
-        return type;
+
+        return finish(type, start);
+    }
+
+    // vector<pair<int, int>>: the type arguments between angle brackets
+    function parseTemplateArguments() {
+        expect("OPERATOR", "<");
+        const args = [parseType()];
+        while (check(',')) {
+            next();
+            args.push(parseType());
+        }
+        expectClosingAngle();
+        return args;
+    }
+
+    // The '>>' closing two argument lists at once is split in two
+    function expectClosingAngle() {
+        const t = current();
+        if (t && t.type === 'STREAM' && t.value === '>>') {
+            const middle = { line: t.loc.start.line, column: t.loc.start.column + 1, offset: t.loc.start.offset + 1 };
+            tokens.splice(i, 1,
+                { type: 'OPERATOR', value: '>', loc: { ...t.loc, end: middle } },
+                { type: 'OPERATOR', value: '>', loc: { ...t.loc, start: middle } });
+        }
+        expect("OPERATOR", ">");
+    }
+
+    // Whether the tokens from index k on name a library template type, as
+    // in vector<int> or std::map<string, int>
+    function startsTemplateType(k = i) {
+        if (tokens[k] && tokens[k].value === 'std' && tokens[k + 1] && tokens[k + 1].type === 'SCOPE') k += 2;
+        const t = tokens[k];
+        return t !== undefined && t.type === 'IDENTIFIER' && TEMPLATE_TYPES.hasOwnProperty(t.value) &&
+            tokens[k + 1] !== undefined && tokens[k + 1].value === '<';
     }
 
+    // Parameters may have default values, int f(int x, int step = 1), and
+    // may be left unnamed, as they often are in a prototype: int f(int);
     function parseParameterList() {
         const params = [];
         expect("DELIMITER", "(");
         
         while (current() && current().value !== ')') {
+            const start = current();
             const type = parseType();
-            const name = expect("IDENTIFIER").value;
-            params.push({ type, name });
+            const name = current() && current().type === 'IDENTIFIER' ? expect("IDENTIFIER").value : null;
+            parseArrayDimensions(type);
+            let defaultValue = null;
+            if (check('=')) {
+                next();
+                defaultValue = check('{') ? parseInitializerList() : parseNested(parseAssignment);
+            }
+            params.push(finish({ type, name, default: defaultValue }, start));
             
-            if (current().value === ',') {
+            if (check(',')) {
                 next();
             }
         }
@@ -252,84 +835,455 @@ function parseTokens(tokens) {
         return params;
     }
 
+    const TYPE_KEYWORDS = ['int', 'float', 'double', 'char', 'bool', 'void', 'const', 'static', 'auto', 'string'];
+
     function parseDeclaration() {
+        const start = current();
         const type = parseType();
-        const name = expect("IDENTIFIER").value;
-        symbolTable[name] = type;
+        let name = expect("IDENTIFIER").value;
+
+        // Member function defined outside its class: int Point::sum() {...}
+        let className = null;
+        if (current() && current().type === 'SCOPE') {
+            next();
+            className = name;
+            name = expect("IDENTIFIER").value;
+        }
 
         // Function declaration
-        if (current().value === '(') {
+        if (className !== null || (check('(') && startsParameterList())) {
             const params = parseParameterList();
-            
+            let isConst = false;
+            if (check('const')) {
+                next();
+                isConst = true;
+            }
+            const extra = className !== null ? { className, isConst } : {};
+
             // Function definition
-            if (current().value === '{') {
+            if (check('{')) {
                 const body = parseBlock();
-                return { type: "function", returnType: type, name, params, body };
+                return finish({ type: "function", returnType: type, name, params, body, ...extra }, start);
             }
             // Function declaration only
             else {
                 expect("DELIMITER", ";");
-                return { type: "functionDecl", returnType: type, name, params };
+                return finish({ type: "functionDecl", returnType: type, name, params, ...extra }, start);
             }
         }
         // Variable declaration
         else {
+            const declarations = parseDeclarators(type, name, start, true);
+            return declarations.length === 1
+                ? declarations[0]
+                : finish({ type: "declarationList", declarations }, start);
+        }
+    }
+
+    // After a declared name, '(' opens either a parameter list (a function)
+    // or constructor arguments (an object, as in Point p(1, 2);).
+    function startsParameterList() {
+        const t = peek();
+        if (!t || t.value === ')') return true;
+        if (t.type === 'KEYWORD') return TYPE_KEYWORDS.includes(t.value);
+        if (t.type === 'IDENTIFIER') {
+            const after = tokens[i + 2];
+            if (TEMPLATE_TYPES.hasOwnProperty(t.value)) return after !== undefined && after.value === '<';
+            return t.value === 'std' || (typeNames.has(t.value) && !(after && after.value === '('));
+        }
+        return false;
+    }
+
+    // Whether the statement ahead starts with a type, as declarations do
+    function startsDeclaration() {
+        const t = current();
+        if (!t) return false;
+        if (t.type === 'KEYWORD') return TYPE_KEYWORDS.includes(t.value);
+        if (startsTemplateType()) return true;
+        if (t.type === 'IDENTIFIER' && t.value === 'std' && peek() && peek().type === 'SCOPE') {
+            const after = tokens[i + 2];
+            return after !== undefined && after.type === 'KEYWORD' && TYPE_KEYWORDS.includes(after.value);
+        }
+        return t.type === 'IDENTIFIER' && typeNames.has(t.value);
+    }
+
+    // Whether the tokens from index k on name a type, as in a cast
+    function startsType(k) {
+        const t = tokens[k];
+        if (!t) return false;
+        if (t.type === 'KEYWORD') return TYPE_KEYWORDS.includes(t.value) && t.value !== 'static' && t.value !== 'auto';
+        if (startsTemplateType(k)) return true;
+        if (t.type === 'IDENTIFIER' && t.value === 'std' && tokens[k + 1] && tokens[k + 1].type === 'SCOPE') {
+            const after = tokens[k + 2];
+            return after !== undefined && after.type === 'KEYWORD' && TYPE_KEYWORDS.includes(after.value);
+        }
+        return t.type === 'IDENTIFIER' && typeNames.has(t.value);
+    }
+
+    // The declarators of one declaration, through the closing ';':
+    // int a, *p, b[3] = {1, 2, 3};
+    // Each declarator repeats the base type but has its own pointer,
+    // reference and array parts.
+    function parseDeclarators(type, name, start, allowConstructorArgs) {
+        const declarations = [];
+        const baseType = { ...type, pointer: 0, reference: false, dims: [] };
+        let varType = type;
+        let declStart = start;
+
+        while (true) {
+            parseArrayDimensions(varType);
             let value = null;
-            if (current().value === '=') {
+            let args = null;
+            if (check('=')) {
                 next();
-                value = parseExpression();
+                value = check('{') ? parseInitializerList() : parseAssignment();
+            } else if (check('{')) {
+                value = parseInitializerList();
+            } else if (allowConstructorArgs && check('(')) {
+                args = parseArguments();
             }
-            expect("DELIMITER", ";");
-            return { type: "declaration", varType: type, name, value };
+            declarations.push(finish({ type: "declaration", varType, name, value, args }, declStart));
+
+            if (!check(',')) break;
+            next();
+            declStart = current();
+            varType = { ...baseType, dims: [] };
+            while (check('*') || check('&')) {
+                if (current().value === '*') varType.pointer++;
+                else varType.reference = true;
+                next();
+            }
+            name = expect("IDENTIFIER").value;
         }
+
+        expect("DELIMITER", ";");
+        return declarations;
     }
 
-    function parseBlock() {
+    function parseArguments() {
+        expect("DELIMITER", "(");
+        const args = [];
+        while (current() && !check(')')) {
+            // Braced arguments initialize the parameter: v.push_back({1, 2})
+            args.push(check('{') ? parseInitializerList() : parseNested(parseAssignment));
+            if (!check(')')) expect("DELIMITER", ",");
+        }
+        expect("DELIMITER", ")");
+        return args;
+    }
+
+    // template <typename T> and the function it makes a template of. The
+    // parameters name types until the end of the function.
+    function parseTemplate() {
+        const start = current();
+        expect("KEYWORD", "template");
+        expect("OPERATOR", "<");
+        const templateParams = [];
+        while (true) {
+            if (!check('typename') && !check('class')) {
+                throw new CompileError(`Expected 'typename' or 'class' in a template parameter list, got ${describe(current())}`, here());
+            }
+            next();
+            templateParams.push(expect("IDENTIFIER").value);
+            if (!check(',')) break;
+            next();
+        }
+        expectClosingAngle();
+
+        const added = templateParams.filter(name => !typeNames.has(name));
+        added.forEach(name => typeNames.add(name));
+        let node;
+        try {
+            node = parseStatement();
+        } finally {
+            added.forEach(name => typeNames.delete(name));
+        }
+        if (node.type === "functionDecl") {
+            throw new CompileError(`A function template must be defined where it is declared`, node.loc);
+        }
+        if (node.type !== "function" || node.className) {
+            throw new CompileError(`Only functions can be templates`, node.loc);
+        }
+        templateNames.add(node.name);
+        node.templateParams = templateParams;
+        return finish(node, start);
+    }
+
+    // class/struct definitions. Members are fields, methods, constructors
+    // and a destructor, each tagged with the access level in effect.
+    function parseClass() {
+        const start = current();
+        const kind = expect("KEYWORD").value;
+        const name = expect("IDENTIFIER").value;
+        typeNames.add(name);
+
+        // Forward declaration: class Node;
+        if (check(';')) {
+            next();
+            return finish({ type: "classDecl", kind, name }, start);
+        }
+        if (check(':')) {
+            throw new CompileError(`Inheritance is not supported`, here());
+        }
+
         expect("DELIMITER", "{");
-        const body = [];
-        while (current() && current().value !== "}") {
-            body.push(parseStatement());
+        let access = kind === 'struct' ? 'public' : 'private';
+        const members = [];
+        while (current() && !check('}')) {
+            const t = current();
+            if (t.type === 'KEYWORD' && ['public', 'private', 'protected'].includes(t.value)) {
+                next();
+                expect("DELIMITER", ":");
+                access = t.value;
+                continue;
+            }
+            members.push(...(recovering(() => parseMember(name, access)) || []));
         }
         expect("DELIMITER", "}");
-        return { type: "block", body };
+        expect("DELIMITER", ";");
+        return finish({ type: "class", kind, name, members }, start);
     }
 
-    function parseStatement() {
-        const t = current();
-        if (!t) throw new Error("Unexpected EOF");
+    function parseMember(className, access) {
+        const start = current();
 
-        if (t.value === "{") {
-            return parseBlock();
+        // Constructor: Point(int x, int y) : x(x), y(y) {}
+        if (check(className) && peek() && peek().value === '(') {
+            next();
+            return [parseConstructorRest(className, access, start)];
         }
 
-        if (t.type === "INCLUDE") {
-            const include = expect("INCLUDE").value;
-            return { type: "include", value: include };
+        // Destructor: ~Point() {}
+        if (check('~')) {
+            next();
+            return [parseDestructorRest(className, access, start)];
         }
 
-        if (t.type === "KEYWORD") {
-            switch (t.value) {
-                case "int":
-                case "float":
-                case "double":
-                case "char":
-                case "bool":
+        if (check('static')) {
+            throw new CompileError(`Static members are not supported`, here());
+        }
+
+        const type = parseType();
+        const name = expect("IDENTIFIER").value;
+        if (check('(')) {
+            const params = parseParameterList();
+            let isConst = false;
+            if (check('const')) {
+                next();
+                isConst = true;
+            }
+            let body = null;
+            if (check('{')) {
+                body = parseBlock();
+            } else {
+                expect("DELIMITER", ";");
+            }
+            return [finish({ type: "method", className, returnType: type, name, params, isConst, body, access }, start)];
+        }
+
+        return parseDeclarators(type, name, start, false)
+            .map(field => ({ ...field, type: "field", access }));
+    }
+
+    function parseConstructorRest(className, access, start) {
+        const params = parseParameterList();
+        const initializers = [];
+        if (check(':')) {
+            next();
+            while (true) {
+                const memberStart = current();
+                const name = expect("IDENTIFIER").value;
+                if (check('{')) {
+                    initializers.push(finish({ name, list: parseInitializerList() }, memberStart));
+                } else {
+                    initializers.push(finish({ name, args: parseArguments() }, memberStart));
+                }
+                if (!check(',')) break;
+                next();
+            }
+        }
+        let body = null;
+        if (check('{')) {
+            body = parseBlock();
+        } else {
+            expect("DELIMITER", ";");
+        }
+        return finish({ type: "constructor", className, params, initializers, body, access }, start);
+    }
+
+    function parseDestructorRest(className, access, start) {
+        const nameToken = expect("IDENTIFIER");
+        if (nameToken.value !== className) {
+            throw new CompileError(`Destructor name '~${nameToken.value}' does not match class '${className}'`, nameToken.loc);
+        }
+        expect("DELIMITER", "(");
+        expect("DELIMITER", ")");
+        let body = null;
+        if (check('{')) {
+            body = parseBlock();
+        } else {
+            expect("DELIMITER", ";");
+        }
+        return finish({ type: "destructor", className, body, access }, start);
+    }
+
+    // Point::Point(...) and Point::~Point() defined outside the class
+    function parseOutOfClassMember() {
+        const start = current();
+        const className = expect("IDENTIFIER").value;
+        expect("SCOPE");
+        if (check('~')) {
+            next();
+            return parseDestructorRest(className, null, start);
+        }
+        const nameToken = expect("IDENTIFIER");
+        if (nameToken.value !== className) {
+            throw new CompileError(`Expected constructor '${className}::${className}'`, nameToken.loc);
+        }
+        return parseConstructorRest(className, null, start);
+    }
+
+    // Array declarators follow the name: int grid[3][4], int a[] = {...}.
+    // The dimensions are recorded on the declared type.
+    function parseArrayDimensions(type) {
+        while (check('[')) {
+            next();
+            type.dims.push(check(']') ? null : parseExpression());
+            expect("DELIMITER", "]");
+        }
+        if (type.dims.length > 0) {
+            type.loc = spanLocations(type.loc, previous().loc);
+        }
+    }
+
+    // Brace-enclosed initializers, possibly nested: { {1, 2}, {3, 4} }
+    function parseInitializerList() {
+        const start = current();
+        expect("DELIMITER", "{");
+        const elements = [];
+        while (current() && !check('}')) {
+            elements.push(check('{') ? parseInitializerList() : parseAssignment());
+            if (!check('}')) expect("DELIMITER", ",");
+        }
+        expect("DELIMITER", "}");
+        return finish({ type: 'initList', elements }, start);
+    }
+
+    function parseBlock() {
+        const start = current();
+        expect("DELIMITER", "{");
+        const body = [];
+        while (current() && current().value !== "}") {
+            const statement = recovering(parseStatement);
+            if (statement !== null) body.push(statement);
+        }
+        // A block left open at the end of the input keeps what it holds
+        if (!current()) {
+            report(new CompileError(`Expected '}' to close the block opened on line ${start.loc.start.line}, got end of input`, here()));
+            return finish({ type: "block", body }, start);
+        }
+        expect("DELIMITER", "}");
+        return finish({ type: "block", body }, start);
+    }
+
+    function parseStatement() {
+        const t = current();
+        if (!t) throw new CompileError("Unexpected end of input", here());
+
+        if (t.value === "{") {
+            return parseBlock();
+        }
+        if (t.value === "}") {
+            throw new CompileError("Unmatched '}'", t.loc);
+        }
+
+        if (t.type === "INCLUDE") {
+            const include = expect("INCLUDE").value;
+            return finish({ type: "include", value: include }, t);
+        }
+
+        // Declarations of library containers: vector<int> v;
+        if (startsTemplateType()) {
+            return parseDeclaration();
+        }
+
+        // Declarations of class-typed variables, and constructors or
+        // destructors defined outside their class (Point::Point(...))
+        if (t.type === "IDENTIFIER" && typeNames.has(t.value)) {
+            const after = peek();
+            if (after && after.type === "SCOPE") {
+                return parseOutOfClassMember();
+            }
+            if (after && (after.type === "IDENTIFIER" || after.value === "*" || after.value === "&")) {
+                return parseDeclaration();
+            }
+        }
+
+        // std::cout, std::string s, ... mean the same as their unqualified forms
+        if (t.type === "IDENTIFIER" && t.value === "std" && peek() && peek().type === "SCOPE" &&
+            tokens[i + 2] && tokens[i + 2].type === "KEYWORD") {
+            next();
+            next();
+            const node = parseStatement();
+            node.loc = spanLocations(t.loc, node.loc);
+            return node;
+        }
+
+        // this, nullptr, sizeof and static_cast start expression statements
+        // like this->x = 1, and so does cin in cin.ignore();
+        const memberOfCin = t.value === 'cin' && peek() && peek().value === '.';
+        if (t.type === "KEYWORD" && !EXPRESSION_KEYWORDS.includes(t.value) && !memberOfCin) {
+            switch (t.value) {
+                case "int":
+                case "float":
+                case "double":
+                case "char":
+                case "bool":
                 case "void":
                 case "const":
                 case "static":
                 case "auto":
+                case "string":
                     return parseDeclaration();
 
+                case "class":
+                case "struct":
+                    return parseClass();
+
+                case "template":
+                    return parseTemplate();
+
+                case "delete": {
+                    expect("KEYWORD", "delete");
+                    let isArray = false;
+                    if (check('[')) {
+                        next();
+                        expect("DELIMITER", "]");
+                        isArray = true;
+                    }
+                    const target = parseExpression();
+                    expect("DELIMITER", ";");
+                    return finish({ type: "delete", target, isArray }, t);
+                }
+
+                case "using": {
+                    expect("KEYWORD", "using");
+                    expect("KEYWORD", "namespace");
+                    const name = expect("IDENTIFIER").value;
+                    expect("DELIMITER", ";");
+                    return finish({ type: "using", namespace: name }, t);
+                }
+
                 case "cin": {
                     expect("KEYWORD", "cin");
                     const inputs = [];
                     while (current() && current().type === "STREAM" && current().value === ">>") {
                         expect("STREAM", ">>");
-                        const v = parseExpression();
+                        const v = parseStreamOperand();
                         inputs.push(v);
                     }
                     expect("DELIMITER", ";");
-                    return { type: "input", inputs };
+                    return finish({ type: "input", inputs }, t);
                 }
 
                 case "cout": {
@@ -338,17 +1292,20 @@ function parseTokens(tokens) {
                     while (current() && current().value !== ';') {
                         if (current().type === "STREAM" && current().value === "<<") {
                             expect("STREAM", "<<");
-                            let expr = parseExpression();
+                            let expr = parseStreamOperand();
                             parts.push(expr);
                         } else if (current().type === "KEYWORD" && current().value === "endl") {
                             next();
                             parts.push('"\\n"');
+                        } else if (current().loc.start.line > previous().loc.end.line) {
+                            // Most likely the ';' ending the line is missing
+                            break;
                         } else {
-                            throw new Error(`Expected '<<' or 'endl' in cout, got '${current().value}'`);
+                            throw new CompileError(`Expected '<<' or 'endl' in cout, got ${describe(current())}`, here());
                         }
                     }
                     expect("DELIMITER", ";");
-                    return { type: "print", parts };
+                    return finish({ type: "print", parts }, t);
                 }
 
                 case "if": {
@@ -362,7 +1319,7 @@ function parseTokens(tokens) {
                         expect("KEYWORD", "else");
                         elseStmt = parseStatement();
                     }
-                    return { type: "if", condition, thenStmt, elseStmt };
+                    return finish({ type: "if", condition, thenStmt, elseStmt }, t);
                 }
 
                 case "while": {
@@ -371,7 +1328,7 @@ function parseTokens(tokens) {
                     const condition = parseExpression();
                     expect("DELIMITER", ")");
                     const body = parseStatement();
-                    return { type: "while", condition, body };
+                    return finish({ type: "while", condition, body }, t);
                 }
 
                 case "do": {
@@ -382,120 +1339,193 @@ function parseTokens(tokens) {
                     const condition = parseExpression();
                     expect("DELIMITER", ")");
                     expect("DELIMITER", ";");
-                    return { type: "doWhile", condition, body };
+                    return finish({ type: "doWhile", condition, body }, t);
                 }
 
                 case "for": {
                     expect("KEYWORD", "for");
                     expect("DELIMITER", "(");
+                    const range = parseRangeHeader();
+                    if (range !== null) {
+                        const body = parseStatement();
+                        return finish({ type: "rangeFor", ...range, body }, t);
+                    }
                     let init = null;
-                    if (current().value !== ";") {
+                    if (!check(";")) {
                         init = parseStatement();
                     } else {
                         next(); // skip empty init
                     }
-                    let condition = "true";
-                    if (current().value !== ";") {
+                    let condition = null;
+                    if (!check(";")) {
                         condition = parseExpression();
                     }
                     expect("DELIMITER", ";");
                     let update = null;
-                    if (current().value !== ")") {
+                    if (!check(")")) {
                         update = parseExpression();
                     }
                     expect("DELIMITER", ")");
                     const body = parseStatement();
-                    return { type: "for", init, condition, update, body };
+                    return finish({ type: "for", init, condition, update, body }, t);
                 }
 
                 case "return": {
                     expect("KEYWORD", "return");
                     let value = null;
-                    if (current().value !== ";") {
+                    if (check("{")) {
+                        value = parseInitializerList();
+                    } else if (!check(";")) {
                         value = parseExpression();
                     }
                     expect("DELIMITER", ";");
-                    return { type: "return", value };
+                    return finish({ type: "return", value }, t);
                 }
 
+                case "switch":
+                    return parseSwitch();
+
+                case "case":
+                case "default":
+                    throw new CompileError(`'${t.value}' label not within a switch statement`, t.loc);
+
                 case "break": {
                     expect("KEYWORD", "break");
                     expect("DELIMITER", ";");
-                    return { type: "break" };
+                    return finish({ type: "break" }, t);
                 }
 
                 case "continue": {
                     expect("KEYWORD", "continue");
                     expect("DELIMITER", ";");
-                    return { type: "continue" };
+                    return finish({ type: "continue" }, t);
                 }
 
                 default:
-                    throw new Error(`Unsupported keyword: ${t.value}`);
+                    throw new CompileError(`Unsupported keyword: ${t.value}`, t.loc);
             }
         }
 
-        // Try to parse as expression statement
-        try {
-    const expr = parseExpression();
+        // Anything else is an expression statement. Errors raised while
+        // parsing it already carry their own location, so let them through.
+        const expr = parseExpression();
+        expect("DELIMITER", ";");
+        return finish({ type: "expression", expression: expr }, t);
+    }
 
-    // Type check basic assignments
-    const assignMatch = /^\((\w+)\s*=\s*(.+)\)$/.exec(expr);
-    if (assignMatch) {
-        const varName = assignMatch[1];
-        const rhs = assignMatch[2];
-        const declaredType = symbolTable[varName];
+    const EXPRESSION_KEYWORDS = ['this', 'nullptr', 'sizeof', 'static_cast'];
 
-        if (!declaredType) throw new Error(`Undeclared variable '${varName}'`);
-        
-        if ((declaredType === 'int' || declaredType === 'float') && /^".*"$/.test(rhs)) {
-            throw new Error(`Type error: cannot assign string to ${declaredType} '${varName}'`);
-        }
-        // Disallow assigning float literals to int
-        if (declaredType === 'int' && /^\\d+\\.\\d+$/.test(rhs)) {
-            throw new Error(`Type error: cannot assign float to int '${varName}'`);
-        }
-        if (declaredType === 'string' && /^\d+(\.\d+)?$/.test(rhs)) {
-            throw new Error(`Type error: cannot assign number to string '${varName}'`);
+    // switch (x) { case 1: ... default: ... }. Each label owns the
+    // statements up to the next one; control falls through from one label's
+    // statements into the next unless they end in break.
+    function parseSwitch() {
+        const start = expect("KEYWORD", "switch");
+        expect("DELIMITER", "(");
+        const discriminant = parseExpression();
+        expect("DELIMITER", ")");
+        expect("DELIMITER", "{");
+        const cases = [];
+        while (current() && !check('}')) {
+            const label = current();
+            let test = null;
+            if (check('case')) {
+                next();
+                test = parseExpression();
+            } else if (check('default')) {
+                next();
+            } else {
+                throw new CompileError(`Expected 'case' or 'default' in switch, got ${describe(label)}`, label.loc);
+            }
+            expect("DELIMITER", ":");
+            const body = [];
+            while (current() && !check('}') && !check('case') && !check('default')) {
+                const statement = recovering(parseStatement);
+                if (statement !== null) body.push(statement);
+            }
+            cases.push(finish({ type: "case", test, body }, label));
         }
+        expect("DELIMITER", "}");
+        return finish({ type: "switch", discriminant, cases }, start);
     }
 
-    expect("DELIMITER", ";");
-    return { type: "expression", expression: expr };
-} catch (e) {
-    throw new Error(`Invalid statement: ${t.value}`);
-}
-
+    // for (T name : range). Returns null, having consumed nothing, when the
+    // loop is an ordinary three-part for.
+    function parseRangeHeader() {
+        if (!startsDeclaration()) return null;
+        const saved = i;
+        const varType = parseType();
+        const nameToken = current();
+        if (!nameToken || nameToken.type !== 'IDENTIFIER' || !peek() || peek().value !== ':') {
+            i = saved;
+            return null;
+        }
+        next();
+        next();
+        const range = parseExpression();
+        expect("DELIMITER", ")");
+        return { varType, name: nameToken.value, nameLoc: nameToken.loc, range };
     }
 
     const ast = [];
     while (i < tokens.length) {
-        ast.push(parseStatement());
+        const statement = recovering(parseStatement);
+        if (statement !== null) ast.push(statement);
     }
+    if (diagnostics !== null) diagnostics.push(...errors);
+    else if (errors.length > 0) throw errors[0];
     return ast;
 }
 
 // --- Code Generator ---
-function generateJS(ast, inputBuffer = [], isTopLevel = true) {
+// Symbols of the classes in the program being generated, by name
+let classSymbols = new Map();
+// Numbers the hidden variables of range-based for loops
+let rangeLoops = 0;
+// Whether statements report the variables in scope to the debugger
+let debugging = false;
+
+// Names C++ allows that JavaScript reserves, or that the generated code
+// itself relies on. A variable, function or class with one of them gets a
+// '$' appended in the generated code, which no C++ name can contain.
+const JS_RESERVED = new Set([
+    'arguments', 'await', 'catch', 'debugger', 'enum', 'eval', 'export', 'extends', 'finally',
+    'function', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'null', 'package',
+    'super', 'throw', 'try', 'typeof', 'var', 'with', 'yield', 'undefined', 'NaN', 'Infinity'
+]);
+
+function jsName(name) {
+    return JS_RESERVED.has(name) ? `${name}$` : name;
+}
+
+// options.debug instruments every statement for the debugger, see
+// __Machine.step().
+function generateJS(ast, isTopLevel = true, options = {}) {
     let code = '';
     let includes = [];
+    if (isTopLevel) {
+        classSymbols = new Map(ast.filter(node => node.type === "class").map(node => [node.name, node.symbol]));
+        rangeLoops = 0;
+        debugging = Boolean(options.debug);
+    }
     
-    // First pass for includes and function declarations
+    // First pass for includes
     for (const node of ast) {
         if (node.type === "include") {
             includes.push(node.value);
-        } else if (node.type === "functionDecl") {
-            code += `function ${node.name}(${node.params.map(p => p.name).join(', ')}) { throw "${node.name} not implemented"; }\n`;
         }
     }
     
     if (isTopLevel) {
-        code += "const __input = [...arguments[0]];\n";
-        code += "function __inputProvider() { if (__input.length === 0) throw 'No more input'; return __input.shift(); }\n";
-        code += "let __outputs = [];\n";
+        code += generatePrelude();
+        if (debugging) code += `__machine.classes = ${generateDebugClasses()};\n`;
+        code += "return __machine.run(() => {\n";
+        // Objects with destructors declared at file scope live until main returns
+        if (hasDestructibles(ast)) {
+            code += "const __scope = [];\n";
+        }
         
         // Check for main function
-        const hasMain = ast.some(node => node.type === "function" && node.name === "main");
+        const hasMain = ast.some(node => node.type === "function" && node.name === "main" && !node.className);
         if (!hasMain) {
             code += "function main() {\n";
         }
@@ -503,74 +1533,117 @@ function generateJS(ast, inputBuffer = [], isTopLevel = true) {
     
     // Second pass for actual code generation
     for (const node of ast) {
+        if (STATEMENTS.includes(node.type) && node.loc) {
+            code += debugging ? `${generateDebugStep(node)};\n` : `__machine.line = ${generateLine(node)};\n`;
+        }
         switch (node.type) {
             case "include":
                 // Handled in first pass
                 break;
                 
             case "declaration":
-                code += `let ${node.name}`;
-                if (node.value !== null) {
-                    code += ` = ${node.value}`;
-                }
-                code += `;\n`;
+                code += generateDeclaration(node);
+                break;
+
+            case "declarationList":
+                code += node.declarations.map(generateDeclaration).join('');
+                break;
+
+            case "class":
+                code += generateClass(node);
+                break;
+
+            case "constructor":
+                code += `${jsName(node.className)}.prototype.__ctor${node.symbol.index} = function(${node.params.map(p => jsName(p.name)).join(', ')}) {\n`;
+                code += generateConstructorBody(node);
+                code += `};\n`;
+                break;
+
+            case "destructor":
+                code += `${jsName(node.className)}.prototype.__dtor = function() {\n`;
+                code += generateDestructorBody(node.symbol.owner, node);
+                code += `};\n`;
+                break;
+
+            case "delete":
+                code += `__delete(${generateExpression(node.target)}, ${node.isArray});\n`;
                 break;
                 
             case "function":
-                code += `function ${node.name}(${node.params.map(p => p.name).join(', ')}) {\n`;
-                code += generateJS(node.body, inputBuffer, false);
-                code += `}\n`;
+                // A template is generated once for each type it was used with
+                if (node.templateParams) {
+                    code += generateJS(node.instances, false);
+                    break;
+                }
+                code += node.className
+                    ? `${jsName(node.className)}.prototype.${node.name} = function(${node.params.map(p => jsName(p.name)).join(', ')}) {\n`
+                    : `function ${jsName(node.symbol.mangled)}(${node.params.map(p => jsName(p.name)).join(', ')}) {\n`;
+                code += generateFunctionBody(node);
+                code += node.className ? `};\n` : `}\n`;
                 break;
                 
             case "input":
                 for (const v of node.inputs) {
-                    code += `${v} = Number(__inputProvider());\n`;
+                    code += `${generateRead(v)};\n`;
                 }
                 break;
                 
             case "print":
-                code += `__outputs.push(${node.parts.join(" + ' ' + ")});\n`;
+                for (const part of node.parts) {
+                    code += `${generateOutput(part)};\n`;
+                }
                 break;
                 
             case "if":
-                code += `if (${node.condition}) {\n`;
-                code += generateJS([node.thenStmt], inputBuffer, false);
+                code += `if (${generateExpression(node.condition)}) {\n`;
+                code += generateJS([node.thenStmt], false);
                 code += `}\n`;
                 if (node.elseStmt) {
                     code += `else {\n`;
-                    code += generateJS([node.elseStmt], inputBuffer, false);
+                    code += generateJS([node.elseStmt], false);
                     code += `}\n`;
                 }
                 break;
                 
             case "while":
-                code += `while (${node.condition}) {\n`;
-                code += generateJS([node.body], inputBuffer, false);
+                code += `while (${generateTick(node)} && ${generateExpression(node.condition)}) {\n`;
+                code += generateJS([node.body], false);
                 code += `}\n`;
                 break;
                 
             case "doWhile":
                 code += `do {\n`;
-                code += generateJS([node.body], inputBuffer, false);
-                code += `} while (${node.condition});\n`;
+                code += generateJS([node.body], false);
+                code += `} while (${generateTick(node)} && ${generateExpression(node.condition)});\n`;
                 break;
                 
-            case "for":
-                code += `{\n`;
+            case "for": {
+                let loop = '';
                 if (node.init) {
-                    code += generateJS([node.init], inputBuffer, false);
+                    loop += generateJS([node.init], false);
                 }
-                code += `while (${node.condition}) {\n`;
-                code += generateJS([node.body], inputBuffer, false);
-                if (node.update) {
-                    code += `${node.update};\n`;
-                }
-                code += `}\n}\n`;
+                const condition = node.condition ? ` && ${generateExpression(node.condition)}` : '';
+                const update = node.update ? generateExpression(node.update) : '';
+                loop += `for (; ${generateTick(node)}${condition}; ${update}) {\n`;
+                loop += generateJS([node.body], false);
+                loop += `}\n`;
+                code += `{\n${wrapScope(loop, node.init !== null && hasDestructibles([node.init]))}}\n`;
                 break;
+            }
                 
+            case "rangeFor":
+                code += generateRangeFor(node);
+                break;
+
+            case "switch":
+                code += generateSwitch(node);
+                break;
+
             case "return":
-                if (node.value !== null) {
-                    code += `return ${node.value};\n`;
+                if (node.inConstructor) {
+                    code += `return this;\n`;
+                } else if (node.value !== null) {
+                    code += `return ${generateReturnValue(node)};\n`;
                 } else {
                     code += `return;\n`;
                 }
@@ -586,56 +1659,1170 @@ function generateJS(ast, inputBuffer = [], isTopLevel = true) {
                 
             case "block":
                 code += `{\n`;
-                for (const stmt of node.body) {
-                    code += generateJS([stmt], inputBuffer, false);
-                }
+                code += wrapScope(generateJS(node.body, false), hasDestructibles(node.body));
                 code += `}\n`;
                 break;
                 
             case "expression":
-                code += `${node.expression};\n`;
+                code += `${generateExpression(node.expression)};\n`;
                 break;
         }
     }
     
     if (isTopLevel) {
-        const hasMain = ast.some(node => node.type === "function" && node.name === "main");
+        const hasMain = ast.some(node => node.type === "function" && node.name === "main" && !node.className);
         if (!hasMain) {
             code += "}\n";
-            code += "main();\n";
-        } else {
-            code += "main();\n";
         }
-        code += "return __outputs.join('');\n";
+        code += "const __status = main();\n";
+        if (hasDestructibles(ast)) {
+            code += "__destroy(__scope);\n";
+        }
+        code += "return __status;\n";
+        code += "});\n";
     }
     
     return code;
 }
 
-// --- Run the JS ---
-function runJS(jsCode, inputs) {
-    try {
-        const runner = new Function(jsCode);
-        return runner(inputs);
-    } catch (e) {
-        return "Runtime error: " + e.message;
+function generateDeclaration(node) {
+    const varType = node.symbol.type;
+    let value;
+    if (isArray(varType)) {
+        value = generateArray(varType, node.value, node.ctor);
+    } else if (node.args !== null) {
+        value = generateConstruction(varType, node.args, node.ctor);
+    } else if (node.value !== null && node.value.type === 'initList') {
+        value = generateInitializerFor(varType, node.value);
+    } else if (node.value !== null) {
+        value = generateValue(node.value, varType);
+    } else if (node.ctor) {
+        value = generateConstructorCall(node.ctor, []);
+    } else {
+        value = defaultValue(varType);
+    }
+    let code;
+    if (node.symbol.boxed) {
+        // A variable whose address is taken lives in a box pointers can share
+        code = `let ${jsName(node.name)} = [${value !== null ? value : 'undefined'}];\n`;
+    } else {
+        code = value !== null ? `let ${jsName(node.name)} = ${value};\n` : `let ${jsName(node.name)};\n`;
+    }
+    if (node.destructible) {
+        code += `__scope.push(${jsName(node.name)});\n`;
+    }
+    return code;
+}
+
+// --- Classes ---
+// A class becomes a JavaScript class. Each C++ constructor is a method
+// __ctorK that initializes a blank object and returns it, so constructing
+// an object is `new P().__ctorK(args)`. __copy and __assign give objects
+// value semantics, and __dtor runs the destructor.
+function generateClass(node) {
+    const symbol = node.symbol;
+    let code = `class ${jsName(node.name)} {\n`;
+
+    for (const ctor of symbol.constructors) {
+        if (ctor.implicit) {
+            code += generateImplicitConstructor(ctor);
+        }
+    }
+    for (const member of node.members) {
+        if (!member.body) continue;
+        const params = (member.params || []).map(p => jsName(p.name)).join(', ');
+        if (member.type === "constructor") {
+            code += `__ctor${member.symbol.index}(${params}) {\n${generateConstructorBody(member)}}\n`;
+        } else if (member.type === "destructor") {
+            code += `__dtor() {\n${generateDestructorBody(symbol, member)}}\n`;
+        } else if (member.type === "method") {
+            code += `${member.name}(${params}) {\n${generateFunctionBody(member)}}\n`;
+        }
+    }
+    // Fields with destructors are destroyed even without a user destructor
+    if (symbol.destructible && symbol.destructor === null) {
+        code += `__dtor() {\n${generateDestructorBody(symbol, null)}}\n`;
+    }
+
+    const copies = symbol.fields.map(field => `copy.${field.name} = ${generateFieldCopy(field, `this.${field.name}`)};\n`);
+    code += `__copy() {\nconst copy = new ${jsName(node.name)}();\n${copies.join('')}return copy;\n}\n`;
+    const assigns = symbol.fields.map(field => `this.${field.name} = copy.${field.name};\n`);
+    code += `__assign(other) {\nconst copy = other.__copy();\n${assigns.join('')}return this;\n}\n`;
+    code += `}\n`;
+    return code;
+}
+
+// The implicit default constructor also performs aggregate initialization:
+// P{1, 2} passes the leading field values and the rest are defaulted.
+function generateImplicitConstructor(ctor) {
+    let code = `__ctor${ctor.index}(...__values) {\n`;
+    ctor.plan.forEach((step, k) => {
+        code += `this.${step.field.name} = __values.length > ${k} ? __values[${k}] : ${generateFieldInitializer(step)};\n`;
+    });
+    return code + `return this;\n}\n`;
+}
+
+function generateConstructorBody(node) {
+    // Member initializers may already use a boxed parameter
+    let code = generateParamBoxes(node);
+    code += node.symbol.plan
+        .map(step => `this.${step.field.name} = ${generateFieldInitializer(step)};\n`)
+        .join('');
+    code += generateFunctionBody(node, false);
+    return code + `return this;\n`;
+}
+
+// Members are destroyed after the destructor body, in reverse order
+function generateDestructorBody(classSymbol, node) {
+    const body = node ? generateFunctionBody(node) : '';
+    const fields = classSymbol.fields.filter(field => isDestructible(field.type));
+    if (fields.length === 0) return body;
+    const members = fields.map(field => `this.${field.name}`).join(', ');
+    return generateGuarded(body, `__destroy([${members}]);\n`);
+}
+
+function generateFieldInitializer(step) {
+    const type = step.field.type;
+    if (step.args) {
+        if (type.reference) return generateValue(step.args[0], type);
+        return generateConstruction(type, step.args, step.ctor);
+    }
+    if (step.value) {
+        if (step.value.type !== 'initList') return generateValue(step.value, type);
+        return isArray(type) ? generateArray(type, step.value, null) : generateInitializerFor(type, step.value);
+    }
+    if (isArray(type)) return generateArray(type, null, step.ctor);
+    if (step.ctor) return generateConstructorCall(step.ctor, []);
+    const value = defaultValue(type);
+    return value !== null ? value : 'undefined';
+}
+
+function generateFieldCopy(field, code) {
+    if (field.type.reference) return code;
+    if (isArray(field.type)) return `__copyArray(${code}, ${isClassType({ ...field.type, dims: [] })})`;
+    return generateCopy(code, field.type);
+}
+
+function generateConstructorCall(ctor, args) {
+    const values = withDefaults(args, ctor.params).map((arg, k) => generateValue(arg, ctor.params[k] ? ctor.params[k].type : null));
+    return `new ${jsName(ctor.owner.name)}().__ctor${ctor.index}(${values.join(', ')})`;
+}
+
+// Direct initialization, T x(args): objects call the selected constructor,
+// other types take their single argument or are value-initialized.
+function generateConstruction(type, args, ctor) {
+    if (isArray(type)) return generateArray(type, null, ctor);
+    if (isContainer(type)) return generateContainerConstruction(type, args);
+    if (ctor) return generateConstructorCall(ctor, args);
+    if (args.length === 0) return defaultValue(type);
+    return generateValue(args[0], type);
+}
+
+function generateBraceInitialization(list) {
+    if (!list.aggregate) return generateConstructorCall(list.ctor, list.elements);
+    const fields = list.ctor.owner.fields;
+    const values = list.elements.map((element, k) => generateFieldInitializer({ field: fields[k], value: element }));
+    return `new ${jsName(list.ctor.owner.name)}().__ctor${list.ctor.index}(${values.join(', ')})`;
+}
+
+// An object held by value, as opposed to a pointer or reference to one
+function isClassType(type) {
+    return type.pointer === 0 && !type.reference && type.dims.length === 0 &&
+        !BUILTIN_TYPES.includes(type.name) && !TEMPLATE_TYPES.hasOwnProperty(type.name);
+}
+
+function isDestructible(type) {
+    const elementType = { ...type, dims: [] };
+    if (!isClassType(elementType)) return false;
+    const symbol = classSymbols.get(type.name);
+    return symbol !== undefined && symbol.destructible;
+}
+
+// The code for `expr` converted to `type`. Objects and containers are
+// copied when the value comes from a variable, since they have value
+// semantics in C++.
+function generateValue(expr, type) {
+    if (type && isScalarReference(type)) return generateReference(expr, type);
+    const code = generateExpression(expr);
+    if (!type) return code;
+    if ((isClassType(type) || (isContainer(type) && !type.reference)) && isLvalue(expr)) {
+        return generateCopy(code, type);
+    }
+    if (type.pointer > 0 && !isArray(type) && isArray(expr.resolvedType)) return `new __Ptr(${code}, 0)`;
+    return convertValue(code, expr.resolvedType, type);
+}
+
+// A copy of the value `code` of type `type`. Containers are copied element
+// by element, with the elements themselves copied by value.
+function generateCopy(code, type) {
+    if (isClassType(type)) return `${code}.__copy()`;
+    if (!isContainer(type)) return code;
+    switch (type.name) {
+        case 'pair':
+            return `__copyPair(${code}, ${generateCopier(type.args[0])}, ${generateCopier(type.args[1])})`;
+        case 'map':
+            return `__copyMap(${code}, ${generateCopier(makeType('pair', { args: type.args }))})`;
+        case 'set':
+            return `__copySet(${code}, ${generateCopier(type.args[0])})`;
+        default:
+            return `__copySequence(${code}, ${generateCopier(type.args[0])})`;
+    }
+}
+
+// A function copying one value of the type, or null for plain values
+function generateCopier(type) {
+    return isClassType(type) || isContainer(type) ? `(__e) => ${generateCopy('__e', type)}` : 'null';
+}
+
+// A value-initialized element, as containers create them
+function generateDefault(type) {
+    if (isClassType(type)) {
+        return generateConstructorCall(selectOverload(classSymbols.get(type.name).constructors, []), []);
+    }
+    const value = defaultValue(type);
+    return value !== null ? value : 'undefined';
+}
+
+// vector<T>(n), vector<T>(n, value), pair<A, B>(a, b) and copies
+function generateContainerConstruction(type, args) {
+    if (args.length === 0) return defaultValue(type);
+    if (args.length === 1 && sameType(type, args[0].resolvedType)) return generateValue(args[0], type);
+    if (type.name === 'pair') {
+        return `new __Pair(${generateValue(args[0], type.args[0])}, ${generateValue(args[1], type.args[1])})`;
+    }
+    const size = generateValue(args[0], makeType('int'));
+    const fill = args.length > 1
+        ? `__fillWith(${generateValue(args[1], type.args[0])}, ${generateCopier(type.args[0])})`
+        : `() => ${generateDefault(type.args[0])}`;
+    return `__vecResize([], ${size}, ${fill})`;
+}
+
+// Braced initialization of an object or container. Maps are built from
+// their entries and sets from their elements, dropping duplicate keys.
+function generateInitializerFor(type, list) {
+    if (isClassType(type)) return generateBraceInitialization(list);
+    if (type.name === 'pair') {
+        return `new __Pair(${list.elements.map((element, k) => generateValue(element, type.args[k])).join(', ')})`;
+    }
+    const elementType = type.name === 'map' ? makeType('pair', { args: type.args }) : type.args[0];
+    const elements = `[${list.elements.map(element => generateValue(element, elementType)).join(', ')}]`;
+    if (type.name === 'map') return `__mapFrom(${elements})`;
+    if (type.name === 'set') return `__setFrom(${elements})`;
+    return elements;
+}
+
+// Returning a local object hands it to the caller without copying or
+// destroying it, as g++ does with the named return value optimization.
+function generateReturnValue(node) {
+    const value = node.value;
+    const symbol = value.type === 'identifier' ? value.symbol : null;
+    if (isClassType(node.returnType) && symbol && symbol.kind === 'variable' && !symbol.global) {
+        return symbol.destructible ? `__release(__scope, ${jsName(value.name)})` : jsName(value.name);
+    }
+    return generateValue(value, node.returnType);
+}
+
+function generateFunctionBody(node, boxParams = true) {
+    // Objects passed by value are the function's own copies
+    const params = (node.params || []).filter(p => !p.type.reference && isDestructible(p.type));
+    let code = boxParams ? generateParamBoxes(node) : '';
+    code += params.map(p => `__scope.push(${jsName(p.name)});\n`).join('');
+    code += generateJS(node.body.body, false);
+    // Falling off the end of main returns 0; of any other function that
+    // returns a value, it is an error, as in the wasm backend
+    const type = node.returnType;
+    if (type && !(type.name === 'void' && type.pointer === 0) && !(node.name === 'main' && !node.className)) {
+        code += `throw new Error(${JSON.stringify(`Function '${node.name}' ended without returning a value`)});
+`;
+    }
+    // Each call takes a step and a frame of the call-depth limit
+    const body = wrapScope(code, params.length > 0 || hasDestructibles(node.body.body));
+    return `__machine.enter(${JSON.stringify(node.frameName)});\n` + generateGuarded(body, `__machine.leave();\n`);
+}
+
+// Parameters whose address is taken move into a box, like such variables
+function generateParamBoxes(node) {
+    return (node.params || [])
+        .filter(p => p.symbol && p.symbol.boxed)
+        .map(p => `${jsName(p.name)} = [${jsName(p.name)}];\n`)
+        .join('');
+}
+
+function hasDestructibles(statements) {
+    return statements.some(node => node.type === "declaration" ? node.destructible
+        : node.type === "declarationList" && node.declarations.some(decl => decl.destructible));
+}
+
+// Objects with destructors are pushed onto __scope as they are
+// constructed and destroyed in reverse order however the scope is left.
+function wrapScope(code, destructible) {
+    if (!destructible) return code;
+    return `const __scope = [];\n` + generateGuarded(code, `__destroy(__scope);\n`);
+}
+
+// Cleanup that must run when `code` is left early by return, break or
+// continue. An error is recorded first, so the cleanup sees the program
+// has failed and the line it failed on is kept.
+function generateGuarded(code, cleanup) {
+    return `try {\n${code}} catch (__e) {\nthrow __machine.fault(__e);\n} finally {\n${cleanup}}\n`;
+}
+
+// Statements that record their line for runtime error reports
+const STATEMENTS = [
+    'declaration', 'declarationList', 'delete', 'input', 'print', 'if', 'while', 'doWhile', 'for',
+    'rangeFor', 'switch', 'return', 'expression'
+];
+
+// The source line of a statement. Lines in an included header also name it.
+// The runtime and the streams and machine a program runs with; the
+// program's stdin is arguments[0], its limits arguments[1] and the function
+// its output streams to, if any, arguments[2]
+function generatePrelude() {
+    let code = runtimeSource();
+    // User code may declare its own String or Math, so the code generated
+    // into it reaches the built-ins through names of their own
+    code += "const __String = String, __Number = Number, __Boolean = Boolean, __Math = Math;\n";
+    code += "const __cin = __openInput(arguments[0]);\n";
+    code += "let __outputs = [];\n";
+    code += "const __cout = __openOutput();\n";
+    code += "const __random = __seedRandom(1);\n";
+    code += "const __machine = new __Machine(arguments[1], __outputs, arguments[2] || null);\n";
+    return code;
+}
+
+function generateLine(node) {
+    const line = node.loc.start.line;
+    return node.loc.file ? JSON.stringify(`${node.loc.file}:${line}`) : String(line);
+}
+
+// --- Debug instrumentation ---
+// The type of a variable as the debugger's value formatter reads it
+function debugType(type) {
+    const value = valueTypeOf(type);
+    return {
+        text: typeToString(type),
+        name: value.name,
+        pointer: value.pointer,
+        dims: value.dims.length,
+        args: (value.args || []).map(debugType)
+    };
+}
+
+function debugVariable(symbol) {
+    const read = generateExpression({ type: 'identifier', name: symbol.name, symbol });
+    return `[${JSON.stringify(symbol.name)}, ${JSON.stringify(debugType(symbol.type))}, () => ${read}]`;
+}
+
+// Tells the debugger the statement is about to run and what it can see.
+// Inside a member function the object's fields show as `*this`.
+function generateDebugStep(node) {
+    const visible = node.visible || { locals: [], globals: [], self: null };
+    const locals = visible.locals.map(debugVariable);
+    if (visible.self) {
+        const self = debugType(makeType(visible.self.name));
+        locals.unshift(`["*this", ${JSON.stringify(self)}, () => this]`);
+    }
+    const globals = visible.globals.map(debugVariable);
+    return `__machine.step(${generateLine(node)}, ${node.loc.start.column}, [${locals.join(', ')}], [${globals.join(', ')}])`;
+}
+
+// The fields of every class, so objects can be shown field by field
+function generateDebugClasses() {
+    const classes = {};
+    for (const [name, symbol] of classSymbols) {
+        classes[name] = symbol.fields
+            .filter(field => !field.type.isStatic)
+            .map(field => [field.name, debugType(field.type)]);
+    }
+    return JSON.stringify(classes);
+}
+
+// Each loop iteration takes a step, charged before its condition
+function generateTick(node) {
+    return `__machine.tick(${generateLine(node)})`;
+}
+
+// cin reads each variable according to its declared type.
+const INPUT_READERS = {
+    int: '__readInt',
+    double: '__readDouble',
+    float: '__readDouble',
+    bool: '__readBool',
+    char: '__readChar',
+    string: '__readWord'
+};
+
+// Stores what cin reads into `target`. Once a read has failed, the readers
+// leave their variable as it is.
+function generateRead(target) {
+    return generateStore(target, `${INPUT_READERS[target.resolvedType.name]}(${generateExpression(target)})`);
+}
+
+// Initial value for a variable declared without an initializer. C++ leaves
+// locals indeterminate; zero is the friendliest indeterminate value.
+// Containers start out empty.
+function defaultValue(type) {
+    if (type.pointer > 0) return 'null';
+    if (isContainer(type)) {
+        switch (type.name) {
+            case 'map': return 'new __Map()';
+            case 'set': return 'new __Set()';
+            case 'pair': return `new __Pair(${generateDefault(type.args[0])}, ${generateDefault(type.args[1])})`;
+            default: return '[]';
+        }
+    }
+    if (type.name === 'string') return '""';
+    if (type.name === 'bool') return 'false';
+    if (isArithmetic(type)) return '0';
+    return null;
+}
+
+// Wrap `code` (an expression of type `from`) so it yields a value of type
+// `to`, applying the implicit conversions C++ performs between arithmetic
+// types. ints are 32-bit and chars are signed 8-bit character codes.
+function convertValue(code, from, to) {
+    if (from && from.pointer > 0 && to.name === 'bool' && to.pointer === 0) return `(${code} !== null)`;
+    if (!from || from.pointer > 0 || to.pointer > 0) return code;
+    switch (to.name) {
+        case 'int':
+            if (from.name === 'double' || from.name === 'float') return `__toInt(${code})`;
+            if (from.name === 'bool') return `__Number(${code})`;
+            return code;
+        case 'char':
+            return from.name === 'char' ? code : `__toChar(${code})`;
+        case 'bool':
+            return from.name === 'bool' ? code : `__Boolean(${code})`;
+        case 'float':
+            return from.name === 'float' ? code : `__Math.fround(${code})`;
+        case 'double':
+            return from.name === 'bool' ? `__Number(${code})` : code;
+        case 'string':
+            return from.name === 'char' ? `__strChar(${code})` : code;
+        default:
+            return code;
+    }
+}
+
+// One `<< part` of a cout statement. Manipulators update the stream state;
+// values are formatted by type and padded to the current width. bools print
+// as 0/1 and chars as the character rather than its code.
+function generateOutput(expr) {
+    if (expr.manipulator) {
+        const arg = expr.args ? generateExpression(expr.args[0]) : null;
+        switch (expr.manipulator) {
+            case 'fixed': return `__cout.fixed = true`;
+            case 'left': return `__cout.left = true`;
+            case 'right': return `__cout.left = false`;
+            case 'setw': return `__cout.width = ${arg}`;
+            case 'setprecision': return `__cout.precision = ${arg}`;
+            case 'setfill': return `__cout.fill = __strChar(${arg})`;
+        }
+    }
+    // endl is not padded by setw
+    if (expr.type === 'literal' && expr.raw === 'endl') return `__outputs.push("\\n")`;
+
+    const code = generateExpression(expr);
+    const type = expr.resolvedType;
+    // char* prints the string it points to, other pointers an address
+    if (type.pointer === 1 && type.name === 'char') {
+        return `__print(__ptrCString(${code}, ${JSON.stringify(describeExpression(expr))}))`;
+    }
+    if (type.pointer > 0) return `__print(__ptrText(${code}))`;
+    if (type.pointer === 0 && type.name === 'bool') return `__print(${code} ? "1" : "0")`;
+    if (type.pointer === 0 && type.name === 'char') return `__print(__strChar(${code}))`;
+    if (type.pointer === 0 && (type.name === 'double' || type.name === 'float')) return `__print(__formatDouble(${code}))`;
+    return `__print(__String(${code}))`;
+}
+
+// `left`, when given, is code for the left operand already evaluated, as a
+// compound assignment has it
+function generateBinary(expr, left = generateExpression(expr.left)) {
+    const op = expr.operator;
+    let right = generateExpression(expr.right);
+    const type = expr.resolvedType;
+
+    if (expr.compare) {
+        return `(__compare(${left}, ${right}) ${op} 0)`;
+    }
+
+    const isPointer = (operand) => operand.resolvedType.pointer > 0 || isArray(operand.resolvedType) ||
+        isNullPointer(operand.resolvedType);
+    if (isPointer(expr.left) || isPointer(expr.right)) {
+        const pointer = generatePointerArithmetic(expr, left);
+        if (pointer !== null) return pointer;
+    }
+
+    if (op === '&&' || op === '||') {
+        return `(__Boolean(${left}) ${op} __Boolean(${right}))`;
+    }
+
+    if (isString(type)) {
+        if (expr.left.resolvedType.name === 'char') left = `__String.fromCharCode(${left} & 255)`;
+        if (expr.right.resolvedType.name === 'char') right = `__String.fromCharCode(${right} & 255)`;
+        return `(${left} + ${right})`;
+    }
+
+    if (type.name === 'int' && type.pointer === 0) {
+        switch (op) {
+            case '*': return `__Math.imul(${left}, ${right})`;
+            case '/': return `__idiv(${left}, ${right})`;
+            case '%': return `__imod(${left}, ${right})`;
+            case '+':
+            case '-': return `((${left} ${op} ${right}) | 0)`;
+        }
+    }
+
+    if (type.name === 'float' && type.pointer === 0) {
+        return `__Math.fround(${left} ${op} ${right})`;
+    }
+
+    return `(${left} ${op} ${right})`;
+}
+
+// Pointer arithmetic and comparison, or null for other operators on
+// pointers (&& and ||)
+function generatePointerArithmetic(expr, leftCode) {
+    const op = expr.operator;
+    const left = isArray(expr.left.resolvedType) ? `new __Ptr(${leftCode}, 0)` : leftCode;
+    const right = generatePointer(expr.right);
+    const leftIsPointer = decay(expr.left.resolvedType).pointer > 0;
+    const rightIsPointer = decay(expr.right.resolvedType).pointer > 0;
+    switch (op) {
+        case '+':
+            return leftIsPointer ? `__ptrAdd(${left}, ${right})` : `__ptrAdd(${right}, ${left})`;
+        case '-':
+            return rightIsPointer ? `__ptrDiff(${left}, ${right})` : `__ptrAdd(${left}, -(${right}))`;
+        case '==':
+            return `__ptrEqual(${left}, ${right})`;
+        case '!=':
+            return `(!__ptrEqual(${left}, ${right}))`;
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            return `(__ptrDiff(${left}, ${right}) ${op} 0)`;
+        default:
+            return null;
+    }
+}
+
+function generateUnary(expr) {
+    const op = expr.operator;
+    if (op === '&') return generateAddress(expr.operand);
+    if (op === '*') {
+        if (expr.operand.type === 'this') return 'this';
+        return `__deref(${generatePointer(expr.operand)}, ${JSON.stringify(describeExpression(expr.operand))}).value`;
+    }
+    const operand = generateExpression(expr.operand);
+    const type = expr.operand.resolvedType;
+
+    // Pointers step by whole elements
+    if ((op === '++' || op === '--') && type.pointer > 0) {
+        const update = generateStore(expr.operand, `__ptrAdd(${operand}, ${op === '++' ? 1 : -1})`);
+        return expr.prefix ? update : `[${operand}, ${update}][0]`;
+    }
+
+    if (op === '++' || op === '--') {
+        // Variables wrap on overflow like any other int or char arithmetic.
+        // A postfix update yields the old value by undoing the step.
+        const wraps = expr.operand.type === 'identifier' && type.pointer === 0 &&
+            (type.name === 'int' || type.name === 'char');
+        if (!wraps) {
+            return expr.prefix ? `(${op}${operand})` : `(${operand}${op})`;
+        }
+        const step = op[0];
+        const undo = step === '+' ? '-' : '+';
+        if (type.name === 'int') {
+            const update = `(${operand} = (${operand} ${step} 1) | 0)`;
+            return expr.prefix ? update : `((${update} ${undo} 1) | 0)`;
+        }
+        const update = `(${operand} = __toChar(${operand} ${step} 1))`;
+        return expr.prefix ? update : `__toChar(${update} ${undo} 1)`;
+    }
+
+    if (op === '-' && expr.resolvedType.name === 'int') {
+        return `((-${operand}) | 0)`;
+    }
+    return `(${op}${operand})`;
+}
+
+// Arrays are nested JavaScript arrays, created at their declared size with
+// every element zeroed, then filled from the initializer list if there is one.
+function generateArray(type, initializer, ctor) {
+    const dims = type.dims.map(generateExpression).join(', ');
+    // Each element of an array of objects or containers is created separately
+    const elementType = { ...type, dims: [] };
+    const fill = ctor ? `() => ${generateConstructorCall(ctor, [])}`
+        : isContainer(elementType) ? `() => ${defaultValue(elementType)}` : defaultValue(elementType);
+    if (initializer === null) {
+        return `__makeArray([${dims}], ${fill})`;
+    }
+    return `__arrayFrom([${dims}], ${generateInitializerList(initializer, type)}, ${fill})`;
+}
+
+function generateInitializerList(list, type) {
+    const elementType = elementTypeOf(type);
+    const elements = list.elements.map(element => {
+        if (element.type !== 'initList') return generateValue(element, elementType);
+        return isArray(elementType) ? generateInitializerList(element, elementType) : generateInitializerFor(elementType, element);
+    });
+    return `[${elements.join(', ')}]`;
+}
+
+// Reconstruct C++ source text for an expression, for use in runtime
+// error messages.
+function describeExpression(expr) {
+    switch (expr.type) {
+        case "literal":
+            return expr.raw;
+        case "identifier":
+            return expr.qualifier ? `${expr.qualifier}::${expr.name}` : expr.name;
+        case "binary":
+            return `${describeExpression(expr.left)} ${expr.operator} ${describeExpression(expr.right)}`;
+        case "unary":
+            return expr.prefix
+                ? `${expr.operator}${describeExpression(expr.operand)}`
+                : `${describeExpression(expr.operand)}${expr.operator}`;
+        case "assignment":
+            return `${describeExpression(expr.target)} ${expr.operator} ${describeExpression(expr.value)}`;
+        case "conditional":
+            return `${describeExpression(expr.condition)} ? ${describeExpression(expr.consequent)} : ${describeExpression(expr.alternate)}`;
+        case "comma":
+            return `${describeExpression(expr.left)}, ${describeExpression(expr.right)}`;
+        case "cast":
+            if (expr.style === 'static_cast') return `static_cast<${typeToString(expr.varType)}>(${describeExpression(expr.operand)})`;
+            if (expr.style === 'functional') return `${typeToString(expr.varType)}(${describeExpression(expr.operand)})`;
+            return `(${typeToString(expr.varType)})${describeExpression(expr.operand)}`;
+        case "sizeof":
+            return expr.varType ? `sizeof(${typeToString(expr.varType)})` : `sizeof ${describeExpression(expr.operand)}`;
+        case "call":
+            return `${describeExpression(expr.callee)}(${expr.args.map(describeExpression).join(', ')})`;
+        case "member":
+            return `${describeExpression(expr.object)}${expr.arrow ? '->' : '.'}${expr.property}`;
+        case "index":
+            return `${describeExpression(expr.object)}[${describeExpression(expr.index)}]`;
+        case "this":
+            return "this";
+        case "read":
+            return `cin >> ${expr.inputs.map(describeExpression).join(' >> ')}`;
+        default:
+            return expr.type;
+    }
+}
+
+// x op= y stores x op y into x. A target with side effects of its own, as
+// in a[i++] += 2, is evaluated once, to a pointer to what it names.
+function generateCompoundAssignment(expr) {
+    const target = expr.target;
+    const update = (current) => convertValue(generateBinary(expr.operation, current), expr.operation.resolvedType, target.resolvedType);
+    if (!hasSideEffects(target)) return generateStore(target, update(generateExpression(target)));
+    if (target.type === 'index' && isString(target.object.resolvedType)) {
+        throw new CompileError(`'${expr.operator}' on a character of a string chosen by an expression with side effects is not supported`, expr.loc);
+    }
+    return `((__p) => __p.value = ${update('__p.value')})(${generateAddress(target)})`;
+}
+
+// Whether evaluating `expr` could change anything or give a different
+// result a second time
+function hasSideEffects(expr) {
+    switch (expr.type) {
+        case 'assignment':
+        case 'call':
+        case 'new':
+            return true;
+        case 'unary':
+            return expr.operator === '++' || expr.operator === '--' || hasSideEffects(expr.operand);
+        case 'binary':
+        case 'comma':
+            return hasSideEffects(expr.left) || hasSideEffects(expr.right);
+        case 'conditional':
+            return hasSideEffects(expr.condition) || hasSideEffects(expr.consequent) || hasSideEffects(expr.alternate);
+        case 'member':
+            return hasSideEffects(expr.object);
+        case 'index':
+            return hasSideEffects(expr.object) || hasSideEffects(expr.index);
+        case 'cast':
+            return hasSideEffects(expr.operand);
+        default:
+            return false;
+    }
+}
+
+// Code that stores `value` into the lvalue `target`. Strings are immutable
+// JavaScript strings, so writing one character rebuilds the whole string.
+function generateStore(target, value) {
+    if (target.type === 'index' && isString(target.object.resolvedType)) {
+        const object = generateExpression(target.object);
+        const label = JSON.stringify(describeExpression(target.object));
+        return generateStore(target.object, `__strSet(${object}, ${generateExpression(target.index)}, ${value}, ${label})`);
+    }
+    return `(${generateExpression(target)} = ${value})`;
+}
+
+// Calls to library functions and string and cin members go to their runtime
+// helper. Arguments the function writes to are passed as setters, and
+// mutating string members store their result back into the string.
+function generateLibraryCall(expr) {
+    const spec = expr.library;
+    if (expr.paramTypes) return generateContainerCall(expr);
+    const args = [];
+    expr.args.forEach((arg, k) => {
+        const kind = spec.params[k];
+        if (kind === 'istream') return;
+        if (kind.endsWith('&')) {
+            if (spec.readsRefs) args.push(generateExpression(arg));
+            args.push(`(__v) => ${generateStore(arg, '__v')}`);
+            return;
+        }
+        if (kind === 'iterator') {
+            args.push(generateValue(arg, decay(arg.resolvedType)));
+            return;
+        }
+        if (kind === 'element' || kind === 'compare') {
+            const iterator = decay(expr.args[0].resolvedType);
+            const element = { ...iterator, pointer: iterator.pointer - 1, isConst: false };
+            args.push(kind === 'element' ? generateValue(arg, element) : generateComparator(arg.symbol, element));
+            return;
+        }
+        const type = kindType(kind);
+        args.push(generateValue(arg, type || valueTypeOf(arg.resolvedType)));
+    });
+    if (spec.typed) {
+        args.push(JSON.stringify(expr.args[0].resolvedType.name));
+    }
+
+    // cin's members read the one input stream there is
+    const object = expr.callee.object;
+    if (expr.callee.type !== 'member' || object.name === 'cin') {
+        return `${spec.helper}(${args.join(', ')})`;
+    }
+    const call = `${spec.helper}(${[generateExpression(object), ...args].join(', ')})`;
+    return spec.mutates ? generateStore(object, call) : call;
+}
+
+// The function a library call compares elements with, given two elements
+// and passing them as its parameters take them
+function generateComparator(symbol, element) {
+    const args = ['__a', '__b'].map((name, k) => {
+        const type = symbol.params[k].type;
+        const value = convertValue(name, element, valueTypeOf(type));
+        if (isScalarReference(type)) return `new __Ptr([${value}], 0)`;
+        return type.reference ? value : generateCopy(value, type);
+    });
+    return `(__a, __b) => ${jsName(symbol.mangled)}(${args.join(', ')})`;
+}
+
+// Container members take the container, which they modify in place.
+// Members giving access to an element return its position or map entry,
+// which the element is then read from so that it can also be assigned.
+function generateContainerCall(expr, address = false) {
+    const spec = expr.library;
+    const object = expr.callee.object;
+    const args = expr.args.map((arg, k) => generateValue(arg, expr.paramTypes[k]));
+    if (spec.fills) {
+        const fillType = expr.paramTypes[spec.params.length - 1];
+        args[spec.params.length - 1] = args.length < spec.params.length
+            ? `() => ${generateDefault(fillType)}`
+            : `__fillWith(${args[spec.params.length - 1]}, ${generateCopier(fillType)})`;
+    }
+    if (spec.element === 'index' && !isLvalue(object)) {
+        // A temporary container is only evaluated once
+        const element = address ? 'new __Ptr(__c, __k)' : '__c[__k]';
+        return `((__c, __k = ${spec.helper}(${['__c', ...args].join(', ')})) => ${element})(${generateExpression(object)})`;
+    }
+    const call = `${spec.helper}(${[generateExpression(object), ...args].join(', ')})`;
+    if (spec.element === 'index') {
+        return address ? `new __Ptr(${generateExpression(object)}, ${call})` : `${generateExpression(object)}[${call}]`;
+    }
+    if (spec.element === 'entry') return address ? `new __Ptr(${call}, "second")` : `${call}.second`;
+    return call;
+}
+
+// for (T x : range) walks a snapshot of the elements; x is a copy of each
+// unless it is a reference to the element.
+function generateRangeFor(node) {
+    const id = rangeLoops++;
+    const items = `__items${id}`;
+    const index = `__k${id}`;
+    const range = generateExpression(node.range);
+    const varType = node.symbol.type;
+    const element = node.rangeKind === 'string' ? `__strCode(${items}, ${index})` : `${items}[${index}]`;
+
+    let body = '';
+    if (isScalarReference(varType)) {
+        const target = node.rangeKind === 'string' ? `[${element}], 0` : `${items}, ${index}`;
+        body += `let ${jsName(node.name)} = new __Ptr(${target});\n`;
+    } else if (varType.reference) {
+        body += `let ${jsName(node.name)} = ${element};\n`;
+    } else {
+        const value = generateCopy(convertValue(element, node.elementType, varType), varType);
+        body += node.symbol.boxed ? `let ${jsName(node.name)} = [${value}];\n` : `let ${jsName(node.name)} = ${value};\n`;
+        if (isDestructible(varType)) body += `__scope.push(${jsName(node.name)});\n`;
+    }
+    body += generateJS([node.body], false);
+
+    let code = `{\nconst ${items} = ${node.rangeKind === 'container' ? `__elements(${range})` : range};\n`;
+    code += `for (let ${index} = 0; ${generateTick(node)} && ${index} < ${items}.length; ${index}++) {\n`;
+    code += wrapScope(body, !varType.reference && isDestructible(varType));
+    return code + `}\n}\n`;
+}
+
+// A JavaScript switch has the same fallthrough and break. The value is
+// compared as an int, which is what the analyzer made of each case label.
+function generateSwitch(node) {
+    const value = convertValue(generateExpression(node.discriminant), node.discriminant.resolvedType, makeType('int'));
+    let code = `switch (${value}) {\n`;
+    for (const caseNode of node.cases) {
+        code += caseNode.test === null ? `default:\n` : `case ${caseNode.value}:\n`;
+        code += generateJS(caseNode.body, false);
+    }
+    code += `}\n`;
+    const statements = node.cases.flatMap(caseNode => caseNode.body);
+    return `{\n${wrapScope(code, hasDestructibles(statements))}}\n`;
+}
+
+// m[key], which inserts a default value for a missing key
+function generateMapEntry(expr) {
+    const mapType = expr.object.resolvedType;
+    const key = generateValue(expr.index, mapType.args[0]);
+    return `__mapEntry(${generateExpression(expr.object)}, ${key}, () => ${generateDefault(mapType.args[1])})`;
+}
+
+function generateCall(expr) {
+    if (expr.library) return generateLibraryCall(expr);
+    if (expr.ctor) return generateConstructorCall(expr.ctor, expr.args);
+    const symbol = expr.callee.symbol;
+    const params = symbol ? symbol.params : [];
+    const args = withDefaults(expr.args, params).map((arg, k) => generateValue(arg, params[k] ? params[k].type : null));
+    // Functions go by their mangled names, which tell overloads apart
+    const callee = symbol && symbol.kind === 'function' ? jsName(symbol.mangled) : generateExpression(expr.callee);
+    return `${callee}(${args.join(', ')})`;
+}
+
+// The arguments of a call followed by the default values of the parameters
+// it leaves out
+function withDefaults(args, params) {
+    if (args.length >= params.length) return args;
+    return [...args, ...params.slice(args.length).map(param => param.default)];
+}
+
+function returnsScalarReference(call) {
+    const callee = call.callee.symbol;
+    return !call.library && callee !== undefined && (callee.kind === 'function' || callee.kind === 'method') &&
+        isScalarReference(callee.type);
+}
+
+// The object a `.` or `->` expression reads from. Pointers are checked
+// first; `this` is the object itself.
+function generateObject(member) {
+    if (!member.arrow) return generateExpression(member.object);
+    if (member.object.type === 'this') return 'this';
+    const label = JSON.stringify(describeExpression(member.object));
+    return `__deref(${generateExpression(member.object)}, ${label}).value`;
+}
+
+// Variables, parameters and fields, as opposed to functions and types
+function isStorage(symbol) {
+    return symbol.kind === 'variable' || symbol.kind === 'parameter' || symbol.kind === 'field';
+}
+
+// References to objects and containers are the shared object itself; any
+// other reference is a __Ptr to the value it refers to.
+function isScalarReference(type) {
+    if (!type.reference) return false;
+    const value = valueTypeOf(type);
+    return !isArray(value) && !isClassType(value) && !isContainer(value);
+}
+
+// An array used where a pointer is expected points to its first element
+function generatePointer(expr) {
+    const code = generateExpression(expr);
+    return isArray(expr.resolvedType) ? `new __Ptr(${code}, 0)` : code;
+}
+
+// A pointer to the storage the lvalue `expr` names, for &x and for
+// binding references
+function generateAddress(expr) {
+    const label = JSON.stringify(describeExpression(expr));
+    switch (expr.type) {
+        case "identifier": {
+            const symbol = expr.symbol;
+            const name = symbol.kind === 'field' ? `this.${expr.name}` : jsName(expr.name);
+            if (isScalarReference(symbol.type)) return name;
+            if (symbol.boxed) return `new __Ptr(${name}, 0)`;
+            if (symbol.kind === 'field') return `new __Ptr(this, ${JSON.stringify(expr.name)})`;
+            return `__addressOf(${name})`;
+        }
+        case "member":
+            if (expr.symbol && isStorage(expr.symbol) && isScalarReference(expr.symbol.type)) {
+                return `${generateObject(expr)}.${expr.property}`;
+            }
+            return `new __Ptr(${generateObject(expr)}, ${JSON.stringify(expr.property)})`;
+        case "index": {
+            const objectType = expr.object.resolvedType;
+            const object = generateExpression(expr.object);
+            const index = generateExpression(expr.index);
+            const objectLabel = JSON.stringify(describeExpression(expr.object));
+            if (isContainer(objectType) && objectType.name === 'map') return `new __Ptr(${generateMapEntry(expr)}, "second")`;
+            if (objectType.pointer > 0 && !isArray(objectType)) return `__deref(${object}, ${objectLabel}, ${index})`;
+            return `new __Ptr(${object}, __index(${object}, ${index}, ${objectLabel}))`;
+        }
+        case "unary":
+            if (expr.operand.type === 'this') return '__addressOf(this)';
+            return `__deref(${generatePointer(expr.operand)}, ${JSON.stringify(describeExpression(expr.operand))})`;
+        case "call":
+            if (expr.library && expr.library.element) return generateContainerCall(expr, true);
+            if (returnsScalarReference(expr)) return generateCall(expr);
+            return `__addressOf(${generateExpression(expr)})`;
+        default:
+            throw new CompileError(`Cannot take the address of ${label}`, expr.loc);
+    }
+}
+
+// A reference to a scalar points to its referent. A const reference may
+// also bind to a temporary, which then gets a box of its own.
+function generateReference(expr, type) {
+    const valueType = valueTypeOf(type);
+    if (isLvalue(expr) && sameType(valueType, expr.resolvedType)) return generateAddress(expr);
+    return `new __Ptr([${generateValue(expr, valueType)}], 0)`;
+}
+
+// Lower an expression tree to a fully parenthesized JavaScript expression.
+function generateExpression(expr) {
+    switch (expr.type) {
+        case "literal":
+            if (expr.valueType === "char") {
+                return String(__toChar(expr.value.charCodeAt(0)));
+            }
+            if (expr.valueType === "string") {
+                return JSON.stringify(expr.value);
+            }
+            return String(expr.value);
+
+        case "identifier":
+            if (expr.qualifier === 'string' && expr.name === 'npos') return '-1';
+            if (expr.constant) return expr.constant.value;
+            if (expr.symbol && expr.symbol.kind === 'method') return `this.${expr.name}`;
+            if (expr.symbol && isStorage(expr.symbol)) {
+                // Members named inside a member function belong to `this`
+                const name = expr.symbol.kind === 'field' ? `this.${expr.name}` : jsName(expr.name);
+                if (expr.symbol.boxed) return `${name}[0]`;
+                return isScalarReference(expr.symbol.type) ? `${name}.value` : name;
+            }
+            return jsName(expr.name);
+
+        case "this":
+            return "__addressOf(this)";
+
+        case "binary":
+            return generateBinary(expr);
+
+        case "unary":
+            return generateUnary(expr);
+
+        case "assignment": {
+            if (expr.operation) return generateCompoundAssignment(expr);
+            if (isClassType(expr.target.resolvedType)) {
+                return `${generateExpression(expr.target)}.__assign(${generateExpression(expr.value)})`;
+            }
+            if (isContainer(expr.target.resolvedType)) {
+                return `__assignInPlace(${generateExpression(expr.target)}, ${generateValue(expr.value, expr.target.resolvedType)})`;
+            }
+            const value = convertValue(generateExpression(expr.value), expr.value.resolvedType, expr.target.resolvedType);
+            return generateStore(expr.target, value);
+        }
+
+        case "conditional": {
+            const type = expr.resolvedType;
+            const branch = (side) => type.name === 'void' && type.pointer === 0 ? generateExpression(side) : generateValue(side, type);
+            const condition = convertValue(generateExpression(expr.condition), expr.condition.resolvedType, makeType('bool'));
+            return `(${condition} ? ${branch(expr.consequent)} : ${branch(expr.alternate)})`;
+        }
+
+        case "comma":
+            return `(${generateExpression(expr.left)}, ${generateExpression(expr.right)})`;
+
+        case "cast":
+            if (expr.resolvedType.name === 'void' && expr.resolvedType.pointer === 0) {
+                return `(${generateExpression(expr.operand)}, undefined)`;
+            }
+            return generateValue(expr.operand, expr.resolvedType);
+
+        case "read":
+            return `(${expr.inputs.map(generateRead).join(', ')}, !__cinFail())`;
+
+        case "sizeof":
+            // Only the length of a variable-length array is read
+            if (expr.size !== null) return String(expr.size);
+            return `__arrayBytes(${generateExpression(expr.operand)}, ${expr.operand.resolvedType.dims.length}, ${expr.elementSize})`;
+
+        case "call": {
+            const call = generateCall(expr);
+            return returnsScalarReference(expr) ? `${call}.value` : call;
+        }
+
+        case "member": {
+            const code = `${generateObject(expr)}.${expr.property}`;
+            return expr.symbol && isStorage(expr.symbol) && isScalarReference(expr.symbol.type) ? `${code}.value` : code;
+        }
+
+        case "index": {
+            // Every subscript is bounds-checked; the label names the array
+            // in the error message.
+            const object = generateExpression(expr.object);
+            const label = JSON.stringify(describeExpression(expr.object));
+            if (isString(expr.object.resolvedType)) {
+                return `__strAt(${object}, ${generateExpression(expr.index)}, ${label})`;
+            }
+            const objectType = expr.object.resolvedType;
+            if (isContainer(objectType) && objectType.name === 'map') {
+                return `${generateMapEntry(expr)}.second`;
+            }
+            if (objectType.pointer > 0 && !isArray(objectType)) {
+                return `__deref(${object}, ${label}, ${generateExpression(expr.index)}).value`;
+            }
+            return `${object}[__index(${object}, ${generateExpression(expr.index)}, ${label})]`;
+        }
+
+        case "initList":
+            return generateInitializerFor(expr.resolvedType, expr);
+
+        case "construct":
+            if (expr.list !== null) return generateInitializerFor(expr.varType, expr.list);
+            return generateConstruction(expr.varType, expr.args, null);
+
+        case "new": {
+            const type = makeType(expr.className);
+            if (expr.size !== null) {
+                const fill = expr.ctor ? `() => ${generateConstructorCall(expr.ctor, [])}` : defaultValue(type);
+                return `__newArray(__makeArray([${generateExpression(expr.size)}], ${fill}))`;
+            }
+            return `__new(${generateConstruction(type, expr.args || [], expr.ctor)})`;
+        }
+
+        default:
+            throw new CompileError(`Cannot generate code for expression '${expr.type}'`, expr.loc);
     }
 }
 
 // --- Main Driver ---
-function compileAndRun() {
+// The header box holds the files `#include "..."` can read. Each file starts
+// with a line of the form `// file: name.h`.
+function parseVirtualFiles(text) {
+    const files = {};
+    let name = null;
+    for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+        const header = /^\s*\/\/\s*file:\s*(\S+)\s*$/.exec(line);
+        if (header) {
+            name = header[1];
+            files[name] = '';
+        } else if (name !== null) {
+            files[name] += (files[name] === '' ? '' : '\n') + line;
+        }
+    }
+    return files;
+}
+
+// Preprocesses, tokenizes, parses and analyzes `code`, going as far as it
+// can: the preprocessor skips a bad directive, the parser recovers from
+// syntax errors and the tree it is left with is still analyzed. A program
+// without errors is then checked for warnings, those `warnings` maps to
+// false left out. Returns what each phase produced and every diagnostic in
+// source order.
+function compileFrontEnd(code, files = {}, warnings = {}) {
+    const result = { tokens: null, ast: null, analysis: null, diagnostics: [] };
+    const syntax = [];
+    const preprocessed = preprocess(code, files, syntax);
+    result.tokens = tokenize(preprocessed.code, preprocessed.lineMap, syntax);
+    result.ast = parseTokens(result.tokens, syntax);
+    result.analysis = analyze(result.ast);
+    const errors = [...syntax, ...result.analysis.errors];
+    result.diagnostics = sortDiagnostics(errors.length > 0 ? errors : checkWarnings(result.ast, warnings));
+    return result;
+}
+
+// The generated JavaScript for the program in the page, or the text of
+// the errors that stopped it compiling. `phases` keeps what each phase
+// produced, for the phase visualizer, and `diagnostics` lists every error
+// and warning.
+function compilePage(options = {}) {
     const code = document.getElementById("code").value;
     const userInput = document.getElementById("userInput").value;
-    const inputs = userInput.trim().split(/\s+/).filter(v => v.length > 0);
-
+    const files = parseVirtualFiles(document.getElementById("headers").value);
+    const front = compileFrontEnd(code, files, pageWarnings());
+    const phases = { tokens: front.tokens, ast: front.ast, analysis: front.analysis };
+    const diagnostics = front.diagnostics;
+    const failed = (list) => ({
+        code, files, userInput, phases, diagnostics: list,
+        errors: list.map(error => formatDiagnostic(error, code, files)).join("\n\n")
+    });
+    if (diagnostics.some(error => error.severity === 'error')) return failed(diagnostics);
+    const ast = front.ast;
     try {
-        const tokens = tokenize(code);
-        const ast = parseTokens(tokens);
-        const jsCode = generateJS(ast, inputs);
+        if (options.ir) {
+            return { code, files, userInput, phases, diagnostics, stages: optimizeIR(lowerToIR(ast)) };
+        }
+        if (options.backend === 'wasm') {
+            const module = generateWasm(ast);
+            return { code, files, userInput, phases, diagnostics, jsCode: generateWasmLoader(module), wat: printWat(module) };
+        }
+        const jsCode = phases.jsCode = generateJS(ast, true, options);
         console.log(jsCode); // For debugging
-        const output = runJS(jsCode, inputs);
-        document.getElementById("output").textContent = output;
+        return { code, files, userInput, phases, diagnostics, jsCode };
     } catch (e) {
-        document.getElementById("output").textContent = "Error: " + e.message;
+        if (e instanceof CompileError && !e.code) e.code = 'codegen';
+        return failed([...diagnostics, e]);
+    }
+}
+
+function pageLimits() {
+    return {
+        maxSteps: Number(document.getElementById("maxSteps").value) || DEFAULT_LIMITS.maxSteps,
+        maxDepth: Number(document.getElementById("maxDepth").value) || DEFAULT_LIMITS.maxDepth,
+        timeout: Number(document.getElementById("timeout").value) || DEFAULT_LIMITS.timeout
+    };
+}
+
+// The output followed by the runtime error, if there was one
+function formatOutput(stdout, error, code, files) {
+    if (!error) return stdout;
+    const separator = stdout !== "" && !stdout.endsWith("\n") ? "\n" : "";
+    return stdout + separator + formatRuntimeError(error, code, files);
+}
+
+function compileAndRun() {
+    const output = document.getElementById("output");
+    const status = document.getElementById("status");
+    stopConsole();
+    status.textContent = "";
+
+    const compiled = compilePage({ backend: document.getElementById("backend").value });
+    const wat = document.getElementById("wat");
+    wat.hidden = compiled.wat === undefined;
+    document.getElementById("watCode").textContent = compiled.wat || "";
+    // Warnings are listed with the errors when there are any
+    const warnings = document.getElementById("warnings");
+    const warned = compiled.errors ? [] : compiled.diagnostics;
+    warnings.hidden = warned.length === 0;
+    warnings.textContent = warned.map(warning => formatDiagnostic(warning, compiled.code, compiled.files)).join("\n\n");
+    if (compiled.errors) {
+        output.textContent = compiled.errors;
+        return;
     }
-}
\ No newline at end of file
+
+    // Output shows as it is printed. In the console, cin waits for lines
+    // typed as the program runs; otherwise it reads the input box.
+    const button = document.getElementById("run");
+    button.disabled = true;
+    output.textContent = "";
+    status.textContent = "Running...";
+    const print = (text) => { output.textContent += text; };
+    const run = document.getElementById("inputMode").value === "console"
+        ? runInConsole(compiled.jsCode, pageLimits(), print)
+        : runProgram(compiled.jsCode, compiled.userInput, pageLimits(), print);
+    run.then(result => {
+        output.textContent = formatOutput(output.textContent, result.error, compiled.code, compiled.files);
+        status.textContent = `Process exited with code ${result.exitCode}`;
+        button.disabled = false;
+    });
+}
@@ -0,0 +1,73 @@
+// --- Console ---
+// Runs a program in the output box as though in a terminal: its output
+// appears as it is printed and, when cin needs more input than has been
+// typed, the line under the output box asks for the next line. Entered
+// lines are echoed into the output the way a terminal echoes them. Ctrl-D
+// or End Input ends the input, after which reads fail at end of file.
+
+// The line the running program is waiting for: { resolve, reject } for
+// the promise readLine() gave it, or null when it is not waiting
+let consoleWaiting = null;
+
+// Resolves to the result as runInteractive() gives it
+function runInConsole(jsCode, limits, onOutput) {
+    stopConsole();
+    const readLine = () => new Promise((resolve, reject) => {
+        consoleWaiting = { resolve, reject };
+        showConsoleInput(true);
+    });
+    return runInteractive(jsCode, limits, onOutput, readLine).then(result => {
+        showConsoleInput(false);
+        return result;
+    }, () => new Promise(() => {}));
+}
+
+// Abandons a program waiting for input: refusing its line stops it, and
+// its run never finishes
+function stopConsole() {
+    if (consoleWaiting !== null) consoleWaiting.reject(new Error('The program was stopped'));
+    consoleWaiting = null;
+    showConsoleInput(false);
+}
+
+// While the program waits, it can also be left for a new run
+function showConsoleInput(waiting) {
+    document.getElementById("console").hidden = !waiting;
+    document.getElementById("status").textContent = waiting ? "Waiting for input..." : "Running...";
+    document.getElementById("run").disabled = !waiting;
+    if (waiting) document.getElementById("consoleInput").focus();
+}
+
+function sendConsoleLine(line) {
+    if (consoleWaiting === null) return;
+    const { resolve } = consoleWaiting;
+    consoleWaiting = null;
+    if (line !== null) document.getElementById("output").textContent += `${line}\n`;
+    showConsoleInput(false);
+    resolve(line);
+}
+
+function consoleKey(event) {
+    const input = event.target;
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        const line = input.value;
+        input.value = '';
+        sendConsoleLine(line);
+    } else if (event.key === 'd' && event.ctrlKey) {
+        event.preventDefault();
+        endConsoleInput();
+    }
+}
+
+function endConsoleInput() {
+    const input = document.getElementById("consoleInput");
+    // Text typed but not yet entered goes first
+    if (input.value !== '') {
+        const line = input.value;
+        input.value = '';
+        sendConsoleLine(line);
+        return;
+    }
+    sendConsoleLine(null);
+}
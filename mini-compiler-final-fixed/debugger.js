@@ -0,0 +1,225 @@
+// --- Debugger ---
+// A debug run records every statement the program executes (see
+// __Machine.step()), then the debugger replays that trace: stepping and
+// running to a breakpoint move through the recorded events, each of which
+// holds the line, the call depth and the output so far. The call stack and
+// the variables in scope at a stop come from running the program again as
+// far as that event, which reads the same input and so does the same.
+
+// Breakpoints survive between sessions, as "file:line" with an empty file
+// for the main source
+const breakpoints = new Set();
+
+let session = null;
+
+function breakpointKey(file, line) {
+    return `${file || ''}:${line}`;
+}
+
+function startDebugging() {
+    const output = document.getElementById("output");
+    const status = document.getElementById("status");
+    const compiled = compilePage({ debug: true });
+    if (compiled.errors) {
+        output.textContent = compiled.errors;
+        status.textContent = "";
+        return;
+    }
+
+    const button = document.getElementById("debug");
+    button.disabled = true;
+    output.textContent = "";
+    status.textContent = "Recording...";
+    const limits = { ...pageLimits(), debug: true };
+    runProgram(compiled.jsCode, compiled.userInput, limits).then(result => {
+        button.disabled = false;
+        status.textContent = "";
+        // A run stopped from outside records no trace
+        const trace = result.trace || [];
+        session = { ...compiled, limits, result, trace, index: firstStop(trace), snapshot: null };
+        document.getElementById("debugger").hidden = false;
+        showStop();
+    });
+}
+
+// The call stack and the variables at event `index` of a debug run's trace,
+// or null if the run does not get there again
+function takeSnapshot(jsCode, input, limits, index) {
+    return runProgram(jsCode, input, { ...limits, debug: true, snapshotAt: index })
+        .then(result => result.snapshot || null);
+}
+
+// Shows the session's stop once its snapshot is in. A step taken in the
+// meantime moves on, and the snapshot is dropped.
+function showStop() {
+    const index = session.index;
+    if (index >= session.trace.length) {
+        session.snapshot = null;
+        renderDebugger();
+        return;
+    }
+    const current = session;
+    takeSnapshot(current.jsCode, current.userInput, current.limits, index).then(snapshot => {
+        if (session !== current || current.index !== index) return;
+        current.snapshot = snapshot;
+        renderDebugger();
+    });
+}
+
+function stopDebugging() {
+    session = null;
+    document.getElementById("debugger").hidden = true;
+}
+
+// The first breakpoint hit, or else where the program starts
+function firstStop(trace) {
+    const starts = stopStarts(trace);
+    const hit = trace.findIndex((event, k) => isBreakpoint(event) && starts[k]);
+    return hit >= 0 ? hit : 0;
+}
+
+function isBreakpoint(event) {
+    return breakpoints.has(breakpointKey(event.file, event.line));
+}
+
+// Whether each event starts a stop of its own. A statement that runs after
+// one earlier on the same line, in the same call and with nothing but
+// calls in between, as for two statements on one line, shares its stop.
+// A statement that runs again, as a one-line loop body does each time
+// round, starts a new one.
+function stopStarts(trace) {
+    // The last event at each call depth, cleared as the call returns
+    const last = [];
+    return trace.map(event => {
+        const previous = last[event.depth];
+        last.length = event.depth;
+        last[event.depth] = event;
+        return !(previous && previous.line === event.line && previous.file === event.file
+            && previous.column < event.column);
+    });
+}
+
+// The index of the event where a step from the event at index ends;
+// trace.length is the end of the program. Step into stops at the next line
+// run anywhere, step over at the next one in this call or its callers, step
+// out once this call returns. Returning from a call stops mid-line in the
+// caller, the way it does in gdb.
+function nextStop(trace, index, mode) {
+    const starts = stopStarts(trace);
+    const current = trace[index];
+    for (let k = index + 1; k < trace.length; k++) {
+        const event = trace[k];
+        const stops = starts[k] || event.depth < current.depth;
+        switch (mode) {
+            case 'into':
+                if (stops) return k;
+                break;
+            case 'over':
+                if (event.depth <= current.depth && stops) return k;
+                break;
+            case 'out':
+                if (event.depth < current.depth) return k;
+                break;
+            case 'continue':
+                if (isBreakpoint(event) && starts[k]) return k;
+                break;
+        }
+    }
+    return trace.length;
+}
+
+function debugStep(mode) {
+    if (!session || session.index >= session.trace.length) return;
+    session.index = nextStop(session.trace, session.index, mode);
+    showStop();
+}
+
+function debugRestart() {
+    if (!session) return;
+    session.index = firstStop(session.trace);
+    showStop();
+}
+
+function toggleBreakpoint(file, line) {
+    const key = breakpointKey(file, line);
+    if (breakpoints.has(key)) breakpoints.delete(key);
+    else breakpoints.add(key);
+    renderDebugger();
+}
+
+function renderDebugger() {
+    const { trace, result } = session;
+    const finished = session.index >= trace.length;
+    const event = finished ? null : trace[session.index];
+
+    let state;
+    if (finished) {
+        state = `Program finished with exit code ${result.exitCode}`;
+        if (result.truncated) state += ` (only the first ${trace.length} statements were recorded)`;
+    } else {
+        state = `Paused at ${event.file ? `${event.file}: ` : ''}line ${event.line}`;
+    }
+    document.getElementById("debugState").textContent = state;
+    for (const button of document.querySelectorAll("#debugger .debug-step")) {
+        button.disabled = finished;
+    }
+
+    // The source shown is the file the program is paused in
+    const file = event ? event.file : null;
+    const text = file ? session.files[file] : session.code;
+    renderSource(text === undefined ? '' : text, file, event ? event.line : null);
+
+    const snapshot = event ? session.snapshot : null;
+    const stack = document.getElementById("debugStack");
+    stack.innerHTML = '';
+    if (snapshot) {
+        const frames = snapshot.stack.length > 0 ? [...snapshot.stack].reverse()
+            : [{ name: '<global initialization>', line: event.line, file: event.file }];
+        for (const frame of frames) {
+            const item = document.createElement("li");
+            item.textContent = `${frame.name}  ${frame.file ? `${frame.file}:` : 'line '}${frame.line}`;
+            stack.appendChild(item);
+        }
+    }
+    renderVariables(document.getElementById("debugLocals"), snapshot ? snapshot.locals : []);
+    renderVariables(document.getElementById("debugGlobals"), snapshot ? snapshot.globals : []);
+
+    const output = finished ? formatOutput(result.stdout, result.error, session.code, session.files)
+        : result.stdout.slice(0, event.output);
+    document.getElementById("output").textContent = output;
+}
+
+function renderSource(text, file, currentLine) {
+    const source = document.getElementById("debugSource");
+    source.innerHTML = '';
+    text.replace(/\r\n/g, '\n').split('\n').forEach((lineText, k) => {
+        const line = k + 1;
+        const row = document.createElement("div");
+        row.className = "debug-line";
+        if (breakpoints.has(breakpointKey(file, line))) row.classList.add("breakpoint");
+        if (line === currentLine) row.classList.add("current");
+
+        const gutter = document.createElement("span");
+        gutter.className = "debug-gutter";
+        gutter.textContent = line;
+        gutter.title = "Toggle breakpoint";
+        gutter.onclick = () => toggleBreakpoint(file, line);
+
+        const code = document.createElement("span");
+        code.textContent = lineText;
+        row.append(gutter, code);
+        source.appendChild(row);
+    });
+    const current = source.querySelector(".current");
+    if (current) current.scrollIntoView({ block: "nearest" });
+}
+
+function renderVariables(table, variables) {
+    table.innerHTML = '';
+    for (const variable of variables) {
+        const row = table.insertRow();
+        row.insertCell().textContent = variable.name;
+        row.insertCell().textContent = variable.type;
+        row.insertCell().textContent = variable.value;
+    }
+}
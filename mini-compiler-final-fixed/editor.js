@@ -0,0 +1,442 @@
+// --- Code Editor ---
+// The code textarea stays where text is typed and selected, but its own
+// text is transparent: a <pre> underneath shows the same text coloured by
+// the tokenizer's token types, with diagnostics underlined and the bracket
+// at the caret matched, and a gutter beside it numbers the lines. A moment
+// after typing stops the front end runs again, so errors and warnings show
+// before Compile & Run, and the names in its symbol table are offered for
+// completion along with the keywords. Tab indents, so to leave the editor
+// from the keyboard press Escape and then Tab, or Ctrl+M to have Tab move
+// focus until Ctrl+M is pressed again.
+
+const EDITOR_INDENT = '    ';
+const EDITOR_CHECK_DELAY = 300;
+const COMPLETION_LIMIT = 8;
+
+// What the last check found: the diagnostics in the main file and the
+// names it declares
+let editorDiagnostics = [];
+let editorNames = [];
+let editorTypes = [];
+let editorTimer = null;
+// The open completion list: the word it completes, from `start` to the
+// caret, its candidates and the one selected; null when closed
+let completion = null;
+// Whether Tab moves focus rather than indenting: always after Ctrl+M, or
+// once right after Escape
+let tabMovesFocus = false;
+let escapePressed = false;
+
+function initEditor() {
+    showWarningSettings();
+    renderEditor();
+    checkEditor();
+}
+
+// --- Checking ---
+function scheduleCheck() {
+    clearTimeout(editorTimer);
+    editorTimer = setTimeout(checkEditor, EDITOR_CHECK_DELAY);
+}
+
+function checkEditor() {
+    editorTimer = null;
+    const code = document.getElementById("code").value;
+    const headers = document.getElementById("headers").value;
+    const front = compileFrontEnd(code, parseVirtualFiles(headers), pageWarnings());
+    editorDiagnostics = front.diagnostics.filter(error => error.loc && !error.loc.file);
+
+    const names = new Set();
+    const types = new Set(Object.keys(TEMPLATE_TYPES));
+    if (front.analysis) {
+        for (const scope of front.analysis.scopes) {
+            for (const symbol of scope.symbols.values()) {
+                names.add(symbol.name);
+                if (symbol.kind === 'class') types.add(symbol.name);
+            }
+        }
+    }
+    editorNames = [...names];
+    editorTypes = [...types];
+
+    const errors = front.diagnostics.filter(error => error.severity !== 'warning').length;
+    const warnings = front.diagnostics.length - errors;
+    const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const status = document.getElementById("editorStatus");
+    status.dataset.summary = front.diagnostics.length === 0
+        ? "No problems found."
+        : `${count(errors, 'error')}, ${count(warnings, 'warning')}. Hover over an underline to read it.`;
+    showEditorStatus();
+    renderEditor();
+}
+
+function showEditorStatus() {
+    const status = document.getElementById("editorStatus");
+    const mode = tabMovesFocus ? " Tab moves focus (Ctrl+M to indent with it again)." : "";
+    status.textContent = (status.dataset.summary || "") + mode;
+}
+
+// --- Rendering ---
+function renderEditor() {
+    const textarea = document.getElementById("code");
+    const text = textarea.value;
+    const tokens = tokenize(text, null, []);
+    document.getElementById("codeHighlight").innerHTML = highlightCode(text, tokens, bracketsAtCaret(textarea, tokens));
+
+    // Lines with a diagnostic are marked in the gutter too
+    const marks = {};
+    for (const error of editorDiagnostics) {
+        const line = error.loc.start.line;
+        if (marks[line] !== 'error') marks[line] = error.severity === 'warning' ? 'warning' : 'error';
+    }
+    const lineCount = text.split('\n').length;
+    let gutter = '';
+    for (let line = 1; line <= lineCount; line++) {
+        gutter += marks[line] ? `<div class="gutter-${marks[line]}">${line}</div>` : `<div>${line}</div>`;
+    }
+    document.getElementById("codeGutter").innerHTML = gutter;
+    syncEditorScroll();
+}
+
+function syncEditorScroll() {
+    const textarea = document.getElementById("code");
+    const highlight = document.getElementById("codeHighlight");
+    highlight.scrollTop = textarea.scrollTop;
+    highlight.scrollLeft = textarea.scrollLeft;
+    document.getElementById("codeGutter").scrollTop = textarea.scrollTop;
+}
+
+// The text as HTML. Every character gets the class of the token it is in,
+// then the classes of the diagnostics and matched brackets over it; runs of
+// characters with the same classes become one <span>.
+function highlightCode(text, tokens, brackets) {
+    const kinds = new Array(text.length).fill('');
+    let end = 0;
+    tokens.forEach((token, k) => {
+        const start = token.loc.start.offset;
+        // What lies between tokens is space or comments
+        markComments(text, kinds, end, start);
+        kinds.fill(tokenClass(token, tokens[k + 1]), start, token.loc.end.offset);
+        end = token.loc.end.offset;
+    });
+    markComments(text, kinds, end, text.length);
+    // The tokenizer skips the '#' of a directive; the whole line is shown
+    // as one
+    for (const match of text.matchAll(/^[ \t]*#.*/gm)) {
+        kinds.fill('tok-directive', match.index, match.index + match[0].length);
+    }
+
+    const decorations = new Array(text.length).fill('');
+    const decorate = (start, stop, name) => {
+        for (let k = start; k < stop && k < text.length; k++) {
+            decorations[k] = decorations[k] ? `${decorations[k]} ${name}` : name;
+        }
+    };
+    for (const error of editorDiagnostics) {
+        const [start, stop] = diagnosticRange(text, error);
+        decorate(start, stop, error.severity === 'warning' ? 'diag-warning' : 'diag-error');
+    }
+    for (const [offset, matched] of brackets) decorate(offset, offset + 1, matched ? 'bracket-match' : 'bracket-unmatched');
+
+    let html = '';
+    let start = 0;
+    for (let k = 1; k <= text.length; k++) {
+        if (k < text.length && kinds[k] === kinds[start] && decorations[k] === decorations[start]) continue;
+        const classes = [kinds[start], decorations[start]].filter(name => name).join(' ');
+        const content = escapeHTML(text.slice(start, k));
+        html += classes ? `<span class="${classes}">${content}</span>` : content;
+        start = k;
+    }
+    // A final empty line still takes up a line
+    return text.endsWith('\n') || text === '' ? `${html} ` : html;
+}
+
+function markComments(text, kinds, start, end) {
+    const gap = text.slice(start, end);
+    for (const match of gap.matchAll(/\/\/.*|\/\*[\s\S]*?(\*\/|$)/g)) {
+        kinds.fill('tok-comment', start + match.index, start + match.index + match[0].length);
+    }
+}
+
+function tokenClass(token, next) {
+    switch (token.type) {
+        case 'KEYWORD':
+            return BUILTIN_TYPES.includes(token.value) ? 'tok-type' : 'tok-keyword';
+        case 'IDENTIFIER':
+            if (editorTypes.includes(token.value)) return 'tok-type';
+            return next && next.value === '(' ? 'tok-function' : 'tok-identifier';
+        case 'NUMBER':
+            return 'tok-number';
+        case 'CHAR':
+        case 'STRING':
+            return 'tok-string';
+        case 'INCLUDE':
+            return 'tok-directive';
+        case 'DELIMITER':
+            return 'tok-punctuation';
+        default:
+            return 'tok-operator';
+    }
+}
+
+// [start, end) of a diagnostic in the text. One that covers nothing, such
+// as a missing ';', underlines the character before it.
+function diagnosticRange(text, error) {
+    const start = Math.min(error.loc.start.offset, text.length);
+    const end = Math.min(Math.max(error.loc.end.offset, start), text.length);
+    if (end > start) return [start, end];
+    return start > 0 && (start === text.length || text[start] === '\n') ? [start - 1, start] : [start, start + 1];
+}
+
+function escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// --- Bracket matching ---
+// [offset, matched] for the bracket just before the caret, or else just
+// after it, and the bracket that pairs with it
+function bracketsAtCaret(textarea, tokens) {
+    if (textarea.selectionStart !== textarea.selectionEnd) return [];
+    const caret = textarea.selectionStart;
+    const text = textarea.value;
+    const brackets = tokens
+        .filter(token => token.type === 'DELIMITER' && '()[]{}'.includes(token.value))
+        .map(token => token.loc.start.offset);
+    const index = brackets.includes(caret - 1) ? brackets.indexOf(caret - 1) : brackets.indexOf(caret);
+    if (index < 0) return [];
+
+    const open = '([{';
+    const close = ')]}';
+    const char = text[brackets[index]];
+    const forward = open.includes(char);
+    const partner = forward ? close[open.indexOf(char)] : open[close.indexOf(char)];
+    let depth = 0;
+    for (let k = index; k >= 0 && k < brackets.length; k += forward ? 1 : -1) {
+        const other = text[brackets[k]];
+        if (other === char) depth++;
+        else if (other === partner && --depth === 0) return [[brackets[index], true], [brackets[k], true]];
+    }
+    return [[brackets[index], false]];
+}
+
+// After the caret moves, by key or by click. The completion list follows
+// the word it completes, and closes once the caret leaves it.
+function editorCaret() {
+    renderEditor();
+    if (completion !== null) updateCompletion();
+}
+
+// --- Hover messages ---
+// The textarea's tooltip is the message of the diagnostic under the mouse
+function editorHover(event) {
+    const textarea = event.target;
+    const offset = offsetAtPoint(textarea, event.clientX, event.clientY);
+    const error = offset < 0 ? undefined : editorDiagnostics.find(error => {
+        const [start, end] = diagnosticRange(textarea.value, error);
+        return offset >= start && offset < end;
+    });
+    textarea.title = error ? `${error.severity === 'warning' ? `Warning [${error.code}]` : 'Error'}: ${error.message}` : '';
+}
+
+// The size of a character in the editor's monospace font
+function editorCharSize(textarea) {
+    const style = getComputedStyle(textarea);
+    const context = document.createElement("canvas").getContext("2d");
+    context.font = `${style.fontSize} ${style.fontFamily}`;
+    return { width: context.measureText('M').width, height: parseFloat(style.lineHeight) };
+}
+
+// The offset of the character at a point on the screen, or -1 past the end
+// of its line
+function offsetAtPoint(textarea, x, y) {
+    const style = getComputedStyle(textarea);
+    const rect = textarea.getBoundingClientRect();
+    const size = editorCharSize(textarea);
+    const left = x - rect.left - textarea.clientLeft - parseFloat(style.paddingLeft) + textarea.scrollLeft;
+    const top = y - rect.top - textarea.clientTop - parseFloat(style.paddingTop) + textarea.scrollTop;
+    const lines = textarea.value.split('\n');
+    const row = Math.floor(top / size.height);
+    if (left < 0 || row < 0 || row >= lines.length) return -1;
+
+    const target = Math.floor(left / size.width);
+    let visual = 0;
+    for (let column = 0; column < lines[row].length; column++) {
+        visual = lines[row][column] === '\t' ? (Math.floor(visual / 4) + 1) * 4 : visual + 1;
+        if (visual > target) return lines.slice(0, row).reduce((total, line) => total + line.length + 1, 0) + column;
+    }
+    return -1;
+}
+
+// Where the caret is drawn, relative to the textarea, below the line
+function caretPoint(textarea) {
+    const style = getComputedStyle(textarea);
+    const size = editorCharSize(textarea);
+    const lines = textarea.value.slice(0, textarea.selectionStart).split('\n');
+    let visual = 0;
+    for (const char of lines[lines.length - 1]) visual = char === '\t' ? (Math.floor(visual / 4) + 1) * 4 : visual + 1;
+    return {
+        left: parseFloat(style.paddingLeft) + visual * size.width - textarea.scrollLeft,
+        top: parseFloat(style.paddingTop) + lines.length * size.height - textarea.scrollTop
+    };
+}
+
+// --- Typing ---
+function editorInput() {
+    renderEditor();
+    updateCompletion();
+    scheduleCheck();
+}
+
+// Replaces the text from `start` to `end` so that it can be undone like
+// typing; where execCommand() is not supported the undo history is lost
+function replaceEditorText(textarea, start, end, text) {
+    textarea.setSelectionRange(start, end);
+    if (!document.execCommand || !document.execCommand("insertText", false, text)) {
+        textarea.setRangeText(text, start, end, "end");
+        editorInput();
+    }
+}
+
+function editorKeyDown(event) {
+    const textarea = event.target;
+    if (completion !== null && completionKey(event, textarea)) {
+        event.preventDefault();
+        return;
+    }
+    if (event.key === ' ' && event.ctrlKey) {
+        event.preventDefault();
+        updateCompletion(true);
+        return;
+    }
+    if (event.key.toLowerCase() === 'm' && event.ctrlKey && !event.altKey && !event.shiftKey) {
+        event.preventDefault();
+        tabMovesFocus = !tabMovesFocus;
+        showEditorStatus();
+        return;
+    }
+    const releasesTab = tabMovesFocus || escapePressed;
+    escapePressed = event.key === 'Escape';
+    const start = textarea.selectionStart;
+    const end = textarea.selectionEnd;
+    const text = textarea.value;
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const before = text.slice(lineStart, start);
+
+    if (event.key === 'Tab' && !releasesTab && !event.shiftKey && !event.ctrlKey && !event.altKey) {
+        event.preventDefault();
+        replaceEditorText(textarea, start, end, EDITOR_INDENT);
+    } else if (event.key === 'Enter' && !event.shiftKey && !event.ctrlKey && !event.altKey) {
+        // The new line keeps the indent, one deeper after a '{'; a '}' right
+        // after the caret goes onto a line of its own
+        event.preventDefault();
+        const indent = /^[ \t]*/.exec(before)[0];
+        const opens = /\{\s*$/.test(before);
+        const closes = opens && /^\s*\}/.test(text.slice(end));
+        let inserted = `\n${indent}${opens ? EDITOR_INDENT : ''}`;
+        const caret = start + inserted.length;
+        if (closes) inserted += `\n${indent}`;
+        replaceEditorText(textarea, start, end, inserted);
+        textarea.setSelectionRange(caret, caret);
+        renderEditor();
+    } else if (event.key === '}' && start === end && /^[ \t]+$/.test(before)) {
+        // A '}' on a line of its own closes the block a level out
+        event.preventDefault();
+        const indent = before.endsWith(EDITOR_INDENT)
+            ? before.slice(0, -EDITOR_INDENT.length)
+            : before.replace(/(\t| {1,4})$/, '');
+        replaceEditorText(textarea, lineStart, start, `${indent}}`);
+    }
+}
+
+// --- Completion ---
+// The identifier being typed just before the caret, from `start`
+function wordAtCaret(textarea) {
+    if (textarea.selectionStart !== textarea.selectionEnd) return null;
+    const caret = textarea.selectionStart;
+    const match = /[A-Za-z_]\w*$/.exec(textarea.value.slice(0, caret));
+    if (!match || /\w/.test(textarea.value[caret] || '')) return null;
+    return { word: match[0], start: caret - match[0].length };
+}
+
+// Lists the keywords and declared names that start with the word being
+// typed. It opens by itself once two letters are typed; `force` opens it
+// for any word, as Ctrl-Space does.
+function updateCompletion(force = false) {
+    const textarea = document.getElementById("code");
+    const typed = wordAtCaret(textarea);
+    if (!typed || (!force && completion === null && typed.word.length < 2)) {
+        closeCompletion();
+        return;
+    }
+    const candidates = [...new Set([...editorNames, ...KEYWORDS])]
+        .filter(name => name.startsWith(typed.word) && name !== typed.word && !name.startsWith('__'))
+        .sort()
+        .slice(0, COMPLETION_LIMIT);
+    if (candidates.length === 0) {
+        closeCompletion();
+        return;
+    }
+    const selected = completion === null ? -1 : candidates.indexOf(completion.candidates[completion.selected]);
+    completion = { start: typed.start, candidates, selected: Math.max(selected, 0) };
+    renderCompletion(textarea);
+}
+
+function renderCompletion(textarea) {
+    const list = document.getElementById("completions");
+    list.innerHTML = '';
+    completion.candidates.forEach((name, k) => {
+        const item = document.createElement("li");
+        item.textContent = name;
+        if (k === completion.selected) item.className = "selected";
+        // On mousedown, before the textarea loses focus and closes the list
+        item.onmousedown = (event) => {
+            event.preventDefault();
+            completion.selected = k;
+            acceptCompletion(textarea);
+        };
+        list.appendChild(item);
+    });
+    const point = caretPoint(textarea);
+    list.style.left = `${point.left}px`;
+    list.style.top = `${point.top}px`;
+    list.hidden = false;
+}
+
+// Handles a key while the list is open; true if it was used
+function completionKey(event, textarea) {
+    const count = completion.candidates.length;
+    switch (event.key) {
+        case 'ArrowDown':
+            completion.selected = (completion.selected + 1) % count;
+            renderCompletion(textarea);
+            return true;
+        case 'ArrowUp':
+            completion.selected = (completion.selected + count - 1) % count;
+            renderCompletion(textarea);
+            return true;
+        case 'Enter':
+        case 'Tab':
+            acceptCompletion(textarea);
+            return true;
+        case 'Escape':
+            closeCompletion();
+            return true;
+        default:
+            return false;
+    }
+}
+
+function acceptCompletion(textarea) {
+    const name = completion.candidates[completion.selected];
+    const start = completion.start;
+    closeCompletion();
+    replaceEditorText(textarea, start, textarea.selectionStart, name);
+    // The insertion is input too, which would offer longer names
+    closeCompletion();
+}
+
+function closeCompletion() {
+    completion = null;
+    const list = document.getElementById("completions");
+    if (list) list.hidden = true;
+}
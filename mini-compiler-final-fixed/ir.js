@@ -0,0 +1,1370 @@
+// --- Intermediate Representation ---
+// lowerToIR() turns the AST into three-address code: every function becomes
+// a control-flow graph of basic blocks, each a list of instructions with at
+// most one operator apiece that ends in a jump, a branch or a return.
+// optimizeIR() then runs the passes in IR_PASSES and keeps a listing of the
+// IR after each one for the IR panel. The backends still generate code from
+// the AST; the IR is there to show what an optimizer does.
+//
+// Operands are variable names (source variables, and temporaries t1, t2,
+// ... which the lowering assigns once, except for the result of &&, || and
+// ?: and copies passed to a call by reference) or constants { value, type }.
+// Instructions, by `op`:
+//   copy      dest = src
+//   binary    dest = left operator right    type is the result type
+//   unary     dest = operator operand
+//   convert   dest = (type) src             from is the source type
+//   load      dest = array[index]
+//   store     array[index] = value
+//   array     dest = array element[sizes]   declares a zeroed array
+//   call      dest = call callee(args)      dest is null for void calls
+//   read      dest = read type              cin >> dest
+//   print     print value                   type is the value's, or a
+//                                           manipulator such as endl
+// and terminators:
+//   jump      goto target
+//   branch    if condition goto ifTrue else ifFalse
+//   return    return value                  value may be null
+
+// The operands each kind of instruction reads; calls also read their args
+// and arrays their sizes
+const IR_OPERANDS = {
+    copy: ['src'], binary: ['left', 'right'], unary: ['operand'], convert: ['src'],
+    load: ['array', 'index'], store: ['array', 'index', 'value'], array: [], call: [], read: [], print: ['value'],
+    jump: [], branch: ['condition'], return: ['value']
+};
+
+function lowerToIR(ast) {
+    const functions = [];
+    const globals = [];
+    let fn = null;
+    let returnType = null;
+    let block = null;
+    let loops = [];
+    let names = null;
+    let used = null;
+
+    function unsupported(what, loc) {
+        throw new CompileError(`${what} is not supported by the IR view`, loc);
+    }
+
+    function checkType(type, loc) {
+        if (type.reference) unsupported('A reference', loc);
+        if (type.pointer > 0) unsupported('A pointer', loc);
+        if (!['int', 'char', 'bool', 'float', 'double', 'string', 'void'].includes(type.name)) {
+            unsupported(`Type '${typeToString(type)}'`, loc);
+        }
+    }
+
+    // --- Functions and blocks ---
+    function startFunction(name, params, type) {
+        fn = { name, params: [], returnType: typeToString(type), blocks: [], temps: 0 };
+        returnType = type;
+        names = new Map();
+        used = new Set(globals);
+        loops = [];
+        block = null;
+        place(createBlock());
+        fn.params = params.map(param => `${typeToString(param.type)} ${nameOf(param.symbol)}`);
+        return fn;
+    }
+
+    // Blocks are numbered as they are placed, so the listing reads in
+    // program order
+    function createBlock() {
+        return { label: null, instructions: [], terminator: null };
+    }
+
+    function place(target) {
+        target.label = `B${fn.blocks.length}`;
+        fn.blocks.push(target);
+        block = target;
+    }
+
+    // Code after a return, break or continue goes in a block of its own that
+    // nothing jumps to
+    function emit(instruction) {
+        if (block.terminator !== null) place(createBlock());
+        block.instructions.push(instruction);
+    }
+
+    function terminate(terminator) {
+        if (block.terminator === null) block.terminator = terminator;
+    }
+
+    function jump(target) {
+        terminate({ op: 'jump', target });
+    }
+
+    function branch(condition, ifTrue, ifFalse) {
+        terminate({ op: 'branch', condition, ifTrue, ifFalse });
+    }
+
+    function temp() {
+        return `t${++fn.temps}`;
+    }
+
+    // Variables keep their source names; a local that shadows another
+    // variable gets a suffix
+    function nameOf(symbol) {
+        if (symbol.global) return symbol.name;
+        if (!names.has(symbol)) {
+            let name = symbol.name;
+            for (let k = 1; used.has(name) || /^t\d+$/.test(name); k++) name = `${symbol.name}.${k}`;
+            used.add(name);
+            names.set(symbol, name);
+        }
+        return names.get(symbol);
+    }
+
+    // --- Expressions ---
+    // Lowers `expr` and returns the operand holding its value
+    function lowerExpression(expr) {
+        switch (expr.type) {
+            case 'literal':
+                switch (expr.valueType) {
+                    case 'char': return { value: __toChar(expr.value.charCodeAt(0)), type: 'char' };
+                    case 'int':
+                    case 'double':
+                    case 'bool':
+                    case 'string':
+                        return { value: expr.value, type: expr.valueType };
+                }
+                return unsupported(`A ${expr.valueType} value`, expr.loc);
+
+            case 'identifier': {
+                if (expr.qualifier === 'string' && expr.name === 'npos') return { value: -1, type: 'int' };
+                if (expr.constant) return { value: Number(expr.constant.value), type: expr.constant.type };
+                const symbol = expr.symbol;
+                if (!symbol || (symbol.kind !== 'variable' && symbol.kind !== 'parameter')) {
+                    unsupported(`'${expr.name}'`, expr.loc);
+                }
+                return nameOf(symbol);
+            }
+
+            case 'index': {
+                const dest = temp();
+                const array = lowerExpression(expr.object);
+                emit({ op: 'load', dest, array, index: valueAs(expr.index, makeType('int')) });
+                return dest;
+            }
+
+            case 'binary':
+                return lowerBinary(expr);
+
+            case 'unary':
+                return lowerUnary(expr);
+
+            case 'assignment': {
+                if (expr.operation) return lowerCompoundAssignment(expr);
+                const type = valueTypeOf(expr.target.resolvedType);
+                if (isArray(type) || expr.value.type === 'initList') unsupported('Assigning an array', expr.loc);
+                const target = lvalue(expr.target);
+                return target.write(valueAs(expr.value, type));
+            }
+
+            case 'conditional':
+                return lowerConditional(expr);
+
+            case 'comma':
+                lowerExpression(expr.left);
+                return lowerExpression(expr.right);
+
+            case 'cast':
+                if (expr.resolvedType.name === 'void') {
+                    lowerExpression(expr.operand);
+                    return null;
+                }
+                checkType(expr.resolvedType, expr.loc);
+                return valueAs(expr.operand, expr.resolvedType);
+
+            case 'sizeof':
+                if (expr.size === null) unsupported('sizeof a variable-length array', expr.loc);
+                return { value: expr.size, type: 'int' };
+
+            case 'call':
+                return expr.library ? lowerLibraryCall(expr) : lowerCall(expr);
+
+            case 'read': {
+                lowerReads(expr.inputs);
+                const failed = temp();
+                emit({ op: 'call', dest: failed, callee: 'cin.fail', args: [], refs: [], user: false });
+                const dest = temp();
+                emit({ op: 'unary', dest, operator: '!', operand: failed, type: 'bool' });
+                return dest;
+            }
+
+            default:
+                unsupported(`The expression '${describeExpression(expr)}'`, expr.loc);
+        }
+    }
+
+    // The value of `expr` converted to `type` as an assignment would
+    function valueAs(expr, type) {
+        const value = lowerExpression(expr);
+        const from = valueTypeOf(expr.resolvedType);
+        checkType(from, expr.loc);
+        if (!needsConversion(from, type)) return value;
+        const dest = temp();
+        emit({ op: 'convert', dest, src: value, from: from.name, type: type.name });
+        return dest;
+    }
+
+    // Something that can be assigned to: write() stores a value and returns
+    // the operand that now holds it
+    function lvalue(expr) {
+        if (expr.type === 'identifier') {
+            const name = lowerExpression(expr);
+            return {
+                read: () => name,
+                write: (value) => {
+                    emit({ op: 'copy', dest: name, src: value });
+                    return name;
+                }
+            };
+        }
+        if (expr.type !== 'index') unsupported(`Assigning to '${describeExpression(expr)}'`, expr.loc);
+        const array = lowerExpression(expr.object);
+        const index = valueAs(expr.index, makeType('int'));
+        return {
+            read: () => {
+                const dest = temp();
+                emit({ op: 'load', dest, array, index });
+                return dest;
+            },
+            write: (value) => {
+                emit({ op: 'store', array, index, value });
+                return value;
+            }
+        };
+    }
+
+    function lowerBinary(expr) {
+        const op = expr.operator;
+        for (const side of [expr.left, expr.right]) {
+            if (isArray(side.resolvedType)) unsupported('Arithmetic on arrays', side.loc);
+            checkType(side.resolvedType, side.loc);
+        }
+
+        // The result of && and || is set on both paths, the right operand
+        // only being evaluated when it decides the result
+        if (op === '&&' || op === '||') {
+            const result = temp();
+            emit({ op: 'copy', dest: result, src: valueAs(expr.left, makeType('bool')) });
+            const right = createBlock();
+            const join = createBlock();
+            if (op === '&&') branch(result, right, join);
+            else branch(result, join, right);
+            place(right);
+            emit({ op: 'copy', dest: result, src: valueAs(expr.right, makeType('bool')) });
+            jump(join);
+            place(join);
+            return result;
+        }
+
+        // A char added to a string is the one-character string
+        const type = expr.resolvedType;
+        const operand = (side) => type.name === 'string' ? valueAs(side, type) : lowerExpression(side);
+        const left = operand(expr.left);
+        const right = operand(expr.right);
+        const dest = temp();
+        emit({ op: 'binary', dest, operator: op, left, right, type: type.name });
+        return dest;
+    }
+
+    // x op= y is x = x op y, with x evaluated once, so a[i++] += 1 steps i
+    // once
+    function lowerCompoundAssignment(expr) {
+        const type = valueTypeOf(expr.target.resolvedType);
+        checkType(type, expr.target.loc);
+        checkType(valueTypeOf(expr.value.resolvedType), expr.value.loc);
+        const target = lvalue(expr.target);
+        const arithmetic = expr.operation.resolvedType;
+        const left = target.read();
+        const right = arithmetic.name === 'string' ? valueAs(expr.value, arithmetic) : lowerExpression(expr.value);
+        let value = temp();
+        emit({ op: 'binary', dest: value, operator: expr.operation.operator, left, right, type: arithmetic.name });
+        if (needsConversion(arithmetic, type)) {
+            const converted = temp();
+            emit({ op: 'convert', dest: converted, src: value, from: arithmetic.name, type: type.name });
+            value = converted;
+        }
+        return target.write(value);
+    }
+
+    // Like && and ||, each branch sets the result, which is null for a
+    // void ?:
+    function lowerConditional(expr) {
+        const type = valueTypeOf(expr.resolvedType);
+        checkType(type, expr.loc);
+        const result = type.name === 'void' ? null : temp();
+        const consequent = createBlock();
+        const alternate = createBlock();
+        const join = createBlock();
+        branch(lowerExpression(expr.condition), consequent, alternate);
+        for (const [side, target] of [[expr.consequent, consequent], [expr.alternate, alternate]]) {
+            place(target);
+            if (result === null) lowerExpression(side);
+            else emit({ op: 'copy', dest: result, src: valueAs(side, type) });
+            jump(join);
+        }
+        place(join);
+        return result;
+    }
+
+    function lowerUnary(expr) {
+        const op = expr.operator;
+        if (op === '&' || op === '*') unsupported('A pointer', expr.loc);
+        const type = valueTypeOf(expr.operand.resolvedType);
+        checkType(type, expr.operand.loc);
+
+        // x++ is x = x + 1, yielding a copy of the old value
+        if (op === '++' || op === '--') {
+            const target = lvalue(expr.operand);
+            let old = target.read();
+            if (!expr.prefix && expr.operand.type === 'identifier') {
+                const copy = temp();
+                emit({ op: 'copy', dest: copy, src: old });
+                old = copy;
+            }
+            const arithmetic = type.name === 'double' || type.name === 'float' ? type.name : 'int';
+            let value = temp();
+            emit({ op: 'binary', dest: value, operator: op[0], left: old, right: { value: 1, type: 'int' }, type: arithmetic });
+            if (arithmetic !== type.name) {
+                const converted = temp();
+                emit({ op: 'convert', dest: converted, src: value, from: arithmetic, type: type.name });
+                value = converted;
+            }
+            const updated = target.write(value);
+            return expr.prefix ? updated : old;
+        }
+
+        const operand = lowerExpression(expr.operand);
+        const dest = temp();
+        emit({ op: 'unary', dest, operator: op, operand, type: expr.resolvedType.name });
+        return dest;
+    }
+
+    function lowerCall(expr) {
+        const callee = expr.callee.symbol;
+        if (expr.ctor || !callee || callee.kind !== 'function') {
+            unsupported(`The call '${describeExpression(expr)}'`, expr.loc);
+        }
+        const args = withDefaults(expr.args, callee.params).map((arg, k) => {
+            const param = callee.params[k].type;
+            return isArray(param) ? lowerExpression(arg) : valueAs(arg, param);
+        });
+        const dest = callee.type.name === 'void' ? null : temp();
+        emit({ op: 'call', dest, callee: callee.mangled, args, refs: [], user: true });
+        return dest;
+    }
+
+    // cin >> a >> b; an array element is read into a temporary first
+    function lowerReads(inputs) {
+        for (const target of inputs) {
+            const type = valueTypeOf(target.resolvedType);
+            checkType(type, target.loc);
+            if (target.type === 'identifier') {
+                emit({ op: 'read', dest: lowerExpression(target), type: type.name });
+                continue;
+            }
+            const element = lvalue(target);
+            const value = temp();
+            emit({ op: 'read', dest: value, type: type.name });
+            element.write(value);
+        }
+    }
+
+    // Library functions and string and cin members. Arguments passed by
+    // reference, as to getline() or swap(), are assigned by the call; an
+    // array element goes through a temporary that is stored back afterwards.
+    // Members that change the string assign it the call's result.
+    function lowerLibraryCall(expr) {
+        const spec = expr.library;
+        if (expr.paramTypes) unsupported(`The call '${describeExpression(expr)}'`, expr.loc);
+        const args = [];
+        const refs = [];
+        const writeBacks = [];
+        let callee = expr.callee.name;
+        let object = null;
+        if (expr.callee.type === 'member' && expr.callee.object.name === 'cin') {
+            callee = `cin.${expr.callee.property}`;
+        } else if (expr.callee.type === 'member') {
+            callee = expr.callee.property;
+            object = lowerExpression(expr.callee.object);
+            args.push(object);
+        }
+        expr.args.forEach((arg, k) => {
+            const kind = spec.params[k];
+            if (kind === 'istream') return;
+            if (kind === 'compare') unsupported(`The call '${describeExpression(expr)}'`, expr.loc);
+            if (kind.endsWith('&')) {
+                refs.push(args.length);
+                if (arg.type === 'identifier') {
+                    args.push(lowerExpression(arg));
+                    return;
+                }
+                const target = lvalue(arg);
+                const value = temp();
+                emit({ op: 'copy', dest: value, src: target.read() });
+                args.push(value);
+                writeBacks.push(() => target.write(value));
+                return;
+            }
+            const type = kindType(kind);
+            args.push(type ? valueAs(arg, type) : lowerExpression(arg));
+        });
+
+        let dest = valueTypeOf(expr.resolvedType).name === 'void' ? null : temp();
+        if (spec.mutates) {
+            if (expr.callee.object.type !== 'identifier') unsupported(`The call '${describeExpression(expr)}'`, expr.loc);
+            dest = object;
+        }
+        emit({ op: 'call', dest, callee, args, refs, user: false });
+        writeBacks.forEach(writeBack => writeBack());
+        return dest;
+    }
+
+    // --- Statements ---
+    function lowerStatement(node) {
+        switch (node.type) {
+            case 'declaration':
+                return lowerDeclaration(node);
+
+            case 'declarationList':
+                return node.declarations.forEach(lowerDeclaration);
+
+            case 'expression':
+                lowerExpression(node.expression);
+                return;
+
+            case 'print':
+                return node.parts.forEach(lowerOutput);
+
+            case 'input':
+                return lowerReads(node.inputs);
+
+            case 'block':
+                return node.body.forEach(lowerStatement);
+
+            case 'if': {
+                const condition = lowerExpression(node.condition);
+                const then = createBlock();
+                const otherwise = node.elseStmt ? createBlock() : null;
+                const join = createBlock();
+                branch(condition, then, otherwise || join);
+                place(then);
+                lowerStatement(node.thenStmt);
+                jump(join);
+                if (otherwise) {
+                    place(otherwise);
+                    lowerStatement(node.elseStmt);
+                    jump(join);
+                }
+                place(join);
+                return;
+            }
+
+            case 'while': {
+                const header = createBlock();
+                const body = createBlock();
+                const exit = createBlock();
+                jump(header);
+                place(header);
+                branch(lowerExpression(node.condition), body, exit);
+                place(body);
+                lowerLoopBody(node.body, exit, header);
+                jump(header);
+                place(exit);
+                return;
+            }
+
+            case 'doWhile': {
+                const body = createBlock();
+                const check = createBlock();
+                const exit = createBlock();
+                jump(body);
+                place(body);
+                lowerLoopBody(node.body, exit, check);
+                jump(check);
+                place(check);
+                branch(lowerExpression(node.condition), body, exit);
+                place(exit);
+                return;
+            }
+
+            case 'for': {
+                if (node.init) lowerStatement(node.init);
+                const header = createBlock();
+                const body = createBlock();
+                const update = createBlock();
+                const exit = createBlock();
+                jump(header);
+                place(header);
+                if (node.condition) branch(lowerExpression(node.condition), body, exit);
+                else jump(body);
+                place(body);
+                lowerLoopBody(node.body, exit, update);
+                jump(update);
+                place(update);
+                if (node.update) lowerExpression(node.update);
+                jump(header);
+                place(exit);
+                return;
+            }
+
+            case 'switch':
+                return lowerSwitch(node);
+
+            case 'break':
+                jump(loops[loops.length - 1].exit);
+                return;
+
+            case 'continue':
+                jump(loops[loops.length - 1].next);
+                return;
+
+            case 'return': {
+                const value = node.value === null ? null : valueAs(node.value, returnType);
+                // Lowering the value may have started a block nothing reaches
+                if (block.terminator !== null) place(createBlock());
+                terminate({ op: 'return', value });
+                return;
+            }
+
+            case 'function':
+            case 'functionDecl':
+            case 'include':
+            case 'using':
+                return;
+
+            default:
+                unsupported(`A '${node.type}' statement`, node.loc);
+        }
+    }
+
+    function lowerLoopBody(body, exit, next) {
+        loops.push({ exit, next });
+        lowerStatement(body);
+        loops.pop();
+    }
+
+    // The value is tested against each case label in turn; the bodies
+    // follow each other so that a case without a break falls through. break
+    // leaves the switch while continue still goes to the enclosing loop.
+    function lowerSwitch(node) {
+        const value = valueAs(node.discriminant, makeType('int'));
+        const bodies = node.cases.map(() => createBlock());
+        const exit = createBlock();
+        const fallback = node.cases.findIndex(caseNode => caseNode.test === null);
+        const tests = node.cases.map((caseNode, k) => k).filter(k => node.cases[k].test !== null);
+        tests.forEach((k, n) => {
+            const matches = temp();
+            emit({ op: 'binary', dest: matches, operator: '==', left: value, right: { value: node.cases[k].value, type: 'int' }, type: 'bool' });
+            const next = n + 1 < tests.length ? createBlock() : fallback >= 0 ? bodies[fallback] : exit;
+            branch(matches, bodies[k], next);
+            if (n + 1 < tests.length) place(next);
+        });
+        if (tests.length === 0) jump(fallback >= 0 ? bodies[fallback] : exit);
+
+        const enclosing = loops.length > 0 ? loops[loops.length - 1].next : null;
+        loops.push({ exit, next: enclosing });
+        node.cases.forEach((caseNode, k) => {
+            place(bodies[k]);
+            caseNode.body.forEach(lowerStatement);
+            jump(k + 1 < bodies.length ? bodies[k + 1] : exit);
+        });
+        loops.pop();
+        place(exit);
+    }
+
+    function lowerOutput(part) {
+        if (part.manipulator) {
+            const param = MANIPULATORS[part.manipulator].param;
+            const value = param !== null ? valueAs(part.args[0], makeType(param)) : null;
+            emit({ op: 'print', value, manipulator: part.manipulator });
+            return;
+        }
+        if (part.type === 'literal' && part.raw === 'endl') {
+            emit({ op: 'print', value: null, manipulator: 'endl' });
+            return;
+        }
+        const type = valueTypeOf(part.resolvedType);
+        checkType(type, part.loc);
+        if (isArray(type)) unsupported('Printing an array', part.loc);
+        emit({ op: 'print', value: lowerExpression(part), manipulator: null, type: type.name });
+    }
+
+    function lowerDeclaration(node) {
+        const type = node.symbol.type;
+        checkType(type, node.loc);
+        if (node.args !== null) unsupported('Constructor syntax', node.loc);
+        const name = nameOf(node.symbol);
+        if (isArray(type)) {
+            const sizes = type.dims.map(dim => valueAs(dim, makeType('int')));
+            emit({ op: 'array', dest: name, element: type.name, sizes });
+            if (node.value !== null) lowerArrayElements(name, type, node.value);
+            return;
+        }
+        let value;
+        if (node.value === null) {
+            value = { value: type.name === 'string' ? '' : type.name === 'bool' ? false : 0, type: type.name };
+        } else if (node.value.type === 'initList') {
+            unsupported('A braced initializer', node.value.loc);
+        } else {
+            value = valueAs(node.value, type);
+        }
+        emit({ op: 'copy', dest: name, src: value });
+    }
+
+    // Braced lists store element by element; rows of a multi-dimensional
+    // array are loaded like any other element
+    function lowerArrayElements(array, type, list) {
+        if (list.type !== 'initList') unsupported('Initializing an array from an expression', list.loc);
+        const elementType = elementTypeOf(type);
+        list.elements.forEach((element, k) => {
+            const index = { value: k, type: 'int' };
+            if (isArray(elementType)) {
+                const row = temp();
+                emit({ op: 'load', dest: row, array, index });
+                lowerArrayElements(row, elementType, element);
+                return;
+            }
+            emit({ op: 'store', array, index, value: valueAs(element, elementType) });
+        });
+    }
+
+    function lowerFunction(node) {
+        for (const param of node.params) checkType(param.type, param.loc);
+        checkType(node.returnType, node.loc);
+        const lowered = startFunction(node.symbol.mangled, node.params, node.returnType);
+        node.body.body.forEach(lowerStatement);
+        // Falling off the end of main returns 0
+        if (block.terminator === null) {
+            const value = node.name === 'main' ? { value: 0, type: 'int' } : null;
+            terminate({ op: 'return', value });
+        }
+        return lowered;
+    }
+
+    // --- Program ---
+    // Global variables and any statements at file scope run, in order, in
+    // a function of their own before main
+    const fileScope = ast.filter(node => !['function', 'functionDecl', 'class', 'classDecl', 'constructor', 'destructor', 'method', 'include', 'using'].includes(node.type));
+    if (fileScope.length > 0) {
+        const init = startFunction('<file scope>', [], makeType('void'));
+        for (const node of fileScope) {
+            lowerStatement(node);
+            if (node.type === 'declaration') globals.push(node.name);
+            if (node.type === 'declarationList') node.declarations.forEach(decl => globals.push(decl.name));
+        }
+        terminate({ op: 'return', value: null });
+        functions.push(init);
+    }
+    for (const node of ast) {
+        switch (node.type) {
+            case 'function':
+                if (node.className) unsupported('A class', node.loc);
+                if (node.templateParams) functions.push(...node.instances.map(lowerFunction));
+                else functions.push(lowerFunction(node));
+                break;
+            case 'class':
+            case 'classDecl':
+            case 'constructor':
+            case 'destructor':
+            case 'method':
+                unsupported('A class', node.loc);
+                break;
+        }
+    }
+    return { functions, globals };
+}
+
+// Whether a value of type `from` needs a convert instruction to become a
+// `to`, following convertValue()
+function needsConversion(from, to) {
+    if (isArray(from) || isArray(to) || from.name === to.name) return false;
+    switch (to.name) {
+        case 'int': return from.name !== 'char';
+        case 'double': return from.name === 'bool';
+        default: return true;
+    }
+}
+
+// --- Instructions ---
+function isConstant(operand) {
+    return operand !== null && typeof operand === 'object';
+}
+
+// The operands an instruction or terminator reads
+function usesOf(instruction) {
+    const uses = IR_OPERANDS[instruction.op].map(field => instruction[field]).filter(value => value != null);
+    if (instruction.op === 'call') uses.push(...instruction.args);
+    if (instruction.op === 'array') uses.push(...instruction.sizes);
+    return uses;
+}
+
+// Rewrites the operands an instruction reads with `replace`. Operands it
+// also assigns, the arguments a call writes to and the string a store
+// changes, are left alone.
+function replaceUses(instruction, replace) {
+    for (const field of IR_OPERANDS[instruction.op]) {
+        if (instruction.op === 'store' && field === 'array') continue;
+        if (instruction[field] != null) instruction[field] = replace(instruction[field]);
+    }
+    if (instruction.op === 'call') {
+        instruction.args = instruction.args.map((arg, k) => instruction.refs.includes(k) ? arg : replace(arg));
+    }
+    if (instruction.op === 'array') instruction.sizes = instruction.sizes.map(replace);
+}
+
+// The variables an instruction assigns. A store counts as assigning the
+// array or string it changes, and a call to a user function may assign any
+// global.
+function definitionsOf(instruction, globals) {
+    const defs = [];
+    if (instruction.dest) defs.push(instruction.dest);
+    if (instruction.op === 'store') defs.push(instruction.array);
+    if (instruction.op === 'call') {
+        instruction.refs.forEach(k => defs.push(instruction.args[k]));
+        if (instruction.user) defs.push(...globals);
+    }
+    return defs;
+}
+
+// Instructions that only compute their result, which can be removed when
+// it is unused or moved as long as their operands are the same. int
+// division is not one unless its divisor is a constant other than zero.
+function isPure(instruction) {
+    switch (instruction.op) {
+        case 'copy':
+        case 'unary':
+        case 'convert':
+            return true;
+        case 'binary':
+            if (instruction.operator !== '/' && instruction.operator !== '%') return true;
+            if (['double', 'float'].includes(instruction.type)) return true;
+            return isConstant(instruction.right) && Number(instruction.right.value) !== 0;
+        default:
+            return false;
+    }
+}
+
+function isTemporary(name) {
+    return typeof name === 'string' && /^t\d+$/.test(name);
+}
+
+// --- Constant folding ---
+// Each returns the constant result, or null where it is not known at
+// compile time. Values follow the JavaScript the backend generates.
+function foldBinary(operator, type, a, b) {
+    if (a.type === 'string' || b.type === 'string') return null;
+    const x = a.value;
+    const y = b.value;
+    let value;
+    switch (operator) {
+        case '+': value = x + y; break;
+        case '-': value = x - y; break;
+        case '*': value = type === 'int' ? Math.imul(x, y) : x * y; break;
+        case '/':
+            if (type === 'int' && Number(y) === 0) return null;
+            value = x / y;
+            break;
+        case '%':
+            if (type === 'int' && Number(y) === 0) return null;
+            value = x % y;
+            break;
+        case '&': value = x & y; break;
+        case '|': value = x | y; break;
+        case '^': value = x ^ y; break;
+        case '<<': value = x << y; break;
+        case '>>': value = x >> y; break;
+        case '==': value = x == y; break;
+        case '!=': value = x != y; break;
+        case '<': value = x < y; break;
+        case '<=': value = x <= y; break;
+        case '>': value = x > y; break;
+        case '>=': value = x >= y; break;
+        default: return null;
+    }
+    if (type === 'int') value |= 0;
+    if (type === 'float') value = Math.fround(value);
+    return { value, type };
+}
+
+function foldUnary(operator, type, a) {
+    if (a.type === 'string') return null;
+    const x = a.value;
+    switch (operator) {
+        case '-': return { value: type === 'int' ? (-x) | 0 : -x, type };
+        case '+': return { value: +x, type };
+        case '!': return { value: !x, type };
+        case '~': return { value: ~x, type };
+    }
+    return null;
+}
+
+function foldConvert(from, to, a) {
+    const x = a.value;
+    switch (to) {
+        case 'int': return { value: typeof x === 'boolean' ? Number(x) : __toInt(x), type: to };
+        case 'char': return { value: __toChar(x), type: to };
+        case 'bool': return { value: Boolean(x), type: to };
+        case 'float': return { value: Math.fround(x), type: to };
+        case 'double': return { value: Number(x), type: to };
+        case 'string': return from === 'char' ? { value: __strChar(x), type: to } : null;
+    }
+    return null;
+}
+
+// The constant an instruction computes from constant operands, if any
+function foldInstruction(instruction) {
+    switch (instruction.op) {
+        case 'copy':
+            return isConstant(instruction.src) ? instruction.src : null;
+        case 'binary':
+            if (!isConstant(instruction.left) || !isConstant(instruction.right)) return null;
+            return foldBinary(instruction.operator, instruction.type, instruction.left, instruction.right);
+        case 'unary':
+            return isConstant(instruction.operand) ? foldUnary(instruction.operator, instruction.type, instruction.operand) : null;
+        case 'convert':
+            return isConstant(instruction.src) ? foldConvert(instruction.from, instruction.type, instruction.src) : null;
+    }
+    return null;
+}
+
+// --- Control-flow graph ---
+function successorsOf(block) {
+    const terminator = block.terminator;
+    if (terminator.op === 'jump') return [terminator.target];
+    if (terminator.op === 'branch') return [terminator.ifTrue, terminator.ifFalse];
+    return [];
+}
+
+function predecessorsOf(fn) {
+    const preds = new Map(fn.blocks.map(block => [block, []]));
+    for (const block of fn.blocks) {
+        for (const next of successorsOf(block)) {
+            if (!preds.get(next).includes(block)) preds.get(next).push(block);
+        }
+    }
+    return preds;
+}
+
+// Blocks in reverse postorder from the entry, the order forward dataflow
+// converges fastest in; unreachable blocks are left out
+function reversePostorder(fn) {
+    const seen = new Set();
+    const order = [];
+    const visit = (block) => {
+        seen.add(block);
+        for (const next of successorsOf(block)) {
+            if (!seen.has(next)) visit(next);
+        }
+        order.push(block);
+    };
+    visit(fn.blocks[0]);
+    return order.reverse();
+}
+
+// --- Passes ---
+// Each pass rewrites one function in place; `ir` gives the globals.
+
+// Constant propagation over the whole CFG: a variable is a constant at a
+// point when every path there assigns it the same constant. Uses of such
+// variables become the constant, instructions whose operands are then all
+// constant are folded, and branches on a constant become jumps.
+const NOT_CONSTANT = { notConstant: true };
+
+function propagateConstants(fn, ir) {
+    const order = reversePostorder(fn);
+    const preds = predecessorsOf(fn);
+
+    const meet = (a, b) => {
+        if (a === undefined) return b;
+        if (b === undefined) return a;
+        if (a === NOT_CONSTANT || b === NOT_CONSTANT) return NOT_CONSTANT;
+        return sameConstant(a, b) ? a : NOT_CONSTANT;
+    };
+    const sameConstant = (a, b) => a === b ||
+        (a !== undefined && b !== undefined && a !== NOT_CONSTANT && b !== NOT_CONSTANT &&
+            a.type === b.type && Object.is(a.value, b.value));
+    const lookup = (state, operand) => isConstant(operand) ? operand : state.get(operand);
+    const transfer = (instruction, state) => {
+        const defs = definitionsOf(instruction, ir.globals);
+        let result = NOT_CONSTANT;
+        if (instruction.dest && IR_OPERANDS[instruction.op].length > 0 && instruction.op !== 'load') {
+            const operands = usesOf(instruction).map(operand => lookup(state, operand));
+            if (operands.includes(undefined)) {
+                result = undefined;
+            } else if (!operands.includes(NOT_CONSTANT)) {
+                const folded = foldInstruction(substitute(instruction, state));
+                if (folded !== null) result = folded;
+            }
+        }
+        for (const def of defs) state.set(def, result);
+        if (instruction.dest) state.set(instruction.dest, result);
+    };
+    // A copy of the instruction with known constants in place of variables
+    const substitute = (instruction, state) => {
+        const copy = { ...instruction };
+        replaceUses(copy, operand => {
+            const value = lookup(state, operand);
+            return value !== undefined && value !== NOT_CONSTANT ? value : operand;
+        });
+        return copy;
+    };
+
+    // Parameters and globals are unknown on entry
+    const entry = new Map();
+    if (fn.name !== '<file scope>') ir.globals.forEach(name => entry.set(name, NOT_CONSTANT));
+    fn.params.forEach(param => entry.set(param.split(' ').pop(), NOT_CONSTANT));
+
+    const states = new Map();
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const block of order) {
+            let state;
+            if (block === fn.blocks[0]) {
+                state = new Map(entry);
+            } else {
+                state = new Map();
+                for (const pred of preds.get(block)) {
+                    const out = states.get(pred);
+                    if (!out) continue;
+                    for (const [name, value] of out) state.set(name, meet(state.get(name), value));
+                }
+            }
+            block.instructions.forEach(instruction => transfer(instruction, state));
+            const previous = states.get(block);
+            if (!previous || previous.size !== state.size ||
+                [...state].some(([name, value]) => !sameConstant(previous.get(name), value))) {
+                states.set(block, state);
+                changed = true;
+            }
+        }
+    }
+
+    // Rewrite each block from the facts at its start
+    for (const block of order) {
+        let state;
+        if (block === fn.blocks[0]) {
+            state = new Map(entry);
+        } else {
+            state = new Map();
+            for (const pred of preds.get(block)) {
+                const out = states.get(pred);
+                if (!out) continue;
+                for (const [name, value] of out) state.set(name, meet(state.get(name), value));
+            }
+        }
+        block.instructions = block.instructions.map(instruction => {
+            const rewritten = substitute(instruction, state);
+            const folded = foldInstruction(rewritten);
+            transfer(instruction, state);
+            if (folded !== null && instruction.op !== 'copy') {
+                return { op: 'copy', dest: instruction.dest, src: folded };
+            }
+            return rewritten;
+        });
+        block.terminator = substitute(block.terminator, state);
+        const terminator = block.terminator;
+        if (terminator.op === 'branch' && isConstant(terminator.condition)) {
+            const target = terminator.condition.value ? terminator.ifTrue : terminator.ifFalse;
+            block.terminator = { op: 'jump', target };
+        }
+    }
+}
+
+// Removes blocks no path reaches, such as code after a return or break
+// and the arms of branches that constant propagation decided, then
+// assignments whose value is never read
+function eliminateDeadCode(fn, ir) {
+    const reachable = new Set(reversePostorder(fn));
+    fn.blocks = fn.blocks.filter(block => reachable.has(block));
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const liveIn = livenessOf(fn, ir);
+        for (const block of fn.blocks) {
+            const live = new Set();
+            for (const next of successorsOf(block)) liveIn.get(next).forEach(name => live.add(name));
+            if (block.terminator.op === 'return') ir.globals.forEach(name => live.add(name));
+            usesOf(block.terminator).forEach(operand => { if (!isConstant(operand)) live.add(operand); });
+
+            const kept = [];
+            for (const instruction of [...block.instructions].reverse()) {
+                if (isPure(instruction) && !live.has(instruction.dest)) {
+                    changed = true;
+                    continue;
+                }
+                kept.push(instruction);
+                liveStep(instruction, live, ir);
+            }
+            block.instructions = kept.reverse();
+        }
+    }
+}
+
+// Updates the set of variables live after `instruction` to those live
+// before it. A call to a user function may read any global.
+function liveStep(instruction, live, ir) {
+    if (instruction.dest) live.delete(instruction.dest);
+    for (const operand of usesOf(instruction)) {
+        if (!isConstant(operand)) live.add(operand);
+    }
+    if (instruction.op === 'call' && instruction.user) ir.globals.forEach(name => live.add(name));
+}
+
+// The variables live on entry to each block
+function livenessOf(fn, ir) {
+    const liveIn = new Map(fn.blocks.map(block => [block, new Set()]));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const block of [...fn.blocks].reverse()) {
+            const live = new Set();
+            for (const next of successorsOf(block)) liveIn.get(next).forEach(name => live.add(name));
+            if (block.terminator.op === 'return') ir.globals.forEach(name => live.add(name));
+            usesOf(block.terminator).forEach(operand => { if (!isConstant(operand)) live.add(operand); });
+            for (const instruction of [...block.instructions].reverse()) liveStep(instruction, live, ir);
+            if (live.size !== liveIn.get(block).size) {
+                liveIn.set(block, live);
+                changed = true;
+            }
+        }
+    }
+    return liveIn;
+}
+
+// Within each block, an expression computed a second time from the same
+// operands becomes a copy of the first result. Copies between temporaries
+// that are only assigned once are then propagated away.
+function eliminateCommonSubexpressions(fn, ir) {
+    const key = (instruction) => {
+        const text = (operand) => isConstant(operand) ? `#${operand.type}:${String(operand.value)}` : operand;
+        let operands = usesOf(instruction).map(text);
+        const commutative = ['+', '*', '==', '!=', '&', '|', '^'].includes(instruction.operator) && instruction.type !== 'string';
+        if (instruction.op === 'binary' && commutative) operands = operands.sort();
+        return [instruction.op, instruction.operator, instruction.from, instruction.type, ...operands].join(' ');
+    };
+
+    for (const block of fn.blocks) {
+        const available = new Map();
+        block.instructions = block.instructions.map(instruction => {
+            let result = instruction;
+            const computes = ['binary', 'unary', 'convert'].includes(instruction.op) && isPure(instruction);
+            const expression = computes ? key(instruction) : null;
+            if (computes && available.has(expression)) {
+                result = { op: 'copy', dest: instruction.dest, src: available.get(expression) };
+            }
+            // Assigning a variable invalidates what was computed from it or
+            // held in it
+            for (const def of definitionsOf(instruction, ir.globals)) {
+                for (const [text, holder] of available) {
+                    if (holder === def || text.split(' ').includes(def)) available.delete(text);
+                }
+            }
+            if (computes && result === instruction && !usesOf(instruction).includes(instruction.dest)) {
+                available.set(expression, instruction.dest);
+            }
+            return result;
+        });
+    }
+    propagateCopies(fn, ir);
+}
+
+// Replaces every use of a temporary assigned once from a constant or from
+// another such temporary with its source
+function propagateCopies(fn, ir) {
+    const counts = definitionCounts(fn, ir);
+    const single = (name) => isTemporary(name) && counts.get(name) === 1;
+    const sources = new Map();
+    for (const block of fn.blocks) {
+        for (const instruction of block.instructions) {
+            if (instruction.op === 'copy' && single(instruction.dest) &&
+                (isConstant(instruction.src) || single(instruction.src))) {
+                sources.set(instruction.dest, instruction.src);
+            }
+        }
+    }
+    if (sources.size === 0) return;
+    const resolve = (operand) => {
+        while (!isConstant(operand) && sources.has(operand)) operand = sources.get(operand);
+        return operand;
+    };
+    for (const block of fn.blocks) {
+        block.instructions = block.instructions.filter(instruction => !sources.has(instruction.dest));
+        block.instructions.forEach(instruction => replaceUses(instruction, resolve));
+        replaceUses(block.terminator, resolve);
+    }
+}
+
+function definitionCounts(fn, ir) {
+    const counts = new Map();
+    for (const block of fn.blocks) {
+        for (const instruction of block.instructions) {
+            for (const def of definitionsOf(instruction, ir.globals)) counts.set(def, (counts.get(def) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+// Moves computations whose operands do not change inside a loop to a
+// preheader that runs once before the loop. Loops are found from back
+// edges, edges to a block that dominates their source; inner loops are
+// done first so what they hoist can move further out.
+function hoistLoopInvariants(fn, ir) {
+    const order = reversePostorder(fn);
+    const preds = predecessorsOf(fn);
+
+    // Dominators: the entry dominates itself, any other block is dominated
+    // by itself and whatever dominates all of its predecessors
+    const dominators = new Map(order.map(block => [block, new Set(order)]));
+    dominators.set(order[0], new Set([order[0]]));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const block of order.slice(1)) {
+            const reached = preds.get(block).filter(pred => dominators.has(pred));
+            const doms = new Set([...dominators.get(reached[0])].filter(d => reached.every(p => dominators.get(p).has(d))));
+            doms.add(block);
+            if (doms.size !== dominators.get(block).size) {
+                dominators.set(block, doms);
+                changed = true;
+            }
+        }
+    }
+
+    // The natural loop of each header: the header and every block that
+    // reaches a back edge to it without passing through the header
+    const loops = new Map();
+    for (const block of order) {
+        for (const header of successorsOf(block)) {
+            if (!dominators.get(block).has(header)) continue;
+            const body = loops.get(header) || new Set([header]);
+            const stack = [block];
+            while (stack.length > 0) {
+                const current = stack.pop();
+                if (body.has(current)) continue;
+                body.add(current);
+                stack.push(...preds.get(current));
+            }
+            loops.set(header, body);
+        }
+    }
+
+    const counts = definitionCounts(fn, ir);
+    const sorted = [...loops].sort((a, b) => a[1].size - b[1].size);
+    for (const [header, body] of sorted) {
+        const defined = new Set();
+        for (const block of body) {
+            for (const instruction of block.instructions) {
+                definitionsOf(instruction, ir.globals).forEach(def => defined.add(def));
+            }
+        }
+        const invariant = new Set();
+        const hoisted = [];
+        let found = true;
+        while (found) {
+            found = false;
+            for (const block of fn.blocks.filter(b => body.has(b))) {
+                block.instructions = block.instructions.filter(instruction => {
+                    const movable = isPure(instruction) && isTemporary(instruction.dest) &&
+                        counts.get(instruction.dest) === 1 &&
+                        usesOf(instruction).every(operand => isConstant(operand) || !defined.has(operand) || invariant.has(operand));
+                    if (!movable) return true;
+                    invariant.add(instruction.dest);
+                    hoisted.push(instruction);
+                    found = true;
+                    return false;
+                });
+            }
+        }
+        if (hoisted.length === 0) continue;
+        const preheader = preheaderOf(fn, header, body, preds);
+        preheader.instructions.push(...hoisted);
+        // A new preheader belongs to the loops around this one
+        for (const [, outer] of sorted) {
+            if (outer !== body && outer.has(header)) outer.add(preheader);
+        }
+    }
+}
+
+// The block the loop is entered from, made when the header has more than
+// one way in from outside the loop
+function preheaderOf(fn, header, body, preds) {
+    const outside = preds.get(header).filter(pred => !body.has(pred));
+    if (outside.length === 1 && successorsOf(outside[0]).length === 1) return outside[0];
+
+    const preheader = { label: `${header.label}.pre`, instructions: [], terminator: { op: 'jump', target: header } };
+    for (const pred of outside) {
+        const terminator = pred.terminator;
+        for (const field of ['target', 'ifTrue', 'ifFalse']) {
+            if (terminator[field] === header) terminator[field] = preheader;
+        }
+    }
+    fn.blocks.splice(fn.blocks.indexOf(header), 0, preheader);
+    preds.set(preheader, outside);
+    preds.set(header, [...preds.get(header).filter(pred => body.has(pred)), preheader]);
+    return preheader;
+}
+
+const IR_PASSES = [
+    { name: 'Constant folding and propagation', run: propagateConstants },
+    { name: 'Dead code elimination', run: eliminateDeadCode },
+    { name: 'Common subexpression elimination', run: eliminateCommonSubexpressions },
+    { name: 'Loop-invariant code motion', run: hoistLoopInvariants }
+];
+
+// The listing of the IR as lowered and after each pass
+function optimizeIR(ir) {
+    const stages = [{ name: 'Lowered', text: printIR(ir) }];
+    for (const pass of IR_PASSES) {
+        ir.functions.forEach(fn => pass.run(fn, ir));
+        stages.push({ name: pass.name, text: printIR(ir) });
+    }
+    return stages;
+}
+
+// --- Listing ---
+function operandText(operand) {
+    if (!isConstant(operand)) return operand;
+    const { value, type } = operand;
+    switch (type) {
+        case 'char': {
+            const code = value & 255;
+            if (code >= 32 && code < 127 && code !== 39 && code !== 92) return `'${String.fromCharCode(code)}'`;
+            return `(char) ${value}`;
+        }
+        case 'double':
+        case 'float':
+            return Number.isInteger(value) ? value.toFixed(1) : String(value);
+        case 'string':
+            return JSON.stringify(value);
+        default:
+            return String(value);
+    }
+}
+
+function instructionText(instruction) {
+    const o = operandText;
+    const assign = instruction.dest ? `${instruction.dest} = ` : '';
+    switch (instruction.op) {
+        case 'copy': return `${assign}${o(instruction.src)}`;
+        case 'binary': return `${assign}${o(instruction.left)} ${instruction.operator} ${o(instruction.right)}`;
+        case 'unary': return `${assign}${instruction.operator}${o(instruction.operand)}`;
+        case 'convert': return `${assign}(${instruction.type}) ${o(instruction.src)}`;
+        case 'load': return `${assign}${o(instruction.array)}[${o(instruction.index)}]`;
+        case 'store': return `${o(instruction.array)}[${o(instruction.index)}] = ${o(instruction.value)}`;
+        case 'array': return `${assign}array ${instruction.element}${instruction.sizes.map(size => `[${o(size)}]`).join('')}`;
+        case 'call': {
+            const args = instruction.args.map((arg, k) => instruction.refs.includes(k) ? `&${arg}` : o(arg));
+            return `${assign}call ${instruction.callee}(${args.join(', ')})`;
+        }
+        case 'read': return `${assign}read ${instruction.type}`;
+        case 'print':
+            if (instruction.manipulator === null) return `print ${o(instruction.value)}`;
+            return `print ${instruction.manipulator}${instruction.value !== null ? `(${o(instruction.value)})` : ''}`;
+        case 'jump': return `goto ${instruction.target.label}`;
+        case 'branch': return `if ${o(instruction.condition)} goto ${instruction.ifTrue.label} else ${instruction.ifFalse.label}`;
+        case 'return': return instruction.value !== null ? `return ${o(instruction.value)}` : 'return';
+    }
+}
+
+function printIR(ir) {
+    const lines = [];
+    for (const fn of ir.functions) {
+        const preds = predecessorsOf(fn);
+        if (lines.length > 0) lines.push('');
+        lines.push(`${fn.returnType} ${fn.name}(${fn.params.join(', ')})`);
+        for (const block of fn.blocks) {
+            const from = preds.get(block).map(pred => pred.label);
+            lines.push(from.length > 0 ? `${block.label}:    ; from ${from.join(', ')}` : `${block.label}:`);
+            for (const instruction of block.instructions) lines.push(`    ${instructionText(instruction)}`);
+            lines.push(`    ${instructionText(block.terminator)}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// --- IR Viewer ---
+// Shows the IR before and after the chosen pass, marking the lines the pass
+// removed and the ones it added
+let irStages = null;
+
+function showIR() {
+    const compiled = compilePage({ ir: true });
+    const panel = document.getElementById("ir");
+    if (compiled.errors) {
+        document.getElementById("output").textContent = compiled.errors;
+        panel.hidden = true;
+        return;
+    }
+    irStages = compiled.stages;
+    const select = document.getElementById("irPass");
+    const chosen = Math.min(Math.max(Number(select.value) || 1, 1), irStages.length - 1);
+    select.innerHTML = '';
+    irStages.slice(1).forEach((stage, k) => {
+        const option = document.createElement("option");
+        option.value = k + 1;
+        option.textContent = `${k + 1}. ${stage.name}`;
+        select.appendChild(option);
+    });
+    select.value = chosen;
+    panel.hidden = false;
+    renderIRStage();
+}
+
+function hideIR() {
+    document.getElementById("ir").hidden = true;
+}
+
+function renderIRStage() {
+    const k = Number(document.getElementById("irPass").value);
+    const before = irStages[k - 1].text.split('\n');
+    const after = irStages[k].text.split('\n');
+    const [removed, added] = changedLines(before, after);
+    renderIRListing(document.getElementById("irBefore"), before, removed, "ir-removed");
+    renderIRListing(document.getElementById("irAfter"), after, added, "ir-added");
+    document.getElementById("irBeforeLabel").textContent = `Before (${irStages[k - 1].name}):`;
+    document.getElementById("irAfterLabel").textContent = `After (${irStages[k].name}):`;
+}
+
+function renderIRListing(pre, lines, changed, className) {
+    pre.innerHTML = '';
+    lines.forEach((line, k) => {
+        const row = document.createElement("div");
+        row.textContent = line || ' ';
+        if (changed.has(k)) row.className = className;
+        pre.appendChild(row);
+    });
+}
+
+// The indices of lines only in `a` and only in `b`, from their longest
+// common subsequence
+function changedLines(a, b) {
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+    const onlyA = new Set();
+    const onlyB = new Set();
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            i++;
+            j++;
+        } else if (j < b.length && (i === a.length || common[i][j + 1] >= common[i + 1][j])) {
+            onlyB.add(j++);
+        } else {
+            onlyA.add(i++);
+        }
+    }
+    return [onlyA, onlyB];
+}
@@ -0,0 +1,162 @@
+// --- Node API ---
+// The compiler's scripts are written for the page, where they share one
+// global scope. Under Node this module loads them into a vm context of
+// their own and exposes the pipeline:
+//
+//   compile(source, options) -> compiled
+//     options.files    headers for #include "name", as { name: text }
+//     options.backend  'js' (the default) or 'wasm'
+//     options.warnings the checks of WARNINGS to run, as { id: false } for
+//                      those to leave out; all run by default
+//   Never throws for a bad program: compiled.diagnostics lists every problem
+//   found, warnings included, each { severity, code, message, line, column,
+//   endLine, endColumn, file, text } where text is the message with the
+//   offending source line, and compiled.errors those of them that stopped it
+//   compiling. The preprocessor and the parser recover from errors, so
+//   compiled.tokens and compiled.ast are always there; compiled.jsCode
+//   only when there were no errors. A wasm build also has compiled.wat.
+//
+//   run(compiled, stdin, limits, onOutput) -> Promise of { stdout, exitCode, error }
+//     stdin is the text cin reads; limits are those of runProgram()
+//     (maxSteps, maxDepth, timeout). exitCode is main's return value, or
+//     134 after a runtime error, 139 after a stack overflow and 124 when a
+//     limit was hit. error is null or { kind, message, line, file, text }.
+//     onOutput, if given, is called with the output as it is produced.
+//
+//   runInteractive(compiled, limits, onOutput, readLine) -> Promise of the same
+//     Runs the program against input that is typed as it runs: whenever cin
+//     needs more, readLine() is called for a promise of the next line, or
+//     of null at the end of the input. See runInteractive() in sandbox.js.
+//
+//   parseSuite(text) -> suite
+//   runSuite(compiled, suite, onCase) -> Promise of the score report
+//     Grade the program against a test suite; autograder.js describes the
+//     suite format and the report. formatCaseResult(result, compiled) and
+//     formatScore(report) put the results into words.
+//
+// The phases themselves are exported too, as preprocess, tokenize,
+// parseTokens, analyze, generateJS and runProgram, along with astToJSON()
+// for writing out a syntax tree, and WARNINGS, which describes each warning
+// by its ID. Given an array, tokenize() and parseTokens() report syntax
+// errors there and carry on.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// In the order index.html loads them
+const SCRIPTS = ['compiler.js', 'preprocessor.js', 'semantic.js', 'warnings.js', 'runtime.js', 'sandbox.js', 'wasm.js', 'ir.js', 'autograder.js'];
+
+const context = vm.createContext({ require, console });
+for (const script of SCRIPTS) {
+    const file = path.join(__dirname, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+}
+const compiler = vm.runInContext(
+    '({ compileFrontEnd, WARNINGS, preprocess, tokenize, parseTokens, analyze, generateJS, generateWasm, generateWasmLoader, printWat, runProgram, runInteractive, formatError, formatRuntimeError, CompileError, parseSuite, runSuite, formatCaseResult, formatScore })',
+    context
+);
+
+function describeError(error, source, files) {
+    const loc = error.loc || null;
+    return {
+        severity: error.severity,
+        code: error.code,
+        message: error.message,
+        line: loc ? loc.start.line : null,
+        column: loc ? loc.start.column : null,
+        endLine: loc ? loc.end.line : null,
+        endColumn: loc ? loc.end.column : null,
+        file: loc && loc.file ? loc.file : null,
+        text: compiler.formatError(error, source, files)
+    };
+}
+
+function compile(source, options = {}) {
+    const files = options.files || {};
+    const compiled = { source, files, backend: options.backend || 'js', diagnostics: [], errors: [] };
+    const report = (diagnostics) => {
+        compiled.diagnostics = diagnostics.map(error => describeError(error, source, files));
+        compiled.errors = compiled.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    };
+    const front = compiler.compileFrontEnd(source, files, options.warnings || {});
+    compiled.tokens = front.tokens;
+    compiled.ast = front.ast;
+    report(front.diagnostics);
+    if (compiled.errors.length > 0) return compiled;
+    try {
+        if (compiled.backend === 'wasm') {
+            const module = compiler.generateWasm(compiled.ast);
+            compiled.jsCode = compiler.generateWasmLoader(module);
+            compiled.wat = compiler.printWat(module);
+        } else {
+            compiled.jsCode = compiler.generateJS(compiled.ast);
+        }
+    } catch (e) {
+        // Anything but a CompileError is a bug in the compiler
+        if (!(e instanceof compiler.CompileError)) throw e;
+        if (!e.code) e.code = 'codegen';
+        report([...front.diagnostics, e]);
+    }
+    return compiled;
+}
+
+function run(compiled, stdin = '', limits = {}, onOutput = null) {
+    if (compiled.errors.length > 0 || !compiled.jsCode) {
+        return Promise.reject(new Error('Cannot run a program that did not compile'));
+    }
+    return compiler.runProgram(compiled.jsCode, stdin, limits, onOutput).then(result => describeRun(compiled, result));
+}
+
+function runInteractive(compiled, limits, onOutput, readLine) {
+    if (compiled.errors.length > 0 || !compiled.jsCode) {
+        return Promise.reject(new Error('Cannot run a program that did not compile'));
+    }
+    return compiler.runInteractive(compiled.jsCode, limits, onOutput, readLine).then(result => describeRun(compiled, result));
+}
+
+function describeRun(compiled, result) {
+    if (result.error) {
+        const text = compiler.formatRuntimeError(result.error, compiled.source, compiled.files);
+        result.error = { file: null, ...result.error, text };
+    }
+    return result;
+}
+
+function runSuite(compiled, suite, onCase = null) {
+    if (compiled.errors.length > 0 || !compiled.jsCode) {
+        return Promise.reject(new Error('Cannot test a program that did not compile'));
+    }
+    return compiler.runSuite(compiled.jsCode, suite, onCase);
+}
+
+function formatCaseResult(result, compiled) {
+    return compiler.formatCaseResult(result, compiled.source, compiled.files);
+}
+
+// Links the analyzer adds from the tree to symbols, which lead back into
+// the tree, and the binary operation it makes of a compound assignment
+const AST_LINKS = ['symbol', 'ctor', 'visible', 'library', 'operation'];
+
+function astToJSON(ast, space) {
+    return JSON.stringify(ast, (key, value) => AST_LINKS.includes(key) ? undefined : value, space);
+}
+
+module.exports = {
+    compile,
+    run,
+    runInteractive,
+    parseSuite: compiler.parseSuite,
+    runSuite,
+    formatCaseResult,
+    formatScore: compiler.formatScore,
+    astToJSON,
+    WARNINGS: compiler.WARNINGS,
+    preprocess: compiler.preprocess,
+    tokenize: compiler.tokenize,
+    parseTokens: compiler.parseTokens,
+    analyze: compiler.analyze,
+    generateJS: compiler.generateJS,
+    runProgram: compiler.runProgram
+};
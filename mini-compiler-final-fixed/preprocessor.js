@@ -0,0 +1,426 @@
+// --- Preprocessor ---
+// Runs before tokenize(). Handles #define (object-like and function-like),
+// #undef, #ifdef/#ifndef/#else/#endif and #include. "local.h" includes are
+// read from an in-memory map of file names to their text; <...> includes
+// must name a header the compiler provides and are kept for later passes.
+//
+// The result is the preprocessed code plus a line map, one entry per output
+// line, that tokenize() uses to report locations in the original files.
+// Given a `diagnostics` array, errors are reported there: a bad directive
+// or #include is skipped, and a bad macro use left unexpanded. Otherwise
+// the first error is thrown.
+
+const SUPPORTED_HEADERS = [
+    'iostream', 'string', 'cmath', 'cstdlib', 'algorithm', 'iomanip',
+    'vector', 'map', 'set', 'stack', 'queue', 'utility'
+];
+
+const MAX_INCLUDE_DEPTH = 16;
+
+function preprocess(source, files = {}, diagnostics = null) {
+    const macros = new Map();
+    const onceFiles = new Set();
+    const output = [];
+    const lineMap = [];
+
+    // Locations inside an included file carry its name; locations in the
+    // main file have none.
+    function locate(file, line, offset, column, length) {
+        const loc = {
+            start: { line, column, offset: offset + column - 1 },
+            end: { line, column: column + length, offset: offset + column - 1 + length }
+        };
+        if (file !== null) loc.file = file;
+        return loc;
+    }
+
+    function processFile(text, file, depth) {
+        const lines = stripComments(text.replace(/\r\n/g, '\n')).split('\n');
+        const offsets = [];
+        let offset = 0;
+        for (const line of lines) {
+            offsets.push(offset);
+            offset += line.length + 1;
+        }
+
+        // Each open conditional: whether its current branch is active,
+        // whether #else has been seen, and where it started.
+        const conditions = [];
+        const active = () => conditions.every(c => c.active);
+
+        for (let k = 0; k < lines.length; k++) {
+            const lineNumber = k + 1;
+            const directive = /^\s*#\s*(\w*)(.*)$/.exec(lines[k]);
+
+            if (!directive) {
+                if (active()) {
+                    const expanded = expandLine(lines[k], (column, length) => locate(file, lineNumber, offsets[k], column, length));
+                    output.push(expanded.text);
+                    lineMap.push({ file, line: lineNumber, offset: offsets[k], segments: expanded.segments });
+                } else {
+                    emitBlank(file, lineNumber, offsets[k]);
+                }
+                continue;
+            }
+
+            // A directive continues onto the next line after a backslash
+            let body = directive[2];
+            const first = k;
+            while (body.endsWith('\\') && k + 1 < lines.length) {
+                body = body.slice(0, -1) + ' ' + lines[++k];
+            }
+            const directiveLine = output.length;
+            for (let blank = first; blank <= k; blank++) {
+                emitBlank(file, blank + 1, offsets[blank]);
+            }
+
+            const name = directive[1];
+            const column = lines[first].indexOf('#') + 1;
+            const here = locate(file, first + 1, offsets[first], column, lines[first].trimEnd().length - column + 1);
+
+            // A directive in error is skipped
+            try {
+                switch (name) {
+                    case 'ifdef':
+                    case 'ifndef': {
+                        // Opened before the name is checked, so that a
+                        // bad one still pairs with its #endif
+                        const condition = { active: false, seenElse: false, loc: here };
+                        conditions.push(condition);
+                        const defined = macros.has(expectMacroName(body, name, here));
+                        condition.active = name === 'ifdef' ? defined : !defined;
+                        continue;
+                    }
+                    case 'else': {
+                        const top = conditions[conditions.length - 1];
+                        if (!top) throw new CompileError(`#else without #ifdef or #ifndef`, here);
+                        if (top.seenElse) throw new CompileError(`#else after #else`, here);
+                        top.seenElse = true;
+                        top.active = !top.active;
+                        continue;
+                    }
+                    case 'endif':
+                        if (!conditions.pop()) throw new CompileError(`#endif without #ifdef or #ifndef`, here);
+                        continue;
+                }
+
+                // Everything else only takes effect in active code
+                if (!active()) continue;
+
+                switch (name) {
+                    case 'define':
+                        defineMacro(body, here);
+                        break;
+
+                    case 'undef':
+                        macros.delete(expectMacroName(body, name, here));
+                        break;
+
+                    case 'include': {
+                        const system = /^\s*<([^>]+)>\s*$/.exec(body);
+                        const local = /^\s*"([^"]+)"\s*$/.exec(body);
+                        if (system) {
+                            if (!SUPPORTED_HEADERS.includes(system[1])) {
+                                throw new CompileError(`Unsupported header <${system[1]}>; available headers are ${SUPPORTED_HEADERS.map(h => `<${h}>`).join(', ')}`, here);
+                            }
+                            // Kept for the parser, which records the includes
+                            output[directiveLine] = `#include <${system[1]}>`;
+                        } else if (local) {
+                            includeFile(local[1], here, depth);
+                        } else {
+                            throw new CompileError(`#include expects "file" or <header>`, here);
+                        }
+                        break;
+                    }
+
+                    case 'pragma':
+                        if (body.trim() === 'once') onceFiles.add(file);
+                        // Other pragmas are ignored, as compilers do
+                        break;
+
+                    default:
+                        throw new CompileError(name === ''
+                            ? `Expected a preprocessor directive after '#'`
+                            : `Unsupported preprocessor directive '#${name}'`, here);
+                }
+            } catch (e) {
+                recover(e);
+            }
+        }
+
+        if (conditions.length > 0) {
+            const open = conditions[conditions.length - 1];
+            recover(new CompileError(`Unterminated conditional directive; missing #endif`, open.loc));
+        }
+    }
+
+    // Given a `diagnostics` array, an error is reported there and
+    // preprocessing carries on; otherwise it is thrown
+    function recover(error) {
+        if (!(error instanceof CompileError) || diagnostics === null) throw error;
+        if (!error.code) error.code = 'preprocessor';
+        diagnostics.push(error);
+    }
+
+    function emitBlank(file, line, offset) {
+        output.push('');
+        lineMap.push({ file, line, offset, segments: [] });
+    }
+
+    function includeFile(name, loc, depth) {
+        if (!Object.prototype.hasOwnProperty.call(files, name)) {
+            throw new CompileError(`Cannot find include file "${name}"`, loc);
+        }
+        if (depth >= MAX_INCLUDE_DEPTH) {
+            throw new CompileError(`#include nested too deeply (is "${name}" including itself?)`, loc);
+        }
+        if (onceFiles.has(name)) return;
+        processFile(files[name], name, depth + 1);
+    }
+
+    function expectMacroName(body, directive, loc) {
+        const match = /^\s*([A-Za-z_]\w*)\s*$/.exec(body);
+        if (!match) throw new CompileError(`#${directive} expects a single macro name`, loc);
+        return match[1];
+    }
+
+    // #define NAME body, or #define NAME(a, b) body when the parenthesis
+    // follows the name directly.
+    function defineMacro(body, loc) {
+        const match = /^\s*([A-Za-z_]\w*)(\(([^)]*)\))?\s*(.*)$/.exec(body);
+        if (!match) throw new CompileError(`#define expects a macro name`, loc);
+        const [, name, , paramText, replacement] = match;
+        let params = null;
+        if (paramText !== undefined) {
+            params = paramText.trim() === '' ? [] : paramText.split(',').map(p => p.trim());
+            for (const param of params) {
+                if (!/^[A-Za-z_]\w*$/.test(param)) {
+                    throw new CompileError(`Invalid parameter '${param}' in macro '${name}'`, loc);
+                }
+            }
+            if (new Set(params).size !== params.length) {
+                throw new CompileError(`Duplicate parameter name in macro '${name}'`, loc);
+            }
+        }
+        macros.set(name, { name, params, body: replacement.trim() });
+    }
+
+    // Expand the macros used on one line. Segments record which output
+    // columns came from which source columns; text produced by a macro maps
+    // to the whole macro use.
+    function expandLine(line, locateColumns) {
+        const segments = [];
+        let text = '';
+        let copied = 0;
+        let position = 0;
+
+        const copyUpTo = (end) => {
+            if (end > copied) {
+                segments.push({ out: text.length + 1, length: end - copied, src: copied + 1, srcLength: end - copied, expanded: false });
+                text += line.slice(copied, end);
+            }
+            copied = end;
+        };
+
+        while (position < line.length) {
+            const literal = /^("([^"\\]|\\.)*"|'([^'\\]|\\.)*')/.exec(line.slice(position));
+            if (literal) {
+                position += literal[0].length;
+                continue;
+            }
+            const word = /^[A-Za-z_]\w*/.exec(line.slice(position));
+            if (!word) {
+                position++;
+                continue;
+            }
+            const macro = macros.get(word[0]);
+            if (!macro) {
+                position += word[0].length;
+                continue;
+            }
+
+            // A bad use is left as written, as g++ does
+            let use = null;
+            try {
+                use = invokeMacro(macro, line, position, new Set(), locateColumns);
+            } catch (e) {
+                recover(e);
+            }
+            if (use === null) {
+                position += word[0].length;
+                continue;
+            }
+            copyUpTo(position);
+            segments.push({ out: text.length + 1, length: use.text.length, src: position + 1, srcLength: use.end - position, expanded: true });
+            text += use.text;
+            position = copied = use.end;
+        }
+        copyUpTo(line.length);
+        return { text, segments };
+    }
+
+    // Replace the use of `macro` starting at `start` in `text`. Returns the
+    // replacement and where the use ends, or null for a function-like macro
+    // named without arguments (which is left alone, as in C).
+    function invokeMacro(macro, text, start, disabled, locateColumns) {
+        let end = start + macro.name.length;
+        let replacement = macro.body;
+
+        if (macro.params !== null) {
+            const open = /^\s*\(/.exec(text.slice(end));
+            if (!open) return null;
+            const parsed = parseMacroArguments(text, end + open[0].length);
+            if (parsed === null) {
+                throw new CompileError(`Unterminated argument list invoking macro '${macro.name}'`, locateColumns(start + 1, macro.name.length));
+            }
+            let args = parsed.args;
+            if (args.length === 1 && args[0] === '' && macro.params.length === 0) args = [];
+            if (args.length !== macro.params.length) {
+                throw new CompileError(`Macro '${macro.name}' expects ${macro.params.length} argument${macro.params.length === 1 ? '' : 's'}, got ${args.length}`, locateColumns(start + 1, parsed.end - start));
+            }
+            end = parsed.end;
+            replacement = substituteArguments(macro, args, disabled, locateColumns, start);
+        }
+
+        const inner = new Set(disabled).add(macro.name);
+        return { text: rescan(replacement, inner, locateColumns, start), end };
+    }
+
+    // Arguments are split at top-level commas. Returns null if the closing
+    // parenthesis is missing.
+    function parseMacroArguments(text, position) {
+        const args = [];
+        let depth = 0;
+        let current = '';
+        while (position < text.length) {
+            const literal = /^("([^"\\]|\\.)*"|'([^'\\]|\\.)*')/.exec(text.slice(position));
+            if (literal) {
+                current += literal[0];
+                position += literal[0].length;
+                continue;
+            }
+            const ch = text[position++];
+            if (ch === '(') depth++;
+            if (ch === ')' && depth-- === 0) {
+                args.push(current.trim());
+                return { args, end: position };
+            }
+            if (ch === ',' && depth === 0) {
+                args.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        return null;
+    }
+
+    // Parameters are replaced by their fully expanded arguments, except
+    // next to # (stringify) and ## (paste), which use the argument as written.
+    function substituteArguments(macro, args, disabled, locateColumns, start) {
+        const valueOf = (name) => args[macro.params.indexOf(name)];
+        const isParam = (name) => macro.params.includes(name);
+
+        let body = macro.body.replace(/#\s*([A-Za-z_]\w*)/g, (match, name, index) => {
+            if (macro.body[index + 1] === '#' || macro.body[index - 1] === '#' || !isParam(name)) return match;
+            return JSON.stringify(valueOf(name));
+        });
+        body = body.replace(/(\w+)\s*##\s*(\w+)/g, (match, left, right) =>
+            (isParam(left) ? valueOf(left) : left) + (isParam(right) ? valueOf(right) : right));
+
+        let result = '';
+        let position = 0;
+        while (position < body.length) {
+            const literal = /^("([^"\\]|\\.)*"|'([^'\\]|\\.)*')/.exec(body.slice(position));
+            if (literal) {
+                result += literal[0];
+                position += literal[0].length;
+                continue;
+            }
+            const word = /^[A-Za-z_]\w*/.exec(body.slice(position));
+            if (word) {
+                result += isParam(word[0]) ? rescan(valueOf(word[0]), disabled, locateColumns, start) : word[0];
+                position += word[0].length;
+                continue;
+            }
+            result += body[position++];
+        }
+        return result;
+    }
+
+    // Expand macros in replacement text. Macros already being expanded are
+    // not expanded again, which stops self-referential macros.
+    function rescan(text, disabled, locateColumns, start) {
+        let result = '';
+        let position = 0;
+        while (position < text.length) {
+            const literal = /^("([^"\\]|\\.)*"|'([^'\\]|\\.)*')/.exec(text.slice(position));
+            if (literal) {
+                result += literal[0];
+                position += literal[0].length;
+                continue;
+            }
+            const word = /^[A-Za-z_]\w*/.exec(text.slice(position));
+            if (!word) {
+                result += text[position++];
+                continue;
+            }
+            const macro = macros.get(word[0]);
+            const use = macro && !disabled.has(word[0]) ? invokeMacro(macro, text, position, disabled, locateColumns) : null;
+            if (use === null) {
+                result += word[0];
+                position += word[0].length;
+                continue;
+            }
+            result += use.text;
+            position = use.end;
+        }
+        return result;
+    }
+
+    processFile(source, null, 0);
+    return { code: output.join('\n'), lineMap };
+}
+
+// Replace comments with spaces, keeping newlines, so that directives inside
+// comments are ignored and columns still line up with the source.
+function stripComments(text) {
+    return text.replace(/\/\/[^\n]*|\/\*[\s\S]*?\*\/|"([^"\\\n]|\\.)*"|'([^'\\\n]|\\.)*'/g, match => {
+        if (match[0] === '"' || match[0] === "'") return match;
+        return match.replace(/[^\n]/g, ' ');
+    });
+}
+
+// Translate a location in preprocessed code back to the file and position
+// it came from.
+function mapLocation(loc, lineMap) {
+    const start = mapPoint(loc.start, lineMap, false);
+    const end = mapPoint(loc.end, lineMap, true);
+    const entry = lineMap[loc.start.line - 1];
+    const mapped = { start, end };
+    if (entry && entry.file !== null) mapped.file = entry.file;
+    return mapped;
+}
+
+function mapPoint(point, lineMap, isEnd) {
+    const entry = lineMap[point.line - 1];
+    if (!entry) return point;
+    // An exclusive end position belongs to the segment of the character
+    // before it
+    const column = isEnd ? point.column - 1 : point.column;
+    let mappedColumn = column;
+    for (const segment of entry.segments) {
+        if (column < segment.out) break;
+        if (column < segment.out + segment.length) {
+            if (segment.expanded) {
+                mappedColumn = isEnd ? segment.src + segment.srcLength - 1 : segment.src;
+            } else {
+                mappedColumn = segment.src + (column - segment.out);
+            }
+            break;
+        }
+        mappedColumn = segment.src + segment.srcLength + (column - segment.out - segment.length);
+    }
+    if (isEnd) mappedColumn++;
+    return { line: entry.line, column: mappedColumn, offset: entry.offset + mappedColumn - 1 };
+}
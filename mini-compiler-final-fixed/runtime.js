@@ -0,0 +1,1236 @@
+// --- Runtime Library ---
+// Helpers the generated code calls into. generateJS() copies the source of
+// every function and class listed in RUNTIME_HELPERS into each program, so
+// they may only refer to each other, to the `__cin`, `__cout` and `__outputs`
+// streams and to the `__random` and `__machine` state the prelude creates.
+
+// --- Execution limits ---
+// The __machine runs the program under a step budget, a wall-clock deadline
+// and a call-depth limit. Every loop iteration and function call takes one
+// step. Statements record the C++ line they start on so a failure can be
+// reported against the source.
+class __Trap extends Error {
+    constructor(kind, message) {
+        super(message);
+        this.kind = kind;
+    }
+}
+
+class __Machine {
+    constructor(limits, outputs, onOutput = null) {
+        this.maxSteps = limits.maxSteps;
+        this.maxDepth = limits.maxDepth;
+        this.timeout = limits.timeout;
+        this.deadline = Date.now() + this.timeout;
+        this.outputs = outputs;
+        // Output goes to onOutput as it is produced, in chunks at most every
+        // 50 ms, and the rest when the program stops
+        this.onOutput = onOutput;
+        this.flushed = 0;
+        this.lastFlush = Date.now();
+        this.steps = 0;
+        this.line = 0;
+        // One { name, line } per active call, line being where it was called
+        this.frames = [];
+        this.failure = null;
+        // Debug builds record a trace of the statements run, see step()
+        this.trace = limits.debug ? [] : null;
+        this.maxTrace = limits.maxTrace;
+        this.truncated = false;
+        this.snapshotAt = limits.snapshotAt === undefined ? null : limits.snapshotAt;
+        this.snapshot = null;
+        this.classes = {};
+    }
+
+    // Returns true so loop conditions can start with a tick
+    tick(line) {
+        this.line = line;
+        if (++this.steps > this.maxSteps) {
+            throw new __Trap('step-limit', `Program exceeded its budget of ${this.maxSteps} steps (infinite loop?)`);
+        }
+        if ((this.steps & 1023) === 0) this.checkTime();
+        return true;
+    }
+
+    checkTime() {
+        const now = Date.now();
+        if (now > this.deadline) {
+            throw new __Trap('timeout', `Program ran longer than ${this.timeout} ms`);
+        }
+        if (this.onOutput !== null && now - this.lastFlush >= 50) this.flush();
+    }
+
+    flush() {
+        this.lastFlush = Date.now();
+        if (this.flushed === this.outputs.length) return;
+        this.onOutput(this.outputs.slice(this.flushed).join(''));
+        this.flushed = this.outputs.length;
+    }
+
+    enter(name) {
+        if (this.frames.length >= this.maxDepth) {
+            throw new __Trap('stack-overflow', `Stack overflow after ${this.maxDepth} nested calls (runaway recursion?)`);
+        }
+        this.frames.push({ name, line: this.line });
+        this.tick(this.line);
+    }
+
+    leave() {
+        this.line = this.frames.pop().line;
+    }
+
+    // Lines inside an included header are recorded as "name.h:12"
+    where(line) {
+        if (typeof line !== 'string') return { line, file: null };
+        const split = line.lastIndexOf(':');
+        return { line: Number(line.slice(split + 1)), file: line.slice(0, split) };
+    }
+
+    // Debug builds call this before each statement with its column and the
+    // variables in scope, each as [name, type, read]. The trace only keeps
+    // where each statement is, the call depth and how much output there is
+    // by then. What the debugger shows at a statement is found by running
+    // the program again with snapshotAt set to its index in the trace: the
+    // run stops there with a snapshot of the call stack and the variables.
+    step(line, column, locals, globals) {
+        this.line = line;
+        if (this.trace.length === this.snapshotAt) {
+            const frames = this.frames;
+            const stack = frames.map((frame, k) => ({
+                name: frame.name,
+                ...this.where(k + 1 < frames.length ? frames[k + 1].line : line)
+            }));
+            const show = ([name, type, read]) => {
+                let value;
+                try {
+                    value = this.format(read(), type, 0);
+                } catch (error) {
+                    value = '<unavailable>';
+                }
+                return { name, type: type.text, value };
+            };
+            this.snapshot = { stack, locals: locals.map(show), globals: globals.map(show) };
+            throw new __Trap('snapshot', `Stopped at statement ${this.snapshotAt}`);
+        }
+        if (this.trace.length >= this.maxTrace) {
+            this.truncated = true;
+            return;
+        }
+        this.trace.push({ ...this.where(line), column, depth: this.frames.length, output: this.outputs.length });
+    }
+
+    // A value as a debugger shows it, following gdb: 97 'a' for a char,
+    // {1, 2, 3} for arrays and sequences, {x = 1, y = 2} for objects and
+    // {[key] = value} for maps. Pointers show what they point to, one
+    // level deep so a linked list does not print in full.
+    format(value, type, depth) {
+        if (value === undefined) return '<uninitialized>';
+        if (depth > 4) return '...';
+        const list = (items, show) => {
+            const shown = items.slice(0, 100).map(show);
+            if (items.length > 100) shown.push(`... ${items.length - 100} more`);
+            return `{${shown.join(', ')}}`;
+        };
+        if (type.dims > 0) {
+            return list(value, item => this.format(item, { ...type, dims: type.dims - 1 }, depth + 1));
+        }
+        if (type.pointer > 0) {
+            if (value === null) return 'nullptr';
+            if (value.block.__freed) return '<deleted>';
+            if (!(value.index in value.block)) return '<past the end>';
+            if (depth > 0) return '<pointer>';
+            return `-> ${this.format(value.block[value.index], { ...type, pointer: type.pointer - 1 }, depth + 1)}`;
+        }
+        const args = type.args;
+        switch (type.name) {
+            case 'char':
+                return `${value} '${String.fromCharCode(value & 255)}'`;
+            case 'bool':
+                return value ? 'true' : 'false';
+            case 'string':
+                return JSON.stringify(value);
+            case 'vector':
+            case 'stack':
+            case 'queue':
+                return list(value, item => this.format(item, args[0], depth + 1));
+            case 'set':
+                return list(value.items, item => this.format(item, args[0], depth + 1));
+            case 'map':
+                return list(value.entries, entry =>
+                    `[${this.format(entry.first, args[0], depth + 1)}] = ${this.format(entry.second, args[1], depth + 1)}`);
+            case 'pair':
+                return `{first = ${this.format(value.first, args[0], depth + 1)}, second = ${this.format(value.second, args[1], depth + 1)}}`;
+        }
+        const fields = this.classes[type.name];
+        if (fields) {
+            return `{${fields.map(([name, fieldType]) => `${name} = ${this.format(value[name], fieldType, depth + 1)}`).join(', ')}}`;
+        }
+        return String(value);
+    }
+
+    // The first error is the one reported; scopes it unwinds through pass
+    // it on without running destructors. Running out of JavaScript stack
+    // before maxDepth is still a stack overflow.
+    fault(error) {
+        if (this.failure !== null) return error;
+        let cause = error;
+        if (error instanceof RangeError && /call stack/i.test(error.message)) {
+            cause = new __Trap('stack-overflow', `Stack overflow after ${this.frames.length} nested calls (runaway recursion?)`);
+        }
+        this.failure = { error: cause, line: this.line };
+        return error;
+    }
+
+    // Main's return value, or exit()'s status, is the exit code, truncated
+    // to a byte as the shell sees it. Failures exit like the signal that
+    // would end a native program: abort (134), a crashed stack (139) or a
+    // kill on timeout (124).
+    // A program stopped to wait for input, or for a snapshot, has no exit
+    // code yet.
+    run(program) {
+        let status = 0;
+        try {
+            status = program();
+        } catch (error) {
+            this.fault(error);
+        }
+        if (this.onOutput !== null) this.flush();
+        const result = { stdout: this.outputs.join(''), exitCode: (status | 0) & 255, error: null };
+        if (this.failure !== null && this.failure.error instanceof __Trap && this.failure.error.kind === 'input') {
+            result.exitCode = null;
+            result.waiting = true;
+        } else if (this.snapshot !== null) {
+            result.exitCode = null;
+            result.snapshot = this.snapshot;
+        } else if (this.failure !== null && this.failure.error instanceof __Trap && this.failure.error.kind === 'exit') {
+            result.exitCode = (this.failure.error.status | 0) & 255;
+        } else if (this.failure !== null) {
+            const { error, line } = this.failure;
+            const kind = error instanceof __Trap ? error.kind : 'runtime';
+            const exitCodes = { 'runtime': 134, 'stack-overflow': 139, 'step-limit': 124, 'timeout': 124 };
+            const { file, ...at } = this.where(line);
+            result.exitCode = exitCodes[kind];
+            result.error = { kind, message: error instanceof Error ? error.message : String(error), ...at };
+            if (file !== null) result.error.file = file;
+        }
+        if (this.trace !== null) {
+            // Turn each step's count of output chunks into a length of stdout
+            const lengths = [0];
+            this.outputs.forEach(chunk => lengths.push(lengths[lengths.length - 1] + chunk.length));
+            this.trace.forEach(event => { event.output = lengths[event.output]; });
+            result.trace = this.trace;
+            result.truncated = this.truncated;
+        }
+        return result;
+    }
+}
+
+// int division and remainder truncate toward zero and trap on zero, as
+// they do under g++ (which raises SIGFPE).
+function __idiv(a, b) {
+    if (b == 0) throw new Error("Integer division by zero");
+    return (a / b) | 0;
+}
+
+function __imod(a, b) {
+    if (b == 0) throw new Error("Integer division by zero");
+    return (a % b) | 0;
+}
+
+// Conversions applied wherever C++ performs an implicit conversion:
+// initialization, assignment, argument passing and return.
+function __toInt(value) {
+    if (value !== value) return -2147483648;
+    return Math.trunc(value) | 0;
+}
+
+function __toChar(value) {
+    return (Math.trunc(value) << 24) >> 24;
+}
+
+// Arrays are nested JavaScript arrays. Sizes are checked when the array is
+// created and every subscript is checked against the actual length. For
+// arrays of objects `fill` is a function constructing each element.
+function __makeArray(dims, fill) {
+    return __arrayFrom(dims, [], fill);
+}
+
+// sizeof a variable-length array: the lengths of its `dims` dimensions
+// times the size of an element
+function __arrayBytes(array, dims, elementSize) {
+    let size = elementSize;
+    for (let k = 0; k < dims && size > 0; k++) {
+        size *= array.length;
+        array = array[0];
+    }
+    return size;
+}
+
+function __arrayFrom(dims, values, fill) {
+    const size = dims[0];
+    if (!(size >= 0)) throw new Error(`Array size ${size} is negative`);
+    if (values.length > size) {
+        throw new Error(`Too many initializers for an array of size ${size}`);
+    }
+    const array = new Array(size);
+    for (let k = 0; k < size; k++) {
+        if (dims.length > 1) {
+            array[k] = __arrayFrom(dims.slice(1), k < values.length ? values[k] : [], fill);
+        } else if (k < values.length) {
+            array[k] = values[k];
+        } else {
+            array[k] = typeof fill === 'function' ? fill() : fill;
+        }
+    }
+    return array;
+}
+
+function __copyArray(array, deep) {
+    return array.map(element => Array.isArray(element) ? __copyArray(element, deep)
+        : deep ? element.__copy() : element);
+}
+
+function __index(array, index, name) {
+    if (array === null || array === undefined) {
+        throw new Error(`Subscript of null pointer '${name}'`);
+    }
+    if (!(index >= 0 && index < array.length)) {
+        throw new Error(`Index ${index} is out of bounds for '${name}' of size ${array.length}`);
+    }
+    return index;
+}
+
+// Objects are destroyed in the reverse order of their construction, and
+// the elements of an array from last to first.
+function __destroy(objects) {
+    // A failed program stops without running destructors, as abort() does
+    if (__machine.failure !== null) return;
+    for (let k = objects.length - 1; k >= 0; k--) {
+        const object = objects[k];
+        if (Array.isArray(object)) __destroy(object);
+        else object.__dtor();
+    }
+}
+
+// A local returned by value leaves its scope without being destroyed
+function __release(scope, object) {
+    const k = scope.lastIndexOf(object);
+    if (k >= 0) scope.splice(k, 1);
+    return object;
+}
+
+// A pointer, and a reference to anything but an object or container, is a
+// __Ptr to one slot of a block of storage: an array element, an object
+// field, or a one-element box holding a variable whose address is taken.
+// Blocks made by new are marked __heap, and delete marks them __freed so
+// later uses fail instead of reading stale memory.
+class __Ptr {
+    // Printed pointers get made-up addresses counting up from here
+    static nextAddress = 0x55d4a3e2c2b0;
+
+    constructor(block, index) {
+        this.block = block;
+        this.index = index;
+    }
+
+    get value() {
+        if (this.block.__freed) throw new Error("Use of memory after it was deleted (dangling pointer or reference)");
+        return this.block[this.index];
+    }
+
+    set value(value) {
+        if (this.block.__freed) throw new Error("Use of memory after it was deleted (dangling pointer or reference)");
+        this.block[this.index] = value;
+    }
+}
+
+function __new(value) {
+    const block = [value];
+    block.__heap = true;
+    return new __Ptr(block, 0);
+}
+
+function __newArray(block) {
+    block.__heap = true;
+    block.__array = true;
+    return new __Ptr(block, 0);
+}
+
+// A pointer to an object or container, which is its own storage
+function __addressOf(object) {
+    return new __Ptr([object], 0);
+}
+
+// Checks a pointer before *p, p->x or p[k] and returns the pointer to the
+// element used.
+function __deref(pointer, name, offset = 0) {
+    if (pointer === null) throw new Error(`Null pointer dereference of '${name}'`);
+    if (pointer.block.__freed) throw new Error(`Use of '${name}' after it was deleted (dangling pointer)`);
+    if (offset === 0 && typeof pointer.index !== 'number') return pointer;
+    const index = pointer.index + offset;
+    if (!(index >= 0 && index < pointer.block.length)) {
+        throw new Error(`Pointer '${name}' points outside its array (element ${index} of ${pointer.block.length})`);
+    }
+    return offset === 0 ? pointer : new __Ptr(pointer.block, index);
+}
+
+function __ptrAdd(pointer, offset) {
+    if (pointer === null) {
+        if (offset === 0) return null;
+        throw new Error("Arithmetic on a null pointer");
+    }
+    return new __Ptr(pointer.block, pointer.index + offset);
+}
+
+function __ptrDiff(a, b) {
+    if (a === null || b === null || a.block !== b.block) {
+        throw new Error("Subtraction of pointers that do not point into the same array");
+    }
+    return a.index - b.index;
+}
+
+// Two pointers are equal when they name the same slot, or the same object
+function __ptrEqual(a, b) {
+    if (a === null || b === null) return a === b;
+    if (a.block === b.block && a.index === b.index) return true;
+    const target = a.block[a.index];
+    return target instanceof Object && !(target instanceof __Ptr) && target === b.block[b.index];
+}
+
+function __ptrText(pointer) {
+    if (pointer === null) return "0";
+    const block = pointer.block;
+    if (block.__address === undefined) {
+        block.__address = __Ptr.nextAddress;
+        __Ptr.nextAddress += 0x40 + block.length * 8;
+    }
+    const offset = typeof pointer.index === 'number' ? pointer.index * 4 : 0;
+    return "0x" + (block.__address + offset).toString(16);
+}
+
+// cout << p for a char* prints the characters up to the terminating '\0'
+function __ptrCString(pointer, name) {
+    let text = "";
+    for (let k = 0; ; k++) {
+        const code = __deref(pointer, name, k).value;
+        if (code === 0) return text;
+        text += __strChar(code);
+    }
+}
+
+function __delete(pointer, isArray) {
+    if (pointer === null) return;
+    const block = pointer.block;
+    if (!block.__heap || pointer.index !== 0) {
+        throw new Error("delete of a pointer that was not returned by new");
+    }
+    if (block.__freed) throw new Error("Memory deleted twice (double free)");
+    if (!!block.__array !== isArray) {
+        throw new Error(isArray ? "delete[] of memory allocated with new; use delete"
+            : "delete of memory allocated with new[]; use delete[]");
+    }
+    __destroy(block.filter(element => element && element.__dtor));
+    // Pointers to the fields of deleted objects dangle as well
+    block.forEach(element => {
+        if (element instanceof Object) element.__freed = true;
+    });
+    block.__freed = true;
+}
+
+// std::string values are JavaScript strings and chars are character codes.
+// Operations that modify a string return the new value for the caller to
+// store. Errors mirror the std::out_of_range messages libstdc++ prints.
+function __strChar(code) {
+    return String.fromCharCode(code & 255);
+}
+
+function __strCode(s, index) {
+    return (s.charCodeAt(index) << 24) >> 24;
+}
+
+function __strText(value) {
+    return typeof value === 'number' ? __strChar(value) : value;
+}
+
+function __strAt(s, index, name) {
+    // s[s.length()] is the terminating '\0', as in C++11
+    if (index === s.length) return 0;
+    if (!(index >= 0 && index < s.length)) {
+        throw new Error(`Index ${index} is out of bounds for string '${name}' of length ${s.length}`);
+    }
+    return __strCode(s, index);
+}
+
+function __strSet(s, index, code, name) {
+    if (!(index >= 0 && index < s.length)) {
+        throw new Error(`Index ${index} is out of bounds for string '${name}' of length ${s.length}`);
+    }
+    return s.slice(0, index) + __strChar(code) + s.slice(index + 1);
+}
+
+function __strLength(s) {
+    return s.length;
+}
+
+function __strEmpty(s) {
+    return s.length === 0;
+}
+
+function __strCheckedAt(s, index) {
+    if (!(index >= 0 && index < s.length)) {
+        throw new Error(`std::out_of_range: basic_string::at: __n (which is ${index}) >= this->size() (which is ${s.length})`);
+    }
+    return __strCode(s, index);
+}
+
+function __strFront(s) {
+    if (s.length === 0) throw new Error("string::front() called on an empty string");
+    return __strCode(s, 0);
+}
+
+function __strBack(s) {
+    if (s.length === 0) throw new Error("string::back() called on an empty string");
+    return __strCode(s, s.length - 1);
+}
+
+function __strSubstr(s, pos = 0, len = -1) {
+    if (pos < 0 || pos > s.length) {
+        throw new Error(`std::out_of_range: basic_string::substr: __pos (which is ${pos}) > this->size() (which is ${s.length})`);
+    }
+    return len < 0 ? s.slice(pos) : s.slice(pos, pos + len);
+}
+
+function __strFind(s, needle, pos = 0) {
+    return s.indexOf(__strText(needle), pos);
+}
+
+function __strRfind(s, needle, pos = s.length) {
+    return s.lastIndexOf(__strText(needle), pos < 0 ? s.length : pos);
+}
+
+function __strCompare(s, other) {
+    return s < other ? -1 : s > other ? 1 : 0;
+}
+
+function __strCopy(s) {
+    return s;
+}
+
+function __strPushBack(s, code) {
+    return s + __strChar(code);
+}
+
+function __strPopBack(s) {
+    if (s.length === 0) throw new Error("string::pop_back() called on an empty string");
+    return s.slice(0, -1);
+}
+
+function __strAppend(s, text) {
+    return s + __strText(text);
+}
+
+function __strInsert(s, pos, text) {
+    if (pos < 0 || pos > s.length) {
+        throw new Error(`std::out_of_range: basic_string::insert: __pos (which is ${pos}) > this->size() (which is ${s.length})`);
+    }
+    return s.slice(0, pos) + __strText(text) + s.slice(pos);
+}
+
+function __strErase(s, pos = 0, len = -1) {
+    if (pos < 0 || pos > s.length) {
+        throw new Error(`std::out_of_range: basic_string::erase: __pos (which is ${pos}) > this->size() (which is ${s.length})`);
+    }
+    return len < 0 ? s.slice(0, pos) : s.slice(0, pos) + s.slice(pos + len);
+}
+
+function __strClear() {
+    return "";
+}
+
+// to_string formats floating-point values like printf("%f").
+function __toString(value, type) {
+    if (type !== 'double' && type !== 'float') return String(Number(value));
+    if (value !== value) return value < 0 ? "-nan" : "nan";
+    if (!isFinite(value)) return value < 0 ? "-inf" : "inf";
+    return __fixedDigits(value, 6);
+}
+
+function __stoi(s) {
+    const match = /^\s*[+-]?\d+/.exec(s);
+    if (!match) throw new Error("std::invalid_argument: stoi");
+    const value = Number(match[0]);
+    if (value > 2147483647 || value < -2147483648) throw new Error("std::out_of_range: stoi");
+    return value;
+}
+
+function __stod(s) {
+    const match = /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(s);
+    if (!match) throw new Error("std::invalid_argument: stod");
+    return Number(match[0]);
+}
+
+// <cmath>, <cstdlib> and <algorithm>. Most math functions map straight
+// onto Math; these are the ones whose C++ behavior differs.
+function __round(value) {
+    // Halfway cases round away from zero
+    return value < 0 ? -Math.round(-value) : Math.round(value);
+}
+
+function __fmod(a, b) {
+    return a % b;
+}
+
+function __abs(value, type) {
+    if (type === 'double' || type === 'float') return Math.abs(value);
+    // abs(INT_MIN) overflows back to INT_MIN
+    return Math.abs(value) | 0;
+}
+
+function __max(a, b) {
+    return a < b ? b : a;
+}
+
+function __min(a, b) {
+    return b < a ? b : a;
+}
+
+function __swap(a, setA, b, setB) {
+    setA(b);
+    setB(a);
+}
+
+// Iterator ranges are two pointers into one array or vector. Returns the
+// array, having checked the pointers are a range of it.
+function __range(first, last) {
+    if (first === null || last === null) throw new Error("Null pointer passed as an iterator");
+    const block = first.block;
+    if (block.__freed) throw new Error("Use of an iterator into memory after it was deleted");
+    if (block !== last.block || typeof first.index !== 'number' || !(first.index <= last.index && last.index <= block.length)) {
+        throw new Error("Iterators do not form a range of one array or vector");
+    }
+    return block;
+}
+
+// A comparator, when given, says whether its first argument goes before
+// its second, as < does
+function __sort(first, last, less = null) {
+    const block = __range(first, last);
+    const order = less === null ? __compare : (a, b) => less(a, b) ? -1 : less(b, a) ? 1 : 0;
+    const sorted = block.slice(first.index, last.index).sort(order);
+    sorted.forEach((item, k) => { block[first.index + k] = item; });
+}
+
+function __reverse(first, last) {
+    const block = __range(first, last);
+    for (let i = first.index, j = last.index - 1; i < j; i++, j--) {
+        [block[i], block[j]] = [block[j], block[i]];
+    }
+}
+
+function __find(first, last, value) {
+    const block = __range(first, last);
+    for (let k = first.index; k < last.index; k++) {
+        if (__compare(block[k], value) === 0) return new __Ptr(block, k);
+    }
+    return last;
+}
+
+function __count(first, last, value) {
+    const block = __range(first, last);
+    let count = 0;
+    for (let k = first.index; k < last.index; k++) {
+        if (__compare(block[k], value) === 0) count++;
+    }
+    return count;
+}
+
+// The first of the largest or smallest elements, or last when the range is
+// empty
+function __maxElement(first, last) {
+    const block = __range(first, last);
+    let best = first.index;
+    for (let k = first.index + 1; k < last.index; k++) {
+        if (__compare(block[k], block[best]) > 0) best = k;
+    }
+    return new __Ptr(block, best);
+}
+
+function __minElement(first, last) {
+    const block = __range(first, last);
+    let best = first.index;
+    for (let k = first.index + 1; k < last.index; k++) {
+        if (__compare(block[k], block[best]) < 0) best = k;
+    }
+    return new __Ptr(block, best);
+}
+
+// Library containers. vector, stack and queue are JavaScript arrays. A map
+// keeps its entries and a set its elements sorted by __compare, so that
+// iteration visits them in order as with std::map and std::set. Helpers
+// for members that return an element give its position for the caller to
+// subscript, so the element can be assigned to.
+class __Pair {
+    constructor(first, second) {
+        this.first = first;
+        this.second = second;
+    }
+}
+
+class __Map {
+    constructor(entries = []) {
+        this.entries = entries;
+    }
+}
+
+class __Set {
+    constructor(items = []) {
+        this.items = items;
+    }
+}
+
+function __makePair(first, second) {
+    return new __Pair(first, second);
+}
+
+// Orders numbers and strings by value and containers and pairs
+// lexicographically, returning a negative, zero or positive number.
+function __compare(a, b) {
+    if (typeof a !== 'object') return a < b ? -1 : a > b ? 1 : 0;
+    if (a instanceof __Pair) return __compare(a.first, b.first) || __compare(a.second, b.second);
+    const x = __elements(a);
+    const y = __elements(b);
+    for (let k = 0; k < x.length && k < y.length; k++) {
+        const order = __compare(x[k], y[k]);
+        if (order !== 0) return order;
+    }
+    return x.length - y.length;
+}
+
+function __elements(container) {
+    if (Array.isArray(container)) return container;
+    return container instanceof __Map ? container.entries : container.items;
+}
+
+function __size(container) {
+    return __elements(container).length;
+}
+
+function __empty(container) {
+    return __elements(container).length === 0;
+}
+
+function __clear(container) {
+    __elements(container).length = 0;
+}
+
+// Iterators are pointers into the array of elements: a vector's own, a
+// map's entries or a set's items
+function __begin(container) {
+    return new __Ptr(__elements(container), 0);
+}
+
+function __end(container) {
+    const items = __elements(container);
+    return new __Ptr(items, items.length);
+}
+
+// Copies take a function copying one element, or null when the elements
+// are plain values.
+function __copySequence(items, copy) {
+    return copy ? items.map(copy) : items.slice();
+}
+
+function __copyPair(pair, copyFirst, copySecond) {
+    return new __Pair(copyFirst ? copyFirst(pair.first) : pair.first,
+        copySecond ? copySecond(pair.second) : pair.second);
+}
+
+function __copyMap(map, copyEntry) {
+    return new __Map(map.entries.map(copyEntry));
+}
+
+function __copySet(set, copy) {
+    return new __Set(__copySequence(set.items, copy));
+}
+
+// a = b on a container or pair changes the object a names, which may be
+// bound to a reference; `value` is already a copy.
+function __assignInPlace(target, value) {
+    if (Array.isArray(target)) {
+        target.length = 0;
+        value.forEach(item => target.push(item));
+    } else if (target instanceof __Pair) {
+        target.first = value.first;
+        target.second = value.second;
+    } else if (target instanceof __Map) {
+        target.entries = value.entries;
+    } else {
+        target.items = value.items;
+    }
+    return target;
+}
+
+// Returns a function producing copies of `value`, to fill new elements
+function __fillWith(value, copy) {
+    return copy ? () => copy(value) : () => value;
+}
+
+function __vecPushBack(items, value) {
+    items.push(value);
+}
+
+function __vecPopBack(items) {
+    if (items.length === 0) throw new Error("vector::pop_back() called on an empty vector");
+    items.pop();
+}
+
+function __vecFront(items) {
+    if (items.length === 0) throw new Error("vector::front() called on an empty vector");
+    return 0;
+}
+
+function __vecBack(items) {
+    if (items.length === 0) throw new Error("vector::back() called on an empty vector");
+    return items.length - 1;
+}
+
+function __vecAt(items, index) {
+    if (!(index >= 0 && index < items.length)) {
+        throw new Error(`std::out_of_range: vector::_M_range_check: __n (which is ${index}) >= this->size() (which is ${items.length})`);
+    }
+    return index;
+}
+
+function __vecResize(items, size, fill) {
+    if (!(size >= 0)) throw new Error("std::length_error: cannot create std::vector larger than max_size()");
+    if (items.length > size) items.length = size;
+    while (items.length < size) items.push(fill());
+    return items;
+}
+
+// The position of a vector iterator, checked to point into `items`
+function __vecPosition(items, position, member) {
+    if (position === null || position.block !== items || !(position.index >= 0 && position.index <= items.length)) {
+        throw new Error(`vector::${member}() given an iterator that does not point into the vector`);
+    }
+    return position.index;
+}
+
+function __vecInsert(items, position, value) {
+    const k = __vecPosition(items, position, 'insert');
+    items.splice(k, 0, value);
+    return new __Ptr(items, k);
+}
+
+// erase(position) or erase(first, last); the iterator returned points to
+// the element after those removed
+function __vecErase(items, first, last) {
+    const k = __vecPosition(items, first, 'erase');
+    const end = last === undefined ? k + 1 : __vecPosition(items, last, 'erase');
+    if (end > items.length || end < k) throw new Error("vector::erase() given an invalid range");
+    items.splice(k, end - k);
+    return new __Ptr(items, k);
+}
+
+function __stackPop(items) {
+    if (items.length === 0) throw new Error("stack::pop() called on an empty stack");
+    items.pop();
+}
+
+function __stackTop(items) {
+    if (items.length === 0) throw new Error("stack::top() called on an empty stack");
+    return items.length - 1;
+}
+
+function __queuePop(items) {
+    if (items.length === 0) throw new Error("queue::pop() called on an empty queue");
+    items.shift();
+}
+
+function __queueFront(items) {
+    if (items.length === 0) throw new Error("queue::front() called on an empty queue");
+    return 0;
+}
+
+function __queueBack(items) {
+    if (items.length === 0) throw new Error("queue::back() called on an empty queue");
+    return items.length - 1;
+}
+
+// Position of the first item whose key is not less than `key`
+function __lowerBound(items, key, keyOf) {
+    let low = 0;
+    let high = items.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (__compare(keyOf(items[middle]), key) < 0) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+function __mapFind(map, key) {
+    const k = __lowerBound(map.entries, key, entry => entry.first);
+    return k < map.entries.length && __compare(map.entries[k].first, key) === 0 ? k : -1;
+}
+
+// m[key]: the entry for key, created with a default value if missing
+function __mapEntry(map, key, makeDefault) {
+    const k = __lowerBound(map.entries, key, entry => entry.first);
+    if (k < map.entries.length && __compare(map.entries[k].first, key) === 0) return map.entries[k];
+    const entry = new __Pair(key, makeDefault());
+    map.entries.splice(k, 0, entry);
+    return entry;
+}
+
+function __mapAt(map, key) {
+    const k = __mapFind(map, key);
+    if (k < 0) throw new Error("std::out_of_range: map::at");
+    return map.entries[k];
+}
+
+function __mapFindIterator(map, key) {
+    const k = __mapFind(map, key);
+    return new __Ptr(map.entries, k < 0 ? map.entries.length : k);
+}
+
+function __mapCount(map, key) {
+    return __mapFind(map, key) < 0 ? 0 : 1;
+}
+
+function __mapErase(map, key) {
+    const k = __mapFind(map, key);
+    if (k < 0) return 0;
+    map.entries.splice(k, 1);
+    return 1;
+}
+
+// Inserting a key that is already present leaves the map unchanged
+function __mapInsert(map, entry) {
+    const k = __lowerBound(map.entries, entry.first, item => item.first);
+    if (k < map.entries.length && __compare(map.entries[k].first, entry.first) === 0) return;
+    map.entries.splice(k, 0, entry);
+}
+
+function __mapFrom(entries) {
+    const map = new __Map();
+    entries.forEach(entry => __mapInsert(map, entry));
+    return map;
+}
+
+function __setFind(set, value) {
+    const k = __lowerBound(set.items, value, item => item);
+    return k < set.items.length && __compare(set.items[k], value) === 0 ? k : -1;
+}
+
+function __setInsert(set, value) {
+    const k = __lowerBound(set.items, value, item => item);
+    if (k < set.items.length && __compare(set.items[k], value) === 0) return;
+    set.items.splice(k, 0, value);
+}
+
+function __setFindIterator(set, value) {
+    const k = __setFind(set, value);
+    return new __Ptr(set.items, k < 0 ? set.items.length : k);
+}
+
+function __setCount(set, value) {
+    return __setFind(set, value) < 0 ? 0 : 1;
+}
+
+function __setErase(set, value) {
+    const k = __setFind(set, value);
+    if (k < 0) return 0;
+    set.items.splice(k, 1);
+    return 1;
+}
+
+function __setFrom(items) {
+    const set = new __Set();
+    items.forEach(item => __setInsert(set, item));
+    return set;
+}
+
+// rand() reproduces glibc's generator, so a program seeded with srand(n)
+// prints the same numbers it would when compiled with g++ on Linux. The
+// state is the last 31 values of r[i] = r[i - 31] + r[i - 3].
+function __seedRandom(seed, state = {}) {
+    const ring = new Array(31);
+    ring[0] = (seed | 0) === 0 ? 1 : seed | 0;
+    for (let k = 1; k < 31; k++) {
+        ring[k] = (16807 * ring[k - 1]) % 2147483647;
+        if (ring[k] < 0) ring[k] += 2147483647;
+    }
+    state.ring = ring;
+    state.index = 34;
+    // glibc discards the first 310 outputs
+    for (let k = 0; k < 310; k++) __nextRandom(state);
+    return state;
+}
+
+function __nextRandom(state) {
+    const slot = state.index % 31;
+    state.ring[slot] = (state.ring[slot] + state.ring[(state.index - 3) % 31]) >>> 0;
+    state.index++;
+    return state.ring[slot] >>> 1;
+}
+
+function __rand() {
+    return __nextRandom(__random);
+}
+
+function __srand(seed) {
+    __seedRandom(seed, __random);
+}
+
+// exit() unwinds the program like a trap, but ends it as returning the
+// status from main would
+function __exit(status) {
+    const trap = new __Trap('exit', `exit(${status})`);
+    trap.status = status;
+    throw trap;
+}
+
+// cout keeps the formatting state manipulators set. The width applies to
+// the next value only; everything else persists.
+function __openOutput() {
+    return { width: 0, precision: 6, fixed: false, left: false, fill: ' ' };
+}
+
+function __print(text) {
+    if (text.length < __cout.width) {
+        const padding = __cout.fill.repeat(__cout.width - text.length);
+        text = __cout.left ? text + padding : padding + text;
+    }
+    __cout.width = 0;
+    __outputs.push(text);
+}
+
+// Doubles print like printf's %g with the stream precision (6 by default),
+// or like %f under `fixed`.
+function __formatDouble(value) {
+    if (value !== value) return "nan";
+    if (!isFinite(value)) return value < 0 ? "-inf" : "inf";
+    const precision = Math.max(__cout.precision, 0);
+    if (__cout.fixed) return __fixedDigits(value, precision);
+
+    const digits = Math.max(precision, 1);
+    if (value === 0) return Object.is(value, -0) ? "-0" : "0";
+    const [mantissa, exponentText] = value.toExponential(digits - 1).split('e');
+    const exponent = Number(exponentText);
+    if (exponent < -4 || exponent >= digits) {
+        const sign = exponent < 0 ? '-' : '+';
+        return __trimZeros(mantissa) + 'e' + sign + String(Math.abs(exponent)).padStart(2, '0');
+    }
+    return __trimZeros(__fixedDigits(value, digits - 1 - exponent));
+}
+
+// value.toFixed(digits), except that exact ties round to even as printf
+// does, so 0.125 prints as 0.12.
+function __fixedDigits(value, digits) {
+    const magnitude = Math.abs(value);
+    let text = magnitude.toFixed(digits);
+    const scaled = magnitude * 10 ** digits;
+    if (Number.isInteger(magnitude * 2 ** (digits + 1)) && scaled % 1 === 0.5 && scaled < 2 ** 53) {
+        const even = Math.floor(scaled) % 2 === 0 ? Math.floor(scaled) : Math.ceil(scaled);
+        const whole = String(even).padStart(digits + 1, '0');
+        text = digits > 0 ? whole.slice(0, -digits) + '.' + whole.slice(-digits) : whole;
+    }
+    return (value < 0 || Object.is(value, -0) ? '-' : '') + text;
+}
+
+function __trimZeros(text) {
+    return text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+}
+
+// cin reads from a line-buffered stdin, skipping leading whitespace the
+// way operator>> does. `text` is everything typed or piped in so far. Until
+// the input is `closed` more may follow, so a read that runs into the end
+// of the text waits for the next line rather than failing (see
+// runInteractive()): `more()`, when given, blocks until there is more text
+// and returns it, or null at the end of the input; without it the program
+// stops and is run again once the line is there. Input given as a string
+// is closed. A failed read sets failbit, and one that reaches the end of
+// closed input eofbit; once failed, later reads leave their target
+// unchanged.
+function __openInput(input) {
+    if (input !== null && typeof input === 'object' && !Array.isArray(input)) {
+        const more = typeof input.more === 'function' ? input.more : null;
+        return { text: String(input.text), pos: 0, failed: false, eof: false, closed: input.closed !== false, more };
+    }
+    const text = Array.isArray(input) ? input.join(' ') : String(input || '');
+    return { text, pos: 0, failed: false, eof: false, closed: true, more: null };
+}
+
+// Whether there is a character at `pos`, once it is known: past the end of
+// input that is still open, the program waits for another line. What it
+// printed so far is shown first, and the time spent waiting does not count
+// against its time limit.
+function __available(pos) {
+    if (pos < __cin.text.length) return true;
+    if (!__cin.closed && __cin.more !== null && __machine.onOutput !== null) __machine.flush();
+    while (pos >= __cin.text.length && !__cin.closed && __cin.more !== null) {
+        const asked = Date.now();
+        const text = __cin.more();
+        __machine.deadline += Date.now() - asked;
+        if (text === null) __cin.closed = true;
+        else __cin.text += text;
+    }
+    if (pos < __cin.text.length) return true;
+    if (!__cin.closed) throw new __Trap('input', 'Waiting for input');
+    __cin.eof = true;
+    return false;
+}
+
+function __skipSpace() {
+    while (__available(__cin.pos) && /\s/.test(__cin.text[__cin.pos])) {
+        __cin.pos++;
+    }
+}
+
+function __readMatch(pattern) {
+    __skipSpace();
+    let match = pattern.exec(__cin.text.slice(__cin.pos));
+    // A number or word running up to the end may go on in the next line
+    while (match && __cin.pos + match[0].length === __cin.text.length && __available(__cin.text.length)) {
+        match = pattern.exec(__cin.text.slice(__cin.pos));
+    }
+    if (!match) {
+        __cin.failed = true;
+        return null;
+    }
+    __cin.pos += match[0].length;
+    return match[0];
+}
+
+function __readInt(current) {
+    if (__cin.failed) return current;
+    const text = __readMatch(/^[+-]?\d+/);
+    if (text === null) return 0;
+    const value = Number(text);
+    // Out-of-range input saturates and fails, as std::num_get does.
+    if (value > 2147483647 || value < -2147483648) {
+        __cin.failed = true;
+        return value > 0 ? 2147483647 : -2147483648;
+    }
+    return value;
+}
+
+function __readDouble(current) {
+    if (__cin.failed) return current;
+    const text = __readMatch(/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+    return text === null ? 0 : Number(text);
+}
+
+function __readBool(current) {
+    if (__cin.failed) return current;
+    const text = __readMatch(/^[+-]?\d+/);
+    if (text === null) return false;
+    if (Number(text) !== 0 && Number(text) !== 1) {
+        __cin.failed = true;
+        return true;
+    }
+    return Number(text) === 1;
+}
+
+function __readChar(current) {
+    if (__cin.failed) return current;
+    __skipSpace();
+    if (__cin.pos >= __cin.text.length) {
+        __cin.failed = true;
+        return current;
+    }
+    return __toChar(__cin.text.charCodeAt(__cin.pos++));
+}
+
+function __readWord(current) {
+    if (__cin.failed) return current;
+    const text = __readMatch(/^\S+/);
+    return text === null ? current : text;
+}
+
+// getline(cin, s) reads the rest of the current line, consuming but not
+// storing the newline. The last line of the input may lack one.
+function __getline(store) {
+    if (__cin.failed) return false;
+    if (!__available(__cin.pos)) {
+        __cin.failed = true;
+        return false;
+    }
+    let end = __cin.text.indexOf('\n', __cin.pos);
+    while (end < 0 && __available(__cin.text.length)) end = __cin.text.indexOf('\n', __cin.pos);
+    if (end < 0) end = __cin.text.length;
+    store(__cin.text.slice(__cin.pos, end));
+    __cin.pos = end + 1;
+    return true;
+}
+
+// --- Character input ---
+// cin.get() returns the next character, whitespace included, as an
+// unsigned value, or -1 (EOF) when there is none; cin.get(c) stores it in
+// c and returns whether there was one. cin.peek() looks without taking it.
+function __cinGet(store = null) {
+    const code = __cinPeek();
+    if (code >= 0) __cin.pos++;
+    else __cin.failed = true;
+    if (store === null) return code;
+    if (code >= 0) store(__toChar(code));
+    return code >= 0 ? 1 : 0;
+}
+
+function __cinPeek() {
+    if (__cin.failed || !__available(__cin.pos)) return -1;
+    return __cin.text.charCodeAt(__cin.pos) & 255;
+}
+
+// Skips `count` characters or through the first `delimiter`, whichever
+// comes first
+function __cinIgnore(count = 1, delimiter = -1) {
+    for (let k = 0; k < count && !__cin.failed && __available(__cin.pos); k++) {
+        const code = __cin.text.charCodeAt(__cin.pos++) & 255;
+        if (delimiter !== -1 && code === (delimiter & 255)) break;
+    }
+}
+
+function __cinEof() {
+    return __cin.eof;
+}
+
+function __cinFail() {
+    return __cin.failed;
+}
+
+function __cinClear() {
+    __cin.failed = false;
+    __cin.eof = false;
+}
+
+const RUNTIME_HELPERS = [
+    __Trap, __Machine,
+    __idiv, __imod, __toInt, __toChar,
+    __makeArray, __arrayFrom, __arrayBytes, __copyArray, __index,
+    __destroy, __release,
+    __Ptr, __new, __newArray, __addressOf, __deref, __ptrAdd, __ptrDiff, __ptrEqual,
+    __ptrText, __ptrCString, __delete,
+    __strChar, __strCode, __strText, __strAt, __strSet,
+    __strLength, __strEmpty, __strCheckedAt, __strFront, __strBack,
+    __strSubstr, __strFind, __strRfind, __strCompare, __strCopy,
+    __strPushBack, __strPopBack, __strAppend, __strInsert, __strErase, __strClear,
+    __toString, __stoi, __stod,
+    __round, __fmod, __abs, __max, __min, __swap, __range, __sort, __reverse, __find, __count, __maxElement, __minElement,
+    __Pair, __Map, __Set, __makePair, __compare, __elements, __size, __empty, __clear, __begin, __end,
+    __copySequence, __copyPair, __copyMap, __copySet, __assignInPlace, __fillWith,
+    __vecPushBack, __vecPopBack, __vecFront, __vecBack, __vecAt, __vecResize, __vecPosition, __vecInsert, __vecErase,
+    __stackPop, __stackTop, __queuePop, __queueFront, __queueBack,
+    __lowerBound, __mapFind, __mapEntry, __mapAt, __mapFindIterator, __mapCount, __mapErase, __mapInsert,
+    __mapFrom, __setFind, __setInsert, __setFindIterator, __setCount, __setErase, __setFrom,
+    __seedRandom, __nextRandom, __rand, __srand, __exit,
+    __openOutput, __print, __formatDouble, __fixedDigits, __trimZeros,
+    __openInput, __available, __skipSpace, __readMatch,
+    __readInt, __readDouble, __readBool, __readChar, __readWord, __getline,
+    __cinGet, __cinPeek, __cinIgnore, __cinEof, __cinFail, __cinClear
+];
+
+function runtimeSource() {
+    return RUNTIME_HELPERS.map(helper => helper.toString()).join('\n') + '\n';
+}
@@ -0,0 +1,298 @@
+// --- Sandbox ---
+// Generated programs run away from the page: in a Web Worker in the
+// browser, or in a fresh vm context under Node. Inside, runJS() runs the
+// program under the limits its __machine enforces; the host also stops it
+// outright if it overruns its time limit without noticing.
+//
+// The input is the text cin reads, or { text, closed } for input that is
+// still being typed (see runInteractive()). A run resolves to { stdout,
+// exitCode, error }, where error is null or { kind, message, line } (plus
+// `file` when the line is in an included header) and kind is 'runtime',
+// 'stack-overflow', 'step-limit' or 'timeout'. stdout holds everything
+// printed before the error. A program that stopped to wait for more input
+// resolves to { stdout, exitCode: null, error: null, waiting: true }.
+// onOutput, if given, sees the output in chunks while the program runs.
+
+// A debug run (debug: true, for a program generated with options.debug)
+// also returns the trace of at most maxTrace statements it recorded. Given
+// snapshotAt, the index of one of them, it stops there instead and returns
+// the call stack and variables as `snapshot` (see __Machine.step()).
+const DEFAULT_LIMITS = { maxSteps: 10000000, maxDepth: 5000, timeout: 5000, debug: false, maxTrace: 1000000 };
+
+// Time the host allows past the program's own deadline
+const HARD_TIMEOUT_GRACE = 1000;
+
+function runProgram(jsCode, input, limits = {}, onOutput = null) {
+    const resolved = { ...DEFAULT_LIMITS, ...limits };
+    if (typeof Worker === 'function') return runInWorker(jsCode, input, resolved, onOutput);
+    if (typeof require === 'function') return Promise.resolve(runInContext(jsCode, input, resolved, onOutput));
+    return Promise.resolve(runJS(jsCode, input, resolved, onOutput));
+}
+
+// Runs in whichever realm it is pasted into, so it may only use globals
+function runJS(jsCode, input, limits, onOutput = null) {
+    try {
+        const program = new Function(jsCode);
+        return program(input, limits, onOutput);
+    } catch (e) {
+        // The program failed before its __machine started
+        return { stdout: '', exitCode: 134, error: { kind: 'runtime', message: e.message, line: null } };
+    }
+}
+
+function timeoutResult(limits) {
+    const error = { kind: 'timeout', message: `Program ran longer than ${limits.timeout} ms`, line: null };
+    return { stdout: '', exitCode: 124, error };
+}
+
+// The worker runs one program and posts back its result, and before that
+// its output as it is produced when asked to stream it. Given a shared
+// input buffer (see runInteractive()), cin blocks on it for each line.
+function sandboxWorkerMain() {
+    onmessage = (event) => {
+        const { jsCode, limits, stream, shared } = event.data;
+        const onOutput = stream ? (output) => postMessage({ output }) : null;
+        const input = shared ? { text: '', closed: false, more: blockingInput(shared, () => postMessage({ waiting: true })) } : event.data.input;
+        postMessage({ result: runJS(jsCode, input, limits, onOutput) });
+    };
+}
+
+function runInWorker(jsCode, input, limits, onOutput, readLine = null) {
+    return new Promise((resolve, reject) => {
+        const source = `${runJS}\n${blockingInput}\n(${sandboxWorkerMain})();\n`;
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        const worker = new Worker(url);
+        const end = () => {
+            clock.stop();
+            worker.terminate();
+            URL.revokeObjectURL(url);
+        };
+        const finish = (result) => {
+            end();
+            resolve(result);
+        };
+        const clock = hostClock(limits, setTimeout, clearTimeout, () => finish(timeoutResult(limits)));
+        const shared = readLine === null ? null : new SharedArrayBuffer(INPUT_BUFFER_SIZE);
+        const answer = readLine === null ? null : inputServer(shared, readLine, clock, (error) => {
+            end();
+            reject(error);
+        });
+        worker.onmessage = (event) => {
+            if (event.data.result) finish(event.data.result);
+            else if (event.data.waiting) answer();
+            else onOutput(event.data.output);
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            finish({ stdout: '', exitCode: 134, error: { kind: 'runtime', message: event.message, line: null } });
+        };
+        worker.postMessage({ jsCode, input, limits, stream: onOutput !== null, shared });
+    });
+}
+
+// Node: the program gets a context of its own with no access to require,
+// process or the host's globals
+function runInContext(jsCode, input, limits, onOutput) {
+    const vm = require('vm');
+    const context = vm.createContext({ jsCode, input, limits, onOutput });
+    try {
+        const result = vm.runInContext(`(${runJS})(jsCode, input, limits, onOutput)`, context, {
+            timeout: limits.timeout + HARD_TIMEOUT_GRACE
+        });
+        // Detach the result from the context's Object and Array
+        return JSON.parse(JSON.stringify(result));
+    } catch (e) {
+        // Only the vm's own timeout gets past runJS
+        return timeoutResult(limits);
+    }
+}
+
+// --- Interactive runs ---
+// A program reading from a console runs in a worker of its own. When cin
+// runs out of input the worker asks the host for more and sleeps on a
+// shared buffer with Atomics.wait() until readLine() has the next line and
+// it is copied in, so the program carries on from the read that was
+// waiting. readLine() returns a promise of the line, without its newline,
+// or of null for the end of the input; if the promise is rejected instead
+// the program is stopped and so is the run. The time spent waiting does
+// not count against the time limit.
+//
+// Without SharedArrayBuffer (a browser page that is not cross-origin
+// isolated) a program cannot be paused part way through, so it is run with
+// the lines typed so far, and when it stops to wait for more it is run
+// again from the start with the next one. Programs are deterministic
+// (rand() starts from the same seed every run), so each run prints what
+// the last one did before going further; onOutput only sees the new text.
+// Resolves to the program's result, or the last run's.
+function runInteractive(jsCode, limits, onOutput, readLine) {
+    const resolved = { ...DEFAULT_LIMITS, ...limits };
+    if (typeof Worker === 'function' && typeof SharedArrayBuffer === 'function' && self.crossOriginIsolated) {
+        return runInWorker(jsCode, null, resolved, onOutput, readLine);
+    }
+    if (typeof Worker !== 'function' && typeof require === 'function') {
+        return runInThread(jsCode, resolved, onOutput, readLine);
+    }
+    return runAgain(jsCode, resolved, onOutput, readLine);
+}
+
+// The shared input buffer: a flag the host sets once it has answered, the
+// length of the text it copied in (-1 for the end of the input) and room
+// for that many UTF-16 code units
+const INPUT_BUFFER_SIZE = 8 + 2 * 65536;
+
+// The worker's side: more() for __openInput(), which asks the host for
+// text and sleeps until it is there
+function blockingInput(shared, ask) {
+    const state = new Int32Array(shared, 0, 2);
+    const chars = new Uint16Array(shared, 8);
+    return () => {
+        Atomics.store(state, 0, 0);
+        ask();
+        Atomics.wait(state, 0, 0);
+        const length = Atomics.load(state, 1);
+        if (length < 0) return null;
+        let text = '';
+        for (let i = 0; i < length; i += 4096) {
+            text += String.fromCharCode(...chars.subarray(i, Math.min(length, i + 4096)));
+        }
+        return text;
+    };
+}
+
+// The host's side: answers each request with the next line from readLine()
+// and wakes the worker. A line too long for the buffer goes over in pieces.
+// The clock is paused while the worker waits; stop(error) is called if
+// readLine() refuses a line.
+function inputServer(shared, readLine, clock, stop) {
+    const state = new Int32Array(shared, 0, 2);
+    const chars = new Uint16Array(shared, 8);
+    let pending = '';
+    const send = (text) => {
+        if (text === null) {
+            Atomics.store(state, 1, -1);
+        } else {
+            const piece = text.slice(0, chars.length);
+            pending = text.slice(piece.length);
+            for (let i = 0; i < piece.length; i++) chars[i] = piece.charCodeAt(i);
+            Atomics.store(state, 1, piece.length);
+        }
+        clock.resume();
+        Atomics.store(state, 0, 1);
+        Atomics.notify(state, 0);
+    };
+    return () => {
+        clock.pause();
+        if (pending !== '') send(pending);
+        else readLine().then(line => send(line === null ? null : `${line}\n`), stop);
+    };
+}
+
+// The host's hard time limit for a program that may stop to wait for
+// input: the clock only runs while the program does. pause() stops it
+// until resume(), and expire() is called when it runs out.
+function hostClock(limits, setTimer, clearTimer, expire) {
+    let left = limits.timeout + HARD_TIMEOUT_GRACE;
+    let started = Date.now();
+    let timer = setTimer(expire, left);
+    return {
+        pause() {
+            clearTimer(timer);
+            left -= Date.now() - started;
+        },
+        resume() {
+            started = Date.now();
+            timer = setTimer(expire, Math.max(0, left));
+        },
+        stop() {
+            clearTimer(timer);
+        }
+    };
+}
+
+// Node: the worker is a thread, which runs the program in a context of its
+// own as runInContext() does
+function sandboxThreadMain() {
+    const { parentPort, workerData } = require('worker_threads');
+    const vm = require('vm');
+    const { jsCode, limits, shared } = workerData;
+    const more = blockingInput(shared, () => parentPort.postMessage({ waiting: true }));
+    const onOutput = (output) => parentPort.postMessage({ output });
+    const context = vm.createContext({ jsCode, input: { text: '', closed: false, more }, limits, onOutput });
+    const result = vm.runInContext(`(${runJS})(jsCode, input, limits, onOutput)`, context);
+    parentPort.postMessage({ result: JSON.parse(JSON.stringify(result)) });
+}
+
+function runInThread(jsCode, limits, onOutput, readLine) {
+    const { Worker } = require('worker_threads');
+    const { setTimeout, clearTimeout } = require('timers');
+    return new Promise((resolve, reject) => {
+        const source = `${runJS}\n${blockingInput}\n(${sandboxThreadMain})();\n`;
+        const shared = new SharedArrayBuffer(INPUT_BUFFER_SIZE);
+        const worker = new Worker(source, { eval: true, workerData: { jsCode, limits, shared } });
+        const end = () => {
+            clock.stop();
+            worker.terminate();
+        };
+        const finish = (result) => {
+            end();
+            resolve(result);
+        };
+        const clock = hostClock(limits, setTimeout, clearTimeout, () => finish(timeoutResult(limits)));
+        const answer = inputServer(shared, readLine, clock, (error) => {
+            end();
+            reject(error);
+        });
+        worker.on('message', (message) => {
+            if (message.result) finish(message.result);
+            else if (message.waiting) answer();
+            else onOutput(message.output);
+        });
+        worker.on('error', (e) => {
+            finish({ stdout: '', exitCode: 134, error: { kind: 'runtime', message: e.message, line: null } });
+        });
+    });
+}
+
+// Runs the program again from the start for each line typed
+function runAgain(jsCode, limits, onOutput, readLine) {
+    let text = '';
+    let closed = false;
+    let shown = 0;
+    const attempt = () => {
+        let produced = 0;
+        const stream = (chunk) => {
+            if (produced + chunk.length > shown) {
+                onOutput(chunk.slice(Math.max(0, shown - produced)));
+                shown = produced + chunk.length;
+            }
+            produced += chunk.length;
+        };
+        return runProgram(jsCode, { text, closed }, limits, stream).then(result => {
+            if (result.stdout.length > shown) {
+                onOutput(result.stdout.slice(shown));
+                shown = result.stdout.length;
+            }
+            if (!result.waiting) return result;
+            return readLine().then(line => {
+                if (line === null) closed = true;
+                else text += `${line}\n`;
+                return attempt();
+            });
+        });
+    };
+    return attempt();
+}
+
+// A runtime error in the style of a compile error, pointing at the
+// statement that failed
+function formatRuntimeError(error, source, files = {}) {
+    const message = `Runtime error: ${error.message}`;
+    if (!error.line) return message;
+    const text = error.file ? files[error.file] : source;
+    const lines = text === undefined ? [] : text.replace(/\r\n/g, '\n').split('\n');
+    const sourceLine = lines[error.line - 1] || '';
+    const start = { line: error.line, column: sourceLine.search(/\S|$/) + 1 };
+    const end = { line: error.line, column: sourceLine.length + 1 };
+    const loc = error.file ? { start, end, file: error.file } : { start, end };
+    return formatError({ message, loc }, source, files);
+}
@@ -0,0 +1,2926 @@
+// --- Semantic Analysis ---
+// Runs after parseTokens(). Every identifier is resolved against nested
+// scopes and every expression node gets a `resolvedType`. Problems are
+// collected rather than thrown, so one run reports all of them.
+
+const ARITHMETIC_TYPES = ['bool', 'char', 'int', 'float', 'double'];
+const BUILTIN_TYPES = [...ARITHMETIC_TYPES, 'void', 'string', 'auto'];
+
+// Library functions and std::string members. `params` lists the kind of
+// each argument: an arithmetic 'number', 'int', 'double' or 'char', a
+// 'string', 'text' (string or char), 'comparable' (number or string),
+// 'any' value, 'istream' (cin), 'iterator' (a pointer into an array or
+// vector, those of one call having the same type), 'element' (a value
+// like those the iterators point to) or 'compare' (the name of a function
+// that takes two such elements and says whether the first goes before the
+// second, used instead of <). A trailing '&' marks an argument the
+// function writes to, which must be a variable; it is passed as a setter,
+// preceded by its value when `readsRefs` is set.
+// `minArgs` allows trailing optional arguments, `helper` is the runtime
+// function that implements the call and `typed` passes the C++ type of the
+// first argument along to it. `returns` is a type name, 'same' for the type
+// of the arguments (which `sameTypes` requires to match), 'promoted' for
+// the first argument's type after integral promotion, 'pair' for a pair
+// of the argument types or 'iterator' for the type of the first iterator.
+// `compares` requires elements that can be compared with < and ==, and
+// `modifies` elements that are not const. `header` names the header, or
+// headers, that declare the function.
+const LIBRARY_FUNCTIONS = {
+    getline: { params: ['istream', 'string&'], returns: 'bool', helper: '__getline' },
+    to_string: { params: ['number'], returns: 'string', helper: '__toString', typed: true },
+    stoi: { params: ['string'], returns: 'int', helper: '__stoi' },
+    stod: { params: ['string'], returns: 'double', helper: '__stod' },
+
+    sqrt: { params: ['double'], returns: 'double', helper: '__Math.sqrt', header: 'cmath' },
+    cbrt: { params: ['double'], returns: 'double', helper: '__Math.cbrt', header: 'cmath' },
+    pow: { params: ['double', 'double'], returns: 'double', helper: '__Math.pow', header: 'cmath' },
+    exp: { params: ['double'], returns: 'double', helper: '__Math.exp', header: 'cmath' },
+    log: { params: ['double'], returns: 'double', helper: '__Math.log', header: 'cmath' },
+    log2: { params: ['double'], returns: 'double', helper: '__Math.log2', header: 'cmath' },
+    log10: { params: ['double'], returns: 'double', helper: '__Math.log10', header: 'cmath' },
+    sin: { params: ['double'], returns: 'double', helper: '__Math.sin', header: 'cmath' },
+    cos: { params: ['double'], returns: 'double', helper: '__Math.cos', header: 'cmath' },
+    tan: { params: ['double'], returns: 'double', helper: '__Math.tan', header: 'cmath' },
+    asin: { params: ['double'], returns: 'double', helper: '__Math.asin', header: 'cmath' },
+    acos: { params: ['double'], returns: 'double', helper: '__Math.acos', header: 'cmath' },
+    atan: { params: ['double'], returns: 'double', helper: '__Math.atan', header: 'cmath' },
+    atan2: { params: ['double', 'double'], returns: 'double', helper: '__Math.atan2', header: 'cmath' },
+    hypot: { params: ['double', 'double'], returns: 'double', helper: '__Math.hypot', header: 'cmath' },
+    floor: { params: ['double'], returns: 'double', helper: '__Math.floor', header: 'cmath' },
+    ceil: { params: ['double'], returns: 'double', helper: '__Math.ceil', header: 'cmath' },
+    trunc: { params: ['double'], returns: 'double', helper: '__Math.trunc', header: 'cmath' },
+    round: { params: ['double'], returns: 'double', helper: '__round', header: 'cmath' },
+    fabs: { params: ['double'], returns: 'double', helper: '__Math.abs', header: 'cmath' },
+    fmod: { params: ['double', 'double'], returns: 'double', helper: '__fmod', header: 'cmath' },
+    abs: { params: ['number'], returns: 'promoted', helper: '__abs', typed: true, header: ['cmath', 'cstdlib'] },
+
+    rand: { params: [], returns: 'int', helper: '__rand', header: 'cstdlib' },
+    srand: { params: ['int'], returns: 'void', helper: '__srand', header: 'cstdlib' },
+    exit: { params: ['int'], returns: 'void', helper: '__exit', header: 'cstdlib' },
+
+    max: { params: ['comparable', 'comparable'], sameTypes: true, returns: 'same', helper: '__max', header: 'algorithm' },
+    min: { params: ['comparable', 'comparable'], sameTypes: true, returns: 'same', helper: '__min', header: 'algorithm' },
+    swap: { params: ['any&', 'any&'], sameTypes: true, returns: 'void', helper: '__swap', readsRefs: true, header: 'algorithm' },
+    sort: { params: ['iterator', 'iterator', 'compare'], minArgs: 2, returns: 'void', helper: '__sort', compares: true, modifies: true, header: 'algorithm' },
+    reverse: { params: ['iterator', 'iterator'], returns: 'void', helper: '__reverse', modifies: true, header: 'algorithm' },
+    find: { params: ['iterator', 'iterator', 'element'], returns: 'iterator', helper: '__find', compares: true, header: 'algorithm' },
+    count: { params: ['iterator', 'iterator', 'element'], returns: 'int', helper: '__count', compares: true, header: 'algorithm' },
+    max_element: { params: ['iterator', 'iterator'], returns: 'iterator', helper: '__maxElement', compares: true, header: 'algorithm' },
+    min_element: { params: ['iterator', 'iterator'], returns: 'iterator', helper: '__minElement', compares: true, header: 'algorithm' },
+
+    make_pair: { params: ['any', 'any'], returns: 'pair', helper: '__makePair', header: ['utility', 'map'] }
+};
+
+// Library constants, also checked against the includes
+const LIBRARY_CONSTANTS = {
+    RAND_MAX: { type: 'int', value: '2147483647', header: 'cstdlib' }
+};
+
+// Members marked `mutates` produce the new string value, which the caller
+// stores back into the object.
+const STRING_METHODS = {
+    length: { params: [], returns: 'int', helper: '__strLength' },
+    size: { params: [], returns: 'int', helper: '__strLength' },
+    empty: { params: [], returns: 'bool', helper: '__strEmpty' },
+    at: { params: ['int'], returns: 'char', helper: '__strCheckedAt' },
+    front: { params: [], returns: 'char', helper: '__strFront' },
+    back: { params: [], returns: 'char', helper: '__strBack' },
+    substr: { params: ['int', 'int'], minArgs: 0, returns: 'string', helper: '__strSubstr' },
+    find: { params: ['text', 'int'], minArgs: 1, returns: 'int', helper: '__strFind' },
+    rfind: { params: ['text', 'int'], minArgs: 1, returns: 'int', helper: '__strRfind' },
+    compare: { params: ['string'], returns: 'int', helper: '__strCompare' },
+    c_str: { params: [], returns: 'string', helper: '__strCopy' },
+    push_back: { params: ['char'], returns: 'void', helper: '__strPushBack', mutates: true },
+    pop_back: { params: [], returns: 'void', helper: '__strPopBack', mutates: true },
+    append: { params: ['text'], returns: 'void', helper: '__strAppend', mutates: true },
+    insert: { params: ['int', 'text'], returns: 'void', helper: '__strInsert', mutates: true },
+    erase: { params: ['int', 'int'], minArgs: 0, returns: 'void', helper: '__strErase', mutates: true },
+    clear: { params: [], returns: 'void', helper: '__strClear', mutates: true }
+};
+
+// Members of cin, reading from the same line-buffered input as >>. Where
+// C++ returns the stream, get(c) returns whether it read a character.
+const ISTREAM_METHODS = {
+    get: { params: ['char&'], minArgs: 0, returns: 'int', helper: '__cinGet' },
+    peek: { params: [], returns: 'int', helper: '__cinPeek' },
+    ignore: { params: ['int', 'char'], minArgs: 0, returns: 'void', helper: '__cinIgnore' },
+    eof: { params: [], returns: 'bool', helper: '__cinEof' },
+    fail: { params: [], returns: 'bool', helper: '__cinFail' },
+    clear: { params: [], returns: 'void', helper: '__cinClear' }
+};
+
+// Manipulators that can appear in a cout chain. Those taking an argument
+// are declared in <iomanip>.
+const MANIPULATORS = {
+    fixed: { param: null },
+    left: { param: null },
+    right: { param: null },
+    setw: { param: 'int', header: 'iomanip' },
+    setprecision: { param: 'int', header: 'iomanip' },
+    setfill: { param: 'char', header: 'iomanip' }
+};
+
+// Members of the library containers. Besides the kinds above, `params` may
+// name the container's 'elem', 'key' or 'mapped' type, and so may
+// `returns`, which can also be 'iterator': iterators are pointers to the
+// elements, so they work with the pointer operators. Members marked
+// `modifies` cannot be called on a const object. Those that give access to
+// an element have `element` set: 'index' helpers return the position of the
+// element in the container and 'entry' helpers the map entry holding it.
+// `fills` passes a factory for the default value of new elements.
+const CONTAINER_METHODS = {
+    vector: {
+        push_back: { params: ['elem'], returns: 'void', helper: '__vecPushBack', modifies: true },
+        pop_back: { params: [], returns: 'void', helper: '__vecPopBack', modifies: true },
+        size: { params: [], returns: 'int', helper: '__size' },
+        empty: { params: [], returns: 'bool', helper: '__empty' },
+        clear: { params: [], returns: 'void', helper: '__clear', modifies: true },
+        front: { params: [], returns: 'elem', helper: '__vecFront', element: 'index' },
+        back: { params: [], returns: 'elem', helper: '__vecBack', element: 'index' },
+        at: { params: ['int'], returns: 'elem', helper: '__vecAt', element: 'index' },
+        resize: { params: ['int', 'elem'], minArgs: 1, returns: 'void', helper: '__vecResize', modifies: true, fills: true },
+        insert: { params: ['iterator', 'elem'], returns: 'iterator', helper: '__vecInsert', modifies: true },
+        erase: { params: ['iterator', 'iterator'], minArgs: 1, returns: 'iterator', helper: '__vecErase', modifies: true },
+        begin: { params: [], returns: 'iterator', helper: '__begin' },
+        end: { params: [], returns: 'iterator', helper: '__end' }
+    },
+    stack: {
+        push: { params: ['elem'], returns: 'void', helper: '__vecPushBack', modifies: true },
+        pop: { params: [], returns: 'void', helper: '__stackPop', modifies: true },
+        top: { params: [], returns: 'elem', helper: '__stackTop', element: 'index' },
+        size: { params: [], returns: 'int', helper: '__size' },
+        empty: { params: [], returns: 'bool', helper: '__empty' }
+    },
+    queue: {
+        push: { params: ['elem'], returns: 'void', helper: '__vecPushBack', modifies: true },
+        pop: { params: [], returns: 'void', helper: '__queuePop', modifies: true },
+        front: { params: [], returns: 'elem', helper: '__queueFront', element: 'index' },
+        back: { params: [], returns: 'elem', helper: '__queueBack', element: 'index' },
+        size: { params: [], returns: 'int', helper: '__size' },
+        empty: { params: [], returns: 'bool', helper: '__empty' }
+    },
+    map: {
+        size: { params: [], returns: 'int', helper: '__size' },
+        empty: { params: [], returns: 'bool', helper: '__empty' },
+        clear: { params: [], returns: 'void', helper: '__clear', modifies: true },
+        count: { params: ['key'], returns: 'int', helper: '__mapCount' },
+        erase: { params: ['key'], returns: 'int', helper: '__mapErase', modifies: true },
+        at: { params: ['key'], returns: 'mapped', helper: '__mapAt', element: 'entry' },
+        insert: { params: ['elem'], returns: 'void', helper: '__mapInsert', modifies: true },
+        find: { params: ['key'], returns: 'iterator', helper: '__mapFindIterator' },
+        begin: { params: [], returns: 'iterator', helper: '__begin' },
+        end: { params: [], returns: 'iterator', helper: '__end' }
+    },
+    set: {
+        size: { params: [], returns: 'int', helper: '__size' },
+        empty: { params: [], returns: 'bool', helper: '__empty' },
+        clear: { params: [], returns: 'void', helper: '__clear', modifies: true },
+        count: { params: ['elem'], returns: 'int', helper: '__setCount' },
+        erase: { params: ['elem'], returns: 'int', helper: '__setErase', modifies: true },
+        insert: { params: ['elem'], returns: 'void', helper: '__setInsert', modifies: true },
+        find: { params: ['elem'], returns: 'iterator', helper: '__setFindIterator' },
+        begin: { params: [], returns: 'iterator', helper: '__begin' },
+        end: { params: [], returns: 'iterator', helper: '__end' }
+    }
+};
+
+// The header, or headers, declaring each library class template
+const TEMPLATE_HEADERS = {
+    vector: 'vector',
+    map: 'map',
+    set: 'set',
+    stack: 'stack',
+    queue: 'queue',
+    pair: ['utility', 'map']
+};
+
+// Stands in for the type of an expression that already produced an error,
+// so that one mistake does not cascade into a dozen follow-up messages.
+const ERROR_TYPE = makeType('<error>');
+
+class Scope {
+    constructor(kind, parent = null, name = null) {
+        this.kind = kind; // 'global' | 'function' | 'block' | 'for'
+        this.parent = parent;
+        this.name = name;
+        this.symbols = new Map();
+    }
+
+    lookupLocal(name) {
+        return this.symbols.get(name) || null;
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            const symbol = scope.symbols.get(name);
+            if (symbol) return symbol;
+        }
+        return null;
+    }
+}
+
+function isErrorType(type) {
+    return type.name === ERROR_TYPE.name;
+}
+
+function isArray(type) {
+    return type.dims.length > 0;
+}
+
+function isArithmetic(type) {
+    return type.pointer === 0 && !isArray(type) && ARITHMETIC_TYPES.includes(type.name);
+}
+
+function isIntegral(type) {
+    return isArithmetic(type) && type.name !== 'float' && type.name !== 'double';
+}
+
+function isString(type) {
+    return type.pointer === 0 && !isArray(type) && type.name === 'string';
+}
+
+function isScalar(type) {
+    return isArithmetic(type) || (type.pointer > 0 && !isArray(type));
+}
+
+// The type of one element of an array type.
+function elementTypeOf(type) {
+    return { ...type, reference: false, dims: type.dims.slice(1) };
+}
+
+// Array size as a number when it is written as a literal, else null.
+function constantSize(dim) {
+    return dim && dim.type === 'literal' && dim.valueType === 'int' ? dim.value : null;
+}
+
+// The type an expression of declared type `type` has when read: references
+// are transparent once bound.
+function valueTypeOf(type) {
+    return type.reference ? { ...type, reference: false } : type;
+}
+
+function sameType(a, b) {
+    return a.name === b.name && a.pointer === b.pointer && a.dims.length === b.dims.length &&
+        a.args.length === b.args.length && a.args.every((arg, k) => sameType(arg, b.args[k]));
+}
+
+// Whether values of the type can be ordered with '<', as map keys and set
+// elements must be
+function isComparable(type) {
+    if (isArithmetic(type) || isString(type)) return true;
+    return isContainer(type) && type.args.every(isComparable);
+}
+
+// A vector, map, set, pair, stack or queue held by value
+function isContainer(type) {
+    return type.pointer === 0 && !isArray(type) && type.args.length > 0;
+}
+
+// The type of the elements of a container, as a range-based for visits
+// them: map entries are pairs with a const key and set elements are const.
+function containerElementType(type) {
+    switch (type.name) {
+        case 'map':
+            return makeType('pair', { args: [{ ...type.args[0], isConst: true }, type.args[1]] });
+        case 'set':
+            return { ...type.args[0], isConst: true };
+        default:
+            return type.args[0];
+    }
+}
+
+// The type a container member's parameter or result of the given kind has
+function containerKindType(kind, type) {
+    switch (kind) {
+        case 'elem':
+            return containerElementType(type);
+        case 'key':
+            return type.args[0];
+        case 'mapped':
+            return type.args[1];
+        case 'iterator': {
+            const element = containerElementType(type);
+            return { ...element, pointer: element.pointer + 1, isConst: Boolean(element.isConst || type.isConst) };
+        }
+        default:
+            return makeType(kind);
+    }
+}
+
+// Result type of arithmetic on two operands, after the usual promotions.
+function arithmeticResult(a, b) {
+    if (a.name === 'double' || b.name === 'double') return makeType('double');
+    if (a.name === 'float' || b.name === 'float') return makeType('float');
+    return makeType('int');
+}
+
+// The C++ type an argument of the given library kind is converted to.
+function kindType(kind) {
+    const name = kind.replace('&', '');
+    return ['int', 'double', 'char', 'string'].includes(name) ? makeType(name) : null;
+}
+
+function matchesKind(kind, type, arg) {
+    switch (kind.replace('&', '')) {
+        case 'number':
+        case 'int':
+        case 'double':
+        case 'char':
+            return isArithmetic(type);
+        case 'string':
+            return isString(type);
+        case 'text':
+            return isString(type) || (isArithmetic(type) && type.name === 'char');
+        case 'comparable':
+            return isArithmetic(type) || isString(type);
+        case 'any':
+            return !(type.name === 'void' && type.pointer === 0) && !isArray(type);
+        case 'istream':
+            return arg.type === 'identifier' && arg.name === 'cin';
+        case 'iterator':
+            return isArray(type) ? type.dims.length === 1 : type.pointer > 0;
+        case 'element':
+            return true;
+        case 'compare':
+            return type.name === '<function>';
+        default:
+            return false;
+    }
+}
+
+// Arrays used as values decay to a pointer to their first element
+function decay(type) {
+    return type.dims.length === 1 ? { ...type, pointer: type.pointer + 1, dims: [] } : type;
+}
+
+function isNullPointer(type) {
+    return type.name === 'nullptr_t';
+}
+
+function isAssignable(target, source) {
+    if (isErrorType(target) || isErrorType(source)) return true;
+    if (isArithmetic(target) && isArithmetic(source)) return true;
+    if (target.pointer > 0 && !isArray(target)) {
+        if (isNullPointer(source)) return true;
+        const pointer = decay(source);
+        // A pointer to const cannot be turned back into a plain pointer
+        return pointer.pointer > 0 && !isArray(pointer) && sameType(target, pointer) &&
+            (target.isConst || !pointer.isConst);
+    }
+    // Arrays are only ever "assigned" when passed to an array parameter,
+    // where the inner dimensions must agree and the outer one is ignored.
+    if (isArray(target) && isArray(source)) {
+        return sameType(target, source) && target.dims.slice(1).every((dim, k) => {
+            const expected = constantSize(dim);
+            const actual = constantSize(source.dims[k + 1]);
+            return expected === null || actual === null || expected === actual;
+        });
+    }
+    return sameType(target, source);
+}
+
+// How far an argument of type `argType` is from the parameter's type: 0
+// for the same type, 1 for a promotion such as char to int or float to
+// double, 2 for any other conversion, and null when there is none.
+function conversionCost(param, argType) {
+    const target = valueTypeOf(param.type);
+    if (argType.name === '<initializer list>') return 2;
+    if (!isAssignable(target, argType)) return null;
+    if (sameType(target, argType) || (isArray(argType) && sameType(target, decay(argType)))) return 0;
+    const promoted = isArithmetic(target) && isArithmetic(argType) &&
+        ((argType.name === 'float' && target.name === 'double') ||
+            (['bool', 'char'].includes(argType.name) && target.name === 'int'));
+    return promoted ? 1 : 2;
+}
+
+// The candidates that accept the argument types best: those no other
+// candidate beats, one beating another when it is no worse for any
+// argument and better for one. Where two fit equally well, a function
+// beats a template instance. Parameters with a default value may be left
+// out. An empty list means none fits, more than one that the call is
+// ambiguous.
+function bestOverloads(candidates, argTypes) {
+    const viable = [];
+    for (const candidate of candidates) {
+        const required = candidate.params.filter(param => !param.default).length;
+        if (argTypes.length < required || argTypes.length > candidate.params.length) continue;
+        const costs = argTypes.map((type, k) => conversionCost(candidate.params[k], type));
+        if (!costs.includes(null)) viable.push({ candidate, costs });
+    }
+    const beats = (a, b) => {
+        const better = a.costs.some((cost, k) => cost < b.costs[k]);
+        const worse = a.costs.some((cost, k) => cost > b.costs[k]);
+        if (better || worse) return better && !worse;
+        return !a.candidate.template && Boolean(b.candidate.template);
+    };
+    return viable.filter(a => !viable.some(b => b !== a && beats(b, a))).map(entry => entry.candidate);
+}
+
+// Pick the candidate whose parameters best accept the argument types, the
+// first of them when several do equally well. Returns null when none fits.
+function selectOverload(candidates, argTypes) {
+    const best = bestOverloads(candidates, argTypes);
+    return best.length > 0 ? best[0] : null;
+}
+
+// --- Name mangling ---
+// Overloads and template instances need names of their own in the
+// generated code. They are mangled the way g++ does it, after the Itanium
+// C++ ABI: int area(int, double) is _Z4areaid and max<int>(int, int) is
+// _Z3maxIiEii. Library types use short forms of their own.
+const MANGLED_TYPES = { void: 'v', bool: 'b', char: 'c', int: 'i', float: 'f', double: 'd', string: 'Ss' };
+
+function mangleName(name, params, typeArgs = null) {
+    const template = typeArgs ? `I${typeArgs.map(mangleType).join('')}E` : '';
+    const types = params.length > 0 ? params.map(param => mangleType(param.type)).join('') : 'v';
+    return `_Z${name.length}${name}${template}${types}`;
+}
+
+// A parameter's type as it is in the signature: arrays are pointers and
+// const only counts behind a pointer or reference
+function mangleType(type) {
+    let code = MANGLED_TYPES[type.name] || `${type.name.length}${type.name}`;
+    if (type.args.length > 0) code = `St${code}I${type.args.map(mangleType).join('')}E`;
+    if (type.isConst && (type.pointer > 0 || type.reference || isArray(type))) code = `K${code}`;
+    code = type.dims.slice(1).map(dim => `A${constantSize(dim) === null ? '' : constantSize(dim)}_`).join('') + code;
+    code = 'P'.repeat(type.pointer + (isArray(type) ? 1 : 0)) + code;
+    return type.reference ? `R${code}` : code;
+}
+
+// A deep copy of a tree as the parser built it, of plain objects and arrays
+function copyTree(value) {
+    if (Array.isArray(value)) return value.map(copyTree);
+    if (value === null || typeof value !== 'object') return value;
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) copy[key] = copyTree(child);
+    return copy;
+}
+
+// Whether two parameter lists make the same signature
+function sameParameters(a, b) {
+    return a.length === b.length && a.every((param, k) => mangleType(param.type) === mangleType(b[k].type));
+}
+
+function isLvalue(expr) {
+    switch (expr.type) {
+        case 'identifier':
+            return expr.symbol !== undefined &&
+                ['variable', 'parameter', 'field'].includes(expr.symbol.kind);
+        case 'index':
+            return expr.object.type !== 'literal';
+        case 'member':
+            return true;
+        case 'unary':
+            if (expr.operator === '*') return true;
+            return expr.prefix && (expr.operator === '++' || expr.operator === '--');
+        case 'assignment':
+            return true;
+        case 'call': {
+            if (expr.library !== undefined) return expr.library.element !== undefined;
+            // Functions returning a reference
+            const callee = expr.callee.symbol;
+            return callee !== undefined && callee.type !== undefined && callee.type.reference;
+        }
+        default:
+            return false;
+    }
+}
+
+// The value of a constant expression, as a case label or sizeof needs, or
+// null when `expr` is not one. Values are those the generated code works
+// with: chars are their code and bools 0 or 1.
+function constantValue(expr) {
+    const type = expr.resolvedType;
+    if (!type || !isArithmetic(type)) return null;
+    let value = null;
+    switch (expr.type) {
+        case 'literal':
+            value = expr.valueType === 'char' ? __toChar(expr.value.charCodeAt(0)) : Number(expr.value);
+            break;
+
+        case 'identifier':
+            if (expr.constant) value = Number(expr.constant.value);
+            else if (expr.symbol && expr.symbol.constantValue !== undefined) value = expr.symbol.constantValue;
+            break;
+
+        case 'unary': {
+            const x = constantValue(expr.operand);
+            if (x === null) return null;
+            value = { '-': -x, '+': x, '~': ~x, '!': Number(!x) }[expr.operator];
+            break;
+        }
+
+        case 'binary': {
+            const x = constantValue(expr.left);
+            const y = constantValue(expr.right);
+            if (x === null || y === null) return null;
+            const integral = isIntegral(expr.left.resolvedType) && isIntegral(expr.right.resolvedType);
+            if ((expr.operator === '/' || expr.operator === '%') && integral && y === 0) return null;
+            value = {
+                '+': x + y, '-': x - y, '*': integral ? Math.imul(x, y) : x * y, '/': x / y, '%': x % y,
+                '<<': x << y, '>>': x >> y, '&': x & y, '|': x | y, '^': x ^ y,
+                '<': x < y, '<=': x <= y, '>': x > y, '>=': x >= y, '==': x === y, '!=': x !== y,
+                '&&': Boolean(x && y), '||': Boolean(x || y)
+            }[expr.operator];
+            break;
+        }
+
+        case 'cast':
+            value = constantValue(expr.operand);
+            break;
+
+        case 'conditional': {
+            const condition = constantValue(expr.condition);
+            if (condition === null) return null;
+            value = constantValue(condition ? expr.consequent : expr.alternate);
+            break;
+        }
+
+        case 'sizeof':
+            value = expr.size;
+            break;
+    }
+    if (value === null || value === undefined) return null;
+    return convertConstant(value, type);
+}
+
+// A constant converted to the arithmetic type `type`, as convertValue()
+// converts values at run time
+function convertConstant(value, type) {
+    switch (type.name) {
+        case 'int': return __toInt(value);
+        case 'char': return __toChar(value);
+        case 'bool': return value ? 1 : 0;
+        case 'float': return Math.fround(value);
+        default: return Number(value);
+    }
+}
+
+// What sizeof gives for library types, as libstdc++ lays them out on x86-64
+const LIBRARY_SIZES = { string: 32, vector: 24, map: 48, set: 48, stack: 80, queue: 80 };
+
+function analyze(ast) {
+    const errors = [];
+    const scopes = [];
+    const globalScope = new Scope('global');
+    scopes.push(globalScope);
+
+    let scope = globalScope;
+    let currentFunction = null;
+    let currentClass = null;
+    let inConstMethod = false;
+    let loopDepth = 0;
+    let switchDepth = 0;
+    const includes = new Set();
+
+    function error(message, loc) {
+        // A macro argument used twice would otherwise be reported twice
+        const sameLoc = (other) => other === loc || (other && loc && other.file === loc.file &&
+            other.start.offset === loc.start.offset && other.end.offset === loc.end.offset);
+        if (errors.some(err => err.message === message && sameLoc(err.loc))) return;
+        errors.push(new CompileError(message, loc, { code: 'semantic' }));
+    }
+
+    function openScope(kind, name = null) {
+        scope = new Scope(kind, scope, name);
+        scopes.push(scope);
+        return scope;
+    }
+
+    function closeScope() {
+        scope = scope.parent;
+    }
+
+    function declare(symbol) {
+        const existing = scope.lookupLocal(symbol.name);
+        if (existing) {
+            error(`Redeclaration of '${symbol.name}' (previously declared on line ${existing.loc.start.line})`, symbol.loc);
+            return existing;
+        }
+        scope.symbols.set(symbol.name, symbol);
+        return symbol;
+    }
+
+    function classSymbolOf(type) {
+        const symbol = globalScope.lookupLocal(type.name);
+        return symbol && symbol.kind === 'class' ? symbol : null;
+    }
+
+    // An object of class type held by value, as opposed to a pointer to one
+    function isClassValue(type) {
+        return type.pointer === 0 && !isArray(type) && classSymbolOf(type) !== null;
+    }
+
+    function checkTypeName(type, allowVoid = false) {
+        if (TEMPLATE_TYPES.hasOwnProperty(type.name)) {
+            return checkTemplateType(type);
+        }
+        const classSymbol = classSymbolOf(type);
+        if (!BUILTIN_TYPES.includes(type.name) && !classSymbol) {
+            error(`Unknown type '${type.name}'`, type.loc);
+            return false;
+        }
+        // Objects held by value need the full class definition
+        if (classSymbol && !classSymbol.complete && type.pointer === 0 && !type.reference) {
+            error(`Variable has incomplete type '${type.name}'`, type.loc);
+            return false;
+        }
+        if (type.name === 'void' && !allowVoid && type.pointer === 0) {
+            error(`Cannot use 'void' as a variable type`, type.loc);
+            return false;
+        }
+        return true;
+    }
+
+    function checkTemplateType(type) {
+        const expected = TEMPLATE_TYPES[type.name];
+        if (type.args.length !== expected) {
+            error(`'${type.name}' takes ${expected} template argument${expected > 1 ? 's' : ''}, as in '${type.name}<${expected > 1 ? 'int, int' : 'int'}>'`, type.loc);
+            return false;
+        }
+        requireHeader(TEMPLATE_HEADERS[type.name], type.name, type.loc);
+        let ok = true;
+        for (const arg of type.args) {
+            if (!checkTypeName(arg)) {
+                ok = false;
+            } else if (arg.reference || arg.name === 'auto') {
+                error(`Invalid template argument '${typeToString(arg)}' for '${type.name}'`, arg.loc);
+                ok = false;
+            }
+        }
+        if (ok && (type.name === 'map' || type.name === 'set') && !isComparable(type.args[0])) {
+            error(`'${typeToString(type.args[0])}' has no operator< and cannot be the key of a ${type.name}`, type.args[0].loc);
+            ok = false;
+        }
+        return ok;
+    }
+
+    // Elements the library creates on its own, as vector(n) and m[key] do,
+    // must be default constructible.
+    function requireDefault(type, loc) {
+        if (isClassValue(type)) {
+            defaultConstructorFor(type, loc);
+        } else if (isContainer(type) && type.name === 'pair') {
+            type.args.forEach(arg => requireDefault(arg, loc));
+        }
+    }
+
+    function checkAssignable(target, source, loc, context) {
+        if (isAssignable(valueTypeOf(target), source)) return true;
+        error(`Cannot convert '${typeToString(source)}' to '${typeToString(valueTypeOf(target))}' in ${context}`, loc);
+        return false;
+    }
+
+    function checkCondition(expr) {
+        const type = checkExpression(expr);
+        if (!isErrorType(type) && !isScalar(type)) {
+            error(`Could not convert '${typeToString(type)}' to 'bool'`, expr.loc);
+        }
+    }
+
+    // --- Declarations ---
+
+    // Functions of the same name are overloads, told apart by their
+    // parameter types; every symbol of a name shares one list of them. A
+    // prototype and the definition that follows it are the same function.
+    function declareFunction(node) {
+        if (scope !== globalScope) {
+            error(`Functions can only be declared at file scope`, node.loc);
+        }
+        checkTypeName(node.returnType, true);
+        if (node.name === 'main' && node.returnType.name !== 'int') {
+            error(`'main' must return 'int'`, node.returnType.loc);
+        }
+
+        const seen = new Set();
+        for (const param of node.params) {
+            checkTypeName(param.type);
+            if (param.name !== null && seen.has(param.name)) {
+                error(`Redefinition of parameter '${param.name}'`, param.loc);
+            }
+            seen.add(param.name);
+        }
+        checkDefaultArguments(node.params, node.name);
+
+        const isDefinition = node.type === "function";
+        const existing = globalScope.lookupLocal(node.name);
+        if (existing && existing.kind !== 'function') {
+            error(`Conflicting declaration of '${node.name}' (previously declared on line ${existing.loc.start.line})`, node.loc);
+            return existing;
+        }
+        const overloads = existing ? existing.overloads : [];
+        const previous = overloads.find(symbol => !symbol.templateParams && sameParameters(symbol.params, node.params));
+        if (!previous) {
+            if (node.name === 'main' && existing) {
+                error(`'main' cannot be overloaded`, node.loc);
+            }
+            checkTrailingDefaults(node.params, node.name);
+            const symbol = {
+                kind: 'function',
+                name: node.name,
+                type: node.returnType,
+                params: node.params,
+                defined: isDefinition,
+                overloads,
+                mangled: node.name,
+                loc: node.loc
+            };
+            overloads.push(symbol);
+            if (!existing) globalScope.symbols.set(node.name, symbol);
+            // Only overloads need mangling; a lone function keeps its name
+            if (overloads.length > 1) {
+                overloads.filter(other => !other.templateParams).forEach(other => {
+                    other.mangled = mangleName(other.name, other.params);
+                });
+            }
+            return symbol;
+        }
+
+        if (!sameType(previous.type, node.returnType)) {
+            error(`Conflicting return type for '${node.name}' (previously declared on line ${previous.loc.start.line})`, node.loc);
+        } else if (isDefinition && previous.defined) {
+            error(`Redefinition of '${node.name}' (previously defined on line ${previous.loc.start.line})`, node.loc);
+        } else {
+            mergeDefaultArguments(previous.params, node.params, node.name);
+            if (isDefinition) {
+                previous.defined = true;
+                previous.params = node.params;
+                previous.loc = node.loc;
+            }
+        }
+        return previous;
+    }
+
+    // Default arguments are checked where they are written, each against
+    // its parameter
+    function checkDefaultArguments(params, name) {
+        params.forEach((param, k) => {
+            if (!param.default) return;
+            checkElement(valueTypeOf(param.type), param.default, `the default argument for parameter ${k + 1} of '${name}'`);
+            checkReferenceArguments([param], [param.default], name);
+        });
+    }
+
+    // Once one parameter has a default value, all that follow need one
+    function checkTrailingDefaults(params, name) {
+        const first = params.findIndex(param => param.default);
+        if (first < 0) return;
+        params.forEach((param, k) => {
+            if (k > first && !param.default) {
+                error(`Missing default argument for parameter ${k + 1} of '${name}'`, param.loc);
+            }
+        });
+    }
+
+    // A parameter's default value may be given by one declaration of the
+    // function, whether the prototype or the definition; both then have it.
+    function mergeDefaultArguments(declared, params, name) {
+        params.forEach((param, k) => {
+            const earlier = declared[k];
+            if (earlier === param) return;
+            if (earlier.default && param.default) {
+                error(`Redefinition of the default argument for parameter ${k + 1} of '${name}'`, param.default.loc);
+            } else if (param.default) {
+                earlier.default = param.default;
+            } else {
+                param.default = earlier.default;
+            }
+        });
+        checkTrailingDefaults(params, name);
+    }
+
+    function checkFunction(node) {
+        if (node.className) {
+            checkOutOfClassMethod(node);
+            return;
+        }
+        if (node.templateParams) {
+            node.symbol = declareTemplate(node);
+            return;
+        }
+        const symbol = declareFunction(node);
+        node.symbol = symbol;
+        checkFunctionBody(node, symbol, node.name);
+    }
+
+    function checkFunctionBody(node, symbol, frameName) {
+        const outerFunction = currentFunction;
+        currentFunction = symbol;
+        node.frameName = openScope('function', frameName).name;
+        declareParameters(node.params, frameName);
+        // The outermost block of the body shares the parameters' scope, so
+        // redeclaring a parameter there is an error just as in C++.
+        for (const stmt of node.body.body) {
+            checkStatement(stmt);
+        }
+        closeScope();
+        currentFunction = outerFunction;
+    }
+
+    // Only a prototype may leave its parameters unnamed
+    function declareParameters(params, name) {
+        params.forEach((param, k) => {
+            if (param.name === null) {
+                error(`Parameter ${k + 1} of '${name}' needs a name where the function is defined`, param.loc);
+                return;
+            }
+            param.symbol = declare({ kind: 'parameter', name: param.name, type: param.type, loc: param.loc });
+        });
+    }
+
+    // --- Function templates ---
+    // A template is only checked once it is used. Each call deduces the
+    // types its parameters stand for from the arguments, and each new set
+    // of types instantiates the template: a copy of the function with the
+    // types filled in is checked like any other function and added to the
+    // template node's `instances` for the code generators.
+    function declareTemplate(node) {
+        if (scope !== globalScope) {
+            error(`Functions can only be declared at file scope`, node.loc);
+        }
+        node.templateParams.forEach((name, k) => {
+            if (node.templateParams.indexOf(name) !== k) {
+                error(`Redeclaration of template parameter '${name}'`, node.loc);
+            }
+        });
+        checkTrailingDefaults(node.params, node.name);
+        const existing = globalScope.lookupLocal(node.name);
+        if (existing && existing.kind !== 'function') {
+            error(`Conflicting declaration of '${node.name}' (previously declared on line ${existing.loc.start.line})`, node.loc);
+            return existing;
+        }
+        const overloads = existing ? existing.overloads : [];
+        // The tree as parsed, to copy for each instance
+        const { visible, ...pattern } = node;
+        node.instances = [];
+        const symbol = {
+            kind: 'function',
+            name: node.name,
+            type: node.returnType,
+            params: node.params,
+            templateParams: node.templateParams,
+            pattern: copyTree(pattern),
+            node,
+            instances: new Map(),
+            defined: true,
+            overloads,
+            mangled: node.name,
+            loc: node.loc
+        };
+        overloads.push(symbol);
+        if (!existing) globalScope.symbols.set(node.name, symbol);
+        return symbol;
+    }
+
+    // The types a call gives the template's parameters, as a Map from
+    // parameter name to type, or an error message saying why there are
+    // none; null when a type given explicitly was already reported
+    function deduceTemplate(template, expr, argTypes) {
+        const names = template.templateParams;
+        const deduced = new Map();
+        const explicit = expr.callee.templateArgs || [];
+        if (explicit.length > names.length) {
+            return `Too many template arguments for '${template.name}'`;
+        }
+        for (const [k, type] of explicit.entries()) {
+            if (!checkTypeName(type)) return null;
+            deduced.set(names[k], type);
+        }
+
+        // Arguments are converted to the types given explicitly
+        let conflict = null;
+        const bind = (name, type) => {
+            if (names.indexOf(name) < explicit.length) return;
+            const known = deduced.get(name);
+            if (known && !sameType(known, type)) {
+                conflict = conflict || `Deduced conflicting types for parameter '${name}' ('${typeToString(known)}' and '${typeToString(type)}')`;
+            } else if (!known) {
+                deduced.set(name, type);
+            }
+        };
+        // Matches the parameter type `pattern` against the argument type
+        const match = (pattern, actual) => {
+            if (names.includes(pattern.name)) {
+                // T a[] takes an array's elements; T* and T** strip pointers
+                let type = isArray(pattern) && actual.dims.length >= pattern.dims.length
+                    ? { ...actual, dims: actual.dims.slice(pattern.dims.length) }
+                    : actual;
+                if (!pattern.reference && !isArray(pattern)) type = decay(type);
+                if (type.pointer < pattern.pointer || isArray(type)) return;
+                const keepConst = pattern.reference && !pattern.isConst && type.pointer === pattern.pointer;
+                bind(pattern.name, makeType(type.name, {
+                    args: type.args,
+                    pointer: type.pointer - pattern.pointer,
+                    isConst: keepConst && type.isConst
+                }));
+            } else if (pattern.args.length > 0 && pattern.name === actual.name && pattern.args.length === actual.args.length) {
+                pattern.args.forEach((arg, k) => match(arg, actual.args[k]));
+            }
+        };
+        template.params.forEach((param, k) => {
+            if (k < argTypes.length && !isErrorType(argTypes[k]) && argTypes[k].name !== '<initializer list>') {
+                match(param.type, valueTypeOf(argTypes[k]));
+            }
+        });
+        if (conflict) return conflict;
+        const missing = names.find(name => !deduced.has(name));
+        if (missing) return `Couldn't deduce template parameter '${missing}' of '${template.name}'`;
+        return deduced;
+    }
+
+    // `type` with the template's parameters replaced by the types they
+    // stand for
+    function substituteType(type, bindings) {
+        const args = type.args.map(arg => substituteType(arg, bindings));
+        const bound = bindings.get(type.name);
+        if (!bound) return { ...type, args };
+        return {
+            ...type,
+            name: bound.name,
+            args: bound.args,
+            pointer: type.pointer + bound.pointer,
+            isConst: type.isConst || bound.isConst
+        };
+    }
+
+    // The instance of the template for these types, checking it the first
+    // time it is asked for
+    function instantiate(template, bindings) {
+        const typeArgs = template.templateParams.map(name => bindings.get(name));
+        const key = typeArgs.map(typeToString).join(', ');
+        if (template.instances.has(key)) return template.instances.get(key);
+
+        const node = copyTree(template.pattern);
+        delete node.templateParams;
+        // Every type in the copy, as in T x; or static_cast<T>(y), is a
+        // plain object with a name, pointer, dims and args
+        const visit = (value) => {
+            if (!value || typeof value !== 'object') return;
+            if (typeof value.name === 'string' && typeof value.pointer === 'number' && Array.isArray(value.dims) && Array.isArray(value.args)) {
+                Object.assign(value, substituteType(value, bindings));
+                value.dims.forEach(visit);
+                return;
+            }
+            Object.values(value).forEach(visit);
+        };
+        visit(node);
+
+        const symbol = {
+            kind: 'function',
+            name: template.name,
+            type: node.returnType,
+            params: node.params,
+            typeArgs,
+            defined: true,
+            mangled: mangleName(template.name, node.params, typeArgs),
+            loc: node.loc
+        };
+        node.symbol = symbol;
+        template.instances.set(key, symbol);
+        template.node.instances.push(node);
+
+        // The instance belongs at file scope, wherever the call is
+        const saved = { scope, currentFunction, currentClass, inConstMethod, loopDepth, switchDepth };
+        scope = globalScope;
+        currentClass = null;
+        inConstMethod = false;
+        loopDepth = 0;
+        switchDepth = 0;
+        checkTypeName(node.returnType, true);
+        node.params.forEach(param => checkTypeName(param.type));
+        checkDefaultArguments(node.params, template.name);
+        checkFunctionBody(node, symbol, `${template.name}<${key}>`);
+        ({ scope, currentFunction, currentClass, inConstMethod, loopDepth, switchDepth } = saved);
+        return symbol;
+    }
+
+    function checkDeclaration(node) {
+        let type = node.varType;
+        const typeOk = checkTypeName(type);
+
+        // int x(5) is the same as int x = 5; objects and arrays are
+        // constructed from their arguments.
+        if (node.args !== null && typeOk && !isClassValue(type) && !isArray(type) && !isContainer(type)) {
+            if (node.args.length === 1) {
+                node.value = node.args[0];
+                node.args = null;
+            } else {
+                error(`Expected a single initializer for '${node.name}'`, node.loc);
+            }
+        }
+
+        if (node.args !== null) {
+            if (typeOk) {
+                node.ctor = checkConstruction(type, node.args, node.loc);
+            } else {
+                node.args.forEach(checkExpression);
+            }
+        } else if (isArray(type)) {
+            checkArrayDeclaration(node, type);
+        } else if (node.value !== null && node.value.type === 'initList') {
+            if (typeOk && (isClassValue(type) || isContainer(type))) {
+                checkInitializerFor(type, node.value);
+            } else {
+                error(`Brace-enclosed initializer used for non-array '${node.name}'`, node.value.loc);
+            }
+        } else if (type.name === 'auto') {
+            if (node.value === null) {
+                error(`Declaration of 'auto ${node.name}' has no initializer`, node.loc);
+                type = ERROR_TYPE;
+            } else {
+                type = { ...valueTypeOf(checkExpression(node.value)), isConst: type.isConst, reference: type.reference };
+            }
+        } else if (node.value !== null) {
+            const valueType = checkExpression(node.value);
+            // P p = 5; converts through the constructor P(int)
+            if (typeOk && isClassValue(type) && !isErrorType(valueType) && !sameType(type, valueType)) {
+                node.args = [node.value];
+                node.value = null;
+                node.ctor = resolveConstructor(classSymbolOf(type), node.args, [valueType], node.loc);
+            } else {
+                if (typeOk) checkAssignable(type, valueType, node.value.loc, `initialization of '${node.name}'`);
+                if (type.reference && !type.isConst && !isLvalue(node.value)) {
+                    error(`Cannot bind reference '${node.name}' to a temporary value`, node.value.loc);
+                } else if (type.reference) {
+                    bindReference(type, node.value);
+                }
+            }
+        } else if (type.reference) {
+            error(`Reference '${node.name}' must be initialized`, node.loc);
+        } else if (type.isConst) {
+            error(`Uninitialized const '${node.name}'`, node.loc);
+        } else if (typeOk && isClassValue(type)) {
+            node.ctor = defaultConstructorFor(type, node.loc);
+        } else if (typeOk && isContainer(type)) {
+            requireDefault(type, node.loc);
+        }
+
+        node.destructible = typeOk && hasDestructor(type);
+        node.symbol = declare({
+            kind: 'variable',
+            name: node.name,
+            type: typeOk ? type : ERROR_TYPE,
+            global: scope === globalScope,
+            destructible: node.destructible,
+            loc: node.loc
+        });
+        // const int N = 10; can be used as a case label
+        if (typeOk && type.isConst && isIntegral(type) && !type.reference && node.value !== null) {
+            const value = constantValue(node.value);
+            if (value !== null) node.symbol.constantValue = convertConstant(value, type);
+        }
+    }
+
+    // Whether leaving the scope of a variable of this type runs a
+    // destructor, its own or one of its fields'
+    function hasDestructor(type) {
+        if (type.pointer > 0 || type.reference) return false;
+        const classSymbol = classSymbolOf(type);
+        return classSymbol !== null && classSymbol.destructible === true;
+    }
+
+    function checkArrayDeclaration(node, type) {
+        type.dims.forEach((dim, k) => {
+            if (dim === null) {
+                if (k > 0 || node.value === null || node.value.type !== 'initList') {
+                    error(`Array size missing in declaration of '${node.name}'`, type.loc);
+                }
+                return;
+            }
+            const sizeType = checkExpression(dim);
+            if (!isErrorType(sizeType) && !isIntegral(sizeType)) {
+                error(`Size of array '${node.name}' has non-integral type '${typeToString(sizeType)}'`, dim.loc);
+            } else if (constantSize(dim) !== null && constantSize(dim) <= 0) {
+                error(`Size of array '${node.name}' must be positive`, dim.loc);
+            }
+        });
+
+        const elementType = { ...type, dims: [] };
+        const size = constantSize(type.dims[0]);
+        const filled = node.value !== null && node.value.type === 'initList' &&
+            type.dims.length === 1 && size !== null && node.value.elements.length >= size;
+        if (isClassValue(elementType) && !filled) {
+            node.ctor = defaultConstructorFor(elementType, node.loc);
+        }
+
+        if (node.value === null) return;
+        if (node.value.type !== 'initList') {
+            checkExpression(node.value);
+            error(`Array '${node.name}' must be initialized with a brace-enclosed initializer`, node.value.loc);
+            return;
+        }
+        checkInitializerList(node.value, type);
+        // int a[] = {1, 2, 3} takes its size from the initializer
+        if (type.dims[0] === null) {
+            const size = node.value.elements.length;
+            type.dims[0] = { type: 'literal', valueType: 'int', value: size, raw: String(size), resolvedType: makeType('int') };
+        }
+    }
+
+    function checkInitializerList(list, type) {
+        list.resolvedType = type;
+        const size = constantSize(type.dims[0]);
+        if (size !== null && list.elements.length > size) {
+            error(`Too many initializers for '${typeToString(type)}'`, list.loc);
+        }
+        const elementType = elementTypeOf(type);
+        for (const element of list.elements) {
+            if (isArray(elementType)) {
+                if (element.type === 'initList') {
+                    checkInitializerList(element, elementType);
+                } else {
+                    checkExpression(element);
+                    error(`Expected a nested '{...}' initializer for '${typeToString(elementType)}'`, element.loc);
+                }
+            } else if (element.type === 'initList') {
+                if (isClassValue(elementType) || isContainer(elementType)) {
+                    checkInitializerFor(elementType, element);
+                } else {
+                    error(`Too many levels of braces for '${typeToString(elementType)}'`, element.loc);
+                }
+            } else {
+                checkAssignable(elementType, checkExpression(element), element.loc, 'array initializer');
+            }
+        }
+    }
+
+    // A braced initializer for an object or container: {1, 2, 3} for a
+    // vector or set, {{"a", 1}, {"b", 2}} for a map, {x, y} for a pair.
+    function checkInitializerFor(type, list) {
+        if (isClassValue(type)) {
+            checkBraceInitialization(list, type);
+            return;
+        }
+        list.resolvedType = valueTypeOf(type);
+        if (!isContainer(type)) {
+            error(`Brace-enclosed initializer used for '${typeToString(type)}'`, list.loc);
+            return;
+        }
+        if (type.name === 'stack' || type.name === 'queue') {
+            error(`'${type.name}' cannot be initialized from a brace-enclosed list`, list.loc);
+            return;
+        }
+        if (type.name === 'pair') {
+            if (list.elements.length !== 2) {
+                error(`A pair is initialized with exactly two values, got ${list.elements.length}`, list.loc);
+                return;
+            }
+            list.elements.forEach((element, k) => checkElement(type.args[k], element, 'pair initializer'));
+            return;
+        }
+        const elementType = type.name === 'map' ? makeType('pair', { args: type.args }) : type.args[0];
+        for (const element of list.elements) {
+            checkElement(elementType, element, `initializer of '${typeToString(type)}'`);
+        }
+    }
+
+    // One value that initializes an element, parameter or return value,
+    // which may itself be braced.
+    function checkElement(type, value, context) {
+        if (value.type === 'initList') {
+            checkInitializerFor(type, value);
+        } else {
+            checkAssignable(type, checkExpression(value), value.loc, context);
+        }
+    }
+
+    // --- Classes ---
+
+    // Members live in a scope of their own, between the global scope and
+    // the scopes of the member function bodies.
+    function checkClass(node) {
+        if (scope !== globalScope) {
+            error(`Classes can only be defined at file scope`, node.loc);
+        }
+        let symbol = globalScope.lookupLocal(node.name);
+        if (symbol && (symbol.kind !== 'class' || symbol.complete)) {
+            error(`Redefinition of '${node.name}' (previously declared on line ${symbol.loc.start.line})`, node.loc);
+            return;
+        }
+        if (!symbol) {
+            symbol = declareClass(node);
+        }
+        node.symbol = symbol;
+        symbol.loc = node.loc;
+        symbol.classKind = node.kind;
+        symbol.scope = new Scope('class', globalScope, node.name);
+        scopes.push(symbol.scope);
+
+        for (const member of node.members) {
+            addMember(symbol, member);
+        }
+        if (symbol.constructors.length === 0) {
+            symbol.constructors.push({ params: [], access: 'public', implicit: true, defined: true, node: null, index: 0, owner: symbol });
+        }
+        // The class is complete once all members are known, so member
+        // bodies can use every member regardless of declaration order.
+        symbol.complete = true;
+        symbol.destructible = symbol.destructor !== null ||
+            symbol.fields.some(field => hasDestructor({ ...field.type, dims: [] }));
+
+        withClassContext(symbol, false, () => {
+            for (const field of symbol.fields) {
+                if (field.node.value !== null) checkFieldInitializer(field, field.node.value);
+            }
+        });
+        const implicit = symbol.constructors.find(ctor => ctor.implicit);
+        if (implicit) {
+            implicit.plan = planFieldInitialization(symbol, null, implicit);
+        }
+        for (const member of node.members) {
+            if (member.body && member.symbol) checkMemberFunction(symbol, member);
+        }
+    }
+
+    function declareClass(node) {
+        const symbol = {
+            kind: 'class',
+            name: node.name,
+            type: makeType(node.name),
+            complete: false,
+            fields: [],
+            constructors: [],
+            destructor: null,
+            loc: node.loc
+        };
+        globalScope.symbols.set(node.name, symbol);
+        return symbol;
+    }
+
+    function addMember(classSymbol, member) {
+        const memberScope = classSymbol.scope;
+        const redeclared = (name) => {
+            const existing = memberScope.lookupLocal(name);
+            if (existing) {
+                error(`Redeclaration of '${classSymbol.name}::${name}' (previously declared on line ${existing.loc.start.line})`, member.loc);
+            }
+            return existing !== null;
+        };
+
+        switch (member.type) {
+            case "field": {
+                if (!checkTypeName(member.varType)) break;
+                if (member.varType.name === classSymbol.name && member.varType.pointer === 0 && !member.varType.reference) {
+                    error(`Field '${member.name}' has incomplete type '${classSymbol.name}'`, member.loc);
+                    break;
+                }
+                if (redeclared(member.name)) break;
+                const field = { kind: 'field', name: member.name, type: member.varType, access: member.access, owner: classSymbol, node: member, loc: member.loc };
+                member.symbol = field;
+                classSymbol.fields.push(field);
+                memberScope.symbols.set(member.name, field);
+                break;
+            }
+
+            case "method": {
+                checkTypeName(member.returnType, true);
+                member.params.forEach(param => checkTypeName(param.type));
+                checkDefaultArguments(member.params, `${classSymbol.name}::${member.name}`);
+                checkTrailingDefaults(member.params, `${classSymbol.name}::${member.name}`);
+                if (redeclared(member.name)) break;
+                const method = {
+                    kind: 'method',
+                    name: member.name,
+                    type: member.returnType,
+                    params: member.params,
+                    isConst: member.isConst,
+                    access: member.access,
+                    owner: classSymbol,
+                    defined: member.body !== null,
+                    node: member,
+                    loc: member.loc
+                };
+                member.symbol = method;
+                memberScope.symbols.set(member.name, method);
+                break;
+            }
+
+            case "constructor": {
+                member.params.forEach(param => checkTypeName(param.type));
+                checkDefaultArguments(member.params, classSymbol.name);
+                checkTrailingDefaults(member.params, classSymbol.name);
+                const duplicate = classSymbol.constructors.find(ctor =>
+                    ctor.params.length === member.params.length &&
+                    ctor.params.every((p, k) => sameType(p.type, member.params[k].type)));
+                if (duplicate) {
+                    error(`Constructor '${classSymbol.name}(${member.params.map(p => typeToString(p.type)).join(', ')})' is already declared`, member.loc);
+                    break;
+                }
+                const ctor = {
+                    params: member.params,
+                    access: member.access,
+                    implicit: false,
+                    defined: member.body !== null,
+                    node: member,
+                    index: classSymbol.constructors.length,
+                    owner: classSymbol,
+                    loc: member.loc
+                };
+                member.symbol = ctor;
+                classSymbol.constructors.push(ctor);
+                break;
+            }
+
+            case "destructor":
+                if (classSymbol.destructor) {
+                    error(`Destructor of '${classSymbol.name}' is already declared`, member.loc);
+                    break;
+                }
+                classSymbol.destructor = { access: member.access, defined: member.body !== null, node: member, owner: classSymbol };
+                member.symbol = classSymbol.destructor;
+                break;
+        }
+    }
+
+    function withClassContext(classSymbol, isConst, callback) {
+        const saved = { scope, currentFunction, currentClass, inConstMethod, loopDepth, switchDepth };
+        scope = classSymbol.scope;
+        currentClass = classSymbol;
+        inConstMethod = isConst;
+        loopDepth = 0;
+        switchDepth = 0;
+        callback();
+        ({ scope, currentFunction, currentClass, inConstMethod, loopDepth, switchDepth } = saved);
+    }
+
+    // Bodies of methods, constructors and destructors, whether written in
+    // the class or defined outside it.
+    function checkMemberFunction(classSymbol, node) {
+        const isMethod = node.type === "method" || node.type === "function";
+        const name = isMethod ? node.name : node.type === "destructor" ? `~${classSymbol.name}` : classSymbol.name;
+        withClassContext(classSymbol, isMethod && node.isConst, () => {
+            currentFunction = isMethod ? node.symbol : { name, type: makeType('void'), isConstructor: node.type === "constructor" };
+            node.frameName = openScope('function', `${classSymbol.name}::${name}`).name;
+            declareParameters(node.params || [], `${classSymbol.name}::${name}`);
+            if (node.type === "constructor") {
+                node.symbol.plan = planFieldInitialization(classSymbol, node, node.symbol);
+            }
+            for (const stmt of node.body.body) {
+                checkStatement(stmt);
+            }
+            closeScope();
+        });
+    }
+
+    // How each field is initialized by a constructor, in declaration order:
+    // from the member initializer list, else the field's own initializer,
+    // else default construction.
+    function planFieldInitialization(classSymbol, ctorNode, ctor) {
+        const initializers = ctorNode ? ctorNode.initializers : [];
+        const seen = new Set();
+        for (const init of initializers) {
+            if (!classSymbol.fields.some(field => field.name === init.name)) {
+                error(`Class '${classSymbol.name}' does not have any field named '${init.name}'`, init.loc);
+            } else if (seen.has(init.name)) {
+                error(`Multiple initializations given for '${init.name}'`, init.loc);
+            }
+            seen.add(init.name);
+        }
+
+        return classSymbol.fields.map(field => {
+            const init = initializers.find(x => x.name === field.name);
+            if (init && init.list) {
+                checkFieldInitializer(field, init.list);
+                return { field, value: init.list };
+            }
+            if (init) {
+                return { field, args: init.args, ctor: checkFieldConstruction(field, init.args, init.loc) };
+            }
+            if (field.node.value !== null) {
+                return { field, value: field.node.value };
+            }
+            if (field.type.reference) {
+                reportOrDelete(ctor, `Reference field '${field.name}' is not initialized`, ctorNode ? ctorNode.loc : field.loc);
+                return { field };
+            }
+            if (field.type.isConst && field.type.pointer === 0) {
+                reportOrDelete(ctor, `Const field '${field.name}' is not initialized`, ctorNode ? ctorNode.loc : field.loc);
+                return { field };
+            }
+            const elementType = { ...field.type, dims: [] };
+            if (isClassValue(elementType)) {
+                const chosen = selectOverload(classSymbolOf(elementType).constructors, []);
+                if (!chosen) {
+                    reportOrDelete(ctor, `Field '${field.name}' of type '${elementType.name}' has no default constructor`, ctorNode ? ctorNode.loc : field.loc);
+                }
+                return { field, ctor: chosen };
+            }
+            return { field };
+        });
+    }
+
+    // Problems with an implicit default constructor only matter if it is
+    // used, so they mark it unusable instead of being reported right away.
+    function reportOrDelete(ctor, message, loc) {
+        if (ctor && ctor.implicit) {
+            ctor.deleted = message;
+        } else {
+            error(message, loc);
+        }
+    }
+
+    function checkFieldInitializer(field, value) {
+        if (value.type === 'initList') {
+            if (isArray(field.type)) checkInitializerList(value, field.type);
+            else if (isClassValue(field.type) || isContainer(field.type)) checkInitializerFor(field.type, value);
+            else error(`Brace-enclosed initializer used for non-array '${field.name}'`, value.loc);
+            return;
+        }
+        checkAssignable(field.type, checkExpression(value), value.loc, `initialization of '${field.name}'`);
+    }
+
+    function checkFieldConstruction(field, args, loc) {
+        if (field.type.reference) {
+            args.forEach(checkExpression);
+            if (args.length !== 1) {
+                error(`Reference field '${field.name}' needs exactly one initializer`, loc);
+            } else if (!field.type.isConst && !isLvalue(args[0])) {
+                error(`Cannot bind reference field '${field.name}' to a temporary value`, args[0].loc);
+            } else if (checkAssignable(field.type, args[0].resolvedType, args[0].loc, `initialization of '${field.name}'`)) {
+                bindReference(field.type, args[0]);
+            }
+            return null;
+        }
+        return checkConstruction(field.type, args, loc);
+    }
+
+    // Direct initialization from an argument list: T x(args), new T(args),
+    // T(args) and member initializers. Returns the constructor used, if any.
+    function checkConstruction(type, args, loc) {
+        if (isClassValue(type)) {
+            const argTypes = args.map(checkExpression);
+            return resolveConstructor(classSymbolOf(type), args, argTypes, loc);
+        }
+        if (isContainer(type)) {
+            checkContainerConstruction(type, args, loc);
+            return null;
+        }
+        args.forEach(checkExpression);
+        if (isArray(type)) {
+            if (args.length > 0) error(`Array must be initialized with a brace-enclosed initializer`, loc);
+            const elementType = { ...type, dims: [] };
+            return isClassValue(elementType) ? defaultConstructorFor(elementType, loc) : null;
+        }
+        if (args.length > 1) {
+            error(`Expected a single initializer for '${typeToString(type)}', got ${args.length}`, loc);
+        } else if (args.length === 1) {
+            checkAssignable(type, args[0].resolvedType, args[0].loc, 'initialization');
+        }
+        return null;
+    }
+
+    // vector<T>(), vector<T>(n), vector<T>(n, value), pair<A, B>(a, b) and
+    // copies of another container of the same type
+    function checkContainerConstruction(type, args, loc) {
+        const argTypes = args.map(checkExpression);
+        if (argTypes.some(isErrorType)) return;
+        if (args.length === 0) {
+            if (type.name === 'pair') requireDefault(type, loc);
+            return;
+        }
+        if (args.length === 1 && sameType(type, argTypes[0])) return;
+        if (type.name === 'vector' && args.length <= 2 && isIntegral(argTypes[0])) {
+            if (args.length === 1) requireDefault(type.args[0], loc);
+            else checkAssignable(type.args[0], argTypes[1], args[1].loc, `initialization of '${typeToString(type)}'`);
+            return;
+        }
+        if (type.name === 'pair' && args.length === 2) {
+            args.forEach((arg, k) => checkAssignable(type.args[k], argTypes[k], arg.loc, 'pair initializer'));
+            return;
+        }
+        error(`No matching constructor for '${typeToString(type)}(${argTypes.map(typeToString).join(', ')})'`, loc);
+    }
+
+    function defaultConstructorFor(type, loc) {
+        return resolveConstructor(classSymbolOf(type), [], [], loc);
+    }
+
+    function resolveConstructor(classSymbol, args, argTypes, loc) {
+        if (argTypes.some(isErrorType)) return null;
+        const ctor = selectOverload(classSymbol.constructors, argTypes);
+        if (!ctor) {
+            const signature = `${classSymbol.name}(${argTypes.map(typeToString).join(', ')})`;
+            error(args.length === 0
+                ? `No default constructor for '${classSymbol.name}'`
+                : `No matching constructor for '${signature}'`, loc);
+            return null;
+        }
+        if (ctor.deleted) {
+            error(`Default constructor of '${classSymbol.name}' cannot be used: ${ctor.deleted}`, loc);
+            return null;
+        }
+        checkAccess(ctor, classSymbol.name, loc);
+        checkReferenceArguments(ctor.params, args, classSymbol.name);
+        ctor.used = true;
+        return ctor;
+    }
+
+    // Brace initialization of an object: aggregates (classes without
+    // constructors) take their fields in order, others call a constructor.
+    function checkBraceInitialization(list, type) {
+        const classSymbol = classSymbolOf(type);
+        list.resolvedType = type;
+        const implicit = classSymbol.constructors.find(ctor => ctor.implicit);
+        if (!implicit) {
+            const nested = list.elements.find(element => element.type === 'initList');
+            if (nested) {
+                error(`Nested braces are not supported in constructor arguments`, nested.loc);
+                return;
+            }
+            list.ctor = resolveConstructor(classSymbol, list.elements, list.elements.map(checkExpression), list.loc);
+            return;
+        }
+
+        list.aggregate = true;
+        list.ctor = implicit;
+        if (list.elements.length > classSymbol.fields.length) {
+            error(`Too many initializers for '${classSymbol.name}'`, list.loc);
+        }
+        list.elements.forEach((element, k) => {
+            const field = classSymbol.fields[k];
+            if (!field) {
+                if (element.type !== 'initList') checkExpression(element);
+                return;
+            }
+            checkAccess(field, classSymbol.name, element.loc);
+            checkFieldInitializer(field, element);
+        });
+        if (list.elements.length < classSymbol.fields.length && implicit.deleted) {
+            error(`Cannot default-initialize the remaining fields of '${classSymbol.name}': ${implicit.deleted}`, list.loc);
+        }
+    }
+
+    function checkAccess(member, name, loc) {
+        if (member.access === 'public' || currentClass === member.owner) return;
+        const memberName = member.kind ? `${member.owner.name}::${member.name}` : `${name}::${name}`;
+        error(`'${memberName}' is ${member.access} within this context`, loc);
+    }
+
+    function checkOutOfClassMethod(node) {
+        const classSymbol = globalScope.lookupLocal(node.className);
+        if (!classSymbol || classSymbol.kind !== 'class' || !classSymbol.complete) {
+            error(`'${node.className}' is not a defined class`, node.loc);
+            return;
+        }
+        const method = classSymbol.scope.lookupLocal(node.name);
+        if (!method || method.kind !== 'method') {
+            error(`No member function '${node.name}' declared in class '${node.className}'`, node.loc);
+            return;
+        }
+        const matches = sameType(method.type, node.returnType) &&
+            method.isConst === node.isConst &&
+            method.params.length === node.params.length &&
+            method.params.every((p, k) => sameType(p.type, node.params[k].type));
+        if (!matches) {
+            error(`Definition of '${node.className}::${node.name}' does not match its declaration on line ${method.loc.start.line}`, node.loc);
+            return;
+        }
+        if (method.defined) {
+            error(`Redefinition of '${node.className}::${node.name}'`, node.loc);
+            return;
+        }
+        checkDefaultArguments(node.params, `${node.className}::${node.name}`);
+        mergeDefaultArguments(method.params, node.params, `${node.className}::${node.name}`);
+        method.defined = true;
+        node.symbol = method;
+        checkMemberFunction(classSymbol, node);
+    }
+
+    function checkOutOfClassSpecial(node) {
+        const classSymbol = globalScope.lookupLocal(node.className);
+        if (!classSymbol || classSymbol.kind !== 'class' || !classSymbol.complete) {
+            error(`'${node.className}' is not a defined class`, node.loc);
+            return;
+        }
+        let target;
+        if (node.type === "destructor") {
+            target = classSymbol.destructor;
+        } else {
+            target = classSymbol.constructors.find(ctor => !ctor.implicit &&
+                ctor.params.length === node.params.length &&
+                ctor.params.every((p, k) => sameType(p.type, node.params[k].type)));
+        }
+        const what = node.type === "destructor" ? `~${node.className}()` : `${node.className}(${node.params.map(p => typeToString(p.type)).join(', ')})`;
+        if (!target) {
+            error(`'${node.className}::${what}' is not declared in class '${node.className}'`, node.loc);
+            return;
+        }
+        if (target.defined) {
+            error(`Redefinition of '${node.className}::${what}'`, node.loc);
+            return;
+        }
+        if (node.type === "constructor") {
+            checkDefaultArguments(node.params, node.className);
+            mergeDefaultArguments(target.params, node.params, node.className);
+        }
+        target.defined = true;
+        node.symbol = target;
+        checkMemberFunction(classSymbol, node);
+    }
+
+    // --- Statements ---
+
+    // The variables in scope where a statement starts, for the debugger:
+    // locals from the outermost block in, and the globals declared so far.
+    // Fields are shown through `this` instead.
+    function visibleVariables() {
+        const isVariable = (symbol) => symbol.kind === 'variable' || symbol.kind === 'parameter';
+        const seen = new Set();
+        const blocks = [];
+        for (let s = scope; s !== globalScope && s.kind !== 'class'; s = s.parent) {
+            const symbols = [...s.symbols.values()].filter(symbol => isVariable(symbol) && !seen.has(symbol.name));
+            symbols.forEach(symbol => seen.add(symbol.name));
+            blocks.unshift(symbols);
+        }
+        const globals = [...globalScope.symbols.values()].filter(symbol => isVariable(symbol) && !seen.has(symbol.name));
+        return { locals: blocks.flat(), globals, self: currentClass };
+    }
+
+    function checkStatement(node) {
+        node.visible = visibleVariables();
+        switch (node.type) {
+            case "include": {
+                const header = /<([^>]+)>|"([^"]+)"/.exec(node.value);
+                if (header) includes.add(header[1] || header[2]);
+                break;
+            }
+
+            case "using":
+                if (node.namespace !== 'std') {
+                    error(`Unknown namespace '${node.namespace}'`, node.loc);
+                }
+                break;
+
+            case "declaration":
+                checkDeclaration(node);
+                break;
+
+            case "declarationList":
+                node.declarations.forEach(checkDeclaration);
+                break;
+
+            case "class":
+                checkClass(node);
+                break;
+
+            case "classDecl": {
+                const existing = globalScope.lookupLocal(node.name);
+                if (existing && existing.kind !== 'class') {
+                    error(`'${node.name}' redeclared as a different kind of symbol`, node.loc);
+                } else if (!existing) {
+                    declareClass(node);
+                }
+                break;
+            }
+
+            case "constructor":
+            case "destructor":
+                checkOutOfClassSpecial(node);
+                break;
+
+            case "delete": {
+                const type = checkExpression(node.target);
+                if (!isErrorType(type) && (type.pointer === 0 || isArray(type))) {
+                    error(`Type '${typeToString(type)}' argument given to 'delete', expected pointer`, node.target.loc);
+                }
+                break;
+            }
+
+            case "function":
+                checkFunction(node);
+                break;
+
+            case "functionDecl":
+                if (node.className) {
+                    error(`Member function '${node.className}::${node.name}' can only be declared inside its class`, node.loc);
+                    break;
+                }
+                node.symbol = declareFunction(node);
+                break;
+
+            case "input":
+                node.inputs.forEach(checkRead);
+                break;
+
+            case "print":
+                for (const part of node.parts) {
+                    if (checkManipulator(part)) continue;
+                    const type = checkExpression(part);
+                    if (type.name === 'void' && type.pointer === 0) {
+                        error(`Cannot print an expression of type 'void'`, part.loc);
+                    } else if (isArray(type)) {
+                        error(`Cannot print array '${typeToString(type)}' directly; print its elements`, part.loc);
+                    } else if (isNullPointer(type)) {
+                        error(`Cannot print 'nullptr'`, part.loc);
+                    } else if (isClassValue(type) || isContainer(type)) {
+                        error(`No operator<< for an object of type '${typeToString(type)}'`, part.loc);
+                    }
+                }
+                break;
+
+            case "if":
+                checkCondition(node.condition);
+                checkStatement(node.thenStmt);
+                if (node.elseStmt) checkStatement(node.elseStmt);
+                break;
+
+            case "while":
+                checkCondition(node.condition);
+                checkLoopBody(node.body);
+                break;
+
+            case "doWhile":
+                checkLoopBody(node.body);
+                checkCondition(node.condition);
+                break;
+
+            case "for":
+                openScope('for');
+                if (node.init) checkStatement(node.init);
+                if (node.condition) checkCondition(node.condition);
+                if (node.update) checkExpression(node.update);
+                checkLoopBody(node.body, true);
+                closeScope();
+                break;
+
+            case "rangeFor":
+                checkRangeFor(node);
+                break;
+
+            case "switch":
+                checkSwitch(node);
+                break;
+
+            case "return":
+                checkReturn(node);
+                break;
+
+            case "break":
+                if (loopDepth === 0 && switchDepth === 0) {
+                    error(`'break' statement not within a loop or switch`, node.loc);
+                }
+                break;
+
+            case "continue":
+                if (loopDepth === 0) {
+                    error(`'continue' statement not within a loop`, node.loc);
+                }
+                break;
+
+            case "block":
+                openScope('block');
+                for (const stmt of node.body) {
+                    checkStatement(stmt);
+                }
+                closeScope();
+                break;
+
+            case "expression":
+                checkExpression(node.expression);
+                break;
+        }
+    }
+
+    // Marks `part` of a cout chain as a manipulator if it names one that is
+    // not hidden by a declaration of the same name.
+    function checkManipulator(part) {
+        const callee = part.type === 'call' ? part.callee : part;
+        if (callee.type !== 'identifier' || !MANIPULATORS.hasOwnProperty(callee.name)) return false;
+        if (scope.lookup(callee.name)) return false;
+        const spec = MANIPULATORS[callee.name];
+        if ((spec.param !== null) !== (part.type === 'call')) return false;
+
+        part.manipulator = callee.name;
+        part.resolvedType = makeType('void');
+        requireHeader(spec.header, callee.name, callee.loc);
+        if (spec.param === null) return true;
+        if (part.args.length !== 1) {
+            error(`'${callee.name}' takes exactly one argument (got ${part.args.length})`, part.loc);
+            part.args.forEach(checkExpression);
+            return true;
+        }
+        const type = checkExpression(part.args[0]);
+        if (!isErrorType(type) && !matchesKind(spec.param, type, part.args[0])) {
+            error(`Argument of '${callee.name}' must be ${spec.param === 'int' ? 'an int' : 'a char'}, not '${typeToString(type)}'`, part.args[0].loc);
+        }
+        return true;
+    }
+
+    function requireHeader(header, name, loc) {
+        if (!header) return;
+        const headers = Array.isArray(header) ? header : [header];
+        if (!headers.some(h => includes.has(h))) {
+            const names = headers.map(h => `<${h}>`).join(' or ');
+            error(`'${name}' is declared in ${names}; add '#include <${headers[0]}>'`, loc);
+        }
+    }
+
+    // The outermost block of a for loop's body shares the scope of the
+    // variable its init declares, so redeclaring that is an error as in C++
+    function checkLoopBody(body, sharesScope = false) {
+        loopDepth++;
+        if (sharesScope && body.type === 'block') body.body.forEach(checkStatement);
+        else checkStatement(body);
+        loopDepth--;
+    }
+
+    // for (T x : range) over an array, a string, a vector, a map or a set.
+    // The loop variable is a fresh copy of each element unless it is a
+    // reference, which then names the element itself.
+    function checkRangeFor(node) {
+        openScope('for');
+        const rangeType = checkExpression(node.range);
+        let elementType = ERROR_TYPE;
+        if (isArray(rangeType)) {
+            elementType = elementTypeOf(rangeType);
+        } else if (isString(rangeType)) {
+            elementType = makeType('char', { isConst: rangeType.isConst });
+        } else if (isContainer(rangeType) && ['vector', 'map', 'set'].includes(rangeType.name)) {
+            elementType = containerElementType(rangeType);
+            if (rangeType.isConst) elementType = { ...elementType, isConst: true };
+        } else if (!isErrorType(rangeType)) {
+            error(`Cannot iterate over a value of type '${typeToString(rangeType)}'`, node.range.loc);
+        }
+        node.rangeKind = isString(rangeType) ? 'string' : isContainer(rangeType) ? 'container' : 'array';
+
+        let varType = node.varType;
+        let typeOk = true;
+        if (varType.name === 'auto') {
+            // auto copies drop the const of the element, auto& keeps it
+            varType = { ...elementType, isConst: varType.isConst || (varType.reference && elementType.isConst), reference: varType.reference };
+            typeOk = !isErrorType(elementType);
+        } else {
+            typeOk = checkTypeName(varType);
+            if (typeOk) checkAssignable(varType, elementType, node.range.loc, `initialization of '${node.name}'`);
+        }
+        if (typeOk && varType.reference && !varType.isConst) {
+            if (elementType.isConst) {
+                error(`Binding reference '${node.name}' of type '${typeToString(varType)}' to a const element discards qualifiers`, node.nameLoc);
+            } else if (node.rangeKind === 'string') {
+                error(`Loop variable '${node.name}' cannot be a 'char&' into a string; index the string instead`, node.nameLoc);
+            } else if (!sameType(valueTypeOf(varType), elementType)) {
+                error(`Cannot bind reference '${node.name}' of type '${typeToString(varType)}' to an element of type '${typeToString(elementType)}'`, node.nameLoc);
+            }
+        }
+        node.elementType = elementType;
+        node.symbol = declare({ kind: 'variable', name: node.name, type: typeOk ? varType : ERROR_TYPE, loc: node.nameLoc });
+        checkLoopBody(node.body, true);
+        closeScope();
+    }
+
+    // switch on an integral value, with distinct constant case labels. The
+    // body is a single scope, so a label may not jump past the declaration
+    // of a variable that would still be in scope after it.
+    function checkSwitch(node) {
+        const type = checkExpression(node.discriminant);
+        if (!isErrorType(type) && !isIntegral(type)) {
+            error(`Switch quantity is not an integer (it has type '${typeToString(type)}')`, node.discriminant.loc);
+        }
+        openScope('switch');
+        switchDepth++;
+        const labels = new Map();
+        let defaultCase = null;
+        let declared = [];
+        for (const caseNode of node.cases) {
+            if (caseNode.test === null) {
+                if (defaultCase) {
+                    error(`Multiple default labels in one switch (the first is on line ${defaultCase.loc.start.line})`, caseNode.loc);
+                }
+                defaultCase = caseNode;
+            } else {
+                const labelType = checkExpression(caseNode.test);
+                const value = constantValue(caseNode.test);
+                if (isErrorType(labelType)) {
+                    // Already reported
+                } else if (!isIntegral(labelType) || value === null) {
+                    error(`Case label is not an integer constant`, caseNode.test.loc);
+                } else if (labels.has(value)) {
+                    error(`Duplicate case value (already used on line ${labels.get(value).loc.start.line})`, caseNode.test.loc);
+                } else {
+                    labels.set(value, caseNode);
+                    caseNode.value = value;
+                }
+            }
+            for (const name of declared) {
+                error(`Jump to case label crosses the declaration of '${name}'; put the statements of the case before it in braces`, caseNode.loc);
+            }
+            declared = [];
+            for (const stmt of caseNode.body) {
+                checkStatement(stmt);
+                if (stmt.type === 'declaration') declared.push(stmt.name);
+                if (stmt.type === 'declarationList') declared.push(...stmt.declarations.map(decl => decl.name));
+            }
+        }
+        switchDepth--;
+        closeScope();
+    }
+
+    function checkReturn(node) {
+        if (node.value !== null && node.value.type === 'initList') {
+            checkReturnList(node);
+            return;
+        }
+        const valueType = node.value !== null ? checkExpression(node.value) : null;
+        // Top-level statements without a main() run as the body of an
+        // implicit int main(), where any return is fine.
+        node.returnType = currentFunction ? currentFunction.type : makeType('int');
+        if (!currentFunction) return;
+        // A constructor hands back the object it initialized
+        node.inConstructor = currentFunction.isConstructor === true;
+
+        const returnType = currentFunction.type;
+        const returnsVoid = returnType.name === 'void' && returnType.pointer === 0;
+        if (returnsVoid && valueType !== null) {
+            error(`Return-statement with a value, in function returning 'void'`, node.loc);
+        } else if (!returnsVoid && valueType === null) {
+            error(`Return-statement with no value, in function returning '${typeToString(returnType)}'`, node.loc);
+        } else if (valueType !== null) {
+            checkAssignable(returnType, valueType, node.value.loc, `return from '${currentFunction.name}'`);
+            if (returnType.reference && !returnType.isConst && !isLvalue(node.value)) {
+                error(`Cannot return a temporary value from '${currentFunction.name}', which returns a reference`, node.value.loc);
+            } else if (returnType.reference) {
+                bindReference(returnType, node.value);
+            }
+        }
+    }
+
+    // return {a, b}; initializes the return value from the list
+    function checkReturnList(node) {
+        node.returnType = currentFunction ? currentFunction.type : makeType('int');
+        if (!currentFunction) {
+            error(`Brace-enclosed initializer cannot be returned from main`, node.value.loc);
+            return;
+        }
+        checkElement(currentFunction.type, node.value, `return from '${currentFunction.name}'`);
+    }
+
+    // --- Expressions ---
+
+    function checkExpression(expr) {
+        const type = inferExpression(expr);
+        expr.resolvedType = type;
+        return type;
+    }
+
+    function checkRead(target) {
+        const type = checkExpression(target);
+        if (!isLvalue(target)) {
+            error(`Cannot read into an expression that is not a variable`, target.loc);
+        } else if (!isErrorType(type) && !isArithmetic(type) && !isString(type)) {
+            error(`Cannot read a value of type '${typeToString(type)}' with cin`, target.loc);
+        }
+    }
+
+    function inferExpression(expr) {
+        switch (expr.type) {
+            case "literal":
+                return makeType(expr.valueType);
+
+            // cin >> x as a condition is true while the reads succeed
+            case "read":
+                expr.inputs.forEach(checkRead);
+                return makeType('bool');
+
+            case "identifier": {
+                if (expr.qualifier === 'string' && expr.name === 'npos') {
+                    return makeType('int');
+                }
+                if (expr.name === 'cin' || expr.name === 'cout') {
+                    error(`'${expr.name}' can only be used as a stream`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                const symbol = scope.lookup(expr.name);
+                if (!symbol && LIBRARY_CONSTANTS.hasOwnProperty(expr.name)) {
+                    const constant = LIBRARY_CONSTANTS[expr.name];
+                    requireHeader(constant.header, expr.name, expr.loc);
+                    expr.constant = constant;
+                    return makeType(constant.type, { isConst: true });
+                }
+                if (!symbol) {
+                    error(`'${expr.name}' was not declared in this scope`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                expr.symbol = symbol;
+                if (symbol.kind === 'class') {
+                    error(`Expected an expression, found type name '${expr.name}'`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                if (symbol.kind === 'method') {
+                    error(`Member function '${symbol.owner.name}::${expr.name}' must be called, as in '${expr.name}()'`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                // Fields named without an object belong to `this`
+                if (symbol.kind === 'field' && inConstMethod) {
+                    return { ...valueTypeOf(symbol.type), isConst: true };
+                }
+                return valueTypeOf(symbol.type);
+            }
+
+            case "this":
+                if (!currentClass || !currentFunction) {
+                    error(`Invalid use of 'this' outside of a member function`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                return makeType(currentClass.name, { pointer: 1, isConst: inConstMethod });
+
+            case "binary":
+                return checkBinary(expr);
+
+            case "unary":
+                return checkUnary(expr);
+
+            case "assignment": {
+                const target = checkExpression(expr.target);
+                if (expr.value.type === 'initList') return checkListAssignment(expr, target);
+                const value = checkExpression(expr.value);
+                if (isErrorType(target)) return ERROR_TYPE;
+                if (!isLvalue(expr.target)) {
+                    error(`Left side of assignment is not assignable`, expr.target.loc);
+                    return ERROR_TYPE;
+                }
+                if (isArray(target)) {
+                    error(`Array type '${typeToString(target)}' is not assignable`, expr.target.loc);
+                    return ERROR_TYPE;
+                }
+                if (target.isConst && target.pointer === 0) {
+                    const symbol = expr.target.symbol;
+                    if (symbol && symbol.kind === 'field' && !symbol.type.isConst) {
+                        error(`Cannot assign to field '${symbol.name}' in a const member function or of a const object`, expr.loc);
+                    } else if (expr.target.type === 'identifier') {
+                        error(`Cannot assign to const variable '${expr.target.name}'`, expr.loc);
+                    } else {
+                        error(`Cannot assign to a read-only location`, expr.loc);
+                    }
+                }
+                if (expr.operator !== '=') return checkCompoundAssignment(expr, target, value);
+                // std::string has an operator= taking a single char
+                if (!(isString(target) && isArithmetic(value) && value.name === 'char')) {
+                    checkAssignable(target, value, expr.loc, 'assignment');
+                }
+                return target;
+            }
+
+            case "conditional":
+                return checkConditional(expr);
+
+            case "comma":
+                checkExpression(expr.left);
+                return checkExpression(expr.right);
+
+            case "cast":
+                return checkCast(expr);
+
+            case "sizeof":
+                return checkSizeof(expr);
+
+            case "call":
+                return checkCall(expr);
+
+            case "member": {
+                const objectType = checkExpression(expr.object);
+                if (isString(objectType) && STRING_METHODS.hasOwnProperty(expr.property)) {
+                    error(`Member function 'string::${expr.property}' must be called, as in '${expr.property}()'`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                if (isContainer(objectType)) {
+                    return checkContainerMember(expr, objectType);
+                }
+                // it->second through a map iterator
+                const pointee = { ...objectType, pointer: objectType.pointer - 1 };
+                if (expr.arrow && objectType.pointer === 1 && !isArray(objectType) && isContainer(pointee)) {
+                    return checkContainerMember(expr, pointee, true);
+                }
+                const member = lookupMember(expr, objectType);
+                if (!member) return ERROR_TYPE;
+                if (member.kind === 'method') {
+                    error(`Member function '${member.owner.name}::${member.name}' must be called, as in '${member.name}()'`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                expr.symbol = member;
+                // Fields of a const object are const
+                const fieldType = valueTypeOf(member.type);
+                return objectType.isConst && fieldType.pointer === 0 ? { ...fieldType, isConst: true } : fieldType;
+            }
+
+            case "index": {
+                const objectType = checkExpression(expr.object);
+                if (isContainer(objectType) && objectType.name === 'map') {
+                    return checkMapIndex(expr, objectType);
+                }
+                const indexType = checkExpression(expr.index);
+                if (!isErrorType(indexType) && !isIntegral(indexType)) {
+                    error(`Array subscript is not an integer`, expr.index.loc);
+                }
+                if (isErrorType(objectType)) return ERROR_TYPE;
+                if (isArray(objectType)) {
+                    return elementTypeOf(objectType);
+                }
+                if (isString(objectType)) {
+                    return makeType('char');
+                }
+                if (isContainer(objectType) && objectType.name === 'vector') {
+                    return objectType.isConst ? { ...objectType.args[0], isConst: true } : objectType.args[0];
+                }
+                if (objectType.pointer > 0) {
+                    return { ...objectType, pointer: objectType.pointer - 1 };
+                }
+                error(`Subscripted value of type '${typeToString(objectType)}' is not an array or pointer`, expr.object.loc);
+                return ERROR_TYPE;
+            }
+
+            case "construct":
+                if (!checkTypeName(expr.varType)) {
+                    (expr.args || []).forEach(checkExpression);
+                    return ERROR_TYPE;
+                }
+                if (expr.list !== null) {
+                    checkInitializerFor(expr.varType, expr.list);
+                } else {
+                    checkConstruction(expr.varType, expr.args, expr.loc);
+                }
+                return expr.varType;
+
+            case "initList":
+                error(`Brace-enclosed initializer is not allowed here`, expr.loc);
+                return ERROR_TYPE;
+
+            case "new": {
+                const type = makeType(expr.className);
+                type.loc = expr.loc;
+                if (expr.size !== null) {
+                    const sizeType = checkExpression(expr.size);
+                    if (!isErrorType(sizeType) && !isIntegral(sizeType)) {
+                        error(`Array size in new-expression has non-integral type '${typeToString(sizeType)}'`, expr.size.loc);
+                    }
+                }
+                if (!checkTypeName(type)) {
+                    (expr.args || []).forEach(checkExpression);
+                    return ERROR_TYPE;
+                }
+                if (expr.size !== null) {
+                    if (expr.args && expr.args.length > 0) {
+                        error(`Array new cannot have constructor arguments`, expr.loc);
+                    }
+                    if (isClassValue(type)) expr.ctor = defaultConstructorFor(type, expr.loc);
+                } else {
+                    expr.ctor = checkConstruction(type, expr.args || [], expr.loc);
+                }
+                return makeType(expr.className, { pointer: 1 });
+            }
+
+            default:
+                error(`Unknown expression '${expr.type}'`, expr.loc);
+                return ERROR_TYPE;
+        }
+    }
+
+    // x = {...} assigns a container, or an object, built from the list
+    function checkListAssignment(expr, target) {
+        if (isErrorType(target)) return ERROR_TYPE;
+        if (!isLvalue(expr.target) || target.isConst) {
+            error(`Left side of assignment is not assignable`, expr.target.loc);
+        } else if (!isContainer(target) && !isClassValue(target)) {
+            error(`Cannot assign a brace-enclosed initializer to '${typeToString(target)}'`, expr.value.loc);
+            return ERROR_TYPE;
+        }
+        checkInitializerFor(target, expr.value);
+        return target;
+    }
+
+    // .first and .second of a pair; container members must be called
+    function checkContainerMember(expr, objectType, throughPointer = false) {
+        if (expr.arrow && !throughPointer) {
+            error(`Base operand of '->' has non-pointer type '${typeToString(objectType)}'; use '.'`, expr.loc);
+            return ERROR_TYPE;
+        }
+        if (objectType.name === 'pair' && (expr.property === 'first' || expr.property === 'second')) {
+            const memberType = objectType.args[expr.property === 'first' ? 0 : 1];
+            return objectType.isConst ? { ...memberType, isConst: true } : memberType;
+        }
+        const methods = CONTAINER_METHODS[objectType.name] || {};
+        if (methods.hasOwnProperty(expr.property)) {
+            error(`Member function '${objectType.name}::${expr.property}' must be called, as in '${expr.property}()'`, expr.loc);
+        } else {
+            error(`'${typeToString(objectType)}' has no member named '${expr.property}'`, expr.loc);
+        }
+        return ERROR_TYPE;
+    }
+
+    // m[key] finds the entry for key, inserting a default value if there is
+    // none, so it is not available on a const map.
+    function checkMapIndex(expr, objectType) {
+        const [keyType, valueType] = objectType.args;
+        checkElement(keyType, expr.index, 'map subscript');
+        if (objectType.isConst) {
+            error(`'operator[]' inserts into the map and cannot be used on a const map; use 'at' instead`, expr.loc);
+        }
+        requireDefault(valueType, expr.loc);
+        return valueType;
+    }
+
+    // x op= y is x = x op y with x evaluated once. The backends generate
+    // the x op y part from `operation`, a binary node over the same operands.
+    function checkCompoundAssignment(expr, target, value) {
+        if (isErrorType(value)) return ERROR_TYPE;
+        const operation = { type: 'binary', operator: expr.operator.slice(0, -1), left: expr.target, right: expr.value, loc: expr.loc };
+        const result = binaryResult(operation, target, value, expr.operator);
+        if (isErrorType(result)) return ERROR_TYPE;
+        operation.resolvedType = result;
+        expr.operation = operation;
+        checkAssignable(target, result, expr.loc, `'${expr.operator}'`);
+        return target;
+    }
+
+    function checkBinary(expr) {
+        const left = checkExpression(expr.left);
+        const right = checkExpression(expr.right);
+        if (isErrorType(left) || isErrorType(right)) return ERROR_TYPE;
+        return binaryResult(expr, left, right, expr.operator);
+    }
+
+    // The type of `expr`, a binary operation on operands of the types given,
+    // or ERROR_TYPE, having reported the operator by `name`, when they do
+    // not fit it
+    function binaryResult(expr, left, right, name) {
+        const op = expr.operator;
+        const invalid = () => {
+            error(`Invalid operands to binary '${name}' ('${typeToString(left)}' and '${typeToString(right)}')`, expr.loc);
+            return ERROR_TYPE;
+        };
+
+        // Pointer arithmetic moves within an array
+        const leftPointer = decay(left);
+        const rightPointer = decay(right);
+        const isPointer = (type) => type.pointer > 0 && !isArray(type);
+        if (op === '+' || op === '-') {
+            if (isPointer(leftPointer) && isIntegral(right)) return leftPointer;
+            if (op === '+' && isIntegral(left) && isPointer(rightPointer)) return rightPointer;
+            if (op === '-' && isPointer(leftPointer) && isPointer(rightPointer)) {
+                if (sameType(leftPointer, rightPointer)) return makeType('int');
+                return invalid();
+            }
+        }
+
+        switch (op) {
+            case '+':
+                if (isString(left) && (isString(right) || right.name === 'char')) return makeType('string');
+                if (isString(right) && left.name === 'char') return makeType('string');
+                // falls through
+            case '-':
+            case '*':
+            case '/':
+                if (isArithmetic(left) && isArithmetic(right)) return arithmeticResult(left, right);
+                return invalid();
+
+            case '%':
+            case '&':
+            case '|':
+            case '^':
+            case '<<':
+            case '>>':
+                if (isIntegral(left) && isIntegral(right)) return makeType('int');
+                return invalid();
+
+            case '<':
+            case '<=':
+            case '>':
+            case '>=':
+            case '==':
+            case '!=':
+                if (isArithmetic(left) && isArithmetic(right)) return makeType('bool');
+                if (isString(left) && isString(right)) return makeType('bool');
+                if (isPointer(leftPointer) && (sameType(leftPointer, rightPointer) || isNullPointer(right))) return makeType('bool');
+                if (isNullPointer(left) && (isPointer(rightPointer) || isNullPointer(right))) return makeType('bool');
+                // Containers and pairs compare element by element
+                if (isContainer(left) && sameType(left, right) && isComparable(left)) {
+                    expr.compare = true;
+                    return makeType('bool');
+                }
+                return invalid();
+
+            case '&&':
+            case '||':
+                if (isScalar(left) && isScalar(right)) return makeType('bool');
+                return invalid();
+
+            default:
+                return invalid();
+        }
+    }
+
+    // c ? a : b has the type both branches share: their common arithmetic
+    // type, or the one type both have
+    function checkConditional(expr) {
+        checkCondition(expr.condition);
+        const a = checkExpression(expr.consequent);
+        const b = checkExpression(expr.alternate);
+        if (isErrorType(a) || isErrorType(b)) return ERROR_TYPE;
+        if (isArithmetic(a) && isArithmetic(b)) {
+            return sameType(a, b) ? makeType(a.name) : arithmeticResult(a, b);
+        }
+        const isPointer = (type) => type.pointer > 0 && !isArray(type);
+        const pointerA = decay(a);
+        const pointerB = decay(b);
+        if (isPointer(pointerA) && (isNullPointer(b) || sameType(pointerA, pointerB))) return { ...pointerA, isConst: pointerA.isConst || pointerB.isConst };
+        if (isNullPointer(a) && isPointer(pointerB)) return pointerB;
+        if (!isArray(a) && sameType(a, b)) return { ...a, isConst: false };
+        error(`Operands to '?:' have different types '${typeToString(a)}' and '${typeToString(b)}'`, expr.loc);
+        return ERROR_TYPE;
+    }
+
+    // (T)x, T(x) and static_cast<T>(x). Arithmetic values convert to one
+    // another, pointers to bool and to or from void*, and anything to void.
+    // static_cast cannot cast away const.
+    function checkCast(expr) {
+        const from = checkExpression(expr.operand);
+        const to = expr.varType;
+        if (!checkTypeName(to, true) || isErrorType(from)) return ERROR_TYPE;
+        const what = expr.style === 'static_cast' ? 'static_cast' : 'cast';
+        if (to.reference) {
+            error(`A ${what} to a reference type is not supported`, to.loc);
+            return ERROR_TYPE;
+        }
+        if (to.name === 'void' && to.pointer === 0) return to;
+        const pointer = decay(from);
+        const isPointer = (type) => type.pointer > 0 && !isArray(type);
+        if (isArithmetic(to) && isArithmetic(from)) return to;
+        if (isArithmetic(to) && to.name === 'bool' && (isPointer(pointer) || isNullPointer(from))) return to;
+        if (isPointer(to) && isNullPointer(from)) return to;
+        if (isPointer(to) && isPointer(pointer)) {
+            const isVoidPointer = (type) => type.name === 'void' && type.pointer === 1;
+            if (sameType(to, pointer) || isVoidPointer(to) || isVoidPointer(pointer)) {
+                if (what === 'static_cast' && pointer.isConst && !to.isConst) {
+                    error(`static_cast from type '${typeToString(from)}' to type '${typeToString(to)}' casts away qualifiers`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                return to;
+            }
+        }
+        if (!isArithmetic(to) && !isPointer(to) && sameType(to, from)) return to;
+        error(`Invalid ${what} from type '${typeToString(from)}' to type '${typeToString(to)}'`, expr.loc);
+        return ERROR_TYPE;
+    }
+
+    // sizeof(T) or sizeof x, whose operand is never evaluated. The size is
+    // worked out here unless it depends on a variable-length array, whose
+    // length the generated code then reads at run time.
+    function checkSizeof(expr) {
+        let type;
+        if (expr.varType !== null) {
+            if (!checkTypeName(expr.varType, true)) return ERROR_TYPE;
+            type = expr.varType;
+        } else {
+            type = checkExpression(expr.operand);
+            if (isErrorType(type)) return ERROR_TYPE;
+            // An array parameter is really a pointer
+            const symbol = expr.operand.type === 'identifier' ? expr.operand.symbol : null;
+            if (symbol && symbol.kind === 'parameter' && isArray(type)) type = makeType(type.name, { pointer: type.pointer + 1 });
+        }
+        if (type.name === 'void' && type.pointer === 0) {
+            error(`Invalid application of 'sizeof' to a void type`, expr.loc);
+            return ERROR_TYPE;
+        }
+        const layout = layoutOf(valueTypeOf(type));
+        if (layout.size === null && !isArray(type)) {
+            error(`The size of '${typeToString(type)}' is not known, as one of its arrays has a size that is not a literal`, expr.loc);
+            return ERROR_TYPE;
+        }
+        expr.size = layout.size;
+        expr.elementSize = isArray(type) ? layout.elementSize : layout.size;
+        return makeType('int');
+    }
+
+    // The size and alignment g++ gives a type on x86-64. An array with a
+    // dimension that is not a constant has a size of null, though the size
+    // of its elements is still known.
+    function layoutOf(type) {
+        if (isArray(type)) {
+            const element = layoutOf({ ...type, dims: [] });
+            const count = type.dims.reduce((total, dim) => {
+                const size = dim === null ? null : constantSize(dim) !== null ? constantSize(dim) : constantValue(dim);
+                return total === null || size === null ? null : total * size;
+            }, 1);
+            const size = count === null || element.size === null ? null : count * element.size;
+            return { size, align: element.align, elementSize: element.size };
+        }
+        if (type.pointer > 0 || type.reference) return { size: 8, align: 8 };
+        switch (type.name) {
+            case 'bool':
+            case 'char':
+                return { size: 1, align: 1 };
+            case 'int':
+            case 'float':
+                return { size: 4, align: 4 };
+            case 'double':
+                return { size: 8, align: 8 };
+            case 'pair':
+                return structLayout(type.args);
+        }
+        if (LIBRARY_SIZES.hasOwnProperty(type.name)) return { size: LIBRARY_SIZES[type.name], align: 8 };
+        const classSymbol = classSymbolOf(type);
+        return structLayout(classSymbol ? classSymbol.fields.map(field => field.type) : []);
+    }
+
+    // Fields in order, each at the next offset its alignment allows, and
+    // the whole padded to the largest alignment. An empty class still takes
+    // a byte.
+    function structLayout(types) {
+        let size = 0;
+        let align = 1;
+        for (const type of types) {
+            const field = layoutOf(type);
+            if (field.size === null) return { size: null, align: 8 };
+            size = Math.ceil(size / field.align) * field.align + field.size;
+            align = Math.max(align, field.align);
+        }
+        return { size: Math.max(1, Math.ceil(size / align) * align), align };
+    }
+
+    function checkUnary(expr) {
+        const operand = checkExpression(expr.operand);
+        if (isErrorType(operand)) return ERROR_TYPE;
+
+        const op = expr.operator;
+        switch (op) {
+            case '&':
+                return checkAddressOf(expr, operand);
+
+            case '*': {
+                const pointer = decay(operand);
+                if (isNullPointer(operand)) {
+                    error(`Dereferencing 'nullptr'`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                if (pointer.pointer === 0 || isArray(pointer)) break;
+                if (pointer.name === 'void' && pointer.pointer === 1) {
+                    error(`Cannot dereference a 'void*' pointer`, expr.loc);
+                    return ERROR_TYPE;
+                }
+                expr.operand.decays = isArray(operand);
+                return { ...pointer, pointer: pointer.pointer - 1 };
+            }
+
+            case '!':
+                if (isScalar(operand)) return makeType('bool');
+                break;
+
+            case '~':
+                if (isIntegral(operand)) return makeType('int');
+                break;
+
+            case '+':
+            case '-':
+                if (isArithmetic(operand)) return arithmeticResult(operand, operand);
+                break;
+
+            case '++':
+            case '--':
+                if (!isLvalue(expr.operand)) {
+                    error(`Operand of '${op}' must be a variable`, expr.operand.loc);
+                    return ERROR_TYPE;
+                }
+                if (isArithmetic(operand) || operand.pointer > 0) return operand;
+                break;
+        }
+        error(`Invalid operand to unary '${op}' ('${typeToString(operand)}')`, expr.loc);
+        return ERROR_TYPE;
+    }
+
+    // &x gives a pointer to any variable, field or element. Characters of a
+    // string have no address of their own here.
+    function checkAddressOf(expr, operand) {
+        if (!isLvalue(expr.operand)) {
+            error(`Cannot take the address of a temporary value`, expr.operand.loc);
+            return ERROR_TYPE;
+        }
+        if (isArray(operand)) {
+            error(`Taking the address of an array is not supported; the array name already points to its first element`, expr.loc);
+            return ERROR_TYPE;
+        }
+        if (!markAddressed(expr.operand)) return ERROR_TYPE;
+        return { ...operand, pointer: operand.pointer + 1, reference: false };
+    }
+
+    // Records that the storage `expr` names is pointed to or referred to,
+    // so that a plain variable gets storage that can be shared.
+    function markAddressed(expr) {
+        if (expr.type === 'index' && isString(expr.object.resolvedType)) {
+            error(`Cannot point or refer to a single character of a string; use an index instead`, expr.loc);
+            return false;
+        }
+        if (expr.type === 'assignment' || expr.type === 'unary' && expr.operator !== '*') {
+            error(`Cannot point or refer to the result of '${expr.operator}'; use the variable itself`, expr.loc);
+            return false;
+        }
+        const symbol = expr.type === 'identifier' ? expr.symbol : null;
+        // Objects and containers are shared already; only plain values are boxed
+        const type = symbol ? symbol.type : null;
+        if (symbol && (symbol.kind === 'variable' || symbol.kind === 'parameter') && !type.reference &&
+            !isArray(type) && !isClassValue(type) && !isContainer(type)) {
+            symbol.boxed = true;
+        }
+        return true;
+    }
+
+    // Binding a reference to `expr`. Non-const references need a variable;
+    // const ones may also bind to temporaries.
+    function bindReference(type, expr) {
+        if (!isLvalue(expr)) return;
+        if (!type.isConst || sameType(valueTypeOf(type), expr.resolvedType)) markAddressed(expr);
+    }
+
+    function checkCall(expr) {
+        // Braced arguments are checked against the parameter they initialize,
+        // and a comparator against the elements it compares
+        const name = expr.callee.name;
+        const library = expr.callee.type === 'identifier' && !scope.lookup(name) && LIBRARY_FUNCTIONS.hasOwnProperty(name)
+            ? LIBRARY_FUNCTIONS[name] : null;
+        const argTypes = expr.args.map((arg, k) => {
+            if (arg.type === 'identifier' && arg.name === 'cin') return makeType('istream');
+            if (arg.type === 'initList') return makeType('<initializer list>');
+            if (library && library.params[k] === 'compare') return checkFunctionName(arg);
+            return checkExpression(arg);
+        });
+
+        if (expr.callee.type === 'member') {
+            return checkMethodCall(expr, argTypes);
+        }
+        // Only names are called, so `cout << " " (x)` with its << missing
+        // cannot compile
+        if (expr.callee.type !== 'identifier') {
+            const calleeType = checkExpression(expr.callee);
+            if (!isErrorType(calleeType)) error('Expression cannot be used as a function', expr.callee.loc);
+            return ERROR_TYPE;
+        }
+
+        const symbol = scope.lookup(name);
+        if (library) {
+            return checkLibraryCall(expr, library, argTypes, name);
+        }
+        if (!symbol) {
+            error(`'${name}' was not declared in this scope`, expr.callee.loc);
+            return ERROR_TYPE;
+        }
+        expr.callee.symbol = symbol;
+        // Point(1, 2) creates a temporary object
+        if (symbol.kind === 'class') {
+            if (!symbol.complete) {
+                error(`Invalid use of incomplete type '${name}'`, expr.callee.loc);
+                return ERROR_TYPE;
+            }
+            expr.ctor = resolveConstructor(symbol, expr.args, argTypes, expr.loc);
+            return symbol.type;
+        }
+        if (symbol.kind === 'method') {
+            if (inConstMethod && !symbol.isConst) {
+                error(`Cannot call non-const member function '${symbol.owner.name}::${name}' from a const member function`, expr.loc);
+            }
+            symbol.used = true;
+            checkArguments(expr, symbol.params, argTypes, `${symbol.owner.name}::${name}`);
+            return symbol.type;
+        }
+        if (symbol.kind !== 'function') {
+            error(`'${name}' cannot be used as a function`, expr.callee.loc);
+            return ERROR_TYPE;
+        }
+
+        const chosen = resolveCall(expr, symbol.overloads, argTypes);
+        if (!chosen) return ERROR_TYPE;
+        expr.callee.symbol = chosen;
+        chosen.used = true;
+        checkArguments(expr, chosen.params, argTypes, name);
+        return chosen.type;
+    }
+
+    // The overload or template instance a call to a function calls. With
+    // only one function of the name, its own checks explain a mismatch.
+    function resolveCall(expr, overloads, argTypes) {
+        const name = expr.callee.name;
+        if (overloads.length === 1 && !overloads[0].templateParams) {
+            if (expr.callee.templateArgs) {
+                error(`'${name}' is not a template`, expr.callee.loc);
+                return null;
+            }
+            return overloads[0];
+        }
+        if (argTypes.some(isErrorType)) return null;
+
+        const candidates = [];
+        const reasons = [];
+        for (const symbol of overloads) {
+            if (!symbol.templateParams) {
+                if (!expr.callee.templateArgs) candidates.push(symbol);
+                continue;
+            }
+            const bindings = deduceTemplate(symbol, expr, argTypes);
+            if (bindings instanceof Map) {
+                const params = symbol.params.map(param => ({ ...param, type: substituteType(param.type, bindings) }));
+                candidates.push({ template: symbol, bindings, params });
+            } else if (bindings !== null) {
+                reasons.push(bindings);
+            } else {
+                return null;
+            }
+        }
+
+        const best = bestOverloads(candidates, argTypes);
+        const call = `${name}(${argTypes.map(typeToString).join(', ')})`;
+        if (best.length === 0) {
+            if (overloads.length === 1 && reasons.length === 1) {
+                error(reasons[0], expr.loc);
+            } else {
+                const signatures = overloads.map(symbol => {
+                    const params = symbol.params.map(param => typeToString(param.type)).join(', ');
+                    return symbol.templateParams ? `${name}<${symbol.templateParams.join(', ')}>(${params})` : `${name}(${params})`;
+                });
+                error(`No matching function for call to '${call}'; the candidates are ${signatures.join(', ')}`, expr.loc);
+            }
+            return null;
+        }
+        if (best.length > 1) {
+            error(`Call of overloaded '${call}' is ambiguous`, expr.loc);
+            return null;
+        }
+        return best[0].template ? instantiate(best[0].template, best[0].bindings) : best[0];
+    }
+
+    // Parameters left out take their default value
+    function checkArguments(expr, params, argTypes, name) {
+        const required = params.filter(param => !param.default).length;
+        if (argTypes.length < required || argTypes.length > params.length) {
+            const problem = argTypes.length < required ? 'Too few' : 'Too many';
+            const expected = required === params.length ? params.length : `${required} to ${params.length}`;
+            error(`${problem} arguments to function '${name}' (expected ${expected}, got ${argTypes.length})`, expr.loc);
+            return;
+        }
+        expr.args.forEach((arg, k) => {
+            const param = params[k];
+            const context = `argument ${k + 1} of '${name}'`;
+            if (arg.type === 'initList') checkElement(valueTypeOf(param.type), arg, context);
+            else checkAssignable(param.type, argTypes[k], arg.loc, context);
+        });
+        checkReferenceArguments(params, expr.args, name);
+    }
+
+    function checkReferenceArguments(params, args, name) {
+        args.forEach((arg, k) => {
+            const param = params[k];
+            const label = param.name ? `'${param.name}'` : k + 1;
+            if (param.type.reference && !param.type.isConst && !isLvalue(arg)) {
+                error(`Cannot pass a temporary value to reference parameter ${label} of '${name}'`, arg.loc);
+            } else if (param.type.reference) {
+                bindReference(param.type, arg);
+            }
+        });
+    }
+
+    // Finds the field or method a `.` or `->` expression names, checking the
+    // operator against the object type and the member's access.
+    function lookupMember(member, objectType) {
+        if (isErrorType(objectType)) return null;
+        const classSymbol = isArray(objectType) ? null : classSymbolOf(objectType);
+        const pointerDepth = member.arrow ? 1 : 0;
+        if (!classSymbol || objectType.pointer !== pointerDepth) {
+            if (classSymbol && member.arrow) {
+                error(`Base operand of '->' has non-pointer type '${typeToString(objectType)}'; use '.'`, member.loc);
+            } else if (classSymbol && objectType.pointer === 1) {
+                error(`Request for member '${member.property}' in a pointer of type '${typeToString(objectType)}'; use '->'`, member.loc);
+            } else {
+                error(`Request for member '${member.property}', which is of non-class type '${typeToString(objectType)}'`, member.loc);
+            }
+            return null;
+        }
+        if (!classSymbol.complete) {
+            error(`Invalid use of incomplete type '${classSymbol.name}'`, member.loc);
+            return null;
+        }
+        const found = classSymbol.scope.lookupLocal(member.property);
+        if (!found) {
+            error(`'${classSymbol.name}' has no member named '${member.property}'`, member.loc);
+            return null;
+        }
+        checkAccess(found, classSymbol.name, member.loc);
+        return found;
+    }
+
+    function checkMethodCall(expr, argTypes) {
+        const member = expr.callee;
+        if (member.object.type === 'identifier' && member.object.name === 'cin' && !member.arrow) {
+            if (!ISTREAM_METHODS.hasOwnProperty(member.property)) {
+                error(`'istream' has no member named '${member.property}'`, member.loc);
+                return ERROR_TYPE;
+            }
+            return checkLibraryCall(expr, ISTREAM_METHODS[member.property], argTypes, `istream::${member.property}`);
+        }
+        const objectType = checkExpression(member.object);
+        if (isErrorType(objectType)) return ERROR_TYPE;
+
+        if (isContainer(objectType)) {
+            return checkContainerMethod(expr, objectType, argTypes);
+        }
+        if (!isString(objectType) || isArray(objectType)) {
+            const method = lookupMember(member, objectType);
+            if (!method) return ERROR_TYPE;
+            if (method.kind !== 'method') {
+                error(`'${method.owner.name}::${method.name}' cannot be used as a function`, member.loc);
+                return ERROR_TYPE;
+            }
+            if (objectType.isConst && !method.isConst) {
+                error(`Cannot call non-const member function '${method.owner.name}::${method.name}' on a const object`, member.loc);
+            }
+            member.symbol = method;
+            method.used = true;
+            checkArguments(expr, method.params, argTypes, `${method.owner.name}::${method.name}`);
+            return method.type;
+        }
+        if (member.arrow) {
+            error(`Base operand of '->' has non-pointer type 'string'`, member.loc);
+            return ERROR_TYPE;
+        }
+        if (!STRING_METHODS.hasOwnProperty(member.property)) {
+            error(`'string' has no member named '${member.property}'`, member.loc);
+            return ERROR_TYPE;
+        }
+        const spec = STRING_METHODS[member.property];
+        if (spec.mutates && (!isLvalue(member.object) || objectType.isConst)) {
+            error(`Cannot call 'string::${member.property}' on a value that cannot be modified`, member.object.loc);
+        }
+        return checkLibraryCall(expr, spec, argTypes, `string::${member.property}`);
+    }
+
+    function checkContainerMethod(expr, objectType, argTypes) {
+        const member = expr.callee;
+        const methods = CONTAINER_METHODS[objectType.name] || {};
+        if (member.arrow || !methods.hasOwnProperty(member.property)) {
+            if (!isErrorType(checkContainerMember(member, objectType))) {
+                error(`'${objectType.name}::${member.property}' cannot be used as a function`, member.loc);
+            }
+            return ERROR_TYPE;
+        }
+        const spec = methods[member.property];
+        const name = `${objectType.name}::${member.property}`;
+        expr.library = spec;
+        if (spec.modifies && objectType.isConst) {
+            error(`Cannot call '${name}' on a const ${objectType.name}`, member.loc);
+        }
+        const minArgs = spec.minArgs !== undefined ? spec.minArgs : spec.params.length;
+        const paramTypes = spec.params.map(kind => containerKindType(kind, objectType));
+        const resultType = containerKindType(spec.returns, objectType);
+        if (argTypes.length < minArgs || argTypes.length > spec.params.length) {
+            const problem = argTypes.length < minArgs ? 'Too few' : 'Too many';
+            const expected = minArgs === spec.params.length ? `${minArgs}` : `${minArgs} to ${spec.params.length}`;
+            error(`${problem} arguments to function '${name}' (expected ${expected}, got ${argTypes.length})`, expr.loc);
+            return resultType;
+        }
+        expr.args.forEach((arg, k) => {
+            const context = `argument ${k + 1} of '${name}'`;
+            if (arg.type === 'initList') checkElement(paramTypes[k], arg, context);
+            else checkAssignable(paramTypes[k], argTypes[k], arg.loc, context);
+        });
+        expr.paramTypes = paramTypes;
+        if (spec.fills && expr.args.length < spec.params.length) {
+            requireDefault(objectType.args[0], expr.loc);
+        }
+        // Elements of a const container are const
+        return spec.element && objectType.isConst ? { ...resultType, isConst: true } : resultType;
+    }
+
+    function checkLibraryCall(expr, spec, argTypes, name) {
+        expr.library = spec;
+        requireHeader(spec.header, name, expr.callee.loc);
+        const minArgs = spec.minArgs !== undefined ? spec.minArgs : spec.params.length;
+        if (argTypes.length < minArgs || argTypes.length > spec.params.length) {
+            const problem = argTypes.length < minArgs ? 'Too few' : 'Too many';
+            const expected = minArgs === spec.params.length ? `${minArgs}` : `${minArgs} to ${spec.params.length}`;
+            error(`${problem} arguments to function '${name}' (expected ${expected}, got ${argTypes.length})`, expr.loc);
+            return makeType(spec.returns);
+        }
+
+        argTypes.forEach((type, k) => {
+            const kind = spec.params[k];
+            const arg = expr.args[k];
+            if (isErrorType(type)) return;
+            if (!matchesKind(kind, type, arg)) {
+                const expected = {
+                    number: 'a number', int: 'an int', double: 'a double', char: 'a char',
+                    string: 'a string', text: 'a string or char', comparable: 'a number or string',
+                    any: 'a value', istream: 'cin', iterator: 'an iterator or pointer',
+                    compare: 'the name of a function'
+                }[kind.replace('&', '')];
+                error(`Argument ${k + 1} of '${name}' must be ${expected}, not '${typeToString(type)}'`, arg.loc);
+            } else if (kind.endsWith('&') && (!isLvalue(arg) || type.isConst)) {
+                error(`Argument ${k + 1} of '${name}' must be a variable that can be modified`, arg.loc);
+            }
+        });
+
+        // std::max(int, double) does not compile: the template parameter
+        // would be deduced as two different types.
+        if (spec.sameTypes && !argTypes.some(isErrorType)) {
+            const [first, second] = argTypes;
+            if (!sameType(first, second)) {
+                error(`No matching function for call to '${name}(${argTypes.map(typeToString).join(', ')})'; both arguments must have the same type`, expr.loc);
+                return ERROR_TYPE;
+            }
+        }
+        if (spec.params[0] === 'iterator') {
+            const range = checkRange(expr, spec, argTypes, name);
+            if (range === null) return ERROR_TYPE;
+            if (spec.returns === 'iterator') return range;
+        }
+        if (spec.returns === 'same') return { ...valueTypeOf(argTypes[0]), isConst: false };
+        if (spec.returns === 'pair') {
+            if (argTypes.some(isErrorType)) return ERROR_TYPE;
+            return makeType('pair', { args: argTypes.map(type => ({ ...valueTypeOf(type), isConst: false })) });
+        }
+        if (spec.returns === 'promoted') {
+            return isErrorType(argTypes[0]) ? ERROR_TYPE : arithmeticResult(argTypes[0], argTypes[0]);
+        }
+        return makeType(spec.returns);
+    }
+
+    // sort(first, last) and the like: the iterators must be of one type,
+    // and their elements fit for what the function does with them. Gives
+    // the type of the iterators, or null after an error.
+    function checkRange(expr, spec, argTypes, name) {
+        // Arguments that are not iterators have been reported already
+        if (argTypes.some(isErrorType) || !argTypes.slice(0, 2).every(type => matchesKind('iterator', type))) return null;
+        const [first, last] = argTypes.map(decay);
+        if (!sameType({ ...first, isConst: false }, { ...last, isConst: false })) {
+            error(`No matching function for call to '${name}(${argTypes.map(typeToString).join(', ')})'; both iterators must have the same type`, expr.loc);
+            return null;
+        }
+        const element = { ...first, pointer: first.pointer - 1, isConst: false };
+        if (spec.modifies && (first.isConst || last.isConst)) {
+            error(`'${name}' cannot change the const elements of '${typeToString(first)}'`, expr.loc);
+            return null;
+        }
+        if (spec.params[2] === 'compare' && argTypes.length > 2) {
+            // Anything but a function name has been reported already
+            return matchesKind('compare', argTypes[2]) && checkComparator(expr.args[2], element, name) ? first : null;
+        }
+        if (spec.compares && !isComparable(element)) {
+            error(`'${name}' needs elements that can be compared, not '${typeToString(element)}'`, expr.loc);
+            return null;
+        }
+        if (spec.params[2] === 'element') {
+            checkAssignable(element, argTypes[2], expr.args[2].loc, `argument 3 of '${name}'`);
+        }
+        return first;
+    }
+
+    // A function named as an argument rather than called; which of its
+    // overloads is meant depends on what it is given
+    function checkFunctionName(expr) {
+        const symbol = expr.type === 'identifier' ? scope.lookup(expr.name) : null;
+        if (!symbol || symbol.kind !== 'function') return checkExpression(expr);
+        expr.symbol = symbol;
+        expr.resolvedType = makeType('<function>');
+        return expr.resolvedType;
+    }
+
+    // sort(first, last, less) calls less(a, b) on two elements, which must
+    // pick one overload that returns whether a goes before b
+    function checkComparator(arg, element, name) {
+        const candidates = arg.symbol.overloads.filter(symbol => !symbol.templateParams && symbol.params.length === 2);
+        const best = bestOverloads(candidates, [element, element]);
+        if (best.length !== 1 || !isArithmetic(valueTypeOf(best[0].type))) {
+            error(`'${arg.name}' cannot compare two elements of type '${typeToString(element)}' for '${name}'; it must take two of them and return bool`, arg.loc);
+            return false;
+        }
+        arg.symbol = best[0];
+        best[0].used = true;
+        return true;
+    }
+
+    for (const node of ast) {
+        checkStatement(node);
+    }
+
+    // Functions and member functions may be defined after their use, but
+    // must be defined
+    for (const symbol of globalScope.symbols.values()) {
+        if (symbol.kind === 'function') {
+            for (const overload of symbol.overloads) {
+                if (overload.used && !overload.defined) {
+                    error(`Undefined reference to '${symbol.name}(${overload.params.map(p => typeToString(p.type)).join(', ')})'`, overload.loc);
+                }
+            }
+        }
+        if (symbol.kind !== 'class' || !symbol.complete) continue;
+        for (const member of symbol.scope.symbols.values()) {
+            if (member.kind === 'method' && member.used && !member.defined) {
+                error(`Undefined reference to '${symbol.name}::${member.name}'`, member.loc);
+            }
+        }
+        for (const ctor of symbol.constructors) {
+            if (ctor.used && !ctor.defined) {
+                error(`Undefined reference to constructor '${symbol.name}(${ctor.params.map(p => typeToString(p.type)).join(', ')})'`, ctor.loc);
+            }
+        }
+        if (symbol.destructor && !symbol.destructor.defined) {
+            error(`Undefined reference to destructor '${symbol.name}::~${symbol.name}()'`, symbol.destructor.node.loc);
+        }
+    }
+
+    return { errors, globalScope, scopes };
+}
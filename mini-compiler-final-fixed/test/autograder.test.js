@@ -0,0 +1,127 @@
+// --- Autograder tests ---
+// Checks how test suites are read, how output is compared in each mode and
+// what the report of a graded run holds.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = ['compiler.js', 'preprocessor.js', 'semantic.js', 'warnings.js', 'runtime.js', 'sandbox.js', 'ir.js', 'autograder.js'];
+
+const context = vm.createContext({ require, console });
+for (const script of SCRIPTS) {
+    const file = path.join(__dirname, '..', script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+}
+const { compileFrontEnd, generateJS, parseSuite, runSuite, diffOutput } = vm.runInContext(
+    '({ compileFrontEnd, generateJS, parseSuite, runSuite, diffOutput })',
+    context
+);
+
+// Prints what it is given, so each case's stdin is the output to compare
+const ECHO = `#include <iostream>
+#include <string>
+using namespace std;
+int main() {
+    string line;
+    while (getline(cin, line)) cout << line << endl;
+    return line == "fail" ? 3 : 0;
+}`;
+
+function grade(suite) {
+    const front = compileFrontEnd(ECHO, {}, {});
+    assert.equal(front.diagnostics.filter(d => d.severity === 'error').length, 0);
+    return runSuite(generateJS(front.ast), parseSuite(JSON.stringify(suite)));
+}
+
+// The cases of a report, as name and whether each passed
+function outcomes(report) {
+    return Array.from(report.cases, result => `${result.name} ${result.passed ? 'PASS' : 'FAIL'}`);
+}
+
+test('parseSuite fills in the defaults', () => {
+    const suite = parseSuite('{ "compare": "float", "cases": [{ "expected": "1" }, { "name": "b", "expected": "2", "points": 3, "compare": "exact", "exitCode": 1 }] }');
+    assert.equal(suite.name, 'Test suite');
+    assert.deepEqual(JSON.parse(JSON.stringify(suite.cases)), [
+        { name: 'Case 1', stdin: '', expected: '1', exitCode: null, points: 1, compare: 'float', tolerance: 1e-6 },
+        { name: 'b', stdin: '', expected: '2', exitCode: 1, points: 3, compare: 'exact', tolerance: 1e-6 }
+    ]);
+});
+
+test('parseSuite says what is wrong with a suite', () => {
+    const problems = [
+        ['{', /^The test suite is not valid JSON/],
+        ['[]', /must be an object with a "cases" array/],
+        ['{ "cases": [{ "name": "a" }] }', /Test case 'a' needs an "expected" string/],
+        ['{ "cases": [{ "expected": "", "stdin": 5 }] }', /Test case 'Case 1' has a "stdin" that is not a string/],
+        ['{ "cases": [{ "expected": "", "points": -1 }] }', /"points" that are not a number of at least 0/],
+        ['{ "cases": [{ "expected": "", "exitCode": 1.5 }] }', /"exitCode" that is not a whole number/],
+        ['{ "compare": "fuzzy", "cases": [] }', /The test suite has an unknown "compare" mode 'fuzzy'/],
+        ['{ "cases": [{ "expected": "", "compare": "float", "tolerance": "small" }] }', /"tolerance" that is not a number/]
+    ];
+    for (const [text, message] of problems) {
+        assert.throws(() => parseSuite(text), error => message.test(error.message), text);
+    }
+});
+
+test('exact comparison only forgives line endings', () => grade({
+    cases: [
+        { name: 'same', stdin: 'a b\n', expected: 'a b\r\n' },
+        { name: 'spaced', stdin: 'a b\n', expected: 'a  b\n' },
+        { name: 'no newline', stdin: 'a b\n', expected: 'a b' }
+    ]
+}).then(report => {
+    assert.deepEqual(outcomes(report), ['same PASS', 'spaced FAIL', 'no newline FAIL']);
+}));
+
+test('whitespace comparison only compares the words', () => grade({
+    compare: 'whitespace',
+    cases: [
+        { name: 'spaced', stdin: 'a  b\n\n c\n', expected: 'a b c' },
+        { name: 'different', stdin: 'a b\n', expected: 'a c\n' },
+        { name: 'longer', stdin: 'a b\n', expected: 'a\n' },
+        { name: 'numbers', stdin: '1.0\n', expected: '1\n' }
+    ]
+}).then(report => {
+    assert.deepEqual(outcomes(report), ['spaced PASS', 'different FAIL', 'longer FAIL', 'numbers FAIL']);
+}));
+
+test('float comparison allows numbers within the tolerance', () => grade({
+    compare: 'float',
+    tolerance: 0.01,
+    cases: [
+        { name: 'close', stdin: 'x = 0.333\n', expected: 'x = 0.33\n' },
+        { name: 'far', stdin: 'x = 0.35\n', expected: 'x = 0.33\n' },
+        { name: 'relative', stdin: '1005 inf nan\n', expected: '1000 INF nan\n' },
+        { name: 'word', stdin: 'y = 0.33\n', expected: 'x = 0.33\n' },
+        { name: 'tight', stdin: '0.333\n', expected: '0.33\n', tolerance: 0 }
+    ]
+}).then(report => {
+    assert.deepEqual(outcomes(report), ['close PASS', 'far FAIL', 'relative PASS', 'word FAIL', 'tight FAIL']);
+}));
+
+test('a case fails on the wrong exit code and scores its points only when it passes', () => grade({
+    name: 'Echo',
+    cases: [
+        { name: 'ok', stdin: 'ok\n', expected: 'ok\n', points: 2, exitCode: 0 },
+        { name: 'exit', stdin: 'fail\n', expected: 'fail\n', points: 3, exitCode: 0 },
+        { name: 'unchecked', stdin: 'fail\n', expected: 'fail\n' }
+    ]
+}).then(report => {
+    assert.deepEqual(outcomes(report), ['ok PASS', 'exit FAIL', 'unchecked PASS']);
+    assert.equal(report.suite, 'Echo');
+    assert.deepEqual([report.passed, report.total, report.score, report.maxScore], [2, 3, 3, 6]);
+    const failed = report.cases[1];
+    assert.deepEqual([failed.points, failed.exitCode, failed.expectedExitCode], [0, 3, 0]);
+    assert.deepEqual(Array.from(failed.diff), []);
+}));
+
+test('diffOutput marks the lines missing and the lines printed instead', () => {
+    const diff = (expected, actual) => Array.from(diffOutput(expected, actual), ([mark, line]) => `${mark}${line}`);
+    assert.deepEqual(diff('a\nb\nc\n', 'a\nB\nc\n'), [' a', '-b', '+B', ' c', ' ']);
+    assert.deepEqual(diff('a\nb\n', 'a\r\nb\r\nextra\n'), [' a', ' b', '+extra', ' ']);
+    assert.deepEqual(diff('a\nb', 'b'), ['-a', ' b']);
+});
@@ -0,0 +1,115 @@
+// --- Command line tests ---
+// Runs cli.js the way a grading script would, checking what it writes and
+// the exit code it ends with.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const PROGRAMS = path.join(__dirname, 'programs');
+
+function minicpp(args, input = '') {
+    return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 30000 });
+}
+
+test('runs a program with stdin as cin', () => {
+    const result = minicpp([path.join(PROGRAMS, 'input.cpp')], '2\n1 2\nA\n');
+    assert.equal(result.stdout, 'A: 1.5\n');
+    assert.equal(result.stderr, '');
+    assert.equal(result.status, 0);
+});
+
+test('reads cin until the input runs out', () => {
+    const result = minicpp([path.join(PROGRAMS, 'readall.cpp')], '10 20\n30');
+    assert.equal(result.stdout, '3 numbers, sum 60\nno more input\n');
+    assert.equal(result.status, 0);
+});
+
+test('exits with the program exit code', () => {
+    assert.equal(minicpp([path.join(PROGRAMS, 'exitcode.cpp')]).status, 3);
+    assert.equal(minicpp([path.join(PROGRAMS, 'outofbounds.cpp')]).status, 134);
+    assert.equal(minicpp([path.join(PROGRAMS, 'recursion.cpp')]).status, 139);
+});
+
+test('exits with 124 after a step limit', () => {
+    const result = minicpp(['--max-steps', '1000', '-'], 'int main() { while (true) {} }');
+    assert.match(result.stderr, /exceeded its budget of 1000 steps/);
+    assert.equal(result.status, 124);
+});
+
+test('exits with 139 past the depth limit', () => {
+    const result = minicpp(['--max-depth', '50', '-'], 'int f(int n) { return n == 0 ? 0 : f(n - 1) + 1; } int main() { return f(100); }');
+    assert.match(result.stderr, /Stack overflow after 50 nested calls/);
+    assert.equal(result.status, 139);
+    assert.equal(minicpp(['--max-depth', '200', '-'], 'int f(int n) { return n == 0 ? 0 : f(n - 1) + 1; } int main() { return f(100) - 100; }').status, 0);
+});
+
+test('reports compile errors on stderr and exits with 1', () => {
+    const result = minicpp(['-'], 'int main() { return x; }');
+    assert.match(result.stderr, /'x' was not declared in this scope/);
+    assert.equal(result.stdout, '');
+    assert.equal(result.status, 1);
+});
+
+test('emits the tokens as JSON', () => {
+    const result = minicpp(['--emit', 'tokens', '-'], 'int main() { return 0; }');
+    const tokens = JSON.parse(result.stdout);
+    assert.deepEqual(tokens.slice(0, 3).map(token => token.value), ['int', 'main', '(']);
+    assert.equal(result.status, 0);
+});
+
+test('grades a program with --test and writes the report', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minicpp-'));
+    try {
+        const suite = path.join(dir, 'suite.json');
+        const report = path.join(dir, 'report.json');
+        fs.writeFileSync(suite, JSON.stringify({
+            name: 'Averages',
+            cases: [
+                { name: 'two', stdin: '2\n1 2\nA\n', expected: 'A: 1.5\n', points: 2 },
+                { name: 'wrong', stdin: '1\n4\nB\n', expected: 'B: 5\n', exitCode: 0 }
+            ]
+        }));
+        const result = minicpp(['--test', suite, '--report', report, path.join(PROGRAMS, 'input.cpp')]);
+        assert.equal(result.stdout, [
+            'PASS  two  (2/2)',
+            'FAIL  wrong  (0/1)',
+            '    output differs (exact); - expected, + actual:',
+            '    - B: 5',
+            '    + B: 4',
+            '      ',
+            'Averages: 1/2 cases passed, score 2/3',
+            ''
+        ].join('\n'));
+        assert.equal(result.status, 1);
+        const written = JSON.parse(fs.readFileSync(report, 'utf8'));
+        assert.deepEqual([written.suite, written.passed, written.total, written.score, written.maxScore], ['Averages', 1, 2, 2, 3]);
+        assert.deepEqual(written.cases.map(c => [c.name, c.passed, c.stdout]), [['two', true, 'A: 1.5\n'], ['wrong', false, 'B: 4\n']]);
+
+        // Every case passing exits with 0; a bad suite with 2 and a program
+        // that does not compile with 1, its report scoring nothing
+        fs.writeFileSync(suite, JSON.stringify({ cases: [{ stdin: '1\n4\nB\n', expected: 'B: 4\n' }] }));
+        assert.equal(minicpp(['--test', suite, path.join(PROGRAMS, 'input.cpp')]).status, 0);
+        fs.writeFileSync(suite, '{ "cases": [{}] }');
+        const bad = minicpp(['--test', suite, path.join(PROGRAMS, 'input.cpp')]);
+        assert.match(bad.stderr, /Test case 'Case 1' needs an "expected" string/);
+        assert.equal(bad.status, 2);
+        fs.writeFileSync(suite, JSON.stringify({ cases: [{ expected: '', points: 4 }] }));
+        assert.equal(minicpp(['--test', suite, '--report', report, '-'], 'int main() { return x; }').status, 1);
+        const failed = JSON.parse(fs.readFileSync(report, 'utf8'));
+        assert.deepEqual([failed.score, failed.maxScore, failed.compileErrors.length], [0, 4, 1]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('rejects bad usage with exit code 2', () => {
+    assert.equal(minicpp(['--bogus']).status, 2);
+    assert.equal(minicpp([]).status, 2);
+    assert.equal(minicpp(['--max-steps', 'many', 'x.cpp']).status, 2);
+});
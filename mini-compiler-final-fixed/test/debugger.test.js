@@ -0,0 +1,104 @@
+// --- Debugger tests ---
+// Records a debug run the way the page does and steps through its trace
+// with the debugger's own stepping rules.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = ['compiler.js', 'preprocessor.js', 'semantic.js', 'warnings.js', 'runtime.js', 'sandbox.js', 'debugger.js'];
+
+const context = vm.createContext({ require, console });
+for (const script of SCRIPTS) {
+    const file = path.join(__dirname, '..', script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+}
+const { compileFrontEnd, generateJS, runProgram, nextStop, firstStop, takeSnapshot, breakpoints } = vm.runInContext(
+    '({ compileFrontEnd, generateJS, runProgram, nextStop, firstStop, takeSnapshot, breakpoints })',
+    context
+);
+
+function record(source, limits = {}) {
+    const front = compileFrontEnd(source, {}, {});
+    assert.equal(front.diagnostics.filter(d => d.severity === 'error').length, 0);
+    const jsCode = generateJS(front.ast, true, { debug: true });
+    return runProgram(jsCode, '', { ...limits, debug: true }).then(result => ({ jsCode, result, trace: result.trace }));
+}
+
+// The stops a run makes, as line and the value of one local, which a run
+// up to each stop shows
+function steps(run, start, mode, variable) {
+    const stops = [];
+    for (let k = start; k < run.trace.length; k = nextStop(run.trace, k, mode)) stops.push(k);
+    return Promise.all(stops.map(k => takeSnapshot(run.jsCode, '', {}, k).then(snapshot => {
+        const local = snapshot.locals.find(local => local.name === variable);
+        return `${run.trace[k].line}:${local ? local.value : '-'}`;
+    })));
+}
+
+const LOOP = `int sq(int x) {
+    return x * x;
+}
+int main() {
+    int total = 0;
+    for (int i = 0; i < 4; i++)
+        total += sq(i);
+    int a = 1; int b = 2;
+    return total + a + b;
+}`;
+
+test('a one-line loop body stops once per iteration', () => record(LOOP).then(run => {
+    breakpoints.clear();
+    breakpoints.add(':7');
+    const first = firstStop(run.trace);
+    // The stops are found at once; only their values wait for a run
+    const stops = Promise.all([steps(run, first, 'continue', 'total'), steps(run, first, 'over', 'total')]);
+    breakpoints.clear();
+    return stops;
+}).then(([hits, over]) => {
+    assert.deepEqual(hits, ['7:0', '7:0', '7:1', '7:5']);
+    assert.deepEqual(over, ['7:0', '7:0', '7:1', '7:5', '8:14', '9:14']);
+}));
+
+test('step into enters each call and returns to the caller', () => record(LOOP).then(run => {
+    const first = run.trace.findIndex(event => event.line === 7);
+    return steps(run, first, 'into', 'x');
+}).then(stops => {
+    assert.deepEqual(stops.slice(0, 5), ['7:-', '2:0', '7:-', '2:1', '7:-']);
+}));
+
+test('statements on one line share a stop', () => record(LOOP).then(run => {
+    const first = run.trace.findIndex(event => event.line === 8);
+    return steps(run, first, 'over', 'b');
+}).then(stops => {
+    assert.deepEqual(stops, ['8:-', '9:2']);
+}));
+
+// Each statement costs the trace a few numbers, so a long run is recorded
+// to its end and a breakpoint near the end is still hit
+test('a breakpoint is hit after many statements', () => record(`int main() {
+    int total = 0;
+    for (int i = 0; i < 30000; i++) {
+        total += i % 7;
+    }
+    return total % 100;
+}`).then(run => {
+    assert.equal(run.result.truncated, false);
+    breakpoints.clear();
+    breakpoints.add(':6');
+    const stop = firstStop(run.trace);
+    breakpoints.clear();
+    assert.equal(run.trace[stop].line, 6);
+    return steps(run, stop, 'over', 'total');
+}).then(stops => {
+    assert.deepEqual(stops, ['6:89995']);
+}));
+
+test('the trace stops at maxTrace statements', () => record(LOOP, { maxTrace: 10 }).then(run => {
+    assert.equal(run.trace.length, 10);
+    assert.equal(run.result.truncated, true);
+    assert.equal(run.result.exitCode, 17);
+}));
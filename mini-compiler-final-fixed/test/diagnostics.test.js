@@ -0,0 +1,287 @@
+// --- Diagnostic tests ---
+// Programs that do not compile, or compile with warnings, and what the
+// compiler reports for them, each as "severity code line:column message".
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compile } = require('../minicpp');
+
+function diagnostics(source, options) {
+    // The compiler's arrays come from the realm it runs in
+    return Array.from(compile(source, options).diagnostics,
+        d => `${d.severity} ${d.code} ${d.line}:${d.column} ${d.message}`);
+}
+
+test('semantic errors are all reported', () => {
+    const source = `int add(int a, int b) { return a + b; }
+int main() {
+    int x = 1;
+    y = 2;
+    add(1);
+    string s = 5;
+    int x = 3;
+    return "no";
+}`;
+    assert.deepEqual(diagnostics(source), [
+        "error semantic 4:5 'y' was not declared in this scope",
+        "error semantic 5:5 Too few arguments to function 'add' (expected 2, got 1)",
+        "error semantic 6:16 Cannot convert 'int' to 'string' in initialization of 's'",
+        "error semantic 7:5 Redeclaration of 'x' (previously declared on line 3)",
+        "error semantic 8:12 Cannot convert 'string' to 'int' in return from 'main'"
+    ]);
+});
+
+test('the parser recovers after a syntax error', () => {
+    const source = `int main() {
+    int x = (1 + ;
+    int y = 2
+    return 0;
+}`;
+    assert.deepEqual(diagnostics(source), [
+        "error syntax 2:18 Unexpected token in expression: ';'",
+        "error syntax 3:14 Expected ';', got 'return'"
+    ]);
+});
+
+test('the preprocessor skips a bad directive and carries on', () => {
+    const source = `#include <iostream>
+#include <fstream>
+#include "missing.h"
+#define TWICE(x) ((x) * 2)
+#define 5
+#ifdef
+int hidden;
+#endif
+#endif
+using namespace std;
+int main() {
+    cout << TWICE(1, 2) << TWICE(3);
+    return zero;
+}`;
+    const compiled = compile(source, { files: {} });
+    assert.ok(compiled.tokens.length > 0);
+    assert.deepEqual(Array.from(compiled.ast, node => node.type), ['include', 'using', 'function']);
+    assert.deepEqual(diagnostics(source), [
+        'error preprocessor 2:1 Unsupported header <fstream>; available headers are <iostream>, <string>, <cmath>, <cstdlib>, <algorithm>, <iomanip>, <vector>, <map>, <set>, <stack>, <queue>, <utility>',
+        'error preprocessor 3:1 Cannot find include file "missing.h"',
+        'error preprocessor 5:1 #define expects a macro name',
+        'error preprocessor 6:1 #ifdef expects a single macro name',
+        'error preprocessor 9:1 #endif without #ifdef or #ifndef',
+        "error preprocessor 12:13 Macro 'TWICE' expects 1 argument, got 2",
+        "error semantic 12:13 'TWICE' was not declared in this scope",
+        "error semantic 13:12 'zero' was not declared in this scope"
+    ]);
+});
+
+test('the tokenizer skips what it cannot read', () => {
+    const source = `int main() {
+    int x = 3 @ 4;
+    string s = "no end;
+    char c = 'x;
+    char d = 'xy';
+    return 0;
+}
+/* never closed
+int unused;`;
+    assert.deepEqual(diagnostics(source), [
+        "error syntax 2:15 Unexpected character '@'",
+        'error syntax 3:16 Missing terminating " character',
+        "error syntax 4:14 Missing terminating ' character",
+        "error syntax 5:14 Character constant 'xy' holds more than one character",
+        'error syntax 8:1 Unterminated comment'
+    ]);
+});
+
+test('warnings do not stop a program compiling', () => {
+    const source = `int main() {
+    int x;
+    int unused = 1;
+    int y = x + 1;
+    return y;
+    y++;
+}`;
+    assert.deepEqual(diagnostics(source), [
+        "warning unused-variable 3:5 Unused variable 'unused'",
+        "warning uninitialized 4:13 'x' may be used uninitialized",
+        "warning unreachable-code 6:5 This statement can never run"
+    ]);
+    assert.deepEqual(diagnostics(source, { warnings: { 'unused-variable': false, uninitialized: false } }), [
+        "warning unreachable-code 6:5 This statement can never run"
+    ]);
+});
+
+test('the wasm backend reports what it cannot compile', () => {
+    const source = `#include <iostream>
+#include <string>
+using namespace std;
+int main() {
+    string s = "text";
+    cout << s;
+    return 0;
+}`;
+    assert.deepEqual(diagnostics(source, { backend: 'wasm' }), [
+        "error codegen 5:5 Type 'string' is not supported by the WebAssembly backend"
+    ]);
+});
+
+test('only functions can be called', () => {
+    const source = `#include <iostream>
+using namespace std;
+int main() {
+    int x = 1;
+    cout << " " (x) << endl;
+    3(4);
+    (x + 1)(2);
+    undeclared(1)(2);
+    return 0;
+}`;
+    assert.deepEqual(diagnostics(source), [
+        'error semantic 5:13 Expression cannot be used as a function',
+        'error semantic 6:5 Expression cannot be used as a function',
+        'error semantic 7:6 Expression cannot be used as a function',
+        "error semantic 8:5 'undeclared' was not declared in this scope"
+    ]);
+});
+
+test('algorithms check their iterator ranges', () => {
+    const source = `#include <vector>
+#include <algorithm>
+using namespace std;
+struct P { int x; };
+int main() {
+    int a[3] = {1, 2, 3};
+    double d[2] = {1, 2};
+    const vector<int> cv = {1};
+    P ps[2];
+    sort(a, d + 2);
+    sort(cv.begin(), cv.end());
+    sort(ps, ps + 2);
+    find(a, a + 3, "x");
+    reverse(1, a);
+    return count(cv.begin(), cv.end(), 1);
+}`;
+    assert.deepEqual(diagnostics(source), [
+        "error semantic 10:5 No matching function for call to 'sort(int[3], double*)'; both iterators must have the same type",
+        "error semantic 11:5 'sort' cannot change the const elements of 'const int*'",
+        "error semantic 12:5 'sort' needs elements that can be compared, not 'P'",
+        "error semantic 13:20 Cannot convert 'string' to 'int' in argument 3 of 'find'",
+        "error semantic 14:13 Argument 1 of 'reverse' must be an iterator or pointer, not 'int'"
+    ]);
+});
+
+test('cin >> x can be used as a condition', () => {
+    const source = `#include <iostream>
+using namespace std;
+int main() {
+    int n;
+    while (cin >> n) cout << n;
+    if (cin >> 3) return 1;
+    return 0;
+}`;
+    assert.deepEqual(diagnostics(source), [
+        'error semantic 6:16 Cannot read into an expression that is not a variable'
+    ]);
+});
+
+test('a loop changing its condition through a pointer is not flagged', () => {
+    const source = `int main() {
+    int k = 0;
+    int *pk = &k;
+    while (k < 3) (*pk)++;
+    int j = 0;
+    while (j < 3) k++;
+    return k;
+}`;
+    assert.deepEqual(diagnostics(source), [
+        "warning unchanging-loop 6:12 The loop condition never changes: nothing in the loop modifies 'j'"
+    ]);
+});
+
+test('a loop body cannot redeclare the loop variable', () => {
+    const source = `#include <vector>
+using namespace std;
+int main() {
+    for (int i = 0; i < 3; i++) { int i = 2; }
+    vector<int> v = {1};
+    for (int x : v) { int x = 1; }
+    for (int i = 0; i < 3; i++) { { int i = 5; } }
+    return 0;
+}`;
+    assert.deepEqual(diagnostics(source, { warnings: { 'unused-variable': false } }), [
+        "error semantic 4:35 Redeclaration of 'i' (previously declared on line 4)",
+        "error semantic 6:23 Redeclaration of 'x' (previously declared on line 6)"
+    ]);
+});
+
+test('string(...) takes one value that converts to a string', () => {
+    const source = `#include <string>
+using namespace std;
+int main() {
+    string a = string(5);
+    string b = string("x", "y");
+    return 0;
+}`;
+    assert.deepEqual(diagnostics(source), [
+        "error semantic 4:23 Cannot convert 'int' to 'string' in initialization",
+        "error semantic 5:16 Expected a single initializer for 'string', got 2"
+    ]);
+});
+
+test('container iterators keep keys and set elements const', () => {
+    const source = `#include <map>
+#include <set>
+#include <vector>
+using namespace std;
+int main() {
+    map<int, int> m = {{1, 2}};
+    set<int> s = {1};
+    const vector<int> cv = {1};
+    m.begin()->first = 5;
+    *s.begin() = 3;
+    cv.erase(cv.begin());
+    return m.find(1)->second;
+}`;
+    assert.deepEqual(diagnostics(source), [
+        'error semantic 9:5 Cannot assign to a read-only location',
+        'error semantic 10:5 Cannot assign to a read-only location',
+        "error semantic 11:5 Cannot call 'vector::erase' on a const vector"
+    ]);
+});
+
+test('a comparator must be a function that compares two elements', () => {
+    const source = `#include <algorithm>
+#include <string>
+using namespace std;
+struct P { int x; };
+bool byX(const P& a, const P& b) { return a.x < b.x; }
+string label(int a, int b) { return "x"; }
+int main() {
+    P ps[2] = {{2}, {1}};
+    int a[2] = {2, 1};
+    int less = 0;
+    sort(ps, ps + 2);
+    sort(ps, ps + 2, byX);
+    sort(a, a + 2, byX);
+    sort(a, a + 2, label);
+    sort(a, a + 2, less);
+    return *max_element(ps, ps + 2) == 0;
+}`;
+    assert.deepEqual(diagnostics(source), [
+        "error semantic 11:5 'sort' needs elements that can be compared, not 'P'",
+        "error semantic 13:20 'byX' cannot compare two elements of type 'int' for 'sort'; it must take two of them and return bool",
+        "error semantic 14:20 'label' cannot compare two elements of type 'int' for 'sort'; it must take two of them and return bool",
+        "error semantic 15:20 Argument 3 of 'sort' must be the name of a function, not 'int'",
+        "error semantic 16:13 'max_element' needs elements that can be compared, not 'P'"
+    ]);
+});
+
+test('exit() needs <cstdlib>', () => {
+    const source = `#include <iostream>
+int main() {
+    exit(1);
+}`;
+    assert.deepEqual(diagnostics(source), [
+        "error semantic 3:5 'exit' is declared in <cstdlib>; add '#include <cstdlib>'"
+    ]);
+});
@@ -0,0 +1,144 @@
+// --- IR tests ---
+// Lowers small programs to IR and checks the listing optimizeIR() keeps
+// after each pass, as the IR panel shows it.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = ['compiler.js', 'preprocessor.js', 'semantic.js', 'warnings.js', 'ir.js'];
+
+const context = vm.createContext({ require, console });
+for (const script of SCRIPTS) {
+    const file = path.join(__dirname, '..', script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+}
+const { compileFrontEnd, lowerToIR, optimizeIR } = vm.runInContext('({ compileFrontEnd, lowerToIR, optimizeIR })', context);
+
+// The listing of each stage, by the name of the pass that produced it
+function stages(body) {
+    const source = `#include <iostream>\nusing namespace std;\nint main() {\n${body}\n}`;
+    const front = compileFrontEnd(source, {}, {});
+    assert.equal(front.diagnostics.filter(d => d.severity === 'error').length, 0);
+    const listings = {};
+    for (const stage of optimizeIR(lowerToIR(front.ast))) listings[stage.name] = stage.text.trimEnd().split('\n');
+    return listings;
+}
+
+test('constants are folded and propagated, and dead code removed', () => {
+    const listings = stages(`    int a = 2;
+    int b = a * 3;
+    int unused = b + 1;
+    return b + a;`);
+    assert.deepEqual(listings['Constant folding and propagation'], [
+        'int main()',
+        'B0:',
+        '    a = 2',
+        '    t1 = 6',
+        '    b = 6',
+        '    t2 = 7',
+        '    unused = 7',
+        '    t3 = 8',
+        '    return 8'
+    ]);
+    assert.deepEqual(listings['Dead code elimination'], ['int main()', 'B0:', '    return 8']);
+});
+
+test('an expression computed twice is computed once, until an operand changes', () => {
+    const listings = stages(`    int a, b;
+    cin >> a >> b;
+    int x = a * b;
+    int y = b * a;
+    a++;
+    int z = a * b;
+    cout << x + y + z;
+    return 0;`);
+    assert.deepEqual(listings['Common subexpression elimination'], [
+        'int main()',
+        'B0:',
+        '    a = read int',
+        '    b = read int',
+        '    t1 = a * b',
+        '    x = t1',
+        '    y = t1',
+        '    t3 = a',
+        '    t4 = t3 + 1',
+        '    a = t4',
+        '    t5 = a * b',
+        '    z = t5',
+        '    t6 = x + y',
+        '    t7 = t6 + z',
+        '    print t7',
+        '    return 0'
+    ]);
+});
+
+test('array loads are not reused across a store', () => {
+    const listings = stages(`    int a[2] = {1, 2};
+    int i;
+    cin >> i;
+    int x = a[i];
+    a[i] = 5;
+    int y = a[i];
+    cout << x + y;
+    return 0;`);
+    assert.deepEqual(listings['Common subexpression elimination'].slice(5), [
+        '    i = read int',
+        '    t1 = a[i]',
+        '    x = t1',
+        '    a[i] = 5',
+        '    t2 = a[i]',
+        '    y = t2',
+        '    t3 = x + y',
+        '    print t3',
+        '    return 0'
+    ]);
+});
+
+test('loop invariants move out of the loop, but not a division that may trap', () => {
+    const listings = stages(`    int n, y;
+    cin >> n >> y;
+    int s = 0;
+    for (int i = 0; i < n; i++) {
+        s += n * 2;
+        if (y != 0) s += 100 / y;
+    }
+    cout << s;
+    return 0;`);
+    assert.deepEqual(listings['Loop-invariant code motion'], [
+        'int main()',
+        'B0:',
+        '    n = read int',
+        '    y = read int',
+        '    s = 0',
+        '    i = 0',
+        '    t2 = n * 2',
+        '    t4 = y != 0',
+        '    goto B1',
+        'B1:    ; from B0, B5',
+        '    t1 = i < n',
+        '    if t1 goto B2 else B6',
+        'B2:    ; from B1',
+        '    t3 = s + t2',
+        '    s = t3',
+        '    if t4 goto B3 else B4',
+        'B3:    ; from B2',
+        '    t5 = 100 / y',
+        '    t6 = s + t5',
+        '    s = t6',
+        '    goto B4',
+        'B4:    ; from B2, B3',
+        '    goto B5',
+        'B5:    ; from B4',
+        '    t7 = i',
+        '    t8 = t7 + 1',
+        '    i = t8',
+        '    goto B1',
+        'B6:    ; from B1',
+        '    print s',
+        '    return 0'
+    ]);
+});
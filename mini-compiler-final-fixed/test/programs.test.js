@@ -0,0 +1,114 @@
+// --- Program tests ---
+// Every program in programs/ is compiled and run, and its output compared
+// with name.out; name.in, if there is one, is what cin reads. Programs
+// listed for the wasm backend too must behave the same on both.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { compile, run, runInteractive } = require('../minicpp');
+
+const PROGRAMS = [
+    { name: 'arithmetic', wasm: true },
+    { name: 'control', wasm: true },
+    { name: 'functions', wasm: true },
+    { name: 'library', wasm: true },
+    { name: 'input', wasm: true },
+    { name: 'readall', wasm: true },
+    { name: 'strings' },
+    { name: 'classes' },
+    { name: 'pointers' },
+    { name: 'containers' },
+    { name: 'algorithms' },
+    { name: 'names' },
+    { name: 'shadowing' },
+    { name: 'exitcode', exitCode: 3, wasm: true },
+    { name: 'exit', exitCode: 2, wasm: true },
+    { name: 'outofbounds', exitCode: 134, error: 'runtime', wasm: true },
+    { name: 'missingreturn', exitCode: 134, error: 'runtime', wasm: true },
+    { name: 'recursion', exitCode: 139, error: 'stack-overflow', wasm: true }
+];
+
+const dir = path.join(__dirname, 'programs');
+
+function read(name, extension) {
+    const file = path.join(dir, name + extension);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+}
+
+function compileAndRun(source, stdin, backend) {
+    const compiled = compile(source, { backend });
+    // The compiler's arrays come from the realm it runs in
+    assert.deepEqual(Array.from(compiled.errors, error => error.text), []);
+    return run(compiled, stdin, { timeout: 10000 });
+}
+
+for (const program of PROGRAMS) {
+    const source = read(program.name, '.cpp');
+    const stdin = read(program.name, '.in');
+    const expected = read(program.name, '.out');
+    const backends = program.wasm ? ['js', 'wasm'] : ['js'];
+
+    for (const backend of backends) {
+        test(`${program.name} (${backend})`, () => compileAndRun(source, stdin, backend).then(result => {
+            assert.equal(result.stdout, expected);
+            assert.equal(result.exitCode, program.exitCode || 0);
+            assert.equal(result.error ? result.error.kind : null, program.error || null);
+        }));
+    }
+}
+
+// --- Typed input ---
+// readLine() hands over one line at a time, a little later each time, and
+// the log shows what the program printed before each read
+function typeLines(compiled, lines, limits = {}) {
+    const log = [];
+    const readLine = () => {
+        log.push('<read>');
+        return new Promise(resolve => setTimeout(() => resolve(lines.shift()), 20));
+    };
+    return runInteractive(compiled, limits, output => log.push(output), readLine).then(result => ({ result, log }));
+}
+
+test('a program reading typed input waits at each read and carries on from there', () => {
+    const compiled = compile(`#include <iostream>
+#include <cstdlib>
+using namespace std;
+int main() {
+    int x, count = 0;
+    cout << "seed " << rand() % 1000 << endl;
+    while (cin >> x) {
+        count++;
+        cout << x << " " << rand() % 1000 << endl;
+    }
+    return count;
+}`);
+    assert.deepEqual(Array.from(compiled.errors, error => error.text), []);
+    // The waits add up to more than the time limit, which only counts
+    // the time the program runs
+    return Promise.all([typeLines(compiled, ['1', '2 3', null], { timeout: 30 }), run(compiled, '1\n2 3\n')]).then(([{ result, log }, batch]) => {
+        const lines = batch.stdout.split(/(?<=\n)/);
+        assert.deepEqual(log, [lines[0], '<read>', lines[1], '<read>', lines[2] + lines[3], '<read>']);
+        assert.equal(result.stdout, batch.stdout);
+        assert.equal(result.exitCode, 3);
+        assert.equal(result.error, null);
+    });
+});
+
+test('a typed line longer than the input buffer arrives whole', () => {
+    const compiled = compile(`#include <iostream>
+#include <string>
+using namespace std;
+int main() {
+    string line;
+    while (getline(cin, line)) cout << line.size() << endl;
+    return 0;
+}`);
+    assert.deepEqual(Array.from(compiled.errors, error => error.text), []);
+    return typeLines(compiled, ['ab', 'x'.repeat(100000), 'y', null]).then(({ result }) => {
+        assert.equal(result.stdout, '2\n100000\n1\n');
+        assert.equal(result.exitCode, 0);
+    });
+});
@@ -0,0 +1,48 @@
+#include <iostream>
+#include <vector>
+#include <string>
+#include <algorithm>
+using namespace std;
+
+struct Point {
+    int x, y;
+};
+
+bool descending(int a, int b) {
+    return a > b;
+}
+
+bool byY(const Point& a, const Point& b) {
+    return a.y < b.y;
+}
+
+int main() {
+    int arr[6] = {5, 3, 9, 1, 3, 7};
+    sort(arr, arr + 6);
+    for (int x : arr) cout << x << " ";
+    cout << endl;
+    reverse(arr, arr + 6);
+    cout << arr[0] << arr[5] << " " << count(arr, arr + 6, 3) << " " << *find(arr, arr + 6, 7) << endl;
+    int* missing = find(arr, arr + 6, 42);
+    cout << (missing == arr + 6) << " " << find(arr, arr + 6, 1) - arr << endl;
+    vector<string> words = {"pear", "apple", "fig"};
+    sort(words.begin(), words.end());
+    for (auto it = words.begin(); it != words.end(); it++) cout << *it << " ";
+    cout << words.end() - words.begin() << endl;
+    vector<double> v = {2.5, -1, 2.5};
+    cout << count(v.begin(), v.end(), 2.5) << endl;
+    sort(v.begin() + 1, v.end());
+    *v.begin() = 0;
+    cout << v[0] << " " << v[1] << " " << v[2] << endl;
+    char s[4] = {'d', 'a', 'c', 'b'};
+    sort(s, s + 4);
+    cout << s[0] << s[3] << endl;
+    sort(arr, arr + 6, descending);
+    for (int x : arr) cout << x << " ";
+    cout << *max_element(arr, arr + 6) << " " << min_element(arr, arr + 6) - arr << endl;
+    vector<Point> points = {{1, 3}, {2, 1}, {3, 2}};
+    sort(points.begin(), points.end(), byY);
+    for (Point p : points) cout << p.x;
+    cout << " " << *max_element(words.begin(), words.end()) << " " << (min_element(v.begin(), v.begin()) == v.begin()) << endl;
+    return 0;
+}
@@ -0,0 +1,20 @@
+#include <iostream>
+using namespace std;
+
+int main() {
+    int a = 7, b = 2;
+    cout << a / b << " " << a % b << " " << -a / b << " " << -a % b << endl;
+    double d = a / 2.0;
+    cout << d << " " << 1.0 / 3 << " " << 1e10 << endl;
+    char c = 'A' + 2;
+    cout << c << " " << c + 1 << " " << (char)(c + 1) << endl;
+    int big = 2147483647;
+    big = big + 1;
+    cout << big << endl;
+    bool t = 3 > 2;
+    cout << t << " " << (a & b) << " " << (a | b) << " " << (a ^ b) << " " << (a << 3) << endl;
+    int x = 10;
+    x += 5; x -= 3; x *= 2; x /= 4; x %= 4;
+    cout << x << " " << (x > 1 ? x * 100 : -1) << " " << sizeof(int) << endl;
+    return 0;
+}
@@ -0,0 +1,35 @@
+#include <iostream>
+#include <string>
+using namespace std;
+
+class Account {
+private:
+    string owner;
+    int balance;
+public:
+    Account(string name, int initial) : owner(name), balance(initial) {}
+    void deposit(int amount) { balance += amount; }
+    bool withdraw(int amount) {
+        if (amount > balance) return false;
+        balance -= amount;
+        return true;
+    }
+    int getBalance() const { return balance; }
+    string getOwner() const { return owner; }
+};
+
+struct Point {
+    int x;
+    int y;
+};
+
+int main() {
+    Account a("Ada", 100);
+    a.deposit(50);
+    cout << a.getOwner() << " " << a.withdraw(500) << " " << a.withdraw(30) << " " << a.getBalance() << endl;
+    Point p = {3, 4};
+    Point q = p;
+    q.x = 10;
+    cout << p.x << "," << p.y << " " << q.x << "," << q.y << endl;
+    return 0;
+}
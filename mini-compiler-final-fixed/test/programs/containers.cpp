@@ -0,0 +1,36 @@
+#include <iostream>
+#include <vector>
+#include <map>
+#include <set>
+#include <string>
+using namespace std;
+
+int main() {
+    vector<int> v;
+    for (int i = 5; i > 0; i--) v.push_back(i * i);
+    v.pop_back();
+    cout << v.size() << " " << v[0] << " " << v.back() << endl;
+    int sum = 0;
+    for (int x : v) sum += x;
+    cout << sum << endl;
+    map<string, int> counts;
+    counts["b"]++;
+    counts["a"] += 2;
+    counts["b"]++;
+    for (auto entry : counts) cout << entry.first << "=" << entry.second << " ";
+    cout << counts.count("c") << endl;
+    auto found = counts.find("b");
+    if (found != counts.end()) cout << found->first << " " << found->second << endl;
+    if (counts.find("z") == counts.end()) cout << "no z, first is " << counts.begin()->first << endl;
+    found->second = 10;
+    for (auto it = counts.begin(); it != counts.end(); ++it) cout << it->second << " ";
+    cout << endl;
+    set<int> seen = {4, 1, 9};
+    cout << *seen.begin() << " " << (seen.find(9) != seen.end()) << endl;
+    v.erase(v.begin());
+    v.insert(v.begin() + 1, 7);
+    v.erase(v.begin() + 2, v.end());
+    for (int x : v) cout << x << " ";
+    cout << v.size() << endl;
+    return 0;
+}
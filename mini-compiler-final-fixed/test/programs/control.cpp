@@ -0,0 +1,26 @@
+#include <iostream>
+using namespace std;
+
+int main() {
+    int total = 0;
+    for (int i = 0; i < 10; i++) {
+        if (i == 3) continue;
+        if (i == 8) break;
+        total += i;
+    }
+    cout << total << endl;
+    int n = 0;
+    while (n < 5) n++;
+    do { n--; } while (n > 2);
+    cout << n << endl;
+    for (int k = 0; k < 4; k++) {
+        switch (k) {
+            case 0: cout << "zero "; break;
+            case 1:
+            case 2: cout << "small "; break;
+            default: cout << "other";
+        }
+    }
+    cout << endl;
+    return 0;
+}
@@ -0,0 +1,18 @@
+#include <iostream>
+#include <cstdlib>
+using namespace std;
+
+int check(int value) {
+    if (value < 0) {
+        cout << "negative" << endl;
+        exit(2);
+    }
+    return value;
+}
+
+int main() {
+    cout << check(4) << endl;
+    cout << check(-1) << endl;
+    cout << "unreachable" << endl;
+    return 0;
+}
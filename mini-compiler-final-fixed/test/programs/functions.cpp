@@ -0,0 +1,27 @@
+#include <iostream>
+using namespace std;
+
+int fib(int n);
+
+int calls = 0;
+
+int fib(int n) {
+    calls++;
+    if (n < 2) return n;
+    return fib(n - 1) + fib(n - 2);
+}
+
+double average(int values[], int count) {
+    int sum = 0;
+    for (int i = 0; i < count; i++) sum += values[i];
+    return (double)sum / count;
+}
+
+int main() {
+    cout << fib(15) << " " << calls << endl;
+    int values[5] = {3, 1, 4, 1, 5};
+    cout << average(values, 5) << endl;
+    int grid[2][3] = {{1, 2, 3}, {4, 5, 6}};
+    cout << grid[1][2] + grid[0][1] << endl;
+    return 0;
+}
@@ -0,0 +1,17 @@
+#include <iostream>
+using namespace std;
+
+int main() {
+    int count;
+    cin >> count;
+    double total = 0;
+    for (int i = 0; i < count; i++) {
+        double x;
+        cin >> x;
+        total += x;
+    }
+    char grade;
+    cin >> grade;
+    cout << grade << ": " << total / count << endl;
+    return 0;
+}
@@ -0,0 +1,22 @@
+#include <iostream>
+#include <iomanip>
+#include <cmath>
+#include <cstdlib>
+#include <algorithm>
+using namespace std;
+
+#define SQUARE(x) ((x) * (x))
+#define LIMIT 3
+
+int main() {
+    cout << sqrt(16.0) << " " << pow(2, 10) << " " << abs(-5) << " " << floor(2.7) << endl;
+    cout << max(3, 9) << " " << min(3, 9) << " " << SQUARE(LIMIT + 1) << endl;
+    cout << fixed << setprecision(2) << 3.14159 << " " << setw(6) << 2.5 << endl;
+    cout << setw(5) << left << 42 << "|" << endl;
+#ifdef LIMIT
+    cout << "limit " << LIMIT << endl;
+#else
+    cout << "no limit" << endl;
+#endif
+    return 0;
+}
@@ -0,0 +1,18 @@
+#include <iostream>
+using namespace std;
+
+double average(int a, int b) {
+    double result = (a + b) / 2.0;
+}
+
+int sign(int n) {
+    if (n > 0) return 1;
+    if (n < 0) return -1;
+}
+
+int main() {
+    cout << sign(5) << " " << sign(-5) << endl;
+    cout << sign(0) + 1 << endl;
+    cout << average(1, 2) << endl;
+    return 0;
+}
@@ -0,0 +1,22 @@
+// C++ names that JavaScript reserves
+#include <iostream>
+#include <vector>
+using namespace std;
+struct function { int in; int var; function(int with) : in(with), var(with * 2) {} int typeof() { return in + var; } };
+int var = 1;
+int instanceof(int in, int &with) { with++; return in * 2; }
+int main() {
+    int in = 3, with = 4;
+    int *enum = &in;
+    *enum += 1;
+    cout << instanceof(in, with) << " " << with << " " << var << endl;
+    function super(5);
+    cout << super.typeof() << " " << super.in << endl;
+    vector<int> export = {1, 2};
+    for (int import : export) cout << import;
+    for (int &yield : export) yield++;
+    cout << export[0] << endl;
+    double undefined = 1e400, NaN = 2;
+    cout << undefined << " " << NaN << endl;
+    return 0;
+}
@@ -0,0 +1,10 @@
+#include <iostream>
+using namespace std;
+
+int main() {
+    int arr[3] = {1, 2, 3};
+    int sum = 0;
+    for (int i = 0; i <= 3; i++) sum += arr[i];
+    cout << sum << endl;
+    return 0;
+}
@@ -0,0 +1,42 @@
+#include <iostream>
+using namespace std;
+
+struct Node {
+    int value;
+    Node* next;
+    Node(int v) : value(v), next(nullptr) {}
+};
+
+void swapValues(int& a, int& b) {
+    int t = a;
+    a = b;
+    b = t;
+}
+
+void increment(int* p) {
+    (*p)++;
+}
+
+int main() {
+    int x = 1, y = 2;
+    swapValues(x, y);
+    increment(&x);
+    cout << x << " " << y << endl;
+    int arr[4] = {5, 6, 7, 8};
+    int* p = arr + 1;
+    cout << *p << " " << p[2] << " " << (arr + 3) - p << endl;
+    Node* head = nullptr;
+    for (int i = 1; i <= 3; i++) {
+        Node* n = new Node(i);
+        n->next = head;
+        head = n;
+    }
+    for (Node* c = head; c != nullptr; c = c->next) cout << c->value;
+    cout << endl;
+    while (head) {
+        Node* n = head->next;
+        delete head;
+        head = n;
+    }
+    return 0;
+}
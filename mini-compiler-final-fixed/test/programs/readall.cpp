@@ -0,0 +1,14 @@
+#include <iostream>
+using namespace std;
+
+int main() {
+    int n, count = 0, sum = 0;
+    while (cin >> n) {
+        count++;
+        sum += n;
+    }
+    cout << count << " numbers, sum " << sum << endl;
+    int pair[2];
+    if (!(cin >> pair[0] >> pair[1])) cout << "no more input" << endl;
+    return 0;
+}
@@ -0,0 +1,7 @@
+int down(int n) {
+    return down(n + 1) + 1;
+}
+
+int main() {
+    return down(0);
+}
@@ -0,0 +1,21 @@
+// Functions and variables named like JavaScript built-ins
+#include <iostream>
+#include <cmath>
+using namespace std;
+
+int String(int x) {
+    return x + 1;
+}
+
+double Number(double x) {
+    return x * 2;
+}
+
+int main() {
+    int Math = 3;
+    bool Boolean = Math > 2;
+    char c = 'a';
+    cout << String(2) << " " << Number(1.5) << " " << Math * Math << " " << sqrt(16.0) << endl;
+    cout << Boolean << " " << (c < 'b') << " " << (float)0.1 << " " << (Boolean && Math) << endl;
+    return 0;
+}
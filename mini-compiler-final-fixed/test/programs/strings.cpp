@@ -0,0 +1,18 @@
+#include <iostream>
+#include <string>
+using namespace std;
+
+int main() {
+    string s = "Hello";
+    s += ", world";
+    cout << s << " " << s.length() << endl;
+    cout << s.substr(7, 5) << " " << s.find("world") << " " << s[1] << endl;
+    string t = s;
+    t[0] = 'J';
+    cout << s << " / " << t << endl;
+    cout << (s < t) << " " << (s == "Hello, world") << endl;
+    string digits = to_string(42) + "!";
+    cout << digits << endl;
+    cout << string("con") + string("cat") << string() << endl;
+    return 0;
+}
@@ -0,0 +1,210 @@
+// --- Compiler Phase Visualizer ---
+// Shows what each phase of compilePage() produced: the token stream, the
+// syntax tree, the scopes the analyzer built and the generated JavaScript.
+// Clicking a token, tree node or symbol selects its source in the editor,
+// or in the header files box for code that came from a header.
+
+// AST properties that are not children: analyzer results that point back
+// into the tree or at symbols
+const AST_SKIPPED = ['loc', 'symbol', 'ctor', 'visible', 'library', 'constant', 'paramTypes', 'operation'];
+
+let phaseTab = 'tokens';
+
+function showPhases() {
+    const compiled = compilePage();
+    const phases = compiled.phases;
+    document.getElementById("output").textContent = compiled.errors || "";
+    document.getElementById("phases").hidden = false;
+
+    renderTokens(phases.tokens);
+    const tree = document.getElementById("phaseAst");
+    tree.innerHTML = '';
+    if (phases.ast) {
+        for (const node of phases.ast) tree.appendChild(renderAstNode(node, null));
+    } else {
+        tree.textContent = "The program did not parse.";
+    }
+    renderSymbols(phases.analysis);
+    // The runtime library every program starts with would bury the program
+    document.getElementById("phaseJs").textContent = phases.jsCode
+        ? phases.jsCode.replace(generatePrelude(), "// ... runtime library ...\n")
+        : "No JavaScript was generated because of the errors above.";
+    selectPhaseTab(phaseTab);
+}
+
+function hidePhases() {
+    document.getElementById("phases").hidden = true;
+}
+
+function selectPhaseTab(name) {
+    phaseTab = name;
+    for (const tab of document.querySelectorAll("#phases .tab")) {
+        tab.classList.toggle("active", tab.dataset.tab === name);
+    }
+    for (const panel of document.querySelectorAll("#phases .phase-panel")) {
+        panel.hidden = panel.dataset.tab !== name;
+    }
+}
+
+// "line:column", prefixed with the file for code from a header
+function locationText(loc) {
+    if (!loc) return '';
+    const position = `${loc.start.line}:${loc.start.column}`;
+    return loc.file ? `${loc.file}:${position}` : position;
+}
+
+// --- Tokens ---
+function renderTokens(tokens) {
+    const table = document.getElementById("phaseTokens");
+    table.innerHTML = '';
+    if (!tokens) return;
+    tokens.forEach((token, k) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = k;
+        row.insertCell().textContent = token.type;
+        row.insertCell().textContent = token.value;
+        row.insertCell().textContent = locationText(token.loc);
+        row.onclick = () => highlightSource(token.loc, row);
+    });
+}
+
+// --- Syntax tree ---
+// Each node is a <details> listing its children, labelled with what
+// identifies it: a name, an operator, a literal, its declared or resolved
+// type
+function renderAstNode(node, field) {
+    const children = astChildren(node);
+    const item = document.createElement(children.length > 0 ? "details" : "div");
+    item.className = "ast-node";
+    if (children.length > 0) item.open = true;
+
+    const label = document.createElement("span");
+    label.className = "ast-label";
+    label.textContent = (field ? `${field}: ` : '') + astLabel(node);
+    label.onclick = (event) => {
+        // Selecting a node should not also fold it
+        event.preventDefault();
+        highlightSource(node.loc, label);
+    };
+    if (children.length > 0) {
+        const summary = document.createElement("summary");
+        summary.appendChild(label);
+        item.appendChild(summary);
+    } else {
+        item.appendChild(label);
+    }
+    for (const [name, child] of children) item.appendChild(renderAstNode(child, name));
+    return item;
+}
+
+function isAstNode(value) {
+    return value !== null && typeof value === 'object' && typeof value.type === 'string' && value.loc !== undefined;
+}
+
+// [field, node] for every child, in the order the fields were parsed.
+// Parameters and array sizes, which hang off types, are listed too.
+function astChildren(node) {
+    const children = [];
+    for (const [key, value] of Object.entries(node)) {
+        if (AST_SKIPPED.includes(key)) continue;
+        if (key === 'params' && Array.isArray(value)) {
+            value.forEach(param => children.push(['param', { type: 'parameter', name: param.name, varType: param.type, loc: param.loc }]));
+        } else if (Array.isArray(value)) {
+            value.filter(isAstNode).forEach(child => children.push([key, child]));
+        } else if (isAstNode(value)) {
+            children.push([key, value]);
+        } else if (value && typeof value === 'object' && Array.isArray(value.dims)) {
+            value.dims.filter(isAstNode).forEach(dim => children.push([`${key} size`, dim]));
+        }
+    }
+    return children;
+}
+
+function astLabel(node) {
+    let text = node.type;
+    const type = node.varType || (node.type !== 'return' && node.returnType);
+    if (type && type.name) text += ` ${typeToString(type)}`;
+    if (node.className) text += ` ${node.className}::`;
+    if (typeof node.name === 'string') text += node.className ? node.name : ` ${node.name}`;
+    if (node.operator) text += ` ${node.operator}`;
+    if (node.type === 'literal') text += ` ${node.raw}`;
+    if (node.type === 'member') text += ` .${node.property}`;
+    if (node.type === 'include') text += ` ${node.value}`;
+    if (node.manipulator) text += ` (manipulator)`;
+    if (node.resolvedType && !isErrorType(node.resolvedType) && node.resolvedType.name !== 'void') {
+        text += ` : ${typeToString(node.resolvedType)}`;
+    }
+    return text;
+}
+
+// --- Symbol table ---
+// One group of rows per scope, nested scopes indented under the scope
+// they are in
+function renderSymbols(analysis) {
+    const table = document.getElementById("phaseSymbols");
+    table.innerHTML = '';
+    if (!analysis) return;
+
+    const depth = (scope) => scope.parent ? depth(scope.parent) + 1 : 0;
+    for (const scope of analysis.scopes) {
+        const heading = table.insertRow();
+        heading.className = "scope-heading";
+        const cell = heading.insertCell();
+        cell.colSpan = 4;
+        cell.textContent = `${'    '.repeat(depth(scope))}${scope.kind} scope${scope.name ? ` ${scope.name}` : ''}`;
+        // Overloads of a function share its name, and so one entry
+        for (const symbol of scope.symbols.values()) {
+            for (const overload of symbol.overloads || [symbol]) addSymbolRow(table, overload);
+        }
+    }
+}
+
+function addSymbolRow(table, symbol) {
+    const row = table.insertRow();
+    row.insertCell().textContent = symbol.name;
+    row.insertCell().textContent = symbol.kind;
+    row.insertCell().textContent = symbolTypeText(symbol);
+    row.insertCell().textContent = locationText(symbol.loc);
+    row.onclick = () => highlightSource(symbol.loc, row);
+}
+
+function symbolTypeText(symbol) {
+    if (!symbol.type) return '';
+    const type = typeToString(symbol.type);
+    if (symbol.kind !== 'function' && symbol.kind !== 'method') return type;
+    const params = (symbol.params || []).map(param => typeToString(param.type));
+    const template = symbol.templateParams ? `template <${symbol.templateParams.map(name => `typename ${name}`).join(', ')}> ` : '';
+    return `${template}${type}(${params.join(', ')})`;
+}
+
+// --- Source highlighting ---
+// Selects `loc` in the code editor, or in the header files box when it is
+// in a header, whose lines follow its "// file:" line
+function highlightSource(loc, item) {
+    for (const selected of document.querySelectorAll("#phases .selected")) selected.classList.remove("selected");
+    item.classList.add("selected");
+    if (!loc) return;
+
+    const editor = document.getElementById(loc.file ? "headers" : "code");
+    const lines = editor.value.replace(/\r\n/g, '\n').split('\n');
+    let first = 0;
+    if (loc.file) {
+        const marker = lines.map(line => /^\s*\/\/\s*file:\s*(\S+)\s*$/.exec(line))
+            .reduce((found, match, k) => match && match[1] === loc.file ? k + 1 : found, -1);
+        if (marker < 0) return;
+        first = marker;
+    }
+    const offset = (position) => {
+        const index = first + position.line - 1;
+        let total = 0;
+        for (let k = 0; k < index && k < lines.length; k++) total += lines[k].length + 1;
+        const length = index < lines.length ? lines[index].length : 0;
+        return total + Math.min(position.column - 1, length);
+    };
+
+    editor.focus();
+    editor.setSelectionRange(offset(loc.start), Math.max(offset(loc.start), offset(loc.end)));
+    // Bring the selection into view, a few lines from the top
+    const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 18;
+    editor.scrollTop = Math.max(0, (first + loc.start.line - 4) * lineHeight);
+}
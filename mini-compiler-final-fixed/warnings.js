@@ -0,0 +1,556 @@
+// --- Warnings ---
+// checkWarnings() looks over a program analyze() has accepted for code
+// that compiles but is most likely a mistake. It relies on the symbols the
+// analyzer attached to the tree, and skips what it could not resolve.
+// Every warning is a CompileError with severity 'warning' and the ID of
+// its check as its code; each check can be turned off by ID.
+
+const WARNINGS = {
+    'uninitialized': 'A variable is read before it has been given a value',
+    'unused-variable': 'A local variable is never used',
+    'unused-parameter': 'A function parameter is never used',
+    'unreachable-code': 'A statement can never run',
+    'assign-in-condition': "A condition is an assignment where '==' was probably meant",
+    'missing-return': 'A function returning a value can end without a return statement',
+    'unchanging-loop': 'Nothing in a loop changes the variables its condition reads'
+};
+
+// Warnings for `ast`, each check enabled unless `settings` maps its ID to
+// false
+function checkWarnings(ast, settings = {}) {
+    const warnings = [];
+    const used = new Set();
+
+    function warn(id, message, loc) {
+        if (settings[id] === false) return;
+        // Every instance of a template repeats its source
+        const sameLoc = (other) => other.file === loc.file && other.start.offset === loc.start.offset;
+        if (warnings.some(other => other.code === id && other.message === message && sameLoc(other.loc))) return;
+        warnings.push(new CompileError(message, loc, { code: id, severity: 'warning' }));
+    }
+
+    // Uses of every variable, including those at file scope
+    for (const node of ast) walk(node, child => {
+        if (child.type === 'identifier' && child.symbol) used.add(child.symbol);
+    });
+
+    for (const node of ast) {
+        if (node.type === 'class') {
+            for (const member of node.members) {
+                if (member.body) checkFunction(member);
+            }
+        } else if (node.type === 'function' && node.templateParams) {
+            node.instances.forEach(checkFunction);
+        } else if (['function', 'constructor', 'destructor'].includes(node.type) && node.body) {
+            checkFunction(node);
+        }
+    }
+    return warnings;
+
+    function checkFunction(node) {
+        const locals = [];
+        checkFlow(node, locals);
+        for (const declaration of locals) {
+            if (!used.has(declaration.symbol)) warn('unused-variable', `Unused variable '${declaration.name}'`, declaration.symbol.loc);
+        }
+        for (const param of node.params || []) {
+            if (param.name && param.symbol && !used.has(param.symbol)) {
+                warn('unused-parameter', `Unused parameter '${param.name}'`, param.loc);
+            }
+        }
+        walk(node.body, child => {
+            if (['if', 'while', 'doWhile', 'for'].includes(child.type) && child.condition) {
+                checkCondition(child.condition);
+            }
+            if (['while', 'doWhile', 'for'].includes(child.type)) checkLoop(child);
+        });
+    }
+
+    // --- Flow ---
+    // Follows the function's statements in order, keeping the set of
+    // variables declared without a value that have certainly been assigned
+    // since; null stands for code that cannot be reached. Branches meet in
+    // the variables assigned on both.
+    function checkFlow(fn, locals) {
+        const tracked = new Set();
+        const reported = new Set();
+        // Enclosing loops and switches, for break and continue
+        const targets = [];
+
+        for (const initializer of fn.initializers || []) {
+            for (const arg of initializer.args || []) expression(arg, new Set());
+            if (initializer.list) expression(initializer.list, new Set());
+        }
+        const end = statements(fn.body.body, new Set());
+        const returnType = fn.returnType;
+        const returnsValue = returnType && (returnType.name !== 'void' || returnType.pointer > 0);
+        const isMain = fn.name === 'main' && !fn.className;
+        if (end !== null && returnsValue && !isMain) {
+            const close = fn.body.loc.end;
+            const loc = { start: { ...close, column: close.column - 1, offset: close.offset - 1 }, end: close };
+            if (fn.body.loc.file) loc.file = fn.body.loc.file;
+            const name = fn.className ? `${fn.className}::${fn.name}` : fn.name;
+            warn('missing-return', `Control can reach the end of non-void function '${name}' without returning a value`, loc);
+        }
+
+        function meet(a, b) {
+            if (a === null) return b;
+            if (b === null) return a;
+            return new Set([...a].filter(symbol => b.has(symbol)));
+        }
+
+        // Code after a jump is still looked at, as though everything had
+        // been assigned, but stays unreachable
+        function statements(list, state) {
+            let reportedUnreachable = false;
+            for (const node of list) {
+                if (state === null) {
+                    if (!reportedUnreachable && node.type !== 'break') {
+                        warn('unreachable-code', 'This statement can never run', node.loc);
+                        reportedUnreachable = true;
+                    }
+                    statement(node, new Set(tracked));
+                } else {
+                    state = statement(node, state);
+                }
+            }
+            return state;
+        }
+
+        function statement(node, state) {
+            switch (node.type) {
+                case 'declaration':
+                    declaration(node, state);
+                    return state;
+
+                case 'declarationList':
+                    node.declarations.forEach(decl => declaration(decl, state));
+                    return state;
+
+                case 'expression':
+                    expression(node.expression, state);
+                    return state;
+
+                case 'print':
+                    for (const part of node.parts) {
+                        if (typeof part === 'object') expression(part, state);
+                    }
+                    return state;
+
+                case 'input':
+                    node.inputs.forEach(target => assign(target, state));
+                    return state;
+
+                case 'delete':
+                    expression(node.target, state);
+                    return state;
+
+                case 'block':
+                    return statements(node.body, state);
+
+                case 'if': {
+                    expression(node.condition, state);
+                    const then = statement(node.thenStmt, new Set(state));
+                    const otherwise = node.elseStmt ? statement(node.elseStmt, new Set(state)) : state;
+                    return meet(then, otherwise);
+                }
+
+                case 'while': {
+                    expression(node.condition, state);
+                    const loop = enter('loop');
+                    statement(node.body, new Set(state));
+                    targets.pop();
+                    return loop.breaks.reduce(meet, alwaysTrue(node.condition) ? null : state);
+                }
+
+                case 'doWhile': {
+                    const loop = enter('loop');
+                    const end = loop.continues.reduce(meet, statement(node.body, state));
+                    targets.pop();
+                    if (end === null) {
+                        expression(node.condition, new Set(tracked));
+                        return loop.breaks.reduce(meet, null);
+                    }
+                    expression(node.condition, end);
+                    return loop.breaks.reduce(meet, alwaysTrue(node.condition) ? null : end);
+                }
+
+                case 'for': {
+                    if (node.init) state = statement(node.init, state);
+                    if (node.condition) expression(node.condition, state);
+                    const loop = enter('loop');
+                    const end = loop.continues.reduce(meet, statement(node.body, new Set(state)));
+                    targets.pop();
+                    if (node.update) expression(node.update, end === null ? new Set(tracked) : end);
+                    const exit = !node.condition || alwaysTrue(node.condition) ? null : state;
+                    return loop.breaks.reduce(meet, exit);
+                }
+
+                case 'rangeFor': {
+                    expression(node.range, state);
+                    enter('loop');
+                    statement(node.body, new Set(state));
+                    targets.pop();
+                    return state;
+                }
+
+                case 'switch': {
+                    expression(node.discriminant, state);
+                    const branch = enter('switch');
+                    // A case is reached by jumping to its label or by falling
+                    // into it from the case before
+                    let fallthrough = null;
+                    for (const caseNode of node.cases) {
+                        fallthrough = statements(caseNode.body, meet(new Set(state), fallthrough));
+                    }
+                    targets.pop();
+                    const hasDefault = node.cases.some(caseNode => caseNode.test === null);
+                    return branch.breaks.reduce(meet, meet(fallthrough, hasDefault ? null : state));
+                }
+
+                case 'return':
+                    if (node.value !== null) expression(node.value, state);
+                    return null;
+
+                case 'break': {
+                    const target = targets[targets.length - 1];
+                    if (target) target.breaks.push(state);
+                    return null;
+                }
+
+                case 'continue': {
+                    const loop = targets.filter(target => target.kind === 'loop').pop();
+                    if (loop) loop.continues.push(state);
+                    return null;
+                }
+
+                default:
+                    return state;
+            }
+        }
+
+        function enter(kind) {
+            const target = { kind, breaks: [], continues: [] };
+            targets.push(target);
+            return target;
+        }
+
+        function declaration(node, state) {
+            node.varType.dims.forEach(dim => expression(dim, state));
+            if (node.value) expression(node.value, state);
+            for (const arg of node.args || []) expression(arg, state);
+            const symbol = node.symbol;
+            if (!symbol || symbol.global) return;
+            if (!isClassValue(symbol.type)) locals.push(node);
+            // A variable declared in a loop is unassigned again each time
+            // round
+            if (node.value === null && !node.args && isTrackable(symbol.type)) {
+                tracked.add(symbol);
+                state.delete(symbol);
+            }
+        }
+
+        // Marks what `expr` reads and assigns in `state`
+        function expression(expr, state) {
+            if (!expr || typeof expr !== 'object') return;
+            switch (expr.type) {
+                case 'identifier':
+                    read(expr, state);
+                    return;
+
+                case 'assignment':
+                    if (expr.operator === '=') {
+                        expression(expr.value, state);
+                        assign(expr.target, state);
+                    } else {
+                        expression(expr.target, state);
+                        expression(expr.value, state);
+                    }
+                    return;
+
+                case 'unary':
+                    // &x may be how x gets its value
+                    if (expr.operator === '&' && expr.operand.type === 'identifier') {
+                        if (expr.operand.symbol) state.add(expr.operand.symbol);
+                        return;
+                    }
+                    expression(expr.operand, state);
+                    return;
+
+                case 'sizeof':
+                    return;
+
+                case 'read':
+                    expr.inputs.forEach(target => assign(target, state));
+                    return;
+
+                case 'call': {
+                    expression(expr.callee.type === 'member' ? expr.callee.object : null, state);
+                    expr.args.forEach((arg, k) => {
+                        if (arg.type === 'identifier' && writesArgument(expr, k)) assign(arg, state);
+                        else expression(arg, state);
+                    });
+                    return;
+                }
+
+                default:
+                    expressionChildren(expr).forEach(child => expression(child, state));
+            }
+        }
+
+        function read(expr, state) {
+            const symbol = expr.symbol;
+            if (!symbol || !tracked.has(symbol) || state.has(symbol) || reported.has(symbol)) return;
+            reported.add(symbol);
+            warn('uninitialized', `'${expr.name}' may be used uninitialized`, expr.loc);
+        }
+
+        function assign(target, state) {
+            if (target.type === 'identifier') {
+                if (target.symbol) state.add(target.symbol);
+            } else {
+                expression(target, state);
+            }
+        }
+    }
+
+    function alwaysTrue(condition) {
+        const value = constantValue(condition);
+        return value !== null && Number(value) !== 0;
+    }
+
+    // --- Conditions ---
+    function checkCondition(condition) {
+        if (condition.type === 'assignment' && condition.operator === '=') {
+            warn('assign-in-condition', `Assignment used as a condition; did you mean '==' to compare?`, condition.loc);
+        } else if (condition.type === 'binary' && (condition.operator === '&&' || condition.operator === '||')) {
+            checkCondition(condition.left);
+            checkCondition(condition.right);
+        } else if (condition.type === 'unary' && condition.operator === '!') {
+            checkCondition(condition.operand);
+        }
+    }
+
+    // A loop whose condition reads variables none of which the loop changes
+    // either never runs or never stops, unless something inside leaves it.
+    // Conditions that call functions, go through pointers or references or
+    // read a variable whose address was taken are left alone, as something
+    // else could change what they read.
+    function checkLoop(loop) {
+        const condition = loop.condition;
+        if (!condition || leavesLoop(loop.body)) return;
+        const read = new Set();
+        let opaque = false;
+        walk(condition, expr => {
+            if (['call', 'assignment', 'new', 'this', 'read'].includes(expr.type)) opaque = true;
+            if (expr.type === 'unary' && ['++', '--', '*'].includes(expr.operator)) opaque = true;
+            if (expr.type === 'member' && expr.arrow) opaque = true;
+            if (expr.type === 'identifier' && expr.symbol) {
+                const symbol = expr.symbol;
+                if (symbol.kind === 'field' || symbol.type.pointer > 0 || symbol.type.reference || symbol.boxed) opaque = true;
+                if ((symbol.kind === 'variable' || symbol.kind === 'parameter') && !symbol.type.isConst) read.add(symbol);
+            }
+        });
+        if (opaque || read.size === 0) return;
+
+        const changed = new Set();
+        let calls = false;
+        const body = loop.type === 'for' ? [loop.body, loop.update] : [loop.body];
+        for (const part of body) walk(part, node => {
+            if (node.type === 'call' && !node.library) calls = true;
+            for (const target of writtenBy(node)) {
+                const root = rootVariable(target);
+                if (root) changed.add(root);
+            }
+        });
+        const unchanged = [...read].filter(symbol => !changed.has(symbol) && !(calls && symbol.global));
+        if (unchanged.length < read.size) return;
+        const names = unchanged.map(symbol => `'${symbol.name}'`).join(', ');
+        warn('unchanging-loop', `The loop condition never changes: nothing in the loop modifies ${names}`, condition.loc);
+    }
+
+    // Whether a return, or a break out of this loop, can leave it
+    function leavesLoop(body) {
+        let leaves = false;
+        const search = (node, nested) => walk(node, child => {
+            if (child.type === 'return') leaves = true;
+            if (child.type === 'break' && !nested) leaves = true;
+            if (child !== node && ['while', 'doWhile', 'for', 'rangeFor', 'switch'].includes(child.type)) {
+                search(child, true);
+                return false;
+            }
+            return true;
+        });
+        search(body, false);
+        return leaves;
+    }
+}
+
+// Lvalues a statement or expression node assigns or may change
+function writtenBy(node) {
+    switch (node.type) {
+        case 'assignment':
+            return [node.target];
+        case 'unary':
+            return ['++', '--', '&'].includes(node.operator) ? [node.operand] : [];
+        case 'input':
+        case 'read':
+            return node.inputs;
+        case 'call': {
+            // A member function may change its object, and a function
+            // anything it is passed by reference or as an array
+            const targets = node.callee.type === 'member' ? [node.callee.object] : [];
+            node.args.forEach((arg, k) => {
+                if (writesArgument(node, k) || (arg.resolvedType && isArray(arg.resolvedType))) targets.push(arg);
+            });
+            return targets;
+        }
+        default:
+            return [];
+    }
+}
+
+// Whether the call passes its argument `k` by non-const reference
+function writesArgument(call, k) {
+    if (call.library) {
+        const kind = call.library.params[k];
+        return typeof kind === 'string' && kind.endsWith('&');
+    }
+    const callee = call.callee.symbol;
+    const param = callee && callee.params ? callee.params[k] : null;
+    return param !== null && param !== undefined && param.type.reference && !param.type.isConst;
+}
+
+// The variable an lvalue such as a[i].x belongs to
+function rootVariable(expr) {
+    while (expr.type === 'index' || (expr.type === 'member' && !expr.arrow)) expr = expr.object;
+    return expr.type === 'identifier' && expr.symbol ? expr.symbol : null;
+}
+
+// Scalars declared without a value hold garbage; strings, containers and
+// objects are constructed
+function isTrackable(type) {
+    return !type.reference && !type.isStatic && !isArray(type) &&
+        (ARITHMETIC_TYPES.includes(type.name) || type.pointer > 0);
+}
+
+// An object of a user class, whose constructor or destructor may be why
+// it is declared
+function isClassValue(type) {
+    return type.pointer === 0 && !BUILTIN_TYPES.includes(type.name) && !TEMPLATE_TYPES.hasOwnProperty(type.name) &&
+        type.name !== ERROR_TYPE.name;
+}
+
+// The child nodes of an expression
+function expressionChildren(expr) {
+    switch (expr.type) {
+        case 'binary':
+        case 'comma':
+            return [expr.left, expr.right];
+        case 'unary':
+        case 'cast':
+            return [expr.operand];
+        case 'sizeof':
+            return expr.operand ? [expr.operand] : [];
+        case 'assignment':
+            return [expr.target, expr.value];
+        case 'conditional':
+            return [expr.condition, expr.consequent, expr.alternate];
+        case 'call':
+            return [expr.callee, ...expr.args];
+        case 'member':
+            return [expr.object];
+        case 'index':
+            return [expr.object, expr.index];
+        case 'new':
+            return [expr.size, ...(expr.args || [])].filter(Boolean);
+        case 'construct':
+            return [...(expr.args || []), expr.list].filter(Boolean);
+        case 'initList':
+            return expr.elements;
+        case 'read':
+            return expr.inputs;
+        default:
+            return [];
+    }
+}
+
+// The child nodes of a statement
+function statementChildren(node) {
+    switch (node.type) {
+        case 'declaration':
+            return [...node.varType.dims, node.value, ...(node.args || [])];
+        case 'declarationList':
+            return node.declarations;
+        case 'expression':
+            return [node.expression];
+        case 'print':
+            return node.parts.filter(part => typeof part === 'object');
+        case 'input':
+            return node.inputs;
+        case 'delete':
+            return [node.target];
+        case 'block':
+            return node.body;
+        case 'if':
+            return [node.condition, node.thenStmt, node.elseStmt];
+        case 'while':
+        case 'doWhile':
+            return [node.condition, node.body];
+        case 'for':
+            return [node.init, node.condition, node.update, node.body];
+        case 'rangeFor':
+            return [node.range, node.body];
+        case 'switch':
+            return [node.discriminant, ...node.cases];
+        case 'case':
+            return [node.test, ...node.body];
+        case 'return':
+            return [node.value];
+        case 'function':
+            // A template is only analyzed as its instances
+            if (node.templateParams) return node.instances;
+            return [...(node.initializers || []).flatMap(init => [...(init.args || []), init.list]), node.body];
+        case 'constructor':
+        case 'destructor':
+        case 'method':
+            return [...(node.initializers || []).flatMap(init => [...(init.args || []), init.list]), node.body];
+        case 'class':
+            return node.members;
+        default:
+            return expressionChildren(node);
+    }
+}
+
+// Calls visit() on `node` and everything under it, depth first, skipping
+// the children of a node for which it returns false
+function walk(node, visit) {
+    if (!node || typeof node !== 'object') return;
+    if (visit(node) === false) return;
+    for (const child of statementChildren(node)) walk(child, visit);
+}
+
+// --- Page settings ---
+// Fills the Warnings section of the page with a checkbox for each check
+function showWarningSettings() {
+    const section = document.getElementById("warningSettings");
+    for (const [id, description] of Object.entries(WARNINGS)) {
+        const label = document.createElement("label");
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.dataset.warning = id;
+        box.checked = true;
+        label.append(box, ` ${description}`);
+        section.appendChild(label);
+    }
+}
+
+// The checks the Warnings section of the page has turned off, as
+// checkWarnings() takes them
+function pageWarnings() {
+    const settings = {};
+    for (const box of document.querySelectorAll("#warningSettings input[data-warning]")) {
+        settings[box.dataset.warning] = box.checked;
+    }
+    return settings;
+}
@@ -0,0 +1,1338 @@
+// --- WebAssembly Backend ---
+// A second code generator that lowers the AST to a WebAssembly module for
+// the subset of the language that maps directly onto it: int, char, bool
+// and double variables, functions, control flow, cin/cout and arrays of
+// those types. Anything else is reported as a CompileError.
+//
+// generateWasm() builds the module as plain data, one instruction per
+// array such as ['local.get', '$x'] or ['block', '$break1', null].
+// printWat() shows it as WebAssembly text and assembleWasm() encodes the
+// same instructions as the binary format the WebAssembly API loads.
+// generateWasmLoader() wraps the binary in a JavaScript program that runs
+// like one from generateJS(): cout and cin go through the same runtime
+// helpers, so both backends print exactly the same output.
+//
+// Memory layout: string literals first, then global arrays, then an 8 MiB
+// stack for local arrays that grows down from the top. Every array is
+// preceded by an 8-byte header holding its length, so a subscript can be
+// checked even where the array was passed as a parameter.
+
+const WASM_STACK_SIZE = 8 * 1024 * 1024;
+const WASM_PAGE_SIZE = 65536;
+
+// Functions the module imports from its loader, by name: parameter types,
+// result type and the JavaScript that implements it. All of them run in
+// the environment generateWasmLoader() sets up.
+const WASM_IMPORTS = {
+    print_i32: [['i32'], null, '(v) => __print(String(v))'],
+    print_f64: [['f64'], null, '(v) => __print(__formatDouble(v))'],
+    print_bool: [['i32'], null, '(v) => __print(v ? "1" : "0")'],
+    print_char: [['i32'], null, '(v) => __print(__strChar(v))'],
+    print_text: [['i32', 'i32'], null, '(start, length) => __print(__text(start, length))'],
+    print_endl: [[], null, '() => __outputs.push("\\n")'],
+    set_fixed: [[], null, '() => { __cout.fixed = true; }'],
+    set_left: [['i32'], null, '(left) => { __cout.left = left !== 0; }'],
+    set_width: [['i32'], null, '(width) => { __cout.width = width; }'],
+    set_precision: [['i32'], null, '(precision) => { __cout.precision = precision; }'],
+    set_fill: [['i32'], null, '(fill) => { __cout.fill = __strChar(fill); }'],
+    read_int: [['i32'], 'i32', '(v) => __readInt(v)'],
+    read_double: [['f64'], 'f64', '(v) => __readDouble(v)'],
+    read_bool: [['i32'], 'i32', '(v) => Number(__readBool(v !== 0))'],
+    read_char: [['i32'], 'i32', '(v) => __readChar(v)'],
+    read_ok: [[], 'i32', '() => Number(!__cinFail())'],
+    to_int: [['f64'], 'i32', '(v) => __toInt(v)'],
+    idiv: [['i32', 'i32'], 'i32', '(a, b) => { __at(); return __idiv(a, b); }'],
+    imod: [['i32', 'i32'], 'i32', '(a, b) => { __at(); return __imod(a, b); }'],
+    index_error: [['i32', 'i32', 'i32', 'i32'], null,
+        '(index, size, start, length) => { __at(); __index({ length: size }, index, __text(start, length)); }'],
+    missing_return: [['i32', 'i32'], null,
+        '(start, length) => { __at(); throw new Error(`Function \'${__text(start, length)}\' ended without returning a value`); }'],
+    stack_overflow: [[], null,
+        '() => { __at(); throw new __Trap("stack-overflow", "Stack overflow: local arrays need more than the 8 MiB stack"); }'],
+    enter: [['i32'], null, '(k) => { __at(); __machine.enter(__names[k]); }'],
+    leave: [[], null, '() => __machine.leave()'],
+    tick: [[], null, '() => { __at(); __machine.steps += 1023; __machine.tick(__machine.line); __machine.checkTime(); }']
+};
+
+function wasmType(type) {
+    if (isArray(type)) return 'i32';
+    return type.name === 'double' ? 'f64' : 'i32';
+}
+
+function generateWasm(ast) {
+    const imports = new Map();
+    const functions = [];
+    const globals = [];
+    const data = [];
+    const texts = new Map();
+    // Index 0 is no line, before the first statement runs
+    const locations = [0];
+    const locationIndex = new Map();
+    const functionNames = [];
+    const constants = new Map();
+    const globalArrays = new Map();
+    let dataEnd = 8;
+    let staticEnd = 0;
+    let labels = 0;
+
+    // State of the function being generated
+    let current = null;
+
+    function unsupported(what, loc) {
+        throw new CompileError(`${what} is not supported by the WebAssembly backend`, loc);
+    }
+
+    function useImport(name, signature = WASM_IMPORTS[name]) {
+        if (!imports.has(name)) {
+            const [params, result, code] = signature;
+            imports.set(name, { name: `$env.${name}`, field: name, params, result, code });
+        }
+        return `$env.${name}`;
+    }
+
+    // A string literal or array name in the data segment, as its start and
+    // length in bytes
+    function text(value) {
+        if (!texts.has(value)) {
+            const bytes = [...value].map(ch => ch.charCodeAt(0) & 255);
+            texts.set(value, { start: dataEnd, length: bytes.length });
+            data.push({ offset: dataEnd, bytes });
+            dataEnd += bytes.length;
+        }
+        return texts.get(value);
+    }
+
+    function location(loc) {
+        const key = loc.file ? `${loc.file}:${loc.start.line}` : loc.start.line;
+        if (!locationIndex.has(key)) {
+            locationIndex.set(key, locations.length);
+            locations.push(key);
+        }
+        return locationIndex.get(key);
+    }
+
+    function checkScalar(type, loc) {
+        if (type.reference) unsupported('A reference', loc);
+        if (type.pointer > 0) unsupported('A pointer', loc);
+        if (!['int', 'char', 'bool', 'double', 'void'].includes(type.name)) {
+            unsupported(`Type '${typeToString(type)}'`, loc);
+        }
+    }
+
+    // --- Types and sizes ---
+    function elementSize(type) {
+        return type.name === 'double' ? 8 : 4;
+    }
+
+    function dimension(dim, loc) {
+        const size = constantSize(dim);
+        if (size !== null) return size;
+        if (dim && dim.type === 'identifier' && constants.has(dim.symbol)) return constants.get(dim.symbol);
+        unsupported('An array size that is not a constant', loc);
+    }
+
+    // const int N = 10; makes N usable as an array size
+    function recordConstant(node) {
+        if (node.symbol.type.isConst && node.value !== null && constantSize(node.value) !== null) {
+            constants.set(node.symbol, node.value.value);
+        }
+    }
+
+    function arraySizes(type, loc) {
+        return type.dims.map(dim => dimension(dim, loc));
+    }
+
+    // Bytes from one element of the outermost dimension to the next
+    function strideOf(type, loc) {
+        return arraySizes(elementTypeOf(type), loc).reduce((a, b) => a * b, 1) * elementSize(type);
+    }
+
+    // --- Instructions ---
+    function emit(...instruction) {
+        current.body.push(instruction);
+    }
+
+    function newLocal(type, name = 'tmp') {
+        const local = `$${name}.${current.locals.length}`;
+        current.locals.push({ name: local, type });
+        return local;
+    }
+
+    function newLabel(kind) {
+        return `$${kind}${++labels}`;
+    }
+
+    function line(node) {
+        if (node.loc) {
+            emit('i32.const', location(node.loc));
+            emit('global.set', '$rt.line');
+        }
+    }
+
+    // Converts the value on the stack from `from` to `to`, as convertValue()
+    // does for the JavaScript backend
+    function convert(from, to) {
+        const source = wasmType(from);
+        if (to.name === 'bool' && from.name !== 'bool') {
+            if (source === 'f64') {
+                // NaN is false, as Boolean() makes it
+                emit('f64.abs');
+                emit('f64.const', 0);
+                emit('f64.gt');
+            } else {
+                emit('i32.const', 0);
+                emit('i32.ne');
+            }
+            return;
+        }
+        if (to.name === 'double' && source === 'i32') {
+            emit('f64.convert_i32_s');
+            return;
+        }
+        if (to.name !== 'double' && source === 'f64') {
+            emit('call', useImport('to_int'));
+        }
+        if (to.name === 'char' && from.name !== 'char') emit('i32.extend8_s');
+    }
+
+    function valueAs(expr, type) {
+        generateValue(expr);
+        convert(expr.resolvedType, type);
+    }
+
+    // --- Expressions ---
+    // Leaves the value of `expr` on the stack; arrays are their address
+    function generateValue(expr) {
+        switch (expr.type) {
+            case 'literal':
+                switch (expr.valueType) {
+                    case 'int': emit('i32.const', expr.value); return;
+                    case 'double': emit('f64.const', expr.value); return;
+                    case 'bool': emit('i32.const', expr.value ? 1 : 0); return;
+                    case 'char': emit('i32.const', __toChar(expr.value.charCodeAt(0))); return;
+                }
+                return unsupported(`A ${expr.valueType} value`, expr.loc);
+
+            case 'identifier': {
+                if (expr.constant) {
+                    emit('i32.const', Number(expr.constant.value));
+                    return;
+                }
+                const symbol = expr.symbol;
+                if (!symbol || (symbol.kind !== 'variable' && symbol.kind !== 'parameter')) {
+                    unsupported(`'${expr.name}'`, expr.loc);
+                }
+                if (globalArrays.has(symbol)) {
+                    emit('i32.const', globalArrays.get(symbol));
+                } else if (current.variables.has(symbol)) {
+                    emit('local.get', current.variables.get(symbol));
+                } else {
+                    emit('global.get', `$${symbol.name}`);
+                }
+                return;
+            }
+
+            case 'index': {
+                const address = generateElementAddress(expr);
+                if (isArray(expr.resolvedType)) unsupported('Using one row of a multi-dimensional array', expr.loc);
+                emit(address.load, 0);
+                return;
+            }
+
+            case 'binary':
+                return generateBinary(expr);
+
+            case 'unary':
+                return generateUnary(expr);
+
+            case 'assignment':
+                return generateAssignment(expr, true);
+
+            case 'conditional': {
+                const type = valueTypeOf(expr.resolvedType);
+                checkScalar(type, expr.loc);
+                const result = type.name === 'void' ? null : wasmType(type);
+                valueAs(expr.condition, makeType('bool'));
+                emit('if', null, result);
+                valueAs(expr.consequent, type);
+                emit('else');
+                valueAs(expr.alternate, type);
+                emit('end');
+                return;
+            }
+
+            case 'comma':
+                generateValue(expr.left);
+                if (valueTypeOf(expr.left.resolvedType).name !== 'void') emit('drop');
+                generateValue(expr.right);
+                return;
+
+            case 'cast':
+                if (expr.resolvedType.name === 'void') {
+                    generateValue(expr.operand);
+                    if (valueTypeOf(expr.operand.resolvedType).name !== 'void') emit('drop');
+                    return;
+                }
+                checkScalar(expr.resolvedType, expr.loc);
+                valueAs(expr.operand, expr.resolvedType);
+                return;
+
+            case 'sizeof':
+                if (expr.size === null) unsupported('sizeof a variable-length array', expr.loc);
+                emit('i32.const', expr.size);
+                return;
+
+            case 'call':
+                return generateCall(expr);
+
+            case 'read':
+                generateReads(expr.inputs);
+                emit('call', useImport('read_ok'));
+                return;
+
+            default:
+                unsupported(`The expression '${describeExpression(expr)}'`, expr.loc);
+        }
+    }
+
+    // The address of an array element, left on the stack, with the load and
+    // store instructions for its type
+    function generateElementAddress(expr) {
+        const object = expr.object;
+        const objectType = object.resolvedType;
+        if (!isArray(objectType)) unsupported(`Subscripting '${typeToString(objectType)}'`, expr.loc);
+
+        if (object.type === 'index') generateElementAddress(object);
+        else generateValue(object);
+        const base = newLocal('i32', 'array');
+        emit('local.set', base);
+        emit('local.get', base);
+
+        // Rows of a multi-dimensional array have no header, but their length
+        // is part of the type
+        valueAs(expr.index, makeType('int'));
+        if (object.type === 'index') {
+            emit('i32.const', dimension(objectType.dims[0], expr.loc));
+        } else {
+            emit('local.get', base);
+            emit('i32.const', 8);
+            emit('i32.sub');
+            emit('i32.load', 0);
+        }
+        const name = text(describeExpression(object));
+        emit('i32.const', name.start);
+        emit('i32.const', name.length);
+        emit('call', useHelper('check_index'));
+        emit('i32.const', strideOf(objectType, expr.loc));
+        emit('i32.mul');
+        emit('i32.add');
+
+        const double = expr.resolvedType.name === 'double';
+        return { load: double ? 'f64.load' : 'i32.load', store: double ? 'f64.store' : 'i32.store' };
+    }
+
+    // Stores the value `generate` leaves on the stack into `target`, leaving
+    // the stored value on the stack as well when `keep` is set
+    function generateStore(target, type, generate, keep) {
+        if (target.type === 'index') {
+            const address = generateElementAddress(target);
+            generate();
+            if (!keep) {
+                emit(address.store, 0);
+                return;
+            }
+            const value = newLocal(wasmType(type));
+            emit('local.tee', value);
+            emit(address.store, 0);
+            emit('local.get', value);
+            return;
+        }
+        if (target.type !== 'identifier') unsupported(`Assigning to '${describeExpression(target)}'`, target.loc);
+        generate();
+        const symbol = target.symbol;
+        if (current.variables.has(symbol)) {
+            emit(keep ? 'local.tee' : 'local.set', current.variables.get(symbol));
+        } else {
+            emit('global.set', `$${symbol.name}`);
+            if (keep) emit('global.get', `$${symbol.name}`);
+        }
+    }
+
+    // Stores into `target` what `update` makes of its current value, which
+    // it finds on the stack. An element's address is computed once, so
+    // a[i++] += 1 steps i once.
+    function generateUpdate(target, type, update, keep) {
+        if (target.type !== 'index') {
+            generateStore(target, type, () => {
+                generateValue(target);
+                update();
+            }, keep);
+            return;
+        }
+        const address = generateElementAddress(target);
+        const saved = newLocal('i32', 'address');
+        emit('local.tee', saved);
+        emit('local.get', saved);
+        emit(address.load, 0);
+        update();
+        if (!keep) {
+            emit(address.store, 0);
+            return;
+        }
+        const value = newLocal(wasmType(type));
+        emit('local.tee', value);
+        emit(address.store, 0);
+        emit('local.get', value);
+    }
+
+    function generateAssignment(expr, keep) {
+        const type = valueTypeOf(expr.target.resolvedType);
+        if (!expr.operation) {
+            generateStore(expr.target, type, () => valueAs(expr.value, type), keep);
+            return;
+        }
+        // x op= y works in the type x op y would
+        const operation = expr.operation;
+        checkScalar(type, expr.target.loc);
+        checkScalar(expr.value.resolvedType, expr.value.loc);
+        const operandType = commonType(type, expr.value.resolvedType);
+        generateUpdate(expr.target, type, () => {
+            convert(type, operandType);
+            valueAs(expr.value, operandType);
+            generateOperator(operation.operator, operandType, expr.loc);
+            convert(operation.resolvedType, type);
+        }, keep);
+    }
+
+    // Operands meet at double if either is one, else at int
+    function commonType(left, right) {
+        return left.name === 'double' || right.name === 'double' ? makeType('double') : makeType('int');
+    }
+
+    function generateBinary(expr) {
+        const op = expr.operator;
+        if (op === '&&' || op === '||') {
+            valueAs(expr.left, makeType('bool'));
+            emit('if', null, 'i32');
+            if (op === '&&') {
+                valueAs(expr.right, makeType('bool'));
+                emit('else');
+                emit('i32.const', 0);
+            } else {
+                emit('i32.const', 1);
+                emit('else');
+                valueAs(expr.right, makeType('bool'));
+            }
+            emit('end');
+            return;
+        }
+
+        const operandType = commonType(expr.left.resolvedType, expr.right.resolvedType);
+        for (const side of [expr.left, expr.right]) {
+            checkScalar(side.resolvedType, side.loc);
+            if (isArray(side.resolvedType)) unsupported('Arithmetic on arrays', side.loc);
+            valueAs(side, operandType);
+        }
+        generateOperator(op, operandType, expr.loc);
+    }
+
+    // The instruction for a binary operator, on two operands of
+    // `operandType` on the stack
+    function generateOperator(op, operandType, loc) {
+        const t = wasmType(operandType);
+        const comparisons = { '==': 'eq', '!=': 'ne', '<': 'lt', '<=': 'le', '>': 'gt', '>=': 'ge' };
+        if (comparisons[op]) {
+            const suffix = t === 'i32' && op !== '==' && op !== '!=' ? '_s' : '';
+            emit(`${t}.${comparisons[op]}${suffix}`);
+            return;
+        }
+        const arithmetic = { '+': 'add', '-': 'sub', '*': 'mul', '&': 'and', '|': 'or', '^': 'xor', '<<': 'shl', '>>': 'shr_s' };
+        if (arithmetic[op] && (t === 'i32' || ['+', '-', '*'].includes(op))) {
+            emit(`${t}.${arithmetic[op]}`);
+            return;
+        }
+        if (op === '/' || op === '%') {
+            if (t === 'f64' && op === '/') emit('f64.div');
+            else if (t === 'i32') emit('call', useHelper(op === '/' ? 'div_s' : 'rem_s'));
+            else unsupported(`'%' on doubles`, loc);
+            return;
+        }
+        unsupported(`The '${op}' operator`, loc);
+    }
+
+    function generateUnary(expr) {
+        const op = expr.operator;
+        const operandType = valueTypeOf(expr.operand.resolvedType);
+        checkScalar(operandType, expr.operand.loc);
+        if (op === '++' || op === '--') {
+            const t = wasmType(operandType);
+            const old = newLocal(t);
+            generateUpdate(expr.operand, operandType, () => {
+                if (!expr.prefix) emit('local.tee', old);
+                emit(`${t}.const`, 1);
+                emit(op === '++' ? `${t}.add` : `${t}.sub`);
+                if (operandType.name === 'char') emit('i32.extend8_s');
+                if (operandType.name === 'bool') convert(makeType('int'), operandType);
+            }, expr.prefix);
+            if (!expr.prefix) emit('local.get', old);
+            return;
+        }
+
+        const type = expr.resolvedType;
+        switch (op) {
+            case '+':
+                valueAs(expr.operand, type);
+                return;
+            case '-':
+                if (wasmType(type) === 'f64') {
+                    valueAs(expr.operand, type);
+                    emit('f64.neg');
+                } else {
+                    emit('i32.const', 0);
+                    valueAs(expr.operand, type);
+                    emit('i32.sub');
+                }
+                return;
+            case '!':
+                valueAs(expr.operand, makeType('bool'));
+                emit('i32.eqz');
+                return;
+            case '~':
+                valueAs(expr.operand, makeType('int'));
+                emit('i32.const', -1);
+                emit('i32.xor');
+                return;
+        }
+        unsupported(`The '${op}' operator`, expr.loc);
+    }
+
+    function generateCall(expr) {
+        if (expr.library) return generateLibraryCall(expr);
+        const callee = expr.callee.symbol;
+        if (expr.ctor || !callee || callee.kind !== 'function') {
+            unsupported(`The call '${describeExpression(expr)}'`, expr.loc);
+        }
+        if (!callee.defined) throw new CompileError(`'${callee.name}' is declared but never defined`, expr.loc);
+        withDefaults(expr.args, callee.params).forEach((arg, k) => {
+            const param = callee.params[k].type;
+            if (isArray(param)) {
+                if (arg.type === 'index') unsupported('Passing one row of a multi-dimensional array', arg.loc);
+                generateValue(arg);
+            } else {
+                valueAs(arg, param);
+            }
+        });
+        emit('call', `$${callee.mangled}`);
+    }
+
+    // Library functions on numbers, and cin's members, call the runtime
+    // helper the JavaScript backend uses, so results match to the last bit
+    function generateLibraryCall(expr) {
+        const spec = expr.library;
+        const callee = expr.callee;
+        let name = callee.type === 'identifier' ? callee.name : null;
+        if (callee.type === 'member' && callee.object.type === 'identifier' && callee.object.name === 'cin') {
+            name = `cin_${callee.property}`;
+        }
+        const kinds = spec.params.slice(0, expr.args.length);
+        if (name === null || !spec.helper || !kinds.every(kind => ['double', 'int', 'char', 'number', 'comparable'].includes(kind))) {
+            unsupported(`The call '${describeExpression(expr)}'`, expr.loc);
+        }
+        const params = [];
+        expr.args.forEach((arg, k) => {
+            const kind = spec.params[k];
+            const type = ['double', 'int', 'char'].includes(kind) ? makeType(kind) : valueTypeOf(arg.resolvedType);
+            checkScalar(type, arg.loc);
+            valueAs(arg, type);
+            params.push(wasmType(type));
+        });
+        const result = spec.returns === 'void' ? null : wasmType(expr.resolvedType);
+        let code = `(...args) => ${spec.helper}(...args)`;
+        let importName = `lib_${name}`;
+        if (spec.typed) {
+            const typeName = valueTypeOf(expr.args[0].resolvedType).name;
+            code = `(v) => ${spec.helper}(v, ${JSON.stringify(typeName)})`;
+            importName += `_${typeName}`;
+        } else if (spec.sameTypes) {
+            importName += `_${params[0]}`;
+        } else if (spec.minArgs !== undefined) {
+            importName += `_${params.length}`;
+        }
+        emit('call', useImport(importName, [params, result, code]));
+        if (expr.resolvedType.name === 'bool') convert(makeType('int'), expr.resolvedType);
+    }
+
+    // cin >> a >> b: each target is passed its current value, which a
+    // failed read leaves in place
+    function generateReads(inputs) {
+        for (const target of inputs) {
+            const type = valueTypeOf(target.resolvedType);
+            checkScalar(type, target.loc);
+            const reader = { int: 'read_int', double: 'read_double', bool: 'read_bool', char: 'read_char' }[type.name];
+            generateStore(target, type, () => {
+                generateValue(target);
+                emit('call', useImport(reader));
+            }, false);
+        }
+    }
+
+    // --- Statements ---
+    function generateStatements(statements) {
+        statements.forEach(generateStatement);
+    }
+
+    function generateStatement(node) {
+        switch (node.type) {
+            case 'declaration':
+                line(node);
+                return generateDeclaration(node);
+
+            case 'declarationList':
+                line(node);
+                return node.declarations.forEach(generateDeclaration);
+
+            case 'expression': {
+                line(node);
+                const expr = node.expression;
+                if (expr.type === 'assignment') return generateAssignment(expr, false);
+                generateValue(expr);
+                if (valueTypeOf(expr.resolvedType).name !== 'void') emit('drop');
+                return;
+            }
+
+            case 'print':
+                line(node);
+                return node.parts.forEach(generateOutput);
+
+            case 'input':
+                line(node);
+                return generateReads(node.inputs);
+
+            case 'block':
+                return generateStatements(node.body);
+
+            case 'if':
+                line(node);
+                valueAs(node.condition, makeType('bool'));
+                emit('if', null, null);
+                generateStatement(node.thenStmt);
+                if (node.elseStmt) {
+                    emit('else');
+                    generateStatement(node.elseStmt);
+                }
+                emit('end');
+                return;
+
+            case 'while':
+            case 'doWhile':
+            case 'for':
+                line(node);
+                return generateLoop(node);
+
+            case 'switch':
+                line(node);
+                return generateSwitch(node);
+
+            case 'break':
+                emit('br', current.loops[current.loops.length - 1].exit);
+                return;
+
+            case 'continue':
+                emit('br', current.loops[current.loops.length - 1].next);
+                return;
+
+            case 'return':
+                line(node);
+                if (node.value !== null) valueAs(node.value, current.returnType);
+                generateEpilogue();
+                emit('return');
+                return;
+
+            case 'function':
+            case 'functionDecl':
+            case 'include':
+            case 'using':
+                return;
+
+            default:
+                unsupported(`A '${node.type}' statement`, node.loc);
+        }
+    }
+
+    // Loops are a block to break out of around a loop to branch back to.
+    // The body sits in a block of its own so that continue still runs the
+    // update of a for and the condition of a do-while.
+    function generateLoop(node) {
+        const exit = newLabel('break');
+        const top = newLabel('loop');
+        const next = newLabel('continue');
+        if (node.type === 'for' && node.init) generateStatement(node.init);
+
+        emit('block', exit, null);
+        emit('loop', top, null);
+        line(node);
+        emit('call', useHelper('tick'));
+        if (node.type !== 'doWhile' && node.condition) {
+            valueAs(node.condition, makeType('bool'));
+            emit('i32.eqz');
+            emit('br_if', exit);
+        }
+        current.loops.push({ exit, next });
+        emit('block', next, null);
+        generateStatement(node.body);
+        emit('end');
+        current.loops.pop();
+        if (node.type === 'for' && node.update) {
+            generateStatement({ type: 'expression', expression: node.update });
+        }
+        if (node.type === 'doWhile') {
+            valueAs(node.condition, makeType('bool'));
+            emit('br_if', top);
+        } else {
+            emit('br', top);
+        }
+        emit('end');
+        emit('end');
+    }
+
+    // Each case starts where a block ends: the blocks nest with the first
+    // case innermost, and the dispatch inside it branches out of the block
+    // before the matching case. Bodies follow each other, so a case without
+    // a break falls through; break leaves the outer block.
+    function generateSwitch(node) {
+        const exit = newLabel('break');
+        const labels = node.cases.map(() => newLabel('case'));
+        const value = newLocal('i32', 'switch');
+        valueAs(node.discriminant, makeType('int'));
+        emit('local.set', value);
+        emit('block', exit, null);
+        for (let k = labels.length - 1; k >= 0; k--) emit('block', labels[k], null);
+        node.cases.forEach((caseNode, k) => {
+            if (caseNode.test === null) return;
+            emit('local.get', value);
+            emit('i32.const', caseNode.value);
+            emit('i32.eq');
+            emit('br_if', labels[k]);
+        });
+        const fallback = node.cases.findIndex(caseNode => caseNode.test === null);
+        emit('br', fallback >= 0 ? labels[fallback] : exit);
+
+        const loops = current.loops;
+        loops.push({ exit, next: loops.length > 0 ? loops[loops.length - 1].next : null });
+        for (const caseNode of node.cases) {
+            emit('end');
+            generateStatements(caseNode.body);
+        }
+        loops.pop();
+        emit('end');
+    }
+
+    function generateOutput(part) {
+        if (part.manipulator) {
+            switch (part.manipulator) {
+                case 'fixed': emit('call', useImport('set_fixed')); return;
+                case 'left': emit('i32.const', 1); emit('call', useImport('set_left')); return;
+                case 'right': emit('i32.const', 0); emit('call', useImport('set_left')); return;
+            }
+            valueAs(part.args[0], makeType('int'));
+            emit('call', useImport({ setw: 'set_width', setprecision: 'set_precision', setfill: 'set_fill' }[part.manipulator]));
+            return;
+        }
+        if (part.type === 'literal' && part.raw === 'endl') {
+            emit('call', useImport('print_endl'));
+            return;
+        }
+        if (part.type === 'literal' && part.valueType === 'string') {
+            const literal = text(part.value);
+            emit('i32.const', literal.start);
+            emit('i32.const', literal.length);
+            emit('call', useImport('print_text'));
+            return;
+        }
+        const type = valueTypeOf(part.resolvedType);
+        checkScalar(type, part.loc);
+        if (isArray(type)) unsupported('Printing an array', part.loc);
+        generateValue(part);
+        const printer = { int: 'print_i32', double: 'print_f64', bool: 'print_bool', char: 'print_char' }[type.name];
+        emit('call', useImport(printer));
+    }
+
+    function generateDeclaration(node) {
+        const type = node.symbol.type;
+        checkScalar(type, node.loc);
+        if (node.args !== null) unsupported('Constructor syntax', node.loc);
+        if (isArray(type)) return generateLocalArray(node);
+
+        const local = newLocal(wasmType(type), node.name);
+        current.variables.set(node.symbol, local);
+        recordConstant(node);
+        if (node.value !== null) {
+            if (node.value.type === 'initList') unsupported('A braced initializer', node.value.loc);
+            valueAs(node.value, type);
+        } else {
+            emit(`${wasmType(type)}.const`, 0);
+        }
+        emit('local.set', local);
+    }
+
+    // Local arrays live in the function's stack frame, zeroed each time the
+    // declaration runs
+    function generateLocalArray(node) {
+        const type = node.symbol.type;
+        const sizes = arraySizes(type, node.loc);
+        const bytes = sizes.reduce((a, b) => a * b, 1) * elementSize(type);
+        const offset = current.frameSize;
+        current.frameSize += 8 + Math.ceil(bytes / 8) * 8;
+
+        const local = newLocal('i32', node.name);
+        current.variables.set(node.symbol, local);
+        emit('local.get', '$rt.frame');
+        emit('i32.const', offset + 8);
+        emit('i32.add');
+        emit('local.set', local);
+        emit('local.get', '$rt.frame');
+        emit('i32.const', sizes[0]);
+        emit('i32.store', offset);
+        emit('local.get', local);
+        emit('i32.const', 0);
+        emit('i32.const', bytes);
+        emit('memory.fill');
+        if (node.value !== null) generateArrayElements(() => emit('local.get', local), type, sizes, node.value);
+    }
+
+    // Stores the elements of a braced list, row by row; the rest stay zero
+    function generateArrayElements(address, type, sizes, list, offset = 0) {
+        if (list.type !== 'initList') unsupported('Initializing an array from an expression', list.loc);
+        const elementType = elementTypeOf(type);
+        const stride = sizes.slice(1).reduce((a, b) => a * b, 1) * elementSize(type);
+        if (list.elements.length > sizes[0]) {
+            throw new CompileError(`Too many initializers for an array of size ${sizes[0]}`, list.loc);
+        }
+        list.elements.forEach((element, k) => {
+            if (isArray(elementType)) {
+                generateArrayElements(address, elementType, sizes.slice(1), element, offset + k * stride);
+                return;
+            }
+            address();
+            valueAs(element, elementType);
+            emit(elementType.name === 'double' ? 'f64.store' : 'i32.store', offset + k * stride);
+        });
+    }
+
+    // Global scalars are WebAssembly globals and global arrays sit at fixed
+    // addresses. Their initializers run in $init, before main.
+    function generateGlobal(node) {
+        const type = node.symbol.type;
+        checkScalar(type, node.loc);
+        if (node.args !== null) unsupported('Constructor syntax', node.loc);
+        line(node);
+        if (isArray(type)) {
+            const sizes = arraySizes(type, node.loc);
+            const bytes = sizes.reduce((a, b) => a * b, 1) * elementSize(type);
+            const header = { offset: staticEnd };
+            const address = { offset: staticEnd + 8 };
+            staticEnd += 8 + Math.ceil(bytes / 8) * 8;
+            globalArrays.set(node.symbol, address);
+            emit('i32.const', header);
+            emit('i32.const', sizes[0]);
+            emit('i32.store', 0);
+            if (node.value !== null) generateArrayElements(() => emit('i32.const', address), type, sizes, node.value);
+            return;
+        }
+        globals.push({ name: `$${node.name}`, type: wasmType(type) });
+        recordConstant(node);
+        if (node.value !== null) {
+            valueAs(node.value, type);
+            emit('global.set', `$${node.name}`);
+        }
+    }
+
+    function startFunction(name, params, returnType) {
+        current = {
+            name: `$${name}`,
+            params: params.map(param => ({ name: `$${param.name}`, type: wasmType(param.type) })),
+            result: returnType.name === 'void' ? null : wasmType(returnType),
+            returnType,
+            locals: [],
+            variables: new Map(),
+            loops: [],
+            frameSize: 0,
+            body: []
+        };
+        for (const param of params) current.variables.set(param.symbol, `$${param.name}`);
+        return current;
+    }
+
+    // A function saves the caller's line and stack pointer and restores both
+    // on the way out; a frame for local arrays is made once its size is known
+    function generateFunction(node) {
+        for (const param of node.params) {
+            if (!isArray(param.type)) checkScalar(param.type, param.loc);
+            else if (param.type.reference) unsupported('A reference', param.loc);
+        }
+        checkScalar(node.returnType, node.loc);
+        if (isArray(node.returnType)) unsupported('Returning an array', node.loc);
+        const fn = startFunction(node.symbol.mangled, node.params, node.returnType);
+        fn.export = node.name === 'main' ? 'main' : null;
+        fn.locals.push({ name: '$rt.frame', type: 'i32' }, { name: '$rt.caller_line', type: 'i32' });
+        functionNames.push(node.frameName || node.name);
+
+        emit('global.get', '$rt.line');
+        emit('local.set', '$rt.caller_line');
+        emit('i32.const', functionNames.length - 1);
+        emit('call', useImport('enter'));
+        const prologue = fn.body;
+        fn.body = [];
+        generateStatements(node.body.body);
+
+        // Falling off the end of main returns 0; of any other function that
+        // returns a value, it is an error
+        if (fn.result !== null) {
+            if (node.name === 'main') {
+                emit('i32.const', 0);
+                generateEpilogue();
+                emit('return');
+            } else {
+                const name = text(node.name);
+                emit('i32.const', name.start);
+                emit('i32.const', name.length);
+                emit('call', useImport('missing_return'));
+                emit('unreachable');
+            }
+        } else {
+            generateEpilogue();
+        }
+
+        const body = fn.body;
+        fn.body = prologue;
+        emit('global.get', '$rt.sp');
+        emit('i32.const', fn.frameSize);
+        emit('i32.sub');
+        emit('local.tee', '$rt.frame');
+        emit('global.get', '$rt.stack_base');
+        emit('i32.lt_u');
+        emit('if', null, null);
+        emit('call', useImport('stack_overflow'));
+        emit('end');
+        emit('local.get', '$rt.frame');
+        emit('global.set', '$rt.sp');
+        fn.body.push(...body);
+        functions.push(fn);
+    }
+
+    function generateEpilogue() {
+        emit('i32.const', current.frameSize);
+        emit('local.get', '$rt.frame');
+        emit('i32.add');
+        emit('global.set', '$rt.sp');
+        emit('local.get', '$rt.caller_line');
+        emit('global.set', '$rt.line');
+        emit('call', useImport('leave'));
+    }
+
+    // --- Helpers inside the module ---
+    // Each is added the first time something calls it
+    const helpers = {
+        check_index: () => generateCheckIndex(),
+        div_s: () => generateDivision('rt.div_s', 'i32.div_s', 'idiv'),
+        rem_s: () => generateDivision('rt.rem_s', 'i32.rem_s', 'imod'),
+        tick: () => generateTick()
+    };
+    const usedHelpers = new Set();
+
+    function useHelper(name) {
+        if (!usedHelpers.has(name)) {
+            usedHelpers.add(name);
+            const caller = current;
+            helpers[name]();
+            current = caller;
+        }
+        return `$rt.${name}`;
+    }
+
+    // Subscripts out of range report the same error as in JavaScript
+    function generateCheckIndex() {
+        const fn = startFunction('rt.check_index', [], makeType('int'));
+        fn.params = [
+            { name: '$index', type: 'i32' }, { name: '$size', type: 'i32' },
+            { name: '$name', type: 'i32' }, { name: '$length', type: 'i32' }
+        ];
+        emit('local.get', '$index');
+        emit('local.get', '$size');
+        emit('i32.ge_u');
+        emit('if', null, null);
+        emit('local.get', '$index');
+        emit('local.get', '$size');
+        emit('local.get', '$name');
+        emit('local.get', '$length');
+        emit('call', useImport('index_error'));
+        emit('end');
+        emit('local.get', '$index');
+        functions.push(fn);
+    }
+
+    // i32.div_s traps on zero and on INT_MIN / -1, where C++ (and the
+    // JavaScript backend) raise an error or wrap, so those cases go to the
+    // runtime helper
+    function generateDivision(name, instruction, helper) {
+        const fn = startFunction(name, [], makeType('int'));
+        fn.params = [{ name: '$a', type: 'i32' }, { name: '$b', type: 'i32' }];
+        emit('local.get', '$b');
+        emit('i32.eqz');
+        emit('local.get', '$b');
+        emit('i32.const', -1);
+        emit('i32.eq');
+        emit('i32.or');
+        emit('if', null, 'i32');
+        emit('local.get', '$a');
+        emit('local.get', '$b');
+        emit('call', useImport(helper));
+        emit('else');
+        emit('local.get', '$a');
+        emit('local.get', '$b');
+        emit(instruction);
+        emit('end');
+        functions.push(fn);
+    }
+
+    // Loops count their iterations and check in with the step budget every
+    // 1024 of them
+    function generateTick() {
+        startFunction('rt.tick', [], makeType('void'));
+        emit('global.get', '$rt.steps');
+        emit('i32.const', 1);
+        emit('i32.add');
+        emit('global.set', '$rt.steps');
+        emit('global.get', '$rt.steps');
+        emit('i32.const', 1023);
+        emit('i32.and');
+        emit('i32.eqz');
+        emit('if', null, null);
+        emit('call', useImport('tick'));
+        emit('end');
+        functions.push(current);
+    }
+
+    // --- Module ---
+    if (!ast.some(node => node.type === 'function' && node.name === 'main' && !node.className)) {
+        throw new CompileError('The WebAssembly backend needs a main function', null);
+    }
+    const init = startFunction('rt.init', [], makeType('void'));
+    init.export = 'init';
+    for (const node of ast) {
+        current = init;
+        switch (node.type) {
+            case 'declaration':
+                generateGlobal(node);
+                break;
+            case 'declarationList':
+                node.declarations.forEach(generateGlobal);
+                break;
+            case 'function':
+                if (node.className) unsupported('A class', node.loc);
+                if (node.templateParams) node.instances.forEach(generateFunction);
+                else generateFunction(node);
+                break;
+            case 'functionDecl':
+            case 'include':
+            case 'using':
+                break;
+            case 'class':
+            case 'classDecl':
+                unsupported('A class', node.loc);
+                break;
+            default:
+                unsupported(`A '${node.type}' at file scope`, node.loc);
+        }
+    }
+    functions.push(init);
+
+    // Global arrays follow the data segment, 8-byte aligned
+    const staticBase = Math.ceil(dataEnd / 8) * 8;
+    for (const fn of functions) {
+        for (const instruction of fn.body) {
+            if (instruction[0] === 'i32.const' && typeof instruction[1] === 'object') {
+                instruction[1] = staticBase + instruction[1].offset;
+            }
+        }
+    }
+    const stackBase = staticBase + staticEnd;
+    const pages = Math.ceil((stackBase + WASM_STACK_SIZE) / WASM_PAGE_SIZE);
+
+    return {
+        imports: [...imports.values()],
+        functions,
+        memory: { pages, export: 'memory' },
+        globals: [
+            { name: '$rt.sp', type: 'i32', init: pages * WASM_PAGE_SIZE },
+            { name: '$rt.stack_base', type: 'i32', init: stackBase },
+            { name: '$rt.line', type: 'i32', init: 0, export: 'line' },
+            { name: '$rt.steps', type: 'i32', init: 0 },
+            ...globals.map(global => ({ ...global, init: 0 }))
+        ],
+        data,
+        locations,
+        functionNames
+    };
+}
+
+// --- WebAssembly Text ---
+// The module in the text format, one instruction per line, indented by
+// the blocks it is nested in
+function printWat(module) {
+    const lines = ['(module'];
+    const signature = (params, result, names) => {
+        let text = '';
+        if (params.length > 0) {
+            text += names ? params.map(param => ` (param ${param.name} ${param.type})`).join('')
+                : ` (param ${params.join(' ')})`;
+        }
+        return result ? `${text} (result ${result})` : text;
+    };
+    const exported = (name) => name ? ` (export "${name}")` : '';
+
+    for (const entry of module.imports) {
+        lines.push(`  (import "env" "${entry.field}" (func ${entry.name}${signature(entry.params, entry.result, false)}))`);
+    }
+    lines.push(`  (memory${exported(module.memory.export)} ${module.memory.pages})`);
+    for (const global of module.globals) {
+        lines.push(`  (global ${global.name}${exported(global.export)} (mut ${global.type}) (${global.type}.const ${global.init}))`);
+    }
+    for (const segment of module.data) {
+        const text = segment.bytes.map(byte => byte >= 32 && byte < 127 && byte !== 34 && byte !== 92
+            ? String.fromCharCode(byte) : `\\${byte.toString(16).padStart(2, '0')}`).join('');
+        lines.push(`  (data (i32.const ${segment.offset}) "${text}")`);
+    }
+
+    for (const fn of module.functions) {
+        lines.push('');
+        lines.push(`  (func ${fn.name}${exported(fn.export)}${signature(fn.params, fn.result, true)}`);
+        for (const local of fn.locals) lines.push(`    (local ${local.name} ${local.type})`);
+        let depth = 2;
+        for (const [op, ...args] of fn.body) {
+            if (op === 'end' || op === 'else') depth--;
+            let text = op;
+            if (op === 'block' || op === 'loop' || op === 'if') {
+                if (args[0]) text += ` ${args[0]}`;
+                if (args[1]) text += ` (result ${args[1]})`;
+            } else if (op.endsWith('load') || op.endsWith('store')) {
+                if (args[0] !== 0) text += ` offset=${args[0]}`;
+            } else if (op === 'f64.const') {
+                const value = args[0];
+                text += ' ' + (value !== value ? 'nan' : !isFinite(value) ? (value < 0 ? '-inf' : 'inf')
+                    : Object.is(value, -0) ? '-0' : String(value));
+            } else if (args.length > 0) {
+                text += ` ${args[0]}`;
+            }
+            lines.push('  '.repeat(depth) + text);
+            if (op === 'block' || op === 'loop' || op === 'if' || op === 'else') depth++;
+        }
+        lines.push('  )');
+    }
+    lines.push(')');
+    return lines.join('\n') + '\n';
+}
+
+// --- WebAssembly Binary ---
+const WASM_OPCODES = {
+    'unreachable': 0x00, 'block': 0x02, 'loop': 0x03, 'if': 0x04, 'else': 0x05, 'end': 0x0b,
+    'br': 0x0c, 'br_if': 0x0d, 'return': 0x0f, 'call': 0x10, 'drop': 0x1a,
+    'local.get': 0x20, 'local.set': 0x21, 'local.tee': 0x22, 'global.get': 0x23, 'global.set': 0x24,
+    'i32.load': 0x28, 'f64.load': 0x2b, 'i32.store': 0x36, 'f64.store': 0x39,
+    'i32.const': 0x41, 'f64.const': 0x44,
+    'i32.eqz': 0x45, 'i32.eq': 0x46, 'i32.ne': 0x47, 'i32.lt_s': 0x48, 'i32.lt_u': 0x49,
+    'i32.gt_s': 0x4a, 'i32.gt_u': 0x4b, 'i32.le_s': 0x4c, 'i32.le_u': 0x4d, 'i32.ge_s': 0x4e, 'i32.ge_u': 0x4f,
+    'f64.eq': 0x61, 'f64.ne': 0x62, 'f64.lt': 0x63, 'f64.gt': 0x64, 'f64.le': 0x65, 'f64.ge': 0x66,
+    'i32.add': 0x6a, 'i32.sub': 0x6b, 'i32.mul': 0x6c, 'i32.div_s': 0x6d, 'i32.rem_s': 0x6f,
+    'i32.and': 0x71, 'i32.or': 0x72, 'i32.xor': 0x73, 'i32.shl': 0x74, 'i32.shr_s': 0x75,
+    'f64.abs': 0x99, 'f64.neg': 0x9a, 'f64.add': 0xa0, 'f64.sub': 0xa1, 'f64.mul': 0xa2, 'f64.div': 0xa3,
+    'f64.convert_i32_s': 0xb7, 'i32.extend8_s': 0xc0
+};
+
+const WASM_TYPES = { i32: 0x7f, f64: 0x7c };
+
+function unsignedLEB(value) {
+    const bytes = [];
+    do {
+        let byte = value & 0x7f;
+        value >>>= 7;
+        if (value !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (value !== 0);
+    return bytes;
+}
+
+function signedLEB(value) {
+    const bytes = [];
+    while (true) {
+        const byte = value & 0x7f;
+        value >>= 7;
+        if ((value === 0 && (byte & 0x40) === 0) || (value === -1 && (byte & 0x40) !== 0)) {
+            bytes.push(byte);
+            return bytes;
+        }
+        bytes.push(byte | 0x80);
+    }
+}
+
+function wasmName(text) {
+    const bytes = [...text].map(ch => ch.charCodeAt(0));
+    return [...unsignedLEB(bytes.length), ...bytes];
+}
+
+function wasmVector(items) {
+    return [...unsignedLEB(items.length), ...items.flat()];
+}
+
+// The module as bytes for WebAssembly.Module. Names become indices here:
+// functions count from the imports, locals from the parameters, and a
+// branch names the label as how many blocks out it is.
+function assembleWasm(module) {
+    const types = [];
+    const typeIndex = (params, result) => {
+        const encoded = [0x60, ...wasmVector(params.map(type => [WASM_TYPES[type]])),
+            ...wasmVector(result ? [[WASM_TYPES[result]]] : [])];
+        const key = encoded.join(',');
+        let index = types.findIndex(type => type.join(',') === key);
+        if (index < 0) {
+            index = types.length;
+            types.push(encoded);
+        }
+        return index;
+    };
+
+    const functionIndex = new Map();
+    module.imports.forEach((entry, k) => functionIndex.set(entry.name, k));
+    module.functions.forEach((fn, k) => functionIndex.set(fn.name, module.imports.length + k));
+    const globalIndex = new Map(module.globals.map((global, k) => [global.name, k]));
+
+    const imports = module.imports.map(entry => [
+        ...wasmName('env'), ...wasmName(entry.field), 0x00, ...unsignedLEB(typeIndex(entry.params, entry.result))
+    ]);
+    const declarations = module.functions.map(fn => unsignedLEB(typeIndex(fn.params.map(param => param.type), fn.result)));
+    const globals = module.globals.map(global => [
+        WASM_TYPES[global.type], 0x01,
+        ...(global.type === 'f64' ? [0x44, ...f64Bytes(global.init)] : [0x41, ...signedLEB(global.init)]), 0x0b
+    ]);
+    const exports = [];
+    module.functions.forEach(fn => {
+        if (fn.export) exports.push([...wasmName(fn.export), 0x00, ...unsignedLEB(functionIndex.get(fn.name))]);
+    });
+    exports.push([...wasmName(module.memory.export), 0x02, 0x00]);
+    module.globals.forEach((global, k) => {
+        if (global.export) exports.push([...wasmName(global.export), 0x03, ...unsignedLEB(k)]);
+    });
+
+    const bodies = module.functions.map(fn => {
+        const localIndex = new Map([...fn.params, ...fn.locals].map((local, k) => [local.name, k]));
+        const code = [...wasmVector(fn.locals.map(local => [0x01, WASM_TYPES[local.type]]))];
+        const labels = [];
+        for (const [op, ...args] of fn.body) {
+            if (op === 'memory.fill') {
+                code.push(0xfc, ...unsignedLEB(11), 0x00);
+                continue;
+            }
+            code.push(WASM_OPCODES[op]);
+            switch (op) {
+                case 'block':
+                case 'loop':
+                case 'if':
+                    labels.push(args[0]);
+                    code.push(args[1] ? WASM_TYPES[args[1]] : 0x40);
+                    break;
+                case 'end':
+                    labels.pop();
+                    break;
+                case 'br':
+                case 'br_if':
+                    code.push(...unsignedLEB(labels.length - 1 - labels.lastIndexOf(args[0])));
+                    break;
+                case 'call':
+                    code.push(...unsignedLEB(functionIndex.get(args[0])));
+                    break;
+                case 'local.get':
+                case 'local.set':
+                case 'local.tee':
+                    code.push(...unsignedLEB(localIndex.get(args[0])));
+                    break;
+                case 'global.get':
+                case 'global.set':
+                    code.push(...unsignedLEB(globalIndex.get(args[0])));
+                    break;
+                case 'i32.const':
+                    code.push(...signedLEB(args[0] | 0));
+                    break;
+                case 'f64.const':
+                    code.push(...f64Bytes(args[0]));
+                    break;
+                case 'i32.load':
+                case 'i32.store':
+                    code.push(2, ...unsignedLEB(args[0]));
+                    break;
+                case 'f64.load':
+                case 'f64.store':
+                    code.push(3, ...unsignedLEB(args[0]));
+                    break;
+            }
+        }
+        code.push(0x0b);
+        return [...unsignedLEB(code.length), ...code];
+    });
+    const data = module.data.map(segment => [
+        0x00, 0x41, ...signedLEB(segment.offset), 0x0b, ...wasmVector(segment.bytes.map(byte => [byte]))
+    ]);
+
+    const section = (id, items) => {
+        const content = wasmVector(items);
+        return [id, ...unsignedLEB(content.length), ...content];
+    };
+    return new Uint8Array([
+        0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+        ...section(1, types),
+        ...section(2, imports),
+        ...section(3, declarations),
+        ...section(5, [[0x00, ...unsignedLEB(module.memory.pages)]]),
+        ...section(6, globals),
+        ...section(7, exports),
+        ...section(10, bodies),
+        ...section(11, data)
+    ]);
+}
+
+function f64Bytes(value) {
+    return [...new Uint8Array(new Float64Array([value]).buffer)];
+}
+
+// --- Loader ---
+// A program for runProgram() that instantiates the module and runs it
+// under the same __machine as generated JavaScript. The module keeps the
+// current line as an index into __locations, which __at() copies to the
+// machine before anything that may fail.
+function generateWasmLoader(module) {
+    const bytes = assembleWasm(module);
+    let code = generatePrelude();
+    code += `const __locations = ${JSON.stringify(module.locations)};\n`;
+    code += `const __names = ${JSON.stringify(module.functionNames)};\n`;
+    code += "let __exports = null;\n";
+    code += "function __text(start, length) {\n";
+    code += "    return String.fromCharCode(...new Uint8Array(__exports.memory.buffer, start, length));\n";
+    code += "}\n";
+    code += "function __at() {\n";
+    code += "    __machine.line = __locations[__exports.line.value];\n";
+    code += "}\n";
+    code += "const __imports = {\n";
+    for (const entry of module.imports) code += `    ${JSON.stringify(entry.field)}: ${entry.code},\n`;
+    code += "};\n";
+    code += "return __machine.run(() => {\n";
+    code += `const __module = new WebAssembly.Module(new Uint8Array([${bytes.join(',')}]));\n`;
+    code += "__exports = new WebAssembly.Instance(__module, { env: __imports }).exports;\n";
+    code += "try {\n";
+    code += "    __exports.init();\n";
+    code += "    return __exports.main();\n";
+    code += "} catch (__e) {\n";
+    code += "    __at();\n";
+    code += "    throw __e;\n";
+    code += "}\n";
+    code += "});\n";
+    return code;
+}